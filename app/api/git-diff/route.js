@@ -1,4 +1,6 @@
-import { getCommitsBetween, streamCommitsBetween } from "../../../lib/core.js";
+import { createMemoryCache } from "../../../lib/cache.js";
+import { CHANGELOG_TEMPLATES, parseChangelogSections, renderChangelog } from "../../../lib/changelog.js";
+import { getCommitsBetween, isConfiguredGitHubApiUrl, streamCommitsBetween } from "../../../lib/core.js";
 import { NextResponse } from "next/server";
 
 /**
@@ -6,6 +8,19 @@ import { NextResponse } from "next/server";
  * GET /api/git-diff?repo=<repo-url>&from=<from-ref>&to=<to-ref>&[options]
  */
 
+// Content types of the release notes formats
+const CHANGELOG_CONTENT_TYPES = {
+  markdown: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  text: "text/plain; charset=utf-8",
+};
+
+// Views of a range: its commits, or a per-person summary of them
+const VIEWS = ["commits", "contributors"];
+
+// Kept between warm invocations, so repeated requests reuse commit file lists and ranges
+const responseCache = createMemoryCache();
+
 // Handle CORS preflight requests
 export async function OPTIONS() {
   return new NextResponse(null, {
@@ -25,9 +40,13 @@ export async function GET(request) {
     const from = searchParams.get("from");
     const to = searchParams.get("to");
     const token = searchParams.get("token");
-    const targetDir = searchParams.get("targetDir");
+    // targetDir may be repeated and each value may hold comma-separated paths or patterns
+    const targetDir = searchParams.getAll("targetDir").filter(Boolean);
     const excludeSubPaths = searchParams.get("excludeSubPaths");
     const stream = searchParams.get("stream"); // New parameter for streaming
+    const format = searchParams.get("format") || "json"; // json, or release notes as markdown, html or text
+    const sections = searchParams.get("sections") || undefined; // Release notes sections, e.g. "Features=feat;Fixes=fix"
+    const view = searchParams.get("view") || "commits"; // commits, or contributors for a per-person summary
 
     // Validate required parameters
     if (!repo) {
@@ -35,7 +54,42 @@ export async function GET(request) {
       return NextResponse.json(
         {
           success: false,
-          error: "Missing required parameter: repo (GitHub repository URL)",
+          error: "Missing required parameter: repo (GitHub, GitLab or Bitbucket repository URL)",
+        },
+        {
+          status: 400,
+          headers: {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "GET, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type, Authorization",
+          },
+        }
+      );
+    }
+
+    // Check the API URL, view and release notes options before anything is fetched
+    let formatError = null;
+    const apiUrl = searchParams.get("apiUrl");
+    if (apiUrl && !isConfiguredGitHubApiUrl(apiUrl)) {
+      formatError = `GitHub API URL ${apiUrl} is not configured on this server. Ask the operator to add it to GITHUB_API_URLS.`;
+    } else if (!VIEWS.includes(view)) {
+      formatError = `Invalid view "${view}". Use commits or contributors.`;
+    } else if (view === "contributors" && format !== "json") {
+      formatError = "The contributors view is only available as json.";
+    } else if (format !== "json" && !CHANGELOG_TEMPLATES[format]) {
+      formatError = `Invalid format "${format}". Use json, markdown, html or text.`;
+    } else {
+      try {
+        parseChangelogSections(sections);
+      } catch (error) {
+        formatError = error.message;
+      }
+    }
+    if (formatError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: formatError,
         },
         {
           status: 400,
@@ -54,10 +108,23 @@ export async function GET(request) {
       repoUrl: repo,
       from: from || null, // Allow null/undefined for optional from
       to: to || null, // Allow null/undefined for optional to
-      token: token || process.env.GITHUB_TOKEN,
-      targetDir: targetDir || null,
+      token: token || null, // Each provider falls back to its own env token (GITHUB_TOKEN, GITLAB_TOKEN, BITBUCKET_TOKEN)
+      targetDir: targetDir.length > 0 ? targetDir : null,
       excludeSubPaths: excludeSubPaths || null,
       maxCommits: searchParams.get("maxCommits") ? parseInt(searchParams.get("maxCommits"), 10) : 10000,
+      api: searchParams.get("api") || (["true", "1"].includes(searchParams.get("restOnly")) ? "rest" : "auto"),
+      apiUrl: apiUrl || null, // One of the GITHUB_API_URLS base URLs; mapped hosts need no parameter
+      tagPattern: searchParams.get("tagPattern") || null, // e.g. "payments-service@{version}" turns 1.4.2 into a tag name
+      mergeMode: searchParams.get("mergeMode") || "all", // all, first-parent, merges-only or no-merges
+      concurrency: searchParams.get("concurrency") ? Number(searchParams.get("concurrency")) : undefined, // File requests in flight
+      maxRateLimitWait: searchParams.get("maxRateLimitWait") ? Number(searchParams.get("maxRateLimitWait")) : undefined, // Seconds
+      cache: ["true", "1"].includes(searchParams.get("noCache")) ? null : responseCache,
+      issueTrackers: searchParams.getAll("issueTracker").filter(Boolean), // e.g. "linear:ENG=https://linear.app/acme/issue/{key}"
+      bumpRules: searchParams.get("bumpRules") || null, // Next version bump overrides, e.g. "docs=none,refactor=minor"
+      includePullRequests: ["true", "1"].includes(searchParams.get("includePullRequests")), // Labels, author, merger, reviewers
+      includeContributors: view === "contributors",
+      contributorAliases: searchParams.getAll("alias").filter(Boolean), // e.g. "Jane Doe <jane@example.com>=jdoe@old.example.com"
+      explainFilter: ["true", "1"].includes(searchParams.get("explainFilter")), // Adds filterExplanation (non-streaming only)
     };
 
     // Handle streaming requests
@@ -68,9 +135,25 @@ export async function GET(request) {
     // Get commits (non-streaming, original behavior)
     const result = await getCommitsBetween(options);
 
+    if (result.success && format !== "json") {
+      console.log(`[API Success] ${repo} ${from}..${to} - ${format} release notes for ${result.totalCommits} commits`);
+      const notes = renderChangelog(result, { format, sections });
+      return new NextResponse(notes, {
+        status: 200,
+        headers: {
+          "Content-Type": CHANGELOG_CONTENT_TYPES[format],
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Methods": "GET, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        },
+      });
+    }
+
     if (result.success) {
       console.log(`[API Success] ${repo} ${from}..${to} - ${result.totalCommits} commits (${result.elapsedTime})`);
-      return NextResponse.json(result, {
+      // The contributors view leaves out the commits it summarizes
+      const { commits, ...summary } = result;
+      return NextResponse.json(view === "contributors" ? summary : result, {
         status: 200,
         headers: {
           "Access-Control-Allow-Origin": "*",
@@ -81,7 +164,7 @@ export async function GET(request) {
     } else {
       console.error(`[API Error] ${repo} ${from}..${to} - ${result.error}`);
       return NextResponse.json(result, {
-        status: 500,
+        status: result.errorCode === "RATE_LIMITED" ? 429 : 500,
         headers: {
           "Access-Control-Allow-Origin": "*",
           "Access-Control-Allow-Methods": "GET, OPTIONS",
@@ -164,9 +247,29 @@ async function handleStreamingRequest(options) {
           type: "complete",
           success: result.success,
           totalCommits: result.totalCommits,
+          complete: result.complete,
+          totalInRange: result.totalInRange,
+          truncated: result.truncated,
+          omittedCommits: result.omittedCommits,
+          warning: result.warning,
           summary: result.summary,
+          fetchStats: result.fetchStats,
           elapsedTime: `${Date.now() - startTime}ms`,
           error: result.error,
+          errorCode: result.errorCode,
+          // The same range details as the JSON Lines stream, so clients can label the result
+          repository: result.repository,
+          fromRef: result.fromRef,
+          toRef: result.toRef,
+          fromSha: result.fromSha,
+          toSha: result.toSha,
+          resolvedFrom: result.resolvedFrom,
+          resolvedTo: result.resolvedTo,
+          apiUsed: result.apiUsed,
+          mergeMode: result.mergeMode,
+          urlTemplates: result.urlTemplates,
+          nextVersion: result.nextVersion,
+          contributors: result.contributors,
         };
 
         controller.enqueue(encoder.encode(`data: ${JSON.stringify(finalResult)}\n\n`));
@@ -1,10 +1,14 @@
-import { streamCommitsBetween } from "../../../../lib/core.js";
+import { createMemoryCache } from "../../../../lib/cache.js";
+import { isConfiguredGitHubApiUrl, streamCommitsBetween } from "../../../../lib/core.js";
 
 /**
  * Streaming API endpoint optimized for Google Apps Script
  * Returns data as JSON Lines (one JSON object per line)
  */
 
+// Kept between warm invocations, so repeated requests reuse commit file lists and ranges
+const responseCache = createMemoryCache();
+
 export async function OPTIONS() {
   return new Response(null, {
     status: 200,
@@ -23,7 +27,8 @@ export async function GET(request) {
     const from = searchParams.get("from");
     const to = searchParams.get("to");
     const token = searchParams.get("token");
-    const targetDir = searchParams.get("targetDir");
+    // targetDir may be repeated and each value may hold comma-separated paths or patterns
+    const targetDir = searchParams.getAll("targetDir").filter(Boolean);
     const excludeSubPaths = searchParams.get("excludeSubPaths");
 
     // Validate required parameters - only repo is required now
@@ -44,14 +49,45 @@ export async function GET(request) {
       );
     }
 
+    // Only API URLs configured on the server may be requested, so callers cannot point it at other hosts
+    const apiUrl = searchParams.get("apiUrl");
+    if (apiUrl && !isConfiguredGitHubApiUrl(apiUrl)) {
+      return new Response(
+        JSON.stringify({
+          type: "error",
+          success: false,
+          error: `GitHub API URL ${apiUrl} is not configured on this server. Ask the operator to add it to GITHUB_API_URLS.`,
+        }) + "\n",
+        {
+          status: 400,
+          headers: {
+            "Content-Type": "application/x-ndjson",
+            "Access-Control-Allow-Origin": "*",
+          },
+        }
+      );
+    }
+
     const options = {
       repoUrl: repo,
       from: from || null, // Allow null/undefined for optional from
       to: to || null, // Allow null/undefined for optional to
-      token: token || process.env.GITHUB_TOKEN,
-      targetDir: targetDir || null,
+      token: token || null, // Each provider falls back to its own env token (GITHUB_TOKEN, GITLAB_TOKEN, BITBUCKET_TOKEN)
+      targetDir: targetDir.length > 0 ? targetDir : null,
       excludeSubPaths: excludeSubPaths || null,
       maxCommits: searchParams.get("maxCommits") ? parseInt(searchParams.get("maxCommits"), 10) : 10000,
+      api: searchParams.get("api") || (["true", "1"].includes(searchParams.get("restOnly")) ? "rest" : "auto"),
+      apiUrl: apiUrl || null, // One of the GITHUB_API_URLS base URLs; mapped hosts need no parameter
+      tagPattern: searchParams.get("tagPattern") || null, // e.g. "payments-service@{version}" turns 1.4.2 into a tag name
+      mergeMode: searchParams.get("mergeMode") || "all", // all, first-parent, merges-only or no-merges
+      concurrency: searchParams.get("concurrency") ? Number(searchParams.get("concurrency")) : undefined, // File requests in flight
+      maxRateLimitWait: searchParams.get("maxRateLimitWait") ? Number(searchParams.get("maxRateLimitWait")) : undefined, // Seconds
+      cache: ["true", "1"].includes(searchParams.get("noCache")) ? null : responseCache,
+      issueTrackers: searchParams.getAll("issueTracker").filter(Boolean), // e.g. "linear:ENG=https://linear.app/acme/issue/{key}"
+      bumpRules: searchParams.get("bumpRules") || null, // Next version bump overrides, e.g. "docs=none,refactor=minor"
+      includePullRequests: ["true", "1"].includes(searchParams.get("includePullRequests")), // Labels, author, merger, reviewers
+      includeContributors: searchParams.get("view") === "contributors", // Adds contributors to the completion
+      contributorAliases: searchParams.getAll("alias").filter(Boolean), // e.g. "Jane Doe <jane@example.com>=jdoe@old.example.com"
     };
 
     const encoder = new TextEncoder();
@@ -130,16 +166,28 @@ export async function GET(request) {
               type: "complete",
               success: result.success,
               totalCommits: result.totalCommits,
+              complete: result.complete,
+              totalInRange: result.totalInRange,
+              truncated: result.truncated,
+              omittedCommits: result.omittedCommits,
+              warning: result.warning,
               summary: result.summary,
               fetchStats: result.fetchStats, // Add fetch statistics
               elapsedTime: `${Date.now() - startTime}ms`,
               error: result.error,
+              errorCode: result.errorCode,
               repository: result.repository,
               fromRef: result.fromRef,
               toRef: result.toRef,
               fromSha: result.fromSha,
               toSha: result.toSha,
+              resolvedFrom: result.resolvedFrom,
+              resolvedTo: result.resolvedTo,
               apiUsed: result.apiUsed,
+              mergeMode: result.mergeMode,
+              urlTemplates: result.urlTemplates,
+              nextVersion: result.nextVersion,
+              contributors: result.contributors,
               timestamp: new Date().toISOString(),
             };
             safeEnqueue(completion);
@@ -1,6 +1,56 @@
 "use client";
 
 import { useState } from "react";
+import { renderChangelog } from "../lib/changelog.js";
+import { describeResolvedRef } from "../lib/refs.js";
+
+// Name and account of a person, e.g. "Jane Doe (@jane)"
+const describe = (person) => {
+  const name = person.name || person.login || "Unknown Author";
+  return person.login ? `${name} (@${person.login})` : name;
+};
+
+// Avatar of a person, or the first letter of their name when the provider has no avatar for them
+function PersonAvatar({ person, size = "w-6 h-6" }) {
+  return person.avatarUrl ? (
+    <img
+      src={person.avatarUrl}
+      alt={describe(person)}
+      title={describe(person)}
+      className={`${size} rounded-full ring-2 ring-white dark:ring-slate-800`}
+    />
+  ) : (
+    <span
+      title={describe(person)}
+      className={`${size} rounded-full ring-2 ring-white dark:ring-slate-800 bg-slate-200 dark:bg-slate-700 inline-flex items-center justify-center text-xs font-medium`}
+    >
+      {(person.name || person.login || "?").charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+// Avatars of a commit's author and co-authors, followed by their names and, when someone else committed it, the committer
+function CommitPeople({ commit }) {
+  const author = commit.author || {};
+  const people = [author, ...(commit.coAuthors || [])];
+  const sameAsAuthor = (person) => (person.email && author.email ? person.email === author.email : person.name === author.name);
+
+  return (
+    <div className="flex items-center text-sm text-slate-600 dark:text-slate-400">
+      <div className="flex -space-x-2 mr-2">
+        {people.map((person, index) => (
+          <PersonAvatar key={index} person={person} />
+        ))}
+      </div>
+      <span>
+        {people.map((person) => person.name || person.login || "Unknown Author").join(", ")}
+        {commit.committer && !sameAsAuthor(commit.committer) && (
+          <span className="text-slate-400 dark:text-slate-500"> · committed by {describe(commit.committer)}</span>
+        )}
+      </span>
+    </div>
+  );
+}
 
 export default function Home() {
   const [repo, setRepo] = useState("");
@@ -9,16 +59,21 @@ export default function Home() {
   const [targetDir, setTargetDir] = useState("");
   const [excludeSubPaths, setExcludeSubPaths] = useState("");
   const [token, setToken] = useState("");
+  const [apiUrl, setApiUrl] = useState("");
+  const [tagPattern, setTagPattern] = useState("");
+  const [mergeMode, setMergeMode] = useState("all");
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [urlCopied, setUrlCopied] = useState(false);
+  const [notesCopied, setNotesCopied] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
   const [importUrl, setImportUrl] = useState("");
   const [importError, setImportError] = useState("");
   const [streamProgress, setStreamProgress] = useState("");
   const [streamCommits, setStreamCommits] = useState([]);
   const [streamSummary, setStreamSummary] = useState(null);
+  const [resultTab, setResultTab] = useState("commits");
 
   // Generate dynamic API URL for documentation
   const generateApiUrl = () => {
@@ -54,6 +109,15 @@ export default function Home() {
     if (token.trim()) {
       params.append("token", token);
     }
+    if (apiUrl.trim()) {
+      params.append("apiUrl", apiUrl);
+    }
+    if (tagPattern.trim()) {
+      params.append("tagPattern", tagPattern);
+    }
+    if (mergeMode !== "all") {
+      params.append("mergeMode", mergeMode);
+    }
 
     return `${baseUrl}?${params.toString()}`;
   };
@@ -75,6 +139,17 @@ export default function Home() {
     }
   };
 
+  // Copy the results as Markdown release notes
+  const copyReleaseNotes = async () => {
+    try {
+      await navigator.clipboard.writeText(renderChangelog(result, { format: "markdown" }));
+      setNotesCopied(true);
+      setTimeout(() => setNotesCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy release notes:", err);
+    }
+  };
+
   // Import URL and fill form
   const handleImportUrl = () => {
     setImportError("");
@@ -94,6 +169,9 @@ export default function Home() {
         if (params.get("targetDir")) setTargetDir(decodeURIComponent(params.get("targetDir")));
         if (params.get("excludeSubPaths")) setExcludeSubPaths(decodeURIComponent(params.get("excludeSubPaths")));
         if (params.get("token")) setToken(decodeURIComponent(params.get("token")));
+        if (params.get("apiUrl")) setApiUrl(decodeURIComponent(params.get("apiUrl")));
+        if (params.get("tagPattern")) setTagPattern(decodeURIComponent(params.get("tagPattern")));
+        if (params.get("mergeMode")) setMergeMode(params.get("mergeMode"));
 
         // Close modal and clear import fields
         setShowImportModal(false);
@@ -112,6 +190,7 @@ export default function Home() {
     setLoading(true);
     setError("");
     setResult(null);
+    setResultTab("commits");
     setStreamProgress("Starting...");
     setStreamCommits([]);
     setStreamSummary(null);
@@ -139,6 +218,18 @@ export default function Home() {
       if (token.trim()) {
         params.append("token", token);
       }
+      if (apiUrl.trim()) {
+        params.append("apiUrl", apiUrl);
+      }
+      if (tagPattern.trim()) {
+        params.append("tagPattern", tagPattern);
+      }
+      if (mergeMode !== "all") {
+        params.append("mergeMode", mergeMode);
+      }
+
+      // Summarize contributors for the Contributors tab along with the commits
+      params.append("view", "contributors");
 
       // Use streaming API
       const response = await fetch(`/api/git-diff/stream?${params}`);
@@ -206,6 +297,16 @@ export default function Home() {
                   toRef: data.toRef,
                   fromSha: data.fromSha,
                   toSha: data.toSha,
+                  resolvedFrom: data.resolvedFrom,
+                  resolvedTo: data.resolvedTo,
+                  complete: data.complete,
+                  totalInRange: data.totalInRange,
+                  truncated: data.truncated,
+                  omittedCommits: data.omittedCommits,
+                  urlTemplates: data.urlTemplates,
+                  nextVersion: data.nextVersion,
+                  contributors: data.contributors,
+                  warning: data.warning,
                 });
                 setLoading(false); // Immediately set loading to false when complete
                 break;
@@ -296,7 +397,7 @@ export default function Home() {
           <form onSubmit={handleSubmit} className="space-y-8">
             <div className="space-y-3">
               <label htmlFor="repo" className="block text-sm font-semibold text-slate-700 dark:text-slate-300">
-                GitHub Repository URL
+                Repository URL
               </label>
               <div className="relative">
                 <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
@@ -341,7 +442,7 @@ export default function Home() {
                     id="from"
                     value={fromRef}
                     onChange={(e) => setFromRef(e.target.value)}
-                    placeholder="v1.0.0 or commit hash (optional)"
+                    placeholder="v1.0.0, @latest-release or commit hash (optional)"
                     className="w-full pl-12 pr-4 py-4 border border-slate-300 dark:border-slate-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 placeholder-slate-400 dark:placeholder-slate-500 transition-all duration-200"
                   />
                 </div>
@@ -367,7 +468,7 @@ export default function Home() {
                     id="to"
                     value={toRef}
                     onChange={(e) => setToRef(e.target.value)}
-                    placeholder="v2.0.0 or commit hash (optional)"
+                    placeholder="v2.0.0, @latest-tag or commit hash (optional)"
                     className="w-full pl-12 pr-4 py-4 border border-slate-300 dark:border-slate-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 placeholder-slate-400 dark:placeholder-slate-500 transition-all duration-200"
                   />
                 </div>
@@ -409,7 +510,7 @@ export default function Home() {
                         id="targetDir"
                         value={targetDir}
                         onChange={(e) => setTargetDir(e.target.value)}
-                        placeholder="src/"
+                        placeholder="src/ or services/api,libs/shared-auth"
                         className="w-full pl-12 pr-4 py-4 border border-slate-300 dark:border-slate-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 placeholder-slate-400 dark:placeholder-slate-500 transition-all duration-200"
                       />
                     </div>
@@ -440,8 +541,8 @@ export default function Home() {
                       />
                     </div>
                     <div className="text-xs text-slate-500 dark:text-slate-400 mt-2">
-                      Enter comma-separated paths relative to target directory. Example:{" "}
-                      <code className="bg-slate-200 dark:bg-slate-700 px-1 rounded">dist,build,tests/fixtures</code>
+                      Enter comma-separated gitignore-style patterns relative to the target directory. Example:{" "}
+                      <code className="bg-slate-200 dark:bg-slate-700 px-1 rounded">dist,**/*.md,!CHANGELOG.md</code>
                     </div>
                   </div>
                 </div>
@@ -449,7 +550,7 @@ export default function Home() {
                 <div className="mt-6">
                   <div className="space-y-3">
                     <label htmlFor="token" className="block text-sm font-semibold text-slate-700 dark:text-slate-300">
-                      GitHub Token
+                      Access Token
                       <span className="text-slate-500 dark:text-slate-400 font-normal ml-1">(for private repositories)</span>
                     </label>
                     <div className="relative">
@@ -474,6 +575,93 @@ export default function Home() {
                     </div>
                   </div>
                 </div>
+
+                <div className="mt-6">
+                  <div className="space-y-3">
+                    <label htmlFor="apiUrl" className="block text-sm font-semibold text-slate-700 dark:text-slate-300">
+                      GitHub API URL
+                      <span className="text-slate-500 dark:text-slate-400 font-normal ml-1">(for GitHub Enterprise Server)</span>
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                        <svg className="h-5 w-5 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01"
+                          />
+                        </svg>
+                      </div>
+                      <input
+                        id="apiUrl"
+                        type="url"
+                        value={apiUrl}
+                        onChange={(e) => setApiUrl(e.target.value)}
+                        placeholder="https://github.example.com/api/v3"
+                        className="w-full pl-12 pr-4 py-4 border border-slate-300 dark:border-slate-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 placeholder-slate-400 dark:placeholder-slate-500 transition-all duration-200"
+                      />
+                    </div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+                      Leave empty for github.com. Enterprise hosts default to{" "}
+                      <code className="bg-slate-200 dark:bg-slate-700 px-1 rounded">https://&lt;host&gt;/api/v3</code>; other API URLs must be
+                      configured on the server in GITHUB_API_URLS
+                    </div>
+                  </div>
+                </div>
+
+                <div className="mt-6">
+                  <div className="space-y-3">
+                    <label htmlFor="tagPattern" className="block text-sm font-semibold text-slate-700 dark:text-slate-300">
+                      Tag Pattern
+                      <span className="text-slate-500 dark:text-slate-400 font-normal ml-1">(for monorepo service tags)</span>
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                        <svg className="h-5 w-5 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+                          />
+                        </svg>
+                      </div>
+                      <input
+                        id="tagPattern"
+                        type="text"
+                        value={tagPattern}
+                        onChange={(e) => setTagPattern(e.target.value)}
+                        placeholder="payments-service@{version}"
+                        className="w-full pl-12 pr-4 py-4 border border-slate-300 dark:border-slate-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 placeholder-slate-400 dark:placeholder-slate-500 transition-all duration-200"
+                      />
+                    </div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+                      Turns bare versions such as <code className="bg-slate-200 dark:bg-slate-700 px-1 rounded">1.4.2</code> into tag
+                      names. <code className="bg-slate-200 dark:bg-slate-700 px-1 rounded">{"{dir}"}</code> is replaced with the target
+                      directory
+                    </div>
+                  </div>
+                </div>
+
+                <div className="mt-6">
+                  <div className="space-y-3">
+                    <label htmlFor="mergeMode" className="block text-sm font-semibold text-slate-700 dark:text-slate-300">
+                      Merge Commits
+                    </label>
+                    <select
+                      id="mergeMode"
+                      value={mergeMode}
+                      onChange={(e) => setMergeMode(e.target.value)}
+                      className="w-full px-4 py-4 border border-slate-300 dark:border-slate-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 transition-all duration-200"
+                    >
+                      <option value="all">All commits</option>
+                      <option value="first-parent">First parent (mainline only)</option>
+                      <option value="merges-only">Merges only (one row per merged PR)</option>
+                      <option value="no-merges">No merge commits</option>
+                    </select>
+                  </div>
+                </div>
               </div>
             </div>
             <button
@@ -650,7 +838,9 @@ export default function Home() {
                               <code className="bg-amber-100 dark:bg-amber-900/50 text-amber-800 dark:text-amber-300 px-2 py-1 rounded text-xs font-mono">
                                 {commit.hash || commit.fullHash?.substring(0, 7) || "unknown"}
                               </code>
-                              <span className="text-slate-600 dark:text-slate-400 text-sm">{commit.author || "Unknown Author"}</span>
+                              <span className="text-slate-600 dark:text-slate-400 text-sm">
+                                {[commit.author, ...(commit.coAuthors || [])].map((person) => person?.name || "Unknown Author").join(", ")}
+                              </span>
                             </div>
                             <div className="text-xs text-slate-500 dark:text-slate-500">
                               {commit.date ? new Date(commit.date).toLocaleDateString() : ""}
@@ -659,21 +849,41 @@ export default function Home() {
                           <div className="text-slate-800 dark:text-slate-200 text-sm leading-relaxed">
                             {commit.cleanMessage || commit.message || "No message"}
                           </div>
-                          {commit.semverType && (
-                            <div className="mt-2">
-                              <span
-                                className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                                  commit.semverType === "major"
-                                    ? "bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300"
-                                    : commit.semverType === "minor"
-                                    ? "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300"
-                                    : commit.semverType === "patch" || commit.semverType === "fix"
-                                    ? "bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300"
-                                    : "bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-300"
-                                }`}
-                              >
-                                {commit.semverType}
-                              </span>
+                          {(commit.semverType || commit.breaking || commit.issues?.length > 0) && (
+                            <div className="mt-2 flex items-center space-x-2">
+                              {commit.semverType && (
+                                <span
+                                  className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                                    commit.semverType === "major"
+                                      ? "bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300"
+                                      : commit.semverType === "minor"
+                                      ? "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300"
+                                      : commit.semverType === "patch" || commit.semverType === "fix"
+                                      ? "bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300"
+                                      : "bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-300"
+                                  }`}
+                                >
+                                  {commit.semverType}
+                                  {commit.scope && <span className="opacity-75">({commit.scope})</span>}
+                                </span>
+                              )}
+                              {commit.breaking && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-600 text-white">
+                                  ⚠️ breaking
+                                </span>
+                              )}
+                              {(commit.issues || []).map((issue) => (
+                                <a
+                                  key={`${issue.tracker}:${issue.key}`}
+                                  href={issue.url || undefined}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  title={issue.tracker}
+                                  className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-300"
+                                >
+                                  🎫 {issue.key}
+                                </a>
+                              ))}
                             </div>
                           )}
                         </div>
@@ -695,13 +905,19 @@ export default function Home() {
         {result && (
           <div className="animate-fade-in bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 overflow-hidden max-w-6xl mx-auto">
             {/* Results Header */}
-            <div className="bg-gradient-to-r from-green-50 to-amber-50 dark:from-green-900/20 dark:to-amber-900/20 px-8 py-6 border-b border-slate-200 dark:border-slate-700">
+            <div className="bg-gradient-to-r from-green-50 to-amber-50 dark:from-green-900/20 dark:to-amber-900/20 px-8 py-6 border-b border-slate-200 dark:border-slate-700 flex items-center justify-between">
               <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-200 flex items-center">
                 <svg className="w-6 h-6 text-green-600 dark:text-green-400 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
                 Analysis Results
               </h2>
+              <button
+                onClick={copyReleaseNotes}
+                className="px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white text-sm rounded-md transition-colors duration-200"
+              >
+                {notesCopied ? "Copied!" : "Copy release notes"}
+              </button>
             </div>
 
             <div className="p-8">
@@ -710,21 +926,54 @@ export default function Home() {
                 <div className="lg:col-span-2 bg-gradient-to-br from-amber-50 to-orange-50 dark:from-amber-600/20 dark:to-orange-700/20 p-4 rounded-xl border border-amber-200 dark:border-amber-500">
                   <div className="text-sm font-medium text-amber-600 dark:text-amber-400 mb-1">Repository</div>
                   <div className="font-mono text-sm text-slate-900 dark:text-slate-100">
-                    {result.repository.owner}/{result.repository.repo}
+                    {result.repository.path || `${result.repository.owner}/${result.repository.repo}`}
                   </div>
                   <div className="mt-2 mb-1 opacity-80 text-xs text-orange-600 dark:text-orange-400">Range</div>
                   <div className="font-mono text-xs text-slate-900 dark:text-slate-100 flex flex-col">
-                    <span>{result.fromRef}</span>
+                    <span>
+                      {result.fromRef}
+                      {result.resolvedFrom && <span className="ml-2 opacity-60">({describeResolvedRef(result.resolvedFrom)})</span>}
+                    </span>
                     <span className="text-amber-500/50 text-xl">→</span>
-                    <span>{result.toRef}</span>
+                    <span>
+                      {result.toRef}
+                      {result.resolvedTo && <span className="ml-2 opacity-60">({describeResolvedRef(result.resolvedTo)})</span>}
+                    </span>
                   </div>
                 </div>
                 <div className="bg-gradient-to-br from-green-50 to-emerald-50 dark:from-green-900/20 dark:to-emerald-900/20 p-4 rounded-xl border border-green-200 dark:border-green-800">
                   <div className="text-sm font-medium text-green-600 dark:text-green-400 mb-1">Total Commits</div>
                   <div className="text-2xl font-bold text-slate-900 dark:text-slate-100">{result.totalCommits}</div>
+                  {result.nextVersion?.bump && (
+                    <div
+                      className="mt-2 text-xs text-green-700 dark:text-green-300"
+                      title={result.nextVersion.reasons.map((reason) => `${reason.hash.substring(0, 7)} ${reason.subject}`).join("\n")}
+                    >
+                      Next version:{" "}
+                      <span className="font-mono font-semibold">{result.nextVersion.nextTag || `${result.nextVersion.bump} release`}</span>
+                      <span className="ml-1 opacity-70">
+                        ({result.nextVersion.bump}
+                        {result.nextVersion.initialDevelopment && ", 0.x"})
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
 
+              {/* Incomplete range warning */}
+              {result.complete === false && (
+                <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-300 px-4 py-3 rounded-xl mb-8 text-sm">
+                  {result.truncated
+                    ? `⚠️ This commit list was truncated at the maxCommits limit${
+                        result.omittedCommits ? ` — ${result.omittedCommits} more commits were left out` : ""
+                      }`
+                    : `⚠️ This commit list is incomplete${
+                        result.totalInRange ? ` — the range contains ${result.totalInRange} commits` : " — the starting reference was not reached"
+                      }`}
+                  . Results below should not be treated as the whole range.
+                </div>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
                 <div className="bg-slate-50 dark:bg-slate-900/50 p-4 rounded-xl border border-slate-200 dark:border-slate-700">
                   <div className="text-sm font-medium text-slate-600 dark:text-slate-400 mb-1">API Method</div>
@@ -736,7 +985,13 @@ export default function Home() {
                           : "bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-300"
                       }`}
                     >
-                      {result.apiUsed === "graphql" ? "⚡ GraphQL" : "🔗 REST"}
+                      {result.apiUsed === "graphql"
+                        ? "⚡ GraphQL"
+                        : result.apiUsed === "gitlab"
+                        ? "🦊 GitLab"
+                        : result.apiUsed === "bitbucket"
+                        ? "🪣 Bitbucket"
+                        : "🔗 REST"}
                     </span>
                   </div>
                 </div>
@@ -790,8 +1045,87 @@ export default function Home() {
                 </div>
               )}
 
+              {/* Commits and Contributors tabs */}
+              {result.contributors && (
+                <div className="flex space-x-2 mb-6">
+                  {[
+                    ["commits", `Commits (${result.commits.length})`],
+                    ["contributors", `Contributors (${result.contributors.length})`],
+                  ].map(([tab, label]) => (
+                    <button
+                      key={tab}
+                      onClick={() => setResultTab(tab)}
+                      className={`px-3 py-1.5 text-sm rounded-md transition-colors duration-200 ${
+                        resultTab === tab
+                          ? "bg-green-600 text-white"
+                          : "bg-slate-100 dark:bg-slate-900/50 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {/* Contributors List */}
+              {resultTab === "contributors" && result.contributors && (
+                <div className="space-y-3 max-h-96 overflow-y-auto pr-2 scrollbar-thin scrollbar-thumb-slate-300 dark:scrollbar-thumb-slate-600 scrollbar-track-transparent">
+                  {result.contributors.map((contributor, index) => {
+                    // Other names and emails merged into this person by login, .mailmap or aliases
+                    const otherIdentities = [
+                      ...contributor.names.filter((name) => name !== contributor.name),
+                      ...contributor.emails.filter((email) => email !== contributor.email?.toLowerCase()),
+                    ];
+                    return (
+                      <div
+                        key={index}
+                        className="bg-slate-50 dark:bg-slate-900/50 border border-slate-200 dark:border-slate-700 rounded-xl p-4 flex items-center justify-between"
+                      >
+                        <div className="flex items-center">
+                          <PersonAvatar person={contributor} size="w-10 h-10" />
+                          <div className="ml-3">
+                            <div className="font-medium text-slate-900 dark:text-slate-100">{describe(contributor)}</div>
+                            {otherIdentities.length > 0 && (
+                              <div className="text-xs text-slate-500 dark:text-slate-400">Also seen as {otherIdentities.join(", ")}</div>
+                            )}
+                          </div>
+                        </div>
+                        <div className="text-right text-sm">
+                          <div className="font-semibold text-slate-900 dark:text-slate-100">
+                            {contributor.commits} {contributor.commits === 1 ? "commit" : "commits"}
+                            {contributor.coAuthoredCommits > 0 && (
+                              <span className="font-normal text-slate-500 dark:text-slate-400">
+                                {` + ${contributor.coAuthoredCommits} co-authored`}
+                              </span>
+                            )}
+                          </div>
+                          <div
+                            className="font-mono text-xs"
+                            title={contributor.statsComplete ? undefined : "Some commits have no line counts"}
+                          >
+                            <span className="text-green-600 dark:text-green-400">+{contributor.additions}</span>{" "}
+                            <span className="text-red-600 dark:text-red-400">-{contributor.deletions}</span>
+                            {!contributor.statsComplete && <span className="text-amber-600 dark:text-amber-400"> *</span>}
+                          </div>
+                          <div className="flex flex-wrap justify-end gap-1 mt-1">
+                            {Object.entries(contributor.types).map(([type, count]) => (
+                              <span
+                                key={type}
+                                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-300"
+                              >
+                                {type} {count}
+                              </span>
+                            ))}
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
               {/* Commits List */}
-              {result.commits && result.commits.length > 0 && (
+              {resultTab === "commits" && result.commits && result.commits.length > 0 && (
                 <div>
                   <h3 className="text-xl font-bold text-slate-800 dark:text-slate-200 mb-6 flex items-center">
                     <svg className="w-5 h-5 text-slate-600 dark:text-slate-400 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -830,17 +1164,7 @@ export default function Home() {
                           {commit.message}
                         </p>
                         <div className="flex items-center justify-between">
-                          <div className="flex items-center text-sm text-slate-600 dark:text-slate-400">
-                            <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path
-                                strokeLinecap="round"
-                                strokeLinejoin="round"
-                                strokeWidth={2}
-                                d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
-                              />
-                            </svg>
-                            {commit.author}
-                          </div>
+                          <CommitPeople commit={commit} />
                           <div className="flex items-center space-x-2">
                             {commit.semverType && (
                               <span
@@ -855,13 +1179,26 @@ export default function Home() {
                                 }`}
                               >
                                 {commit.semverType}
+                                {commit.scope && <span className="opacity-75">({commit.scope})</span>}
                               </span>
                             )}
-                            {commit.jiraTicketId && (
-                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-300">
-                                🎫 {commit.jiraTicketId}
+                            {commit.breaking && (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-600 text-white">
+                                ⚠️ breaking
                               </span>
                             )}
+                            {(commit.issues || []).map((issue) => (
+                              <a
+                                key={`${issue.tracker}:${issue.key}`}
+                                href={issue.url || undefined}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                title={issue.tracker}
+                                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-300"
+                              >
+                                🎫 {issue.key}
+                              </a>
+                            ))}
                           </div>
                         </div>
                       </div>
@@ -964,23 +1301,70 @@ export default function Home() {
                 <h4 className="font-semibold text-slate-700 dark:text-slate-300 mb-2">Parameter Descriptions:</h4>
                 <ul className="space-y-1">
                   <li>
-                    <span className="font-mono text-red-400">repo*</span> - GitHub repository URL
+                    <span className="font-mono text-red-400">repo*</span> - GitHub, GitLab or Bitbucket repository URL
+                  </li>
+                  <li>
+                    <span className="font-mono text-red-400">from*</span> - Starting Git reference (tag, commit hash or symbol such as
+                    @latest-release; blank compares from the latest release)
+                  </li>
+                  <li>
+                    <span className="font-mono text-red-400">to*</span> - Ending Git reference (tag, commit hash or symbol such as @latest-tag:v*;
+                    blank means HEAD)
                   </li>
                   <li>
-                    <span className="font-mono text-red-400">from*</span> - Starting Git reference (tag or commit hash)
+                    <span className="font-mono text-amber-400">targetDir</span> - Directories or gitignore-style patterns to analyze,
+                    comma-separated or repeated, e.g. services/api,libs/shared-auth (optional)
                   </li>
                   <li>
-                    <span className="font-mono text-red-400">to*</span> - Ending Git reference (tag or commit hash)
+                    <span className="font-mono text-amber-400">excludeSubPaths</span> - Comma-separated gitignore-style patterns to exclude
+                    from analysis (optional)
                   </li>
                   <li>
-                    <span className="font-mono text-amber-400">targetDir</span> - Specific directory to analyze (optional)
+                    <span className="font-mono text-amber-400">explainFilter</span> - true to list the pattern that decided each changed file
+                    (optional)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">token</span> - Access token (or Bitbucket username:app-password) for private repos (optional)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">apiUrl</span> - GitHub Enterprise Server API base URL from the server's
+                    GITHUB_API_URLS (optional)
                   </li>
                   <li>
-                    <span className="font-mono text-amber-400">excludeSubPaths</span> - Comma-separated sub-paths to exclude from analysis
+                    <span className="font-mono text-amber-400">tagPattern</span> - Tag name pattern for bare versions, e.g.
+                    payments-service@{"{version}"} or {"{dir}"}/v{"{version}"} (optional)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">mergeMode</span> - all (default), first-parent, merges-only or no-merges
                     (optional)
                   </li>
                   <li>
-                    <span className="font-mono text-amber-400">token</span> - GitHub personal access token for private repos (optional)
+                    <span className="font-mono text-amber-400">issueTracker</span> - Issue keys to extract, repeatable, e.g.
+                    linear:ENG=https://linear.app/acme/issue/{"{key}"} (optional; default: Jira keys and #123 issues)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">format</span> - json (default), or release notes as markdown, html or
+                    text (optional, not with stream)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">sections</span> - Release notes sections, e.g.
+                    Features=feat;Fixes=fix;Other=* (optional)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">bumpRules</span> - Next version bump by commit type, e.g.
+                    docs=none,refactor=minor (optional)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">includePullRequests</span> - true to add the pull requests of each
+                    commit with labels, author, merger and reviewers (optional)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">view</span> - commits (default), or contributors for commits, lines
+                    and types of change per person instead of the commit list (optional; the stream adds them to the completion)
+                  </li>
+                  <li>
+                    <span className="font-mono text-amber-400">alias</span> - Identities to merge into one contributor, repeatable,
+                    e.g. Jane Doe &lt;jane@example.com&gt;=jdoe@old.example.com,janed (optional; .mailmap is applied too)
                   </li>
                 </ul>
                 <p className="mt-3 text-xs text-slate-400">
@@ -989,12 +1373,16 @@ export default function Home() {
                 <div className="mt-4 p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg">
                   <h5 className="font-semibold text-amber-800 dark:text-amber-300 text-sm mb-2">excludeSubPaths Behavior:</h5>
                   <div className="text-xs text-amber-700 dark:text-amber-300 space-y-1">
-                    <p>• Comma-separated list of sub-paths relative to the target directory</p>
+                    <p>• Comma-separated gitignore-style patterns, matched like a .gitignore file in the target directory</p>
                     <p>
-                      • Only descendant paths are allowed (no <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">/</code> or{" "}
+                      • Supports <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">*</code>,{" "}
+                      <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">**</code>,{" "}
+                      <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">?</code>,{" "}
+                      <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">[abc]</code> and{" "}
+                      <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">!</code> to re-include (no{" "}
                       <code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">../</code>)
                     </p>
-                    <p>• Matches files/folders that start with the specified path</p>
+                    <p>• Patterns without a slash match at any depth; a folder pattern matches everything inside it, never a sibling</p>
                     <p>
                       <strong>Example:</strong> If targetDir=<code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">src/a</code> and
                       excludeSubPaths=<code className="bg-amber-100 dark:bg-amber-800 px-1 rounded">b,c/d,e</code>
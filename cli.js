@@ -1,8 +1,36 @@
 #!/usr/bin/env node
 
+import path from "node:path";
 import { program } from "commander";
 import chalk from "chalk";
+import { readFileSync, writeFileSync } from "node:fs";
+import { createFileCache } from "./lib/cache.js";
+import { CHANGELOG_TEMPLATES, parseChangelogSections, renderChangelog } from "./lib/changelog.js";
 import { getCommitsBetween } from "./lib/core.js";
+import { describeResolvedRef } from "./lib/refs.js";
+
+/**
+ * Format a commit author, committer or co-author as their name and account, e.g. "Jane Doe (@jane)"
+ * @param {object} person - Identity with name, email, login and avatarUrl
+ * @returns {string} - Colored text
+ */
+function formatPerson(person) {
+  const name = chalk.yellow(person?.name || person?.email || "Unknown");
+  return person?.login ? `${name} ${chalk.gray(`(@${person.login})`)}` : name;
+}
+
+/**
+ * Check whether two identities are the same person, by email or else by name
+ * @param {object} first - Identity
+ * @param {object} second - Identity
+ * @returns {boolean} - Whether they match
+ */
+function isSamePerson(first, second) {
+  if (first?.email && second?.email) {
+    return first.email.toLowerCase() === second.email.toLowerCase();
+  }
+  return first?.name === second?.name;
+}
 
 /**
  * Display commits in human-readable format
@@ -34,22 +62,89 @@ function displayCommitsHuman(commits, fromRef, toRef) {
     // Add semver type if present
     if (commit.semverType) {
       const semverColor = getSemverColor(commit.semverType);
-      messageDisplay += ` ${chalk.bgBlack(semverColor(`[${commit.semverType.toUpperCase()}]`))}`;
+      const scope = commit.scope ? `(${commit.scope})` : "";
+      messageDisplay += ` ${chalk.bgBlack(semverColor(`[${commit.semverType.toUpperCase()}${scope}]`))}`;
     }
 
-    // Add Jira ticket if present
-    if (commit.jiraTicketId) {
-      messageDisplay += ` ${chalk.bgBlue.white(`[${commit.jiraTicketId}]`)}`;
+    if (commit.breaking) {
+      messageDisplay += ` ${chalk.bgRed.white("[BREAKING]")}`;
     }
 
+    // Add referenced issues (Jira tickets, #123 issues, ...) if present
+    (commit.issues || []).forEach((issue) => {
+      messageDisplay += ` ${chalk.bgBlue.white(`[${issue.key}]`)}`;
+    });
+
     console.log(messageDisplay);
-    console.log(`   ${chalk.gray("By:")} ${chalk.yellow(commit.author)} ${chalk.gray("on")} ${chalk.magenta(date)}`);
+    console.log(`   ${chalk.gray("By:")} ${formatPerson(commit.author)} ${chalk.gray("on")} ${chalk.magenta(date)}`);
+    if (commit.coAuthors && commit.coAuthors.length > 0) {
+      console.log(`   ${chalk.gray("Co-authors:")} ${commit.coAuthors.map(formatPerson).join(chalk.gray(", "))}`);
+    }
+    // Rebases, cherry-picks and merges through the web interface are committed by someone else
+    if (commit.committer && !isSamePerson(commit.committer, commit.author)) {
+      console.log(`   ${chalk.gray("Committed by:")} ${formatPerson(commit.committer)}`);
+    }
+    if (commit.stats) {
+      const lineStats = `${chalk.green(`+${commit.stats.additions}`)} ${chalk.red(`-${commit.stats.deletions}`)}`;
+      console.log(`   ${chalk.gray("Lines:")} ${lineStats} ${chalk.gray(`in ${commit.filesChanged} files`)}`);
+    }
+    if (commit.filesComplete === false) {
+      console.log(`   ${chalk.yellow("⚠️  Incomplete file list: not every changed file could be fetched")}`);
+    }
+    if (commit.matchedPaths && commit.matchedPaths.length > 0) {
+      console.log(`   ${chalk.gray("Paths:")} ${chalk.blue(commit.matchedPaths.join(", "))}`);
+    }
+    (commit.pullRequests || []).forEach((pr) => {
+      let pullRequestDisplay = `   ${chalk.gray("PR:")} ${chalk.cyan(`#${pr.number}`)} ${pr.title}`;
+      if (pr.labels && pr.labels.length > 0) {
+        pullRequestDisplay += ` ${chalk.magenta(pr.labels.map((label) => `[${label}]`).join(" "))}`;
+      }
+      console.log(pullRequestDisplay);
+
+      const people = [
+        pr.author && `${chalk.gray("by")} ${chalk.yellow(pr.author)}`,
+        pr.mergedBy && `${chalk.gray("merged by")} ${chalk.yellow(pr.mergedBy)}`,
+        pr.reviewers && pr.reviewers.length > 0 && `${chalk.gray("reviewed by")} ${chalk.yellow(pr.reviewers.join(", "))}`,
+      ].filter(Boolean);
+      if (people.length > 0) {
+        console.log(`       ${people.join(chalk.gray(", "))}`);
+      }
+    });
     console.log("");
   });
 
   console.log(chalk.blue.bold(`Total commits: ${commits.length}`));
 }
 
+/**
+ * Display which path pattern decided each changed file, for --explain-filter
+ * @param {Array} filterExplanation - Explanations from getCommitsBetween with explainFilter
+ */
+function displayFilterExplanation(filterExplanation) {
+  console.log(chalk.blue.bold("\n🔎 Path filter explanation:"));
+  console.log(chalk.gray("─".repeat(80)));
+
+  filterExplanation.forEach((commit) => {
+    const marker = commit.included ? chalk.green("✓") : chalk.red("✗");
+    console.log(`${marker} ${chalk.cyan(commit.hash)} ${chalk.white(commit.message)}`);
+    if (!commit.filesComplete) {
+      console.log(chalk.yellow("   Incomplete file list: unmatched commits are checked against each path's history"));
+    }
+
+    commit.files.forEach((file) => {
+      let reason;
+      if (file.excludedBy) {
+        reason = file.excludedBy.startsWith("!") ? `re-included by ${file.excludedBy}` : `excluded by ${file.excludedBy}`;
+      } else if (file.includedBy) {
+        reason = file.included ? `matched ${file.includedBy}` : `dropped by ${file.includedBy}`;
+      } else {
+        reason = file.included ? "no pattern matched" : "no target pattern matched";
+      }
+      console.log(`   ${file.included ? chalk.green("✓") : chalk.red("✗")} ${file.file} ${chalk.gray(`(${reason})`)}`);
+    });
+  });
+}
+
 /**
  * Get color for semver type
  * @param {string} semverType - The semver type
@@ -86,105 +181,368 @@ function outputCommitsJson(result) {
   console.log(JSON.stringify(result, null, 2));
 }
 
+/**
+ * Display the recommended next version and the commits that decided it
+ * @param {object} nextVersion - Recommendation from getCommitsBetween
+ */
+function displayNextVersion(nextVersion) {
+  if (!nextVersion.bump) {
+    console.log(chalk.blue.bold(`\n📦 No release needed${nextVersion.current ? ` after ${nextVersion.current}` : ""}`));
+    return;
+  }
+
+  const bump = nextVersion.initialDevelopment ? `${nextVersion.bump}, 0.x` : nextVersion.bump;
+  if (nextVersion.next) {
+    console.log(chalk.blue.bold(`\n📦 Next version: ${nextVersion.nextTag} ${chalk.gray(`(${bump} from ${nextVersion.current})`)}`));
+  } else {
+    console.log(chalk.blue.bold(`\n📦 Next release: ${bump} ${chalk.gray("(the starting reference is not a version tag)")}`));
+  }
+  nextVersion.reasons.forEach((reason) => {
+    const rule = chalk.gray(`(${reason.rule}: ${reason.bump})`);
+    console.log(`   ${chalk.cyan(reason.hash.substring(0, 7))} ${chalk.white(reason.subject)} ${rule}`);
+  });
+}
+
+/**
+ * Display who contributed to a range: commits, lines and types of change per person
+ * @param {Array} contributors - Contributors from getCommitsBetween with includeContributors
+ */
+function displayContributors(contributors) {
+  console.log(chalk.blue.bold(`\n👥 Contributors (${contributors.length}):`));
+  console.log(chalk.gray("─".repeat(80)));
+
+  if (contributors.length === 0) {
+    console.log(chalk.yellow("No commits found between the specified references."));
+    return;
+  }
+
+  contributors.forEach((contributor, index) => {
+    let commitsDisplay = `${contributor.commits} ${contributor.commits === 1 ? "commit" : "commits"}`;
+    if (contributor.coAuthoredCommits > 0) {
+      commitsDisplay += `, co-authored ${contributor.coAuthoredCommits}`;
+    }
+    console.log(`${chalk.green(index + 1 + ".")} ${formatPerson(contributor)} ${chalk.white(commitsDisplay)}`);
+
+    const lineStats = `${chalk.green(`+${contributor.additions}`)} ${chalk.red(`-${contributor.deletions}`)}`;
+    const incomplete = contributor.statsComplete ? "" : ` ${chalk.gray("(some commits have no line counts)")}`;
+    console.log(`   ${chalk.gray("Lines:")} ${lineStats}${incomplete}`);
+
+    // People who only co-authored commits have no types of change
+    const types = Object.entries(contributor.types).map(([type, count]) => getSemverColor(type)(`${type} ${count}`));
+    if (types.length > 0) {
+      console.log(`   ${chalk.gray("Types:")} ${types.join(chalk.gray(", "))}`);
+    }
+
+    // Names and emails merged into this person by login, .mailmap or --alias
+    const otherIdentities = [
+      ...contributor.names.filter((name) => name !== contributor.name),
+      ...contributor.emails.filter((email) => email !== contributor.email?.toLowerCase()),
+    ];
+    if (otherIdentities.length > 0) {
+      console.log(`   ${chalk.gray("Also seen as:")} ${otherIdentities.join(", ")}`);
+    }
+  });
+}
+
+/**
+ * Add the arguments and options shared by every command that reads a range of commits
+ * @param {object} command - Commander command
+ * @returns {object} - The same command
+ */
+function addRangeOptions(command) {
+  return command
+    .argument("[repo-url]", "GitHub, GitLab or Bitbucket repository URL, local path or file:// URL (omit when using --local)")
+    .argument("[from]", "Starting tag, commit hash or symbol such as @latest-release (defaults to the release before <to>)")
+    .argument("[to]", "Ending tag, commit hash or symbol such as @latest-tag:v* (defaults to HEAD)")
+    .option("-t, --token <token>", "Access token, or username:app-password for Bitbucket (or set GITHUB_TOKEN / GITLAB_TOKEN / BITBUCKET_TOKEN)")
+    .option(
+      "--target-dir <patterns>",
+      "Limit commits to those that changed matching files, e.g. src/ or \"services/*/migrations\" (repeatable)",
+      (value, previous) => previous.concat(value),
+      []
+    )
+    .option("--exclude-dir <patterns>", "Exclude commits that only changed matching files, e.g. \"**/*.md,!CHANGELOG.md\"")
+    .option("--api <api>", "API backend: graphql, rest or auto (GraphQL with REST fallback)", "auto")
+    .option("--rest-only", "Force REST API usage (same as --api rest)")
+    .option("--max-commits <number>", "Maximum number of commits to fetch; longer ranges are truncated", "10000")
+    .option("--api-url <url>", "GitHub API base URL from GITHUB_API_URLS, e.g. https://github.example.com/api/v3 (mapped hosts need no option)")
+    .option("--gitlab-url <url>", "Base URL of a self-hosted GitLab instance (or set GITLAB_URL env var)")
+    .option("--bitbucket-url <url>", "Base URL of a Bitbucket Server instance for SSH clone URLs (or set BITBUCKET_URL env var)")
+    .option("--merge-mode <mode>", "Which commits to list: all, first-parent, merges-only or no-merges", "all")
+    .option("--max-rate-limit-wait <seconds>", "Longest total wait for GitHub rate limits to reset before giving up", "60")
+    .option("--no-cache", "Fetch everything from the API instead of reusing cached responses from ~/.cache/git-version-differ")
+    .option(
+      "--issue-tracker <spec>",
+      "Issue keys to extract, e.g. linear:ENG,DES=https://linear.app/acme/issue/{key} (repeatable; default: jira and #123)",
+      (value, previous) => previous.concat(value),
+      []
+    )
+    .option("--bump-rules <rules>", "Override next version bumps by commit type, e.g. docs=none,refactor=minor")
+    .option("--include-pull-requests", "Look up the pull requests of each commit with their labels, author, merger and reviewers")
+    .option("--tag-pattern <pattern>", "Turn bare versions into tag names, e.g. payments-service@{version} or {dir}/v{version}")
+    .option("--local [path]", "Read a local git repository instead of GitHub (defaults to the current directory)");
+}
+
+/**
+ * Turn the parsed arguments and options into options for getCommitsBetween
+ * @param {string} repoUrl - Repository URL argument
+ * @param {string} from - Starting reference argument
+ * @param {string} to - Ending reference argument
+ * @param {object} options - Parsed options
+ * @param {Array} formats - Output formats the command supports
+ * @returns {object} - Options for the core functions
+ */
+function buildCoreOptions(repoUrl, from, to, options, formats) {
+  // Validate output format
+  if (!formats.includes(options.format)) {
+    const quoted = formats.map((format) => `"${format}"`);
+    throw new Error(`Invalid output format. Use ${quoted.slice(0, -1).join(", ")} or ${quoted[quoted.length - 1]}.`);
+  }
+
+  // With --local the repository comes from the option, so the positional arguments are <from> <to>
+  if (options.local) {
+    [from, to] = [repoUrl, from];
+    repoUrl = options.local === true ? process.cwd() : path.resolve(options.local);
+  }
+
+  if (!repoUrl) {
+    throw new Error("Missing required argument(s): repo-url");
+  }
+
+  const maxCommits = parseInt(options.maxCommits, 10);
+  if (isNaN(maxCommits) || maxCommits < 1) {
+    throw new Error("Invalid --max-commits value. Use a positive number.");
+  }
+
+  const maxRateLimitWait = Number(options.maxRateLimitWait);
+  if (isNaN(maxRateLimitWait) || maxRateLimitWait < 0) {
+    throw new Error("Invalid --max-rate-limit-wait value. Use a number of seconds (0 to never wait).");
+  }
+
+  return {
+    repoUrl,
+    from,
+    to,
+    token: options.token,
+    targetDir: options.targetDir.length > 0 ? options.targetDir : undefined,
+    excludeSubPaths: options.excludeDir,
+    explainFilter: options.explainFilter,
+    api: options.restOnly ? "rest" : options.api,
+    maxCommits,
+    apiUrl: options.apiUrl,
+    gitlabUrl: options.gitlabUrl,
+    bitbucketUrl: options.bitbucketUrl,
+    tagPattern: options.tagPattern,
+    issueTrackers: options.issueTracker.length > 0 ? options.issueTracker : undefined,
+    bumpRules: options.bumpRules,
+    includePullRequests: options.includePullRequests,
+    includeContributors: options.includeContributors,
+    contributorAliases: options.alias && options.alias.length > 0 ? options.alias : undefined,
+    mergeMode: options.mergeMode,
+    maxRateLimitWait,
+    cache: options.cache ? createFileCache() : null,
+    allowLocal: true,
+  };
+}
+
+/**
+ * Fetch the commits of a range and hand a successful result to a display function; failures are reported and end
+ * the process. Only the human format shows progress, so other formats can be piped.
+ * @param {Array} args - Repository URL, from and to arguments
+ * @param {object} options - Parsed options
+ * @param {Array} formats - Output formats the command supports
+ * @param {Function} display - Called with the result and the core options
+ */
+async function runRangeCommand([repoUrl, from, to], options, formats, display) {
+  try {
+    const coreOptions = buildCoreOptions(repoUrl, from, to, options, formats);
+
+    if (options.format === "human") {
+      console.log(chalk.blue("🔍 Analyzing repository..."));
+      console.log(chalk.blue("📍 Resolving references..."));
+    }
+
+    // Get commits using the core function
+    const result = await getCommitsBetween(coreOptions);
+
+    if (result.success) {
+      display(result, coreOptions);
+    } else {
+      if (options.format === "json") {
+        console.error(JSON.stringify(result, null, 2));
+      } else {
+        console.error(chalk.red("❌ Error:"), result.error);
+
+        if (result.errorCode === "RATE_LIMITED") {
+          console.log(chalk.yellow("\n💡 Tip: Set a GitHub personal access token to increase rate limits:"));
+          console.log(chalk.gray("   export GITHUB_TOKEN=your_token_here"));
+          console.log(chalk.gray("   or use the --token option"));
+          console.log(chalk.gray("   or allow longer waits with --max-rate-limit-wait <seconds>"));
+        }
+
+        console.log(chalk.gray(`\n⏱️  Total elapsed time: ${result.elapsedTime}`));
+      }
+
+      process.exit(1);
+    }
+  } catch (error) {
+    if (options.format === "json") {
+      console.error(
+        JSON.stringify(
+          {
+            success: false,
+            error: error.message,
+            elapsedTime: "0ms",
+          },
+          null,
+          2
+        )
+      );
+    } else {
+      console.error(chalk.red("❌ Error:"), error.message);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Display the repository and resolved range of a result
+ * @param {object} result - Result from getCommitsBetween
+ */
+function displayRange(result) {
+  console.log(chalk.gray(`Repository: ${result.repository.path || `${result.repository.owner}/${result.repository.repo}`}`));
+  console.log(chalk.gray(`From: ${result.fromRef} (${describeResolvedRef(result.resolvedFrom)})`));
+  console.log(chalk.gray(`To: ${result.toRef} (${describeResolvedRef(result.resolvedTo)})`));
+}
+
 // CLI Program Setup
+// Options after a subcommand name belong to the subcommand, which shares most of them with the main command
 program
   .name("git-version-differ")
-  .description("Get commit information between two Git tags or commit hashes from a GitHub repository")
+  .description("Get commit information between two Git tags or commit hashes from a GitHub, GitLab or Bitbucket repository")
   .version("1.0.0")
-  .argument("<repo-url>", "GitHub repository URL")
-  .argument("<from>", "Starting tag or commit hash")
-  .argument("<to>", "Ending tag or commit hash")
-  .option("-t, --token <token>", "GitHub personal access token (or set GITHUB_TOKEN env var)")
+  .enablePositionalOptions();
+
+addRangeOptions(program)
   .option("-f, --format <format>", "Output format: human or json", "human")
-  .option("--target-dir <directory>", "Limit commits to those that changed files in this directory")
-  .option("--exclude-dir <directory>", "Exclude commits that only changed files in this directory")
+  .option("--explain-filter", "Show which path pattern included or excluded each changed file")
   .action(async (repoUrl, from, to, options) => {
-    try {
-      // Validate output format
-      if (!["human", "json"].includes(options.format)) {
-        throw new Error('Invalid output format. Use "human" or "json".');
-      }
-
+    await runRangeCommand([repoUrl, from, to], options, ["human", "json"], (result, coreOptions) => {
       if (options.format === "human") {
-        console.log(chalk.blue("🔍 Analyzing repository..."));
-      }
+        displayRange(result);
 
-      // Prepare options for the core function
-      const coreOptions = {
-        repoUrl,
-        from,
-        to,
-        token: options.token,
-        targetDir: options.targetDir,
-        excludeDir: options.excludeDir,
-      };
+        const apiMessage =
+          result.apiUsed === "graphql"
+            ? "✅ Used GraphQL API"
+            : result.apiUsed === "rest"
+            ? "✅ Used REST API"
+            : result.apiUsed === "git"
+            ? "✅ Used local git repository"
+            : result.apiUsed === "gitlab"
+            ? "✅ Used GitLab API"
+            : result.apiUsed === "bitbucket"
+            ? "✅ Used Bitbucket API"
+            : "✅ Used REST API (fallback)";
+        console.log(chalk.green(apiMessage));
 
-      if (options.format === "human") {
-        console.log(chalk.blue("📍 Resolving references..."));
-      }
+        if (result.fetchStats?.cacheHits > 0) {
+          console.log(chalk.gray(`💾 Cache: ${result.fetchStats.cacheHits} hits, ${result.fetchStats.cacheMisses} misses`));
+        }
 
-      // Get commits using the core function
-      const result = await getCommitsBetween(coreOptions);
-
-      if (result.success) {
-        if (options.format === "human") {
-          console.log(chalk.gray(`Repository: ${result.repository.owner}/${result.repository.repo}`));
-          console.log(chalk.gray(`From: ${result.fromRef} (${result.fromSha})`));
-          console.log(chalk.gray(`To: ${result.toRef} (${result.toSha})`));
-
-          const apiMessage =
-            result.apiUsed === "graphql"
-              ? "✅ Used GraphQL API"
-              : result.apiUsed === "rest"
-              ? "✅ Used REST API"
-              : "✅ Used REST API (fallback)";
-          console.log(chalk.green(apiMessage));
-
-          if (coreOptions.targetDir || coreOptions.excludeDir) {
-            console.log(chalk.blue("🔍 Applied directory filtering"));
-          }
-
-          displayCommitsHuman(result.commits, from, to);
-          console.log(chalk.gray(`\n⏱️  Total elapsed time: ${result.elapsedTime}`));
-        } else {
-          outputCommitsJson(result);
+        if (coreOptions.targetDir || coreOptions.excludeSubPaths) {
+          console.log(chalk.blue("🔍 Applied directory filtering"));
         }
-      } else {
-        if (options.format === "json") {
-          console.error(JSON.stringify(result, null, 2));
-        } else {
-          console.error(chalk.red("❌ Error:"), result.error);
-
-          if (result.error.includes("API rate limit exceeded")) {
-            console.log(chalk.yellow("\n💡 Tip: Set a GitHub personal access token to increase rate limits:"));
-            console.log(chalk.gray("   export GITHUB_TOKEN=your_token_here"));
-            console.log(chalk.gray("   or use the --token option"));
-          }
-
-          console.log(chalk.gray(`\n⏱️  Total elapsed time: ${result.elapsedTime}`));
+
+        displayCommitsHuman(result.commits, result.fromRef, result.toRef);
+
+        if (result.filterExplanation) {
+          displayFilterExplanation(result.filterExplanation);
+        }
+
+        if (result.nextVersion) {
+          displayNextVersion(result.nextVersion);
+        }
+
+        if (result.warning) {
+          console.log(chalk.yellow(`\n${result.warning}`));
         }
 
-        process.exit(1);
+        console.log(chalk.gray(`\n⏱️  Total elapsed time: ${result.elapsedTime}`));
+      } else {
+        outputCommitsJson(result);
       }
-    } catch (error) {
-      if (options.format === "json") {
-        console.error(
-          JSON.stringify(
-            {
-              success: false,
-              error: error.message,
-              elapsedTime: "0ms",
-            },
-            null,
-            2
-          )
-        );
+    });
+  });
+
+addRangeOptions(program.command("next-version").description("Recommend the next version from the commits since <from>"))
+  .option("-f, --format <format>", "Output format: human or json", "human")
+  .action(async (repoUrl, from, to, options) => {
+    await runRangeCommand([repoUrl, from, to], options, ["human", "json"], (result) => {
+      if (options.format === "human") {
+        displayRange(result);
+        displayNextVersion(result.nextVersion);
+
+        if (result.warning) {
+          console.log(chalk.yellow(`\n${result.warning}`));
+        }
       } else {
-        console.error(chalk.red("❌ Error:"), error.message);
+        console.log(JSON.stringify({ fromRef: result.fromRef, toRef: result.toRef, ...result.nextVersion }, null, 2));
       }
+    });
+  });
 
+addRangeOptions(program.command("changelog").description("Write release notes for the commits between <from> and <to>"))
+  .option("-f, --format <format>", "Output format: markdown, html or text", "markdown")
+  .option("--sections <sections>", "Release notes sections, e.g. \"Breaking Changes=breaking;Features=feat;Fixes=fix;Other=*\"")
+  .option("--templates <file>", "JSON file overriding the templates of the format, e.g. {\"entry\": \"* {subject} by {authors}\\n\"}")
+  .option("-o, --output <file>", "Write the release notes to a file instead of standard output")
+  .action(async (repoUrl, from, to, options) => {
+    // Check the sections and read the templates first, so mistakes fail before anything is fetched
+    let templates;
+    try {
+      parseChangelogSections(options.sections);
+      templates = options.templates ? JSON.parse(readFileSync(options.templates, "utf8")) : undefined;
+    } catch (error) {
+      console.error(chalk.red("❌ Error:"), error.message);
       process.exit(1);
     }
+
+    await runRangeCommand([repoUrl, from, to], options, Object.keys(CHANGELOG_TEMPLATES), (result) => {
+      const notes = renderChangelog(result, { format: options.format, sections: options.sections, templates });
+      if (options.output) {
+        writeFileSync(options.output, notes);
+      } else {
+        process.stdout.write(notes);
+      }
+
+      if (result.warning) {
+        console.error(chalk.yellow(result.warning));
+      }
+    });
+  });
+
+addRangeOptions(program.command("contributors").description("Summarize who contributed to the commits between <from> and <to>"))
+  .option("-f, --format <format>", "Output format: human or json", "human")
+  .option(
+    "--alias <spec>",
+    "Merge identities into one person, e.g. \"Jane Doe <jane@example.com>=jdoe@old.example.com,janed\" (repeatable; .mailmap applies too)",
+    (value, previous) => previous.concat(value),
+    []
+  )
+  .action(async (repoUrl, from, to, options) => {
+    await runRangeCommand([repoUrl, from, to], { ...options, includeContributors: true }, ["human", "json"], (result) => {
+      if (options.format === "human") {
+        displayRange(result);
+        displayContributors(result.contributors);
+
+        if (result.warning) {
+          console.log(chalk.yellow(`\n${result.warning}`));
+        }
+      } else {
+        console.log(JSON.stringify({ fromRef: result.fromRef, toRef: result.toRef, contributors: result.contributors }, null, 2));
+      }
+    });
   });
 
 program.parse();
@@ -9,10 +9,11 @@
 const METADATA_SHEET_NAME = "Metadata"; // Your metadata sheet name
 const API_BASE_URL = "<BASE_URL>";
 // Consider storing this in User Properties for security.
-// <<< IMPORTANT: Replace with your actual API token.
+// <<< IMPORTANT: Replace with your actual API token. For Bitbucket app passwords use "username:app-password".
 const API_TOKEN = "<TOKEN>";
 // Base URL for the repository that will be concatenated with the `Repo` metadata
-// <<< IMPORTANT: Do not end with a slash. Example: "https://github.com/microsoft/vscode"
+// <<< IMPORTANT: Do not end with a slash. Example: "https://github.com/microsoft/vscode", "https://gitlab.com/my-group",
+// "https://bitbucket.org/my-workspace" or "https://bitbucket.example.com/projects/KEY/repos"
 const REPO_BASE_URL = "<REPO_BASE_URL>";
 // Base URL for JIRA tickets
 // <<< IMPORTANT: Do not end with a slash. Example: "https://yourcompany.atlassian.net/browse"
@@ -21,6 +22,9 @@ const JIRA_BASE_URL = "<JIRA_BASE_URL>";
 // Streaming API configuration
 const USE_STREAMING_API = true; // Set to false to use regular API
 const MAX_COMMITS_LIMIT = 1000; // Limit commits to prevent excessive API calls
+// Pull request numbers are guessed from commit messages. Set to true to link commits to the pull requests the
+// repository host associates with them instead (one more API lookup per commit).
+const INCLUDE_PULL_REQUESTS = false;
 const TEMPLATE_COMMIT_ROWS = 7; // Number of predefined rows in template for commits
 
 /**
@@ -95,10 +99,10 @@ function doGet(e) {
 
     if (!fromVersion && !toVersion) {
       // No versions specified - let API handle it, but show warning
-      warningMessage = "⚠️ Warning: No version information specified, showing only the latest commit.";
+      warningMessage = "⚠️ Warning: No version information specified, comparing the latest release with HEAD.";
     } else if (!fromVersion && toVersion) {
       // Only 'to' specified - let API handle it, but show warning
-      warningMessage = "⚠️ Warning: No 'From Version' specified, showing only the latest commit.";
+      warningMessage = "⚠️ Warning: No 'From Version' specified, comparing from the previous release tag.";
     } else if (fromVersion && !toVersion) {
       // Only 'from' specified - let API handle it, but show warning
       warningMessage = "⚠️ Warning: No 'To Version' specified. Please manually verify deployment scope.";
@@ -128,6 +132,9 @@ function doGet(e) {
     const repo = `${REPO_BASE_URL}/${metadata.repo}`; // Extend repo URL
     const targetDir = metadata.targetDir;
     const excludeSubPaths = metadata.excludeSubPaths;
+    const tagPattern = metadata.tagPattern; // Optional, e.g. "payments-service@{version}" for monorepo tags
+    const mergeMode = metadata.mergeMode; // Optional: all, first-parent, merges-only or no-merges
+    const issueTrackers = metadata.issueTrackers; // Optional, e.g. "linear:ENG=https://linear.app/acme/issue/{key}"
 
     // 3. Build the streaming API request URL and make the call
     const streamApiUrl = buildStreamApiUrl({
@@ -136,6 +143,9 @@ function doGet(e) {
       to: toVersion, // Use original toVersion (may be null/undefined)
       targetDir,
       excludeSubPaths,
+      tagPattern,
+      mergeMode,
+      issueTrackers,
       token: API_TOKEN,
     });
 
@@ -184,6 +194,9 @@ function doGet(e) {
             to: toVersion, // Use original toVersion (may be null/undefined)
             targetDir,
             excludeSubPaths,
+            tagPattern,
+            mergeMode,
+            issueTrackers,
             token: API_TOKEN,
           });
 
@@ -203,6 +216,17 @@ function doGet(e) {
           updateStatusDisplay(mainSheet, serviceName, "Regular API completed, processing results...");
           const data = JSON.parse(responseBody);
           commits = data.commits;
+          apiStats = {
+            complete: data.complete,
+            totalInRange: data.totalInRange,
+            truncated: data.truncated,
+            omittedCommits: data.omittedCommits,
+            fromRef: data.fromRef,
+            toRef: data.toRef,
+            nextVersion: data.nextVersion,
+            apiUsed: data.apiUsed,
+            urlTemplates: data.urlTemplates,
+          };
           apiMethod = "regular-fallback";
         }
       } else {
@@ -214,6 +238,9 @@ function doGet(e) {
           to: toVersion, // Use original toVersion (may be null/undefined)
           targetDir,
           excludeSubPaths,
+          tagPattern,
+          mergeMode,
+          issueTrackers,
           token: API_TOKEN,
         });
 
@@ -235,6 +262,17 @@ function doGet(e) {
         updateStatusDisplay(mainSheet, serviceName, "Regular API completed, processing results...");
         const data = JSON.parse(responseBody);
         commits = data.commits;
+        apiStats = {
+          complete: data.complete,
+          totalInRange: data.totalInRange,
+          truncated: data.truncated,
+          omittedCommits: data.omittedCommits,
+          fromRef: data.fromRef,
+          toRef: data.toRef,
+          nextVersion: data.nextVersion,
+          apiUsed: data.apiUsed,
+          urlTemplates: data.urlTemplates,
+        };
         apiMethod = "regular";
       }
     } else {
@@ -278,7 +316,19 @@ function doGet(e) {
     }
 
     // Delete existing commits and insert the newly fetched ones using updated row
-    insertCommitsIntoSheet(mainSheet, updatedTargetRow, commits, repo);
+    insertCommitsIntoSheet(mainSheet, updatedTargetRow, commits, apiStats);
+
+    // Never present a partial commit list as if it were the whole range
+    if (apiStats.truncated) {
+      const omitted = apiStats.omittedCommits ? `, ${apiStats.omittedCommits} more commits left out` : "";
+      const truncatedWarning = `⚠️ Warning: Commit list truncated at ${MAX_COMMITS_LIMIT} commits${omitted}.`;
+      warningMessage = warningMessage ? `${warningMessage}\n${truncatedWarning}` : truncatedWarning;
+    } else if (apiStats.complete === false) {
+      const incompleteWarning = apiStats.totalInRange
+        ? `⚠️ Warning: Commit list is incomplete (the range has ${apiStats.totalInRange} commits).`
+        : "⚠️ Warning: Commit list may be incomplete, the 'From Version' was not reached.";
+      warningMessage = warningMessage ? `${warningMessage}\n${incompleteWarning}` : incompleteWarning;
+    }
 
     // Calculate total elapsed time from start of doGet call
     const endTime = new Date();
@@ -291,6 +341,16 @@ function doGet(e) {
     }
     successStatusMessage += ` in ${totalElapsedTime}`;
 
+    // Symbolic versions such as @latest-release are resolved by the API, so show the tags it picked
+    if (apiStats.fromRef && apiStats.toRef && (apiStats.fromRef !== fromVersion || apiStats.toRef !== toVersion)) {
+      successStatusMessage += `\nRange: ${apiStats.fromRef}..${apiStats.toRef}`;
+    }
+
+    // The API recommends the next version from the commit types since the 'From Version' tag
+    if (apiStats.nextVersion && apiStats.nextVersion.nextTag) {
+      successStatusMessage += `\nNext version: ${apiStats.nextVersion.nextTag} (${apiStats.nextVersion.bump})`;
+    }
+
     // Add warning if present
     if (warningMessage) {
       successStatusMessage += `\n${warningMessage}`;
@@ -348,7 +408,7 @@ function createHtmlResponse(message) {
 /**
  * Retrieves metadata for a given service name from the Metadata sheet.
  * @param {string} serviceName The name of the service to look up.
- * @returns {Object|null} An object containing repo, targetDir, excludeSubPaths, or null if not found.
+ * @returns {Object|null} An object containing repo, targetDir, excludeSubPaths, tagPattern, mergeMode and issueTrackers, or null if not found.
  */
 function getMetadataForService(serviceName) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -359,6 +419,11 @@ function getMetadataForService(serviceName) {
   }
 
   // Assuming Metadata sheet has headers in row 1: A:ServiceName, D:repo, E:targetDir, F:excludeSubPaths
+  // Target Directory and Exclude Sub-paths take a directory or comma-separated gitignore-style patterns, e.g. "**/*.md,!CHANGELOG.md"
+  // An optional "Tag Pattern" column turns bare versions into monorepo tag names, e.g. "payments-service@{version}"
+  // An optional "Merge Mode" column picks which commits to list: all, first-parent, merges-only or no-merges
+  // An optional "Issue Trackers" column lists the issue keys to extract, one tracker per line or separated by ";",
+  // e.g. "linear:ENG=https://linear.app/acme/issue/{key}; jira=https://acme.atlassian.net/browse/{key}"
   // Find the column indices for dynamic mapping
   const headers = metadataSheet.getRange(1, 1, 1, metadataSheet.getLastColumn()).getDisplayValues()[0];
   const colMap = {};
@@ -376,6 +441,15 @@ function getMetadataForService(serviceName) {
       case "Exclude Sub-paths":
         colMap.excludeSubPaths = index + 1;
         break;
+      case "Tag Pattern":
+        colMap.tagPattern = index + 1;
+        break;
+      case "Merge Mode":
+        colMap.mergeMode = index + 1;
+        break;
+      case "Issue Trackers":
+        colMap.issueTrackers = index + 1;
+        break;
     }
   });
 
@@ -397,6 +471,9 @@ function getMetadataForService(serviceName) {
         repo: row[colMap.repo - 1],
         targetDir: row[colMap.targetDir - 1],
         excludeSubPaths: row[colMap.excludeSubPaths - 1],
+        tagPattern: colMap.tagPattern ? row[colMap.tagPattern - 1] : "",
+        mergeMode: colMap.mergeMode ? row[colMap.mergeMode - 1] : "",
+        issueTrackers: colMap.issueTrackers ? row[colMap.issueTrackers - 1] : "",
       };
     }
   }
@@ -483,10 +560,18 @@ function processStreamingApiResponse(streamApiUrl, sheet, serviceName) {
             Logger.log(`Streaming completed: ${data.totalCommits} total commits`);
             finalStats = {
               totalCommits: data.totalCommits,
+              complete: data.complete,
+              totalInRange: data.totalInRange,
+              truncated: data.truncated,
+              omittedCommits: data.omittedCommits,
               elapsedTime: data.elapsedTime,
               fetchStats: data.fetchStats,
               apiUsed: data.apiUsed,
               repository: data.repository,
+              fromRef: data.fromRef,
+              toRef: data.toRef,
+              nextVersion: data.nextVersion,
+              urlTemplates: data.urlTemplates,
             };
             break;
 
@@ -531,6 +616,18 @@ function processStreamingApiResponse(streamApiUrl, sheet, serviceName) {
   }
 }
 
+/**
+ * Splits the "Issue Trackers" metadata cell into tracker specs, one per line or separated by ";".
+ * @param {string} issueTrackers The cell value.
+ * @returns {string[]} The tracker specs, e.g. ["linear:ENG=https://linear.app/acme/issue/{key}"].
+ */
+function splitIssueTrackers(issueTrackers) {
+  return String(issueTrackers || "")
+    .split(/[;\n]/)
+    .map((spec) => spec.trim())
+    .filter((spec) => spec !== "");
+}
+
 /**
  * Builds the streaming API URL with provided parameters.
  * @param {Object} params An object containing repo, from, to, targetDir, excludeSubPaths, token.
@@ -555,6 +652,18 @@ function buildStreamApiUrl(params) {
   if (params.excludeSubPaths) {
     queryParts.push(`excludeSubPaths=${encodeURIComponent(params.excludeSubPaths)}`);
   }
+  if (params.tagPattern) {
+    queryParts.push(`tagPattern=${encodeURIComponent(params.tagPattern)}`);
+  }
+  if (params.mergeMode) {
+    queryParts.push(`mergeMode=${encodeURIComponent(params.mergeMode)}`);
+  }
+  splitIssueTrackers(params.issueTrackers).forEach((spec) => {
+    queryParts.push(`issueTracker=${encodeURIComponent(spec)}`);
+  });
+  if (INCLUDE_PULL_REQUESTS) {
+    queryParts.push("includePullRequests=true");
+  }
   if (params.token) {
     queryParts.push(`token=${encodeURIComponent(params.token)}`);
   }
@@ -588,9 +697,23 @@ function buildRegularApiUrl(params) {
   if (params.excludeSubPaths) {
     queryParts.push(`excludeSubPaths=${encodeURIComponent(params.excludeSubPaths)}`);
   }
+  if (params.tagPattern) {
+    queryParts.push(`tagPattern=${encodeURIComponent(params.tagPattern)}`);
+  }
+  if (params.mergeMode) {
+    queryParts.push(`mergeMode=${encodeURIComponent(params.mergeMode)}`);
+  }
+  splitIssueTrackers(params.issueTrackers).forEach((spec) => {
+    queryParts.push(`issueTracker=${encodeURIComponent(spec)}`);
+  });
+  if (INCLUDE_PULL_REQUESTS) {
+    queryParts.push("includePullRequests=true");
+  }
   if (params.token) {
     queryParts.push(`token=${encodeURIComponent(params.token)}`);
   }
+  // Set maxCommits to prevent excessive API calls
+  queryParts.push(`maxCommits=${MAX_COMMITS_LIMIT}`);
 
   const queryString = queryParts.join("&");
   return `${API_BASE_URL}?${queryString}`;
@@ -598,10 +721,12 @@ function buildRegularApiUrl(params) {
 
 /**
  * Extracts pull request ID from commit message.
+ * `!123` only refers to a merge request on GitLab; elsewhere it is ordinary text.
  * @param {string} message The commit message to parse.
+ * @param {boolean} isGitLab Whether the repository is on GitLab.
  * @returns {string|null} The pull request ID if found, null otherwise.
  */
-function extractPullRequestId(message) {
+function extractPullRequestId(message, isGitLab) {
   // Common patterns for PR references in commit messages
   const patterns = [
     /\(#(\d+)\)/, // (#{number})
@@ -609,7 +734,12 @@ function extractPullRequestId(message) {
     /pull\/(\d+)/i, // pull/{number}
     /pr\/(\d+)/i, // pr/{number}
     /merge pull request #(\d+)/i, // merge pull request #{number}
+    /merge_requests\/(\d+)/i, // merge_requests/{number} (GitLab)
+    /pull-requests\/(\d+)/i, // pull-requests/{number} (Bitbucket)
   ];
+  if (isGitLab) {
+    patterns.push(/!(\d+)\b/); // !{number} (GitLab merge request)
+  }
 
   for (const pattern of patterns) {
     const match = message.match(pattern);
@@ -621,6 +751,35 @@ function extractPullRequestId(message) {
   return null;
 }
 
+/**
+ * Gets the URL of the pull request a commit came from.
+ * With INCLUDE_PULL_REQUESTS the pull requests from the API are used as they are, so rebase merged commits are linked
+ * and unrelated "#123" mentions are not; otherwise the number is guessed from the first line of the message.
+ * @param {Object} commit The commit from the API.
+ * @param {Object} apiStats The API result details, with urlTemplates and apiUsed.
+ * @returns {string|null} The pull request URL, or null if the commit has none.
+ */
+function getCommitPullRequestUrl(commit, apiStats) {
+  const template = apiStats.urlTemplates ? apiStats.urlTemplates.pullRequest : null;
+  if (INCLUDE_PULL_REQUESTS) {
+    const pullRequest = (commit.pullRequests || [])[0];
+    return pullRequest ? pullRequest.url || buildPullRequestUrl(template, pullRequest.number) : null;
+  }
+
+  const pullRequestId = extractPullRequestId((commit.message || "").split("\n")[0].trim(), apiStats.apiUsed === "gitlab");
+  return pullRequestId ? buildPullRequestUrl(template, pullRequestId) : null;
+}
+
+/**
+ * Builds the web URL of a pull request (or GitLab merge request) from the API's pull request URL template.
+ * @param {string|null} template The URL template with a {number} placeholder, null when the provider has none.
+ * @param {string} pullRequestId The pull request ID.
+ * @returns {string|null} The pull request URL, or null without a template.
+ */
+function buildPullRequestUrl(template, pullRequestId) {
+  return template ? template.replace("{number}", pullRequestId) : null;
+}
+
 /**
  * Extracts the first line of a commit message and adds the checkmark prefix
  * @param {string} fullMessage - The full commit message
@@ -636,9 +795,9 @@ function getFormattedFirstLineMessage(fullMessage) {
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to modify.
  * @param {number} targetRow The row where the initial service data is.
  * @param {Array<Object>} commits An array of commit objects.
- * @param {string} repo The full repository URL for constructing PR links.
+ * @param {Object} apiStats The API result details; its urlTemplates and apiUsed are used for PR links.
  */
-function insertCommitsIntoSheet(sheet, targetRow, commits, repo) {
+function insertCommitsIntoSheet(sheet, targetRow, commits, apiStats) {
   if (commits.length === 0) {
     // Clear the template rows if no commits (only columns D-H)
     const templateRange = sheet.getRange(targetRow + 1, 4, TEMPLATE_COMMIT_ROWS, 5);
@@ -672,11 +831,13 @@ function insertCommitsIntoSheet(sheet, targetRow, commits, repo) {
     const firstLineMessage = getFormattedFirstLineMessage(fullMessage);
 
     const date = new Date(commit.date) || "";
-    const author = commit.author || "";
-    const jiraTicketId = commit.jiraTicketId || "";
+    const author = getCommitAuthorNames(commit);
+    const ticketIds = getCommitIssues(commit)
+      .map((issue) => issue.key)
+      .join(", ");
     const semverType = commit.semverType || "";
 
-    return [firstLineMessage, date, author, jiraTicketId, semverType]; // D,E,F,G,H columns for commits (A,B,C preserved)
+    return [firstLineMessage, date, author, ticketIds, semverType]; // D,E,F,G,H columns for commits (A,B,C preserved)
   });
 
   // Step 1: Fill the first 7 template rows
@@ -750,27 +911,64 @@ function insertCommitsIntoSheet(sheet, targetRow, commits, repo) {
     // Add hyperlink for commit message with PR ID (column D)
     const fullMessage = commit.message || "";
     const firstLineMessage = getFormattedFirstLineMessage(fullMessage);
-    const originalFirstLine = (fullMessage || "").split("\n")[0].trim();
-    const pullRequestId = extractPullRequestId(originalFirstLine);
+    const prUrl = getCommitPullRequestUrl(commit, apiStats);
 
-    if (pullRequestId) {
+    if (prUrl) {
       const messageCell = sheet.getRange(currentRow, 4); // Column D
-      const prUrl = `${repo}/pull/${pullRequestId}`;
       messageCell.setFormula(`=HYPERLINK("${prUrl}", "${firstLineMessage.replace(/"/g, '""')}")`);
     }
 
-    // Add hyperlink for Jira ticket ID (column G)
-    const jiraTicketId = commit.jiraTicketId;
-    if (jiraTicketId && jiraTicketId.trim() !== "") {
-      const jiraCell = sheet.getRange(currentRow, 7); // Column G
-      const jiraUrl = `${JIRA_BASE_URL}/${jiraTicketId}`;
-      jiraCell.setFormula(`=HYPERLINK("${jiraUrl}", "${jiraTicketId}")`);
+    // Link each ticket in the ticket column (column G)
+    const issues = getCommitIssues(commit);
+    if (issues.length > 0) {
+      const ticketCell = sheet.getRange(currentRow, 7); // Column G
+      const text = issues.map((issue) => issue.key).join(", ");
+      const richText = SpreadsheetApp.newRichTextValue().setText(text);
+      let offset = 0;
+      issues.forEach((issue) => {
+        if (issue.url) {
+          richText.setLinkUrl(offset, offset + issue.key.length, issue.url);
+        }
+        offset += issue.key.length + 2;
+      });
+      ticketCell.setRichTextValue(richText.build());
     }
   }
 
   SpreadsheetApp.flush(); // Apply all pending spreadsheet changes
 }
 
+/**
+ * Gets the names of everyone who wrote a commit: the author followed by the co-authors.
+ * Older API versions send the author as a plain name and no co-authors.
+ * @param {Object} commit The commit from the API.
+ * @returns {string} The names, separated by commas.
+ */
+function getCommitAuthorNames(commit) {
+  if (typeof commit.author === "string") {
+    return commit.author;
+  }
+  return [commit.author]
+    .concat(commit.coAuthors || [])
+    .filter((person) => person && person.name)
+    .map((person) => person.name)
+    .join(", ");
+}
+
+/**
+ * Gets the issues a commit references, with links.
+ * Jira issues without a URL from the API link to JIRA_BASE_URL; older API versions only send jiraTicketId.
+ * @param {Object} commit The commit from the API.
+ * @returns {Object[]} Issues with tracker, key and url.
+ */
+function getCommitIssues(commit) {
+  const issues = commit.issues || (commit.jiraTicketId ? [{ tracker: "jira", key: commit.jiraTicketId, url: null }] : []);
+  return issues.map((issue) => ({
+    ...issue,
+    url: issue.url || (issue.tracker === "jira" ? `${JIRA_BASE_URL}/${issue.key}` : null),
+  }));
+}
+
 /**
  * Helper function to set the API token securely.
  * Run this function ONCE from the Apps Script editor after deployment.
@@ -0,0 +1,566 @@
+import { parseRateLimitHeaders } from "./concurrency.js";
+import { resolveRefWith } from "./refs.js";
+
+const BITBUCKET_CLOUD_API_URL = "https://api.bitbucket.org/2.0";
+const BITBUCKET_PAGE_SIZE = 100;
+
+/**
+ * Get the configured Bitbucket Server base URL
+ * A malformed URL is ignored with a warning rather than failing every request.
+ * @param {object} options - Configuration options
+ * @returns {object|null} - Object containing the base URL without a trailing slash, its host and hostname, or null
+ */
+function getConfiguredBitbucketUrl(options = {}) {
+  const baseUrl = options.bitbucketUrl || process.env.BITBUCKET_URL;
+  if (!baseUrl) {
+    return null;
+  }
+
+  try {
+    const { host, hostname } = new URL(baseUrl);
+    return { url: baseUrl.replace(/\/+$/, ""), host, hostname };
+  } catch (error) {
+    console.warn(`[Bitbucket Warning] Ignoring invalid Bitbucket URL "${baseUrl}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse Bitbucket repository URL
+ * Supports Bitbucket Cloud (`bitbucket.org/<workspace>/<repo>`) and Bitbucket Server / Data Center
+ * (`<base>/projects/<KEY>/repos/<repo>` and `<base>/scm/<key>/<repo>.git`) URLs. The configured server URL only
+ * replaces the base URL of repositories on its own host.
+ * @param {string} url - Bitbucket repository URL
+ * @param {object} options - Configuration options (bitbucketUrl)
+ * @returns {object} - Object containing flavor ("cloud" or "server"), baseUrl, owner and repo
+ */
+export function parseBitbucketUrl(url, options = {}) {
+  const cloudMatch = url.match(/bitbucket\.org[:\/]([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/.*)?$/);
+  if (cloudMatch) {
+    return { flavor: "cloud", baseUrl: BITBUCKET_CLOUD_API_URL, owner: cloudMatch[1], repo: cloudMatch[2] };
+  }
+
+  const configured = getConfiguredBitbucketUrl(options);
+  const serverPatterns = [
+    /^(https?:\/\/.+?)\/projects\/([^\/]+)\/repos\/([^\/]+?)(?:\.git)?(?:\/.*)?$/i,
+    /^(https?:\/\/.+?)\/scm\/([^\/]+)\/([^\/]+?)(?:\.git)?\/?$/i,
+  ];
+
+  for (const pattern of serverPatterns) {
+    const match = url.match(pattern);
+    if (match) {
+      return {
+        flavor: "server",
+        baseUrl: configured?.host === new URL(match[1]).host ? configured.url : match[1],
+        owner: match[2].toUpperCase(),
+        repo: match[3],
+      };
+    }
+  }
+
+  // SSH clone URLs carry no HTTP base URL, so the server must be configured for the same host (the SSH port differs)
+  const sshMatch = url.match(/^ssh:\/\/[^@\/]+@([^:\/]+)(?::\d+)?\/([^\/]+)\/([^\/]+?)(?:\.git)?$/);
+  if (sshMatch && configured?.hostname === sshMatch[1]) {
+    return { flavor: "server", baseUrl: configured.url, owner: sshMatch[2].toUpperCase(), repo: sshMatch[3] };
+  }
+
+  throw new Error(
+    "Invalid Bitbucket repository URL. Please provide a URL like https://bitbucket.org/workspace/repo or https://bitbucket.example.com/projects/KEY/repos/repo."
+  );
+}
+
+/**
+ * Check whether a repository URL points to Bitbucket Cloud or Bitbucket Server
+ * @param {string} url - Repository URL
+ * @param {object} options - Configuration options (bitbucketUrl, provider)
+ * @returns {boolean} - Whether the URL is a Bitbucket repository URL
+ */
+export function isBitbucketUrl(url, options = {}) {
+  if (options.provider === "bitbucket") {
+    return true;
+  }
+  if (!url) {
+    return false;
+  }
+
+  try {
+    parseBitbucketUrl(url, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build the Authorization header value for a Bitbucket token
+ * `username:app-password` (Cloud) or `username:password` (Server) pairs use Basic auth,
+ * anything else is sent as a Bearer access token.
+ * @param {string} token - Access token or credential pair
+ * @returns {string|null} - Authorization header value
+ */
+function getAuthorizationHeader(token) {
+  if (!token) {
+    return null;
+  }
+  if (token.includes(":")) {
+    return `Basic ${Buffer.from(token).toString("base64")}`;
+  }
+  return `Bearer ${token}`;
+}
+
+/**
+ * Send a request to the Bitbucket REST API
+ * @param {object} connection - Object containing authorization
+ * @param {string} url - Absolute request URL
+ * @param {object} params - Query parameters
+ * @param {string} responseType - "json" (default) or "text" for raw file content
+ * @returns {Promise<object|string>} - Parsed response body
+ */
+async function bitbucketRequest(connection, url, params = {}, responseType = "json") {
+  const requestUrl = new URL(url);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) {
+      requestUrl.searchParams.set(key, value);
+    }
+  }
+
+  const headers = { Accept: "application/json" };
+  if (connection.authorization) {
+    headers.Authorization = connection.authorization;
+  }
+
+  const response = await fetch(requestUrl, { headers });
+  connection.rateLimit = parseRateLimitHeaders(response.headers) || connection.rateLimit;
+
+  if (!response.ok) {
+    let detail = response.statusText;
+    try {
+      const body = await response.json();
+      // Cloud returns { error: { message } }, Server returns { errors: [{ message }] }
+      detail = body.error?.message || body.errors?.[0]?.message || detail;
+    } catch (parseError) {
+      // Keep the status text when the body is not JSON
+    }
+    const error = new Error(`Bitbucket API error ${response.status}: ${detail}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return responseType === "text" ? response.text() : response.json();
+}
+
+/**
+ * Fetch every page of a Bitbucket list endpoint
+ * Cloud pages are followed through their `next` URL, Server pages through `nextPageStart`.
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @param {string} path - Path below the repository API URL
+ * @param {object} params - Query parameters
+ * @returns {Promise<Array>} - All values
+ */
+async function bitbucketRequestAll(connection, path, params = {}) {
+  let values = [];
+
+  if (connection.flavor === "cloud") {
+    let nextUrl = `${connection.repoUrl}${path}`;
+    let pageParams = { ...params, pagelen: BITBUCKET_PAGE_SIZE };
+
+    while (nextUrl) {
+      const data = await bitbucketRequest(connection, nextUrl, pageParams);
+      values = values.concat(data.values);
+      // `next` already carries every query parameter
+      nextUrl = data.next || null;
+      pageParams = {};
+    }
+  } else {
+    let start = 0;
+
+    while (start !== null) {
+      const data = await bitbucketRequest(connection, `${connection.repoUrl}${path}`, { ...params, limit: BITBUCKET_PAGE_SIZE, start });
+      values = values.concat(data.values);
+      start = data.isLastPage ? null : data.nextPageStart;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Convert a Bitbucket Cloud or Server commit into the commit shape shared by all backends
+ * Cloud commits only report the author, as a raw git identity plus the linked account if there is one. Server
+ * commits report both people, with a `slug` for the ones linked to an account.
+ * @param {object} commit - Bitbucket commit object
+ * @returns {object} - Normalized commit object
+ */
+function normalizeBitbucketCommit(commit) {
+  if (commit.hash) {
+    // Cloud: { hash, message, date, author: { raw, user } }
+    const user = commit.author?.user;
+    const rawEmail = (commit.author?.raw || "").match(/<([^<>]*)>$/);
+
+    return {
+      sha: commit.hash,
+      parents: (commit.parents || []).map((parent) => parent.hash),
+      commit: {
+        message: commit.message,
+        author: {
+          name: user?.display_name || (commit.author?.raw || "").replace(/\s*<.*>$/, ""),
+          email: rawEmail ? rawEmail[1] : null,
+          date: commit.date,
+          login: user?.nickname || null,
+          avatarUrl: user?.links?.avatar?.href || null,
+        },
+      },
+      files: [],
+      changedFilesCount: null,
+    };
+  }
+
+  // Server: { id, message, authorTimestamp, author: { name, emailAddress, displayName, slug }, committer, committerTimestamp }
+  const serverPerson = (person, timestamp) => ({
+    name: person?.displayName || person?.name,
+    email: person?.emailAddress || null,
+    date: timestamp ? new Date(timestamp).toISOString() : null,
+    login: person?.slug || null,
+  });
+
+  return {
+    sha: commit.id,
+    parents: (commit.parents || []).map((parent) => parent.id),
+    commit: {
+      message: commit.message,
+      author: serverPerson(commit.author, commit.authorTimestamp),
+      committer: commit.committer ? serverPerson(commit.committer, commit.committerTimestamp) : null,
+    },
+    files: [],
+    changedFilesCount: null,
+  };
+}
+
+/**
+ * Resolve a tag, branch or commit SHA to a commit
+ * Bitbucket Cloud peels annotated tags itself and does not expose the tag object; Bitbucket Server
+ * reports it as the tag's `hash`, which becomes `peeledFrom`.
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @param {string} ref - Tag name, branch name, commit SHA or qualified ref
+ * @returns {Promise<object>} - Object containing sha, kind ("tag", "branch" or "commit") and peeledFrom
+ */
+export async function resolveBitbucketRef(connection, ref) {
+  if (connection.flavor === "cloud") {
+    const getRefTarget = async (path) => (await bitbucketRequest(connection, `${connection.repoUrl}/${path}`)).target.hash;
+
+    return resolveRefWith(ref, {
+      tag: async (name) => ({ sha: await getRefTarget(`refs/tags/${encodeURIComponent(name)}`) }),
+      branch: async (name) => ({ sha: await getRefTarget(`refs/branches/${encodeURIComponent(name)}`) }),
+      commit: async (name) => ({
+        sha: (await bitbucketRequest(connection, `${connection.repoUrl}/commit/${encodeURIComponent(name)}`)).hash,
+      }),
+    });
+  }
+
+  return resolveRefWith(ref, {
+    tag: async (name) => {
+      const tag = await bitbucketRequest(connection, `${connection.repoUrl}/tags/${encodeURIComponent(name)}`);
+      return { sha: tag.latestCommit, peeledFrom: tag.hash && tag.hash !== tag.latestCommit ? tag.hash : null };
+    },
+    branch: async (name) => {
+      const { values } = await bitbucketRequest(connection, `${connection.repoUrl}/branches`, {
+        filterText: name,
+        limit: BITBUCKET_PAGE_SIZE,
+      });
+      const branch = values.find((candidate) => candidate.displayId === name);
+      return branch ? { sha: branch.latestCommit } : null;
+    },
+    commit: async (name) => ({
+      sha: (await bitbucketRequest(connection, `${connection.repoUrl}/commits/${encodeURIComponent(name)}`)).id,
+    }),
+  });
+}
+
+/**
+ * List the repository's tags with the commits they point to
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @returns {Promise<Array>} - Array of objects containing name and sha
+ */
+export async function listBitbucketTags(connection) {
+  if (connection.flavor === "cloud") {
+    const tags = await bitbucketRequestAll(connection, "/refs/tags");
+    return tags.map((tag) => ({ name: tag.name, sha: tag.target.hash }));
+  }
+
+  const tags = await bitbucketRequestAll(connection, "/tags");
+  return tags.map((tag) => ({ name: tag.displayId, sha: tag.latestCommit }));
+}
+
+/**
+ * Get the repository's default branch name
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @returns {Promise<string>} - Branch name
+ */
+export async function getBitbucketDefaultBranch(connection) {
+  if (connection.flavor === "cloud") {
+    return (await bitbucketRequest(connection, connection.repoUrl)).mainbranch.name;
+  }
+
+  try {
+    return (await bitbucketRequest(connection, `${connection.repoUrl}/default-branch`)).displayId;
+  } catch (error) {
+    // Bitbucket Server before 7.5 only has the older endpoint
+    if (error.status !== 404) {
+      throw error;
+    }
+    return (await bitbucketRequest(connection, `${connection.repoUrl}/branches/default`)).displayId;
+  }
+}
+
+/**
+ * Get commits between two references from Bitbucket
+ * Lists commits reachable from head but not from base (newest first), optionally limited to a path.
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @param {string} baseSha - Base commit SHA (older)
+ * @param {string} headSha - Head commit SHA (newer)
+ * @param {string} targetDir - Optional target directory to filter commits by path
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} options - Additional fetch options
+ * @param {object} options.fetchStats - Optional object that receives request counts and range completeness
+ * @param {number} options.maxCommits - Optional maximum number of commits to fetch
+ * @returns {Promise<Array>} - Array of commit objects
+ */
+export async function getBitbucketCommitsBetween(connection, baseSha, headSha, targetDir = null, onProgress = null, options = {}) {
+  const fetchStats = options.fetchStats || {};
+  fetchStats.requestCount = fetchStats.requestCount || 0;
+  fetchStats.totalChecked = fetchStats.totalChecked || 0;
+  const maxCommits = options.maxCommits > 0 ? options.maxCommits : null;
+
+  // Safe progress callback wrapper
+  const safeProgress = (message) => {
+    try {
+      if (onProgress) onProgress(message);
+    } catch (callbackError) {
+      console.warn(`[Bitbucket Progress Warning] Progress callback error: ${callbackError.message}`);
+    }
+  };
+
+  console.log(`[Bitbucket] Listing ${connection.flavor} commits${targetDir ? ` with path filter: ${targetDir}` : ""}`);
+  safeProgress(targetDir ? `Fetching commits that modified path: ${targetDir}...` : "Fetching commits in range...");
+
+  let commits = [];
+  let hasMore = true;
+
+  if (connection.flavor === "cloud") {
+    let nextUrl = `${connection.repoUrl}/commits`;
+    let params = { include: headSha, exclude: baseSha, path: targetDir, pagelen: BITBUCKET_PAGE_SIZE };
+
+    while (nextUrl) {
+      const data = await bitbucketRequest(connection, nextUrl, params);
+      fetchStats.requestCount++;
+      fetchStats.totalChecked += data.values.length;
+      commits = commits.concat(data.values.map(normalizeBitbucketCommit));
+
+      // `next` already carries every query parameter
+      nextUrl = data.next || null;
+      params = {};
+
+      if (maxCommits && commits.length >= maxCommits) {
+        break;
+      }
+      if (nextUrl) {
+        safeProgress(`Fetched ${commits.length} commits so far...`);
+      }
+    }
+    hasMore = Boolean(nextUrl);
+  } else {
+    let start = 0;
+
+    while (start !== null) {
+      const data = await bitbucketRequest(connection, `${connection.repoUrl}/commits`, {
+        since: baseSha,
+        until: headSha,
+        path: targetDir,
+        limit: BITBUCKET_PAGE_SIZE,
+        start,
+      });
+      fetchStats.requestCount++;
+      fetchStats.totalChecked += data.values.length;
+      commits = commits.concat(data.values.map(normalizeBitbucketCommit));
+
+      start = data.isLastPage ? null : data.nextPageStart;
+
+      if (maxCommits && commits.length >= maxCommits) {
+        break;
+      }
+      if (start !== null) {
+        safeProgress(`Fetched ${commits.length} commits so far...`);
+      }
+    }
+    hasMore = start !== null;
+  }
+
+  // Neither API reports the size of a range, so the total is only known once every page was read
+  const truncated = Boolean(maxCommits && (commits.length > maxCommits || hasMore));
+  if (maxCommits && commits.length > maxCommits) {
+    commits = commits.slice(0, maxCommits);
+  }
+
+  fetchStats.totalInRange = truncated ? null : commits.length;
+  fetchStats.truncated = truncated;
+  fetchStats.omittedCommits = truncated ? null : 0;
+  fetchStats.complete = !truncated;
+
+  console.log(`[Bitbucket] Found ${commits.length} commits in range`);
+  safeProgress(`Found ${commits.length} commits in range`);
+  return commits;
+}
+
+// Bitbucket Server change types and the GitHub file statuses they correspond to
+const SERVER_CHANGE_STATUSES = { ADD: "added", DELETE: "removed", MOVE: "renamed", COPY: "copied" };
+
+/**
+ * Get files changed in a commit from Bitbucket
+ * Uses the diffstat endpoint on Cloud and the changes endpoint on Server. Deleted files are reported by their
+ * old path; Server does not report line counts, so they are null there.
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array>} - Array of file changes ({ filename, status, additions, deletions, changes, previous_filename })
+ */
+export async function getBitbucketFilesChangedInCommit(connection, sha) {
+  try {
+    if (connection.flavor === "cloud") {
+      return (await bitbucketRequestAll(connection, `/diffstat/${sha}`)).map((diff) => {
+        const additions = diff.lines_added ?? null;
+        const deletions = diff.lines_removed ?? null;
+        return {
+          filename: (diff.new || diff.old).path,
+          status: diff.status || "modified",
+          additions,
+          deletions,
+          changes: additions === null ? null : additions + deletions,
+          previous_filename: diff.status === "renamed" && diff.old ? diff.old.path : null,
+        };
+      });
+    }
+
+    return (await bitbucketRequestAll(connection, `/commits/${sha}/changes`)).map((change) => ({
+      filename: change.path.toString,
+      status: SERVER_CHANGE_STATUSES[change.type] || "modified",
+      additions: null,
+      deletions: null,
+      changes: null,
+      previous_filename: change.srcPath ? change.srcPath.toString : null,
+    }));
+  } catch (error) {
+    console.error(`Warning: Could not get files for commit ${sha}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the pull requests a commit belongs to
+ * Bitbucket has no pull request labels. Cloud only lists reviewers and the merger on the pull request itself, so each
+ * one is fetched; Server lists reviewers right away but does not report who merged.
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array|null>} - Array of pull requests ({ number, title, url, labels, author, mergedBy, reviewers }),
+ * or null when they could not be fetched
+ */
+export async function getBitbucketPullRequests(connection, sha) {
+  try {
+    if (connection.flavor === "cloud") {
+      const listed = await bitbucketRequestAll(connection, `/commit/${sha}/pullrequests`);
+      const cloudUser = (user) => user?.nickname || user?.display_name || null;
+      return await Promise.all(
+        listed.map(async ({ id }) => {
+          const pr = await bitbucketRequest(connection, `${connection.repoUrl}/pullrequests/${id}`);
+          return {
+            number: pr.id,
+            title: pr.title,
+            url: pr.links?.html?.href || null,
+            labels: [],
+            author: cloudUser(pr.author),
+            mergedBy: pr.state === "MERGED" ? cloudUser(pr.closed_by) : null,
+            reviewers: (pr.reviewers || []).map(cloudUser).filter(Boolean),
+          };
+        })
+      );
+    }
+
+    return (await bitbucketRequestAll(connection, `/commits/${sha}/pull-requests`)).map((pr) => ({
+      number: pr.id,
+      title: pr.title,
+      url: pr.links?.self?.[0]?.href || null,
+      labels: [],
+      author: pr.author?.user?.name || null,
+      mergedBy: null,
+      reviewers: (pr.reviewers || []).map((reviewer) => reviewer.user?.name).filter(Boolean),
+    }));
+  } catch (error) {
+    console.error(`Warning: Could not get pull requests for commit ${sha}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read a file as it was in a commit
+ * @param {object} connection - Object containing flavor, repoUrl and authorization
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<string|null>} - File content, or null when the commit has no such file or it could not be fetched
+ */
+export async function getBitbucketFileContent(connection, filePath, sha) {
+  const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+  try {
+    if (connection.flavor === "cloud") {
+      return await bitbucketRequest(connection, `${connection.repoUrl}/src/${sha}/${encodedPath}`, {}, "text");
+    }
+    return await bitbucketRequest(connection, `${connection.repoUrl}/raw/${encodedPath}`, { at: sha }, "text");
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Warning: Could not get ${filePath} at ${sha}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Create a repository client backed by the Bitbucket Cloud or Bitbucket Server REST API
+ * BITBUCKET_TOKEN is only sent to Bitbucket Cloud and the configured server; a server taken from the repository URL
+ * needs `options.token`.
+ * @param {object} options - Configuration options (repoUrl, token, bitbucketUrl)
+ * @returns {object} - Repository client
+ */
+export function createBitbucketClient(options) {
+  const { flavor, baseUrl, owner, repo } = parseBitbucketUrl(options.repoUrl, options);
+  const trusted = flavor === "cloud" || baseUrl === getConfiguredBitbucketUrl(options)?.url;
+
+  const connection = {
+    flavor,
+    repoUrl:
+      flavor === "cloud"
+        ? `${baseUrl}/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`
+        : `${baseUrl}/rest/api/1.0/projects/${encodeURIComponent(owner)}/repos/${encodeURIComponent(repo)}`,
+    authorization: getAuthorizationHeader(options.token || (trusted ? process.env.BITBUCKET_TOKEN : null)),
+  };
+  const webUrl = flavor === "cloud" ? `https://bitbucket.org/${owner}/${repo}` : `${baseUrl}/projects/${owner}/repos/${repo}`;
+
+  return {
+    provider: "bitbucket",
+    repository: { owner, repo },
+    // Bitbucket Server has no issue tracker of its own
+    issueUrlTemplate: flavor === "cloud" ? `https://bitbucket.org/${owner}/${repo}/issues/{number}` : null,
+    commitUrlTemplate: `${webUrl}/commits/{sha}`,
+    pullRequestUrlTemplate: `${webUrl}/pull-requests/{number}`,
+    resolveRef: (ref) => resolveBitbucketRef(connection, ref),
+    listTags: () => listBitbucketTags(connection),
+    // Bitbucket has no releases; @latest-release falls back to the latest version tag
+    getLatestRelease: async () => null,
+    getDefaultBranch: () => getBitbucketDefaultBranch(connection),
+    fetchCommits: async (baseSha, headSha, targetDir, onProgress, fetchOptions = {}) => ({
+      commits: await getBitbucketCommitsBetween(connection, baseSha, headSha, targetDir, onProgress, fetchOptions),
+      apiUsed: "bitbucket",
+    }),
+    getChangedFiles: (sha) => getBitbucketFilesChangedInCommit(connection, sha),
+    getPullRequests: (sha) => getBitbucketPullRequests(connection, sha),
+    getFileContent: (filePath, sha) => getBitbucketFileContent(connection, filePath, sha),
+    // Bitbucket only sends remaining-quota headers on some plans; without them no throttling is applied
+    getRateLimit: () => connection.rateLimit || null,
+  };
+}
@@ -0,0 +1,218 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// Seconds a ref-to-SHA lookup stays cached; tags can be moved and branches move all the time
+export const DEFAULT_REF_TTL = 60;
+// Seconds a commit's pull requests stay cached; their labels and reviewers change after the commit is made
+export const DEFAULT_PULL_REQUEST_TTL = 60 * 60;
+const DEFAULT_MAX_ENTRIES = 1000;
+// Part of every key; bump it when cached values change shape (2: commits carry author and committer identities)
+const CACHE_FORMAT = 2;
+const FULL_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+/**
+ * Create an in-memory LRU cache, for serverless functions that keep module state between warm invocations
+ * Values are cloned on the way in and out, so callers can modify what they get back.
+ * @param {object} [options] - Cache options
+ * @param {number} [options.maxEntries] - Entries kept before the least recently used ones are evicted (default 1000)
+ * @returns {object} - Cache with async get(key) and set(key, value, ttl)
+ */
+export function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so the Map's insertion order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+    async set(key, value, ttl = null) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+/**
+ * Get the directory the CLI caches API responses in ($XDG_CACHE_HOME or ~/.cache)
+ * @returns {string} - Cache directory
+ */
+export function getDefaultCacheDir() {
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "git-version-differ");
+}
+
+/**
+ * Create a cache that stores one JSON file per entry, so the CLI reuses responses across runs
+ * Unreadable or corrupt files count as misses and failed writes only log a warning, so a broken
+ * cache directory never fails a run.
+ * @param {object} [options] - Cache options
+ * @param {string} [options.directory] - Directory for the cache files (default getDefaultCacheDir())
+ * @returns {object} - Cache with async get(key) and set(key, value, ttl)
+ */
+export function createFileCache({ directory = getDefaultCacheDir() } = {}) {
+  const fileFor = (key) => path.join(directory, `${createHash("sha256").update(key).digest("hex")}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(await readFile(fileFor(key), "utf8"));
+        if (entry.key !== key || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+          return undefined;
+        }
+        return entry.value;
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, value, ttl = null) {
+      const file = fileFor(key);
+      // Write to a temporary file first, so concurrent runs never read half-written entries
+      const temporaryFile = `${file}.${process.pid}.tmp`;
+      try {
+        await mkdir(directory, { recursive: true });
+        await writeFile(temporaryFile, JSON.stringify({ key, expiresAt: ttl ? Date.now() + ttl * 1000 : null, value }));
+        await rename(temporaryFile, file);
+      } catch (error) {
+        console.warn(`[Cache Warning] Failed to write cache entry to ${directory}: ${error.message}`);
+      }
+    },
+  };
+}
+
+/**
+ * Build the prefix for a repository's cache keys
+ * The token is part of the key, so a shared server cache never hands one caller's private data to another.
+ * @param {string} provider - Repository provider
+ * @param {string} repoUrl - Repository URL
+ * @param {string} token - Access token, if any
+ * @returns {string} - Cache key prefix
+ */
+function getCacheNamespace(provider, repoUrl, token) {
+  const tokenHash = createHash("sha256")
+    .update(token || "")
+    .digest("hex")
+    .substring(0, 16);
+  return `v${CACHE_FORMAT}:${provider}:${repoUrl.replace(/\.git$|\/+$/g, "")}:${tokenHash}`;
+}
+
+/**
+ * Wrap a repository client so data that cannot change is read from a cache
+ * Commit file lists, path history checks, file contents and commit ranges between two SHAs are cached for good; ref
+ * lookups are cached for `refTtl` seconds unless the ref already is a full SHA, and the pull requests of a commit for
+ * `pullRequestTtl` seconds. Incomplete ranges, empty file lists (which is what clients return when a lookup fails),
+ * failed pull request lookups and missing files are not cached. Hits and misses are counted in `cacheStats`.
+ * @param {object} client - Repository client
+ * @param {object} cache - Cache with async get(key) and set(key, value, ttl)
+ * @param {object} options - Options containing repoUrl, token, refTtl and pullRequestTtl
+ * @returns {object} - Repository client with cacheStats ({ hits, misses })
+ */
+export function createCachedClient(
+  client,
+  cache,
+  { repoUrl, token = null, refTtl = DEFAULT_REF_TTL, pullRequestTtl = DEFAULT_PULL_REQUEST_TTL }
+) {
+  const namespace = getCacheNamespace(client.provider, repoUrl, token);
+  const cacheStats = { hits: 0, misses: 0 };
+
+  const lookup = async (key) => {
+    const value = await cache.get(`${namespace}:${key}`);
+    cacheStats[value === undefined ? "misses" : "hits"]++;
+    return value;
+  };
+  const store = (key, value, ttl = null) => cache.set(`${namespace}:${key}`, value, ttl);
+
+  return {
+    ...client,
+    cacheStats,
+    resolveRef: async (ref) => {
+      const cached = await lookup(`ref:${ref}`);
+      if (cached !== undefined) {
+        return cached;
+      }
+      const resolved = await client.resolveRef(ref);
+      await store(`ref:${ref}`, resolved, FULL_SHA_PATTERN.test(ref) ? null : refTtl);
+      return resolved;
+    },
+    getChangedFiles: async (sha, fileStats = {}) => {
+      const cached = await lookup(`changes:${sha}`);
+      if (cached !== undefined) {
+        fileStats.complete = cached.complete;
+        return cached.files;
+      }
+      const files = await client.getChangedFiles(sha, fileStats);
+      if (files.length > 0) {
+        await store(`changes:${sha}`, { files, complete: fileStats.complete !== false });
+      }
+      return files;
+    },
+    ...(client.commitTouchesPath && {
+      commitTouchesPath: async (sha, filePath) => {
+        const cached = await lookup(`touches:${sha}:${filePath}`);
+        if (cached !== undefined) {
+          return cached;
+        }
+        const touched = await client.commitTouchesPath(sha, filePath);
+        await store(`touches:${sha}:${filePath}`, touched);
+        return touched;
+      },
+    }),
+    ...(client.getPullRequests && {
+      getPullRequests: async (sha) => {
+        const cached = await lookup(`pulls:${sha}`);
+        if (cached !== undefined) {
+          return cached;
+        }
+        const pullRequests = await client.getPullRequests(sha);
+        if (pullRequests) {
+          await store(`pulls:${sha}`, pullRequests, pullRequestTtl);
+        }
+        return pullRequests;
+      },
+    }),
+    ...(client.getFileContent && {
+      getFileContent: async (filePath, sha) => {
+        const cached = await lookup(`file:${sha}:${filePath}`);
+        if (cached !== undefined) {
+          return cached;
+        }
+        const content = await client.getFileContent(filePath, sha);
+        if (content !== null) {
+          await store(`file:${sha}:${filePath}`, content);
+        }
+        return content;
+      },
+    }),
+    fetchCommits: async (baseSha, headSha, targetDir, onProgress, fetchOptions = {}) => {
+      const fetchStats = fetchOptions.fetchStats || {};
+      const key = `commits:${baseSha}..${headSha}:${targetDir || ""}:${fetchOptions.maxCommits || ""}:${fetchOptions.api || ""}`;
+      const cached = await lookup(key);
+      if (cached !== undefined) {
+        Object.assign(fetchStats, cached.rangeStats);
+        if (onProgress) onProgress(`Loaded ${cached.commits.length} commits from cache`);
+        return { commits: cached.commits, apiUsed: cached.apiUsed };
+      }
+
+      const fetched = await client.fetchCommits(baseSha, headSha, targetDir, onProgress, { ...fetchOptions, fetchStats });
+      if (fetchStats.complete || fetchStats.truncated) {
+        const { complete, totalInRange, truncated, omittedCommits } = fetchStats;
+        await store(key, { ...fetched, rangeStats: { complete, totalInRange, truncated, omittedCommits } });
+      }
+      return fetched;
+    },
+  };
+}
@@ -0,0 +1,206 @@
+// Release notes sections in order; a commit goes to the first section listing its type, where "breaking" stands for
+// breaking changes of any type and "*" for every commit
+export const DEFAULT_CHANGELOG_SECTIONS = [
+  { title: "Breaking Changes", types: ["breaking"] },
+  { title: "Features", types: ["feat", "feature", "minor"] },
+  { title: "Fixes", types: ["fix", "patch", "perf"] },
+  { title: "Other", types: ["*"] },
+];
+
+// Templates fill in {placeholders}. Optional parts of an entry (scope and references) have templates of their own and
+// are left out when there is nothing to show; links without a URL are shown as their text.
+export const CHANGELOG_TEMPLATES = {
+  markdown: {
+    header: "## {version} ({date})\n",
+    section: "\n### {title}\n\n{entries}",
+    entry: "- {scope}{subject}{references}\n",
+    scope: "**{scope}:** ",
+    references: " ({links})",
+    link: "[{text}]({url})",
+    empty: "\nNo changes.\n",
+  },
+  html: {
+    header: "<h2>{version} ({date})</h2>\n",
+    section: "<h3>{title}</h3>\n<ul>\n{entries}</ul>\n",
+    entry: "  <li>{scope}{subject}{references}</li>\n",
+    scope: "<strong>{scope}:</strong> ",
+    references: " ({links})",
+    link: '<a href="{url}">{text}</a>',
+    empty: "<p>No changes.</p>\n",
+  },
+  text: {
+    header: "{version} ({date})\n",
+    section: "\n{title}:\n{entries}",
+    entry: "  * {scope}{subject}{references}\n",
+    scope: "{scope}: ",
+    references: " ({links})",
+    link: "{text}",
+    empty: "\nNo changes.\n",
+  },
+};
+
+// Pull request references GitHub adds to squash merge ("Add refunds (#12)") and merge commit subjects
+const PULL_REQUEST_PATTERNS = [/\(#(\d+)\)\s*$/, /^Merge pull request #(\d+)/];
+
+/**
+ * Fill in the {placeholders} of a template; unknown placeholders are kept so mistakes show in the output
+ * @param {string} template - Template
+ * @param {object} values - Values by placeholder name
+ * @returns {string} - Filled-in template
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * Turn release notes section specifications into section definitions
+ * Sections are an array of `{ title, types }` or a string such as `Features=feat,feature;Fixes=fix;Other=*` (or JSON).
+ * @param {Array|string} sections - Section specifications; the defaults above when empty
+ * @returns {Array} - Array of sections ({ title, types })
+ */
+export function parseChangelogSections(sections) {
+  let parsed = sections;
+  if (typeof parsed === "string") {
+    const trimmed = parsed.trim();
+    if (trimmed.startsWith("[")) {
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Invalid changelog sections JSON: ${error.message}`);
+      }
+    } else {
+      parsed = trimmed
+        .split(";")
+        .filter((section) => section.trim())
+        .map((section) => {
+          const separatorIndex = section.lastIndexOf("=");
+          return separatorIndex === -1
+            ? { title: section.trim(), types: [] }
+            : { title: section.substring(0, separatorIndex).trim(), types: section.substring(separatorIndex + 1).split(",") };
+        });
+    }
+  }
+
+  if (!parsed || parsed.length === 0) {
+    return DEFAULT_CHANGELOG_SECTIONS;
+  }
+
+  return parsed.map((section) => {
+    const types = (section.types || []).map((type) => String(type).trim().toLowerCase()).filter(Boolean);
+    if (!section.title || types.length === 0) {
+      throw new Error(`Invalid changelog section "${section.title || ""}": every section needs a title and commit types`);
+    }
+    return { title: section.title, types };
+  });
+}
+
+/**
+ * Get the pull requests of a commit, from the API when it reported them or else from the subject
+ * @param {object} commit - Commit from getCommitsBetween or streamCommitsBetween
+ * @param {string} subject - First line of the commit message
+ * @param {string} urlTemplate - Pull request URL template with {number}, or null
+ * @returns {Array} - Array of { number, url }
+ */
+function getPullRequests(commit, subject, urlTemplate) {
+  if (commit.pullRequests && commit.pullRequests.length > 0) {
+    return commit.pullRequests.map((pr) => ({
+      number: pr.number,
+      url: pr.url || (urlTemplate ? fillTemplate(urlTemplate, { number: pr.number }) : null),
+    }));
+  }
+
+  for (const pattern of PULL_REQUEST_PATTERNS) {
+    const match = subject.match(pattern);
+    if (match) {
+      return [{ number: parseInt(match[1], 10), url: urlTemplate ? fillTemplate(urlTemplate, { number: match[1] }) : null }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Render release notes for the commits of a result
+ * Commits are grouped into sections (see DEFAULT_CHANGELOG_SECTIONS) and each entry links the commit, its pull
+ * requests and its issues. The version in the header is the `to` tag, or the recommended next tag when the range
+ * ends at a branch or commit.
+ * @param {object} result - Result from getCommitsBetween, or a stream result with its commits
+ * @param {object} options - Options containing format ("markdown", "html" or "text"), sections, templates
+ * (overrides of CHANGELOG_TEMPLATES for the format) and date (defaults to today)
+ * @returns {string} - Release notes
+ */
+export function renderChangelog(result, options = {}) {
+  const format = options.format || "markdown";
+  if (!CHANGELOG_TEMPLATES[format]) {
+    throw new Error(`Invalid changelog format "${format}". Use markdown, html or text.`);
+  }
+
+  const templates = { ...CHANGELOG_TEMPLATES[format], ...options.templates };
+  const sections = parseChangelogSections(options.sections);
+  const urlTemplates = result.urlTemplates || {};
+  const escape = format === "html" ? escapeHtml : (text) => String(text);
+
+  const renderLink = (text, url) => (url ? fillTemplate(templates.link, { text: escape(text), url: escape(url) }) : escape(text));
+
+  const renderEntry = (commit) => {
+    const sha = commit.fullHash || commit.hash;
+    const firstLine = (commit.subject || commit.message || "").split("\n")[0];
+    const pullRequests = getPullRequests(commit, firstLine, urlTemplates.pullRequest);
+    // Tickets and pull requests are linked after the subject, so they are taken out of it
+    let subject = firstLine.replace(/^(\[[A-Z][A-Z0-9_]+-\d+\]\s*)+/, "");
+    if (pullRequests.length > 0) {
+      subject = subject.replace(PULL_REQUEST_PATTERNS[0], "");
+    }
+
+    const pullRequestKeys = pullRequests.map((pr) => `#${pr.number}`);
+    const links = [
+      renderLink(sha.substring(0, 7), urlTemplates.commit ? fillTemplate(urlTemplates.commit, { sha }) : null),
+      ...pullRequests.map((pr) => renderLink(`#${pr.number}`, pr.url)),
+      ...(commit.issues || []).filter((issue) => !pullRequestKeys.includes(issue.key)).map((issue) => renderLink(issue.key, issue.url)),
+    ];
+
+    return fillTemplate(templates.entry, {
+      scope: commit.scope ? fillTemplate(templates.scope, { scope: escape(commit.scope) }) : "",
+      subject: escape(subject.trim()),
+      references: fillTemplate(templates.references, { links: links.join(", ") }),
+      hash: sha.substring(0, 7),
+      type: escape(commit.type || ""),
+      author: escape(commit.author?.name || ""),
+      authors: escape([commit.author, ...(commit.coAuthors || [])].map((person) => person?.name).filter(Boolean).join(", ")),
+      date: (commit.date || "").substring(0, 10),
+    });
+  };
+
+  const grouped = sections.map((section) => ({ ...section, entries: [] }));
+  for (const commit of result.commits || []) {
+    const type = (commit.type || "").toLowerCase();
+    const section = grouped.find(
+      ({ types }) => (commit.breaking && types.includes("breaking")) || types.includes(type) || types.includes("*")
+    );
+    if (section) {
+      section.entries.push(renderEntry(commit));
+    }
+  }
+
+  const version = result.resolvedTo?.kind === "tag" ? result.toRef : result.nextVersion?.nextTag || result.toRef;
+  const header = fillTemplate(templates.header, {
+    version: escape(version || ""),
+    from: escape(result.fromRef || ""),
+    to: escape(result.toRef || ""),
+    date: options.date || new Date().toISOString().substring(0, 10),
+  });
+  const body = grouped
+    .filter((section) => section.entries.length > 0)
+    .map((section) => fillTemplate(templates.section, { title: escape(section.title), entries: section.entries.join("") }))
+    .join("");
+
+  return header + (body || templates.empty);
+}
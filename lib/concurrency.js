@@ -0,0 +1,128 @@
+export const DEFAULT_CONCURRENCY = 8;
+export const MAX_CONCURRENCY = 32;
+
+// Requests start being spaced out once fewer than this share of the quota (or MIN_QUOTA_RESERVE requests) is left
+const LOW_QUOTA_RATIO = 0.1;
+const MIN_QUOTA_RESERVE = 20;
+// Never hold a single request back longer than this, so streaming callers keep receiving progress
+const MAX_THROTTLE_DELAY = 60 * 1000;
+
+/**
+ * Read rate limit headers from an API response
+ * Understands GitHub's `x-ratelimit-*` and GitLab's `ratelimit-*` headers; both report the reset as epoch seconds.
+ * @param {Headers|object} headers - Fetch Headers or a plain header object
+ * @returns {object|null} - Object containing limit, remaining and reset (epoch milliseconds), or null without headers
+ */
+export function parseRateLimitHeaders(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const get = (name) => (typeof headers.get === "function" ? headers.get(name) : headers[name]);
+  const read = (name) => {
+    const value = get(`x-ratelimit-${name}`) ?? get(`ratelimit-${name}`);
+    return value === null || value === undefined ? null : Number(value);
+  };
+
+  const remaining = read("remaining");
+  if (remaining === null || Number.isNaN(remaining)) {
+    return null;
+  }
+
+  const reset = read("reset");
+  return { limit: read("limit"), remaining, reset: reset ? reset * 1000 : null };
+}
+
+/**
+ * Work out how far apart requests should be spaced for the remaining quota
+ * Plenty of quota means no delay; a low quota spreads the remaining requests evenly until the reset,
+ * and an exhausted quota waits for the reset. Delays are capped at one minute.
+ * @param {object|null} rateLimit - Rate limit from parseRateLimitHeaders
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export function getThrottleDelay(rateLimit, now) {
+  if (!rateLimit || !rateLimit.reset) {
+    return 0;
+  }
+
+  const reserve = Math.max((rateLimit.limit || 0) * LOW_QUOTA_RATIO, MIN_QUOTA_RESERVE);
+  if (rateLimit.remaining > reserve) {
+    return 0;
+  }
+
+  const untilReset = Math.max(rateLimit.reset - now, 0);
+  const delay = rateLimit.remaining > 0 ? Math.ceil(untilReset / rateLimit.remaining) : untilReset;
+  return Math.min(delay, MAX_THROTTLE_DELAY);
+}
+
+/**
+ * Create a throttle that callers await before each API request
+ * Concurrent callers share one schedule, so a low quota spaces requests out no matter how many are in flight.
+ * @param {function} getRateLimit - Returns the latest rate limit seen by the client, or null
+ * @param {function} [onWait] - Called with the wait in milliseconds and the rate limit before each wait
+ * @returns {function} - Async function resolving once the next request may start
+ */
+export function createRateLimitThrottle(getRateLimit, onWait = null) {
+  let nextStart = 0;
+
+  return async () => {
+    const now = Date.now();
+    const rateLimit = getRateLimit();
+    const delay = getThrottleDelay(rateLimit, now);
+    if (delay === 0) {
+      return;
+    }
+
+    // Out of quota: everyone waits for the reset. Low on quota: requests take turns, `delay` apart
+    const start = rateLimit.remaining > 0 ? Math.max(now, nextStart) : now + delay;
+    nextStart = start + (rateLimit.remaining > 0 ? delay : 0);
+
+    const wait = start - now;
+    if (wait > 0) {
+      if (onWait) onWait(wait, rateLimit);
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  };
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight, delivering results in item order
+ * `onResult` is called synchronously for each result as soon as every earlier item has finished, so
+ * callers can emit results in order while later items are still running. The worker should handle its own
+ * errors; a rejected worker rejects the whole run, and no further items are started.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers in flight
+ * @param {function} worker - Async function called with (item, index)
+ * @param {function} onResult - Called with (result, index) in item order
+ * @returns {Promise<void>} - Resolves once every item has been delivered
+ */
+export async function forEachInOrder(items, concurrency, worker, onResult) {
+  const results = new Array(items.length);
+  const finished = new Array(items.length).fill(false);
+  let nextIndex = 0;
+  let deliverIndex = 0;
+  let failed = false;
+
+  const runWorker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      finished[index] = true;
+
+      while (deliverIndex < items.length && finished[deliverIndex]) {
+        onResult(results[deliverIndex], deliverIndex);
+        results[deliverIndex] = undefined;
+        deliverIndex++;
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
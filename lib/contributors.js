@@ -0,0 +1,257 @@
+import { createIdentity, parseIdentity } from "./identity.js";
+
+// Path of the file mapping the names and emails in a repository's history to canonical ones
+export const MAILMAP_PATH = ".mailmap";
+
+// Type of change counted for commits without a Conventional Commits type
+const UNTYPED = "other";
+
+const lowerCase = (value) => (value ? value.toLowerCase() : null);
+
+/**
+ * Parse a `.mailmap` file
+ * Supports the four forms git does: `Proper Name <commit@email>`, `<proper@email> <commit@email>`,
+ * `Proper Name <proper@email> <commit@email>` and `Proper Name <proper@email> Commit Name <commit@email>`.
+ * Lines starting with "#" and anything after the last email are comments.
+ * @param {string} text - Content of the file
+ * @returns {Array} - Array of entries ({ properName, properEmail, commitName, commitEmail }, missing parts null)
+ */
+export function parseMailmap(text) {
+  const entries = [];
+
+  for (const line of (text || "").split("\n")) {
+    const match = line.trim().match(/^([^<#]*)<([^>]*)>(?:\s*([^<]*?)\s*<([^>]*)>)?/);
+    if (!match) {
+      continue;
+    }
+
+    const [, firstName, firstEmail, secondName, secondEmail] = match;
+    entries.push(
+      secondEmail === undefined
+        ? { properName: firstName.trim() || null, properEmail: null, commitName: null, commitEmail: firstEmail.trim() }
+        : {
+            properName: firstName.trim() || null,
+            properEmail: firstEmail.trim() || null,
+            commitName: secondName.trim() || null,
+            commitEmail: secondEmail.trim(),
+          }
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Turn contributor alias specifications into alias definitions
+ * Aliases are an object from a person to the emails, logins and names they also use, e.g.
+ * `{ "Jane Doe <jane@example.com>": ["jdoe@old.example.com", "janed"] }`, or a string such as
+ * `Jane Doe <jane@example.com>=jdoe@old.example.com,janed;Sam=sam@example.org` (or JSON). Arrays may mix both.
+ * @param {Array|object|string} specs - Alias specifications
+ * @returns {Array} - Array of aliases ({ name, email, aliases }, with aliases in lower case)
+ */
+export function parseContributorAliases(specs) {
+  const entries = [specs || []].flat().flatMap((spec) => {
+    if (typeof spec !== "string") {
+      return Object.entries(spec);
+    }
+
+    const trimmed = spec.trim();
+    if (trimmed.startsWith("{")) {
+      try {
+        return Object.entries(JSON.parse(trimmed));
+      } catch (error) {
+        throw new Error(`Invalid contributor aliases JSON: ${error.message}`);
+      }
+    }
+
+    return trimmed
+      .split(";")
+      .filter((alias) => alias.trim())
+      .map((alias) => {
+        const separatorIndex = alias.lastIndexOf("=");
+        return separatorIndex === -1 ? [alias, []] : [alias.substring(0, separatorIndex), alias.substring(separatorIndex + 1).split(",")];
+      });
+  });
+
+  return entries.map(([person, aliases]) => {
+    const identity = parseIdentity(person);
+    const normalizedAliases = [aliases || []]
+      .flat()
+      .map((alias) => String(alias).trim().toLowerCase())
+      .filter(Boolean);
+    if (!identity || normalizedAliases.length === 0) {
+      throw new Error(`Invalid contributor alias "${person.trim()}": every alias needs a person and the emails, logins or names to merge`);
+    }
+    return { name: identity.name, email: identity.email, aliases: normalizedAliases };
+  });
+}
+
+/**
+ * Map an identity to its canonical name and email with `.mailmap` entries
+ * Like git, an entry naming both the commit name and email wins over one naming the email only.
+ * @param {object} person - Identity ({ name, email, login, avatarUrl })
+ * @param {Array} mailmap - Entries from parseMailmap
+ * @returns {object} - Identity, with `mapped` set when an entry applied
+ */
+function applyMailmap(person, mailmap) {
+  const email = lowerCase(person.email);
+  const name = lowerCase(person.name);
+  const candidates = mailmap.filter(
+    (entry) => lowerCase(entry.commitEmail) === email && (!entry.commitName || lowerCase(entry.commitName) === name)
+  );
+  const entry = candidates.find((candidate) => candidate.commitName) || candidates[0];
+
+  if (!entry) {
+    return person;
+  }
+  return { ...person, name: entry.properName || person.name, email: entry.properEmail || person.email, mapped: true };
+}
+
+/**
+ * Create an empty contributor tally
+ * @returns {object} - Contributor with keys, names and emails sets and zeroed counts
+ */
+function createContributor() {
+  return {
+    keys: new Set(),
+    names: new Set(),
+    emails: new Set(),
+    commits: 0,
+    coAuthoredCommits: 0,
+    additions: 0,
+    deletions: 0,
+    statsComplete: true,
+    types: {},
+  };
+}
+
+/**
+ * Move the identities and counts of one contributor tally into another
+ * @param {object} contributor - Tally to keep
+ * @param {object} other - Tally to merge in
+ */
+function mergeContributor(contributor, other) {
+  other.keys.forEach((key) => contributor.keys.add(key));
+  other.names.forEach((name) => contributor.names.add(name));
+  other.emails.forEach((email) => contributor.emails.add(email));
+  for (const field of ["commits", "coAuthoredCommits", "additions", "deletions"]) {
+    contributor[field] += other[field];
+  }
+  contributor.statsComplete &&= other.statsComplete;
+  for (const [type, count] of Object.entries(other.types)) {
+    contributor.types[type] = (contributor.types[type] || 0) + count;
+  }
+  if (!contributor.canonical && other.canonical) {
+    Object.assign(contributor, { name: other.name, email: other.email, canonical: true });
+  }
+  contributor.login ||= other.login;
+  contributor.avatarUrl ||= other.avatarUrl;
+}
+
+/**
+ * Add up who contributed to a range of commits
+ * Identities are merged when they share an email or a login, after `.mailmap` and the aliases have mapped them to
+ * canonical names and emails; names alone never merge two people. Authors are credited with the commit, its lines
+ * and its type of change; co-authors are counted in `coAuthoredCommits` only.
+ * @param {Array} commits - Commits from getCommitsBetween or streamCommitsBetween
+ * @param {object} options - Options containing mailmap (the `.mailmap` content or parsed entries) and aliases (see
+ * parseContributorAliases)
+ * @returns {Array} - Contributors ({ name, email, login, avatarUrl, names, emails, commits, coAuthoredCommits, additions,
+ * deletions, statsComplete, types }) by commit count, most first
+ */
+export function summarizeContributors(commits, options = {}) {
+  const mailmap = typeof options.mailmap === "string" ? parseMailmap(options.mailmap) : options.mailmap || [];
+  const aliases = parseContributorAliases(options.aliases);
+  const contributors = [];
+  const byKey = new Map();
+
+  const findContributor = (rawPerson) => {
+    const person = applyMailmap(createIdentity(rawPerson), mailmap);
+    const knownAs = [person.email, person.login, person.name, rawPerson.email, rawPerson.name].map(lowerCase).filter(Boolean);
+    const aliasIndex = aliases.findIndex(
+      (alias) =>
+        (alias.email && lowerCase(alias.email) === lowerCase(person.email)) || knownAs.some((value) => alias.aliases.includes(value))
+    );
+    const alias = aliases[aliasIndex];
+    const name = alias?.name || person.name;
+    const email = alias?.email || person.email;
+
+    const keys = [
+      alias && `alias:${aliasIndex}`,
+      email && `email:${lowerCase(email)}`,
+      person.login && `login:${lowerCase(person.login)}`,
+    ].filter(Boolean);
+    if (keys.length === 0) {
+      keys.push(`name:${lowerCase(name) || ""}`);
+    }
+
+    // One identity can link people seen apart so far, e.g. a login seen with two emails
+    const [contributor = createContributor(), ...others] = new Set(keys.map((key) => byKey.get(key)).filter(Boolean));
+    if (!contributors.includes(contributor)) {
+      contributors.push(contributor);
+    }
+    for (const other of others) {
+      mergeContributor(contributor, other);
+      contributors.splice(contributors.indexOf(other), 1);
+      other.mergedInto = contributor;
+    }
+    for (const key of [...contributor.keys, ...keys]) {
+      contributor.keys.add(key);
+      byKey.set(key, contributor);
+    }
+
+    // Names from aliases and .mailmap win; otherwise the first one seen, which is the latest commit's
+    const canonical = Boolean(alias || person.mapped);
+    if (contributor.name === undefined || (canonical && !contributor.canonical)) {
+      Object.assign(contributor, { name, email, canonical });
+    }
+    contributor.login ||= person.login;
+    contributor.avatarUrl ||= person.avatarUrl;
+    [rawPerson.name, name].filter(Boolean).forEach((personName) => contributor.names.add(personName));
+    [rawPerson.email, email].filter(Boolean).forEach((personEmail) => contributor.emails.add(lowerCase(personEmail)));
+    return contributor;
+  };
+
+  // Follow a tally that a later identity merged into another to the one it is counted in now
+  const resolveContributor = (contributor) => (contributor.mergedInto ? resolveContributor(contributor.mergedInto) : contributor);
+
+  for (const commit of commits) {
+    // A co-author's identity can merge the author's tally into another, so count only once everyone is known
+    const [author, ...coAuthors] = [commit.author || {}, ...(commit.coAuthors || [])].map(findContributor).map(resolveContributor);
+    author.commits++;
+    if (commit.stats) {
+      author.additions += commit.stats.additions;
+      author.deletions += commit.stats.deletions;
+    } else {
+      author.statsComplete = false;
+    }
+    const type = lowerCase(commit.type) || UNTYPED;
+    author.types[type] = (author.types[type] || 0) + 1;
+
+    for (const contributor of new Set(coAuthors)) {
+      if (contributor !== author) {
+        contributor.coAuthoredCommits++;
+      }
+    }
+  }
+
+  return contributors
+    .map((contributor) => ({
+      name: contributor.name || contributor.email || "Unknown",
+      email: contributor.email || null,
+      login: contributor.login || null,
+      avatarUrl: contributor.avatarUrl || null,
+      names: [...contributor.names],
+      emails: [...contributor.emails],
+      commits: contributor.commits,
+      coAuthoredCommits: contributor.coAuthoredCommits,
+      additions: contributor.additions,
+      deletions: contributor.deletions,
+      statsComplete: contributor.statsComplete,
+      types: contributor.types,
+    }))
+    .sort(
+      (first, second) =>
+        second.commits - first.commits || second.coAuthoredCommits - first.coAuthoredCommits || first.name.localeCompare(second.name)
+    );
+}
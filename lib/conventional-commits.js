@@ -0,0 +1,78 @@
+// "type(scope)!: subject"; whitespace after the colon is optional, as it was for the original semver prefixes
+const HEADER_PATTERN = /^([A-Za-z][\w-]*)(?:\(([^()\r\n]*)\))?(!)?:[ \t]*(\S.*)$/;
+
+// "Token: value" or "Token #value"; tokens use "-" for spaces except for BREAKING CHANGE
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[\w-]+)(?:: ?| (?=#))(.*)$/;
+
+// Continuation lines of a multi-line footer value are indented, as for git trailers
+const CONTINUATION_PATTERN = /^[ \t]+\S/;
+
+/**
+ * Check whether a paragraph is a footer paragraph
+ * Like git trailers, it must start with a footer and every other line must be a footer or an indented continuation.
+ * @param {Array} lines - Lines of the paragraph
+ * @returns {boolean} - Whether the paragraph holds only footers
+ */
+function isFooterParagraph(lines) {
+  return (
+    lines.length > 0 &&
+    FOOTER_PATTERN.test(lines[0]) &&
+    lines.every((line) => FOOTER_PATTERN.test(line) || CONTINUATION_PATTERN.test(line))
+  );
+}
+
+/**
+ * Parse the footer paragraph of a commit message
+ * Indented lines continue the value of the previous footer.
+ * @param {Array} lines - Lines of the last paragraph
+ * @returns {object} - Map from footer token to the array of its values, in order of appearance
+ */
+function parseFooters(lines) {
+  const footers = {};
+  let current = null;
+
+  for (const line of lines) {
+    const match = line.match(FOOTER_PATTERN);
+    if (match) {
+      current = { token: match[1], value: match[2].trim() };
+      footers[current.token] = [...(footers[current.token] || []), current.value];
+    } else if (current) {
+      const values = footers[current.token];
+      values[values.length - 1] = `${values[values.length - 1]}\n${line.trim()}`.trim();
+    }
+  }
+
+  return footers;
+}
+
+/**
+ * Parse a commit message following the Conventional Commits specification
+ * The header gives the type, optional scope and `!` breaking marker; the last paragraph is read as footers
+ * (git trailers such as `Refs: #12`, `Closes #34` or `Reviewed-by: Jane`) when every line is one or continues one.
+ * A commit is breaking when its header has `!` or a `BREAKING CHANGE` (or `BREAKING-CHANGE`) footer.
+ * Messages without a conventional header keep their first line as the subject and a null type and scope.
+ * @param {string} message - Full commit message
+ * @returns {object} - Object containing type, scope, breaking, subject, body and footers
+ */
+export function parseConventionalCommit(message) {
+  const [header = "", ...rest] = (message || "").replace(/\r\n/g, "\n").split("\n");
+  const match = header.trim().match(HEADER_PATTERN);
+
+  const paragraphs = rest
+    .join("\n")
+    .trim()
+    .split(/\n[ \t]*\n/)
+    .filter((paragraph) => paragraph.trim());
+  const lastLines = paragraphs.length > 0 ? paragraphs[paragraphs.length - 1].split("\n") : [];
+  const hasFooters = isFooterParagraph(lastLines);
+  const footers = hasFooters ? parseFooters(lastLines) : {};
+
+  return {
+    type: match ? match[1].toLowerCase() : null,
+    scope: match && match[2] ? match[2].trim() : null,
+    breaking: Boolean((match && match[3]) || footers["BREAKING CHANGE"] || footers["BREAKING-CHANGE"]),
+    subject: match ? match[4].trim() : header.trim(),
+    body: (hasFooters ? paragraphs.slice(0, -1) : paragraphs).join("\n\n"),
+    footers,
+  };
+}
@@ -1,34 +1,67 @@
 import { Octokit } from "@octokit/rest";
+import { createBitbucketClient, isBitbucketUrl, parseBitbucketUrl } from "./bitbucket.js";
+import { createCachedClient } from "./cache.js";
+import { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, createRateLimitThrottle, forEachInOrder, parseRateLimitHeaders } from "./concurrency.js";
+import { parseConventionalCommit } from "./conventional-commits.js";
+import { MAILMAP_PATH, parseContributorAliases, summarizeContributors } from "./contributors.js";
+import { createGitLabClient, isGitLabUrl, parseGitLabUrl } from "./gitlab.js";
+import { createIdentity, getCoAuthors } from "./identity.js";
+import { createIssueExtractor, getDefaultIssueTrackers } from "./issues.js";
+import { createLocalGitClient, isLocalRepoUrl, parseLocalRepoUrl } from "./local-git.js";
+import { parseBumpRules, recommendNextVersion } from "./next-version.js";
+import { describeResolvedRef, findNearestTags, parseQualifiedRef, resolveRefWith, resolveSymbolicRef } from "./refs.js";
+import { createPathFilter, getPathPrefixes, getPlainDirectories, getPlainDirectory } from "./path-filter.js";
+import { installRetryHook } from "./retry.js";
+import { parseVersion } from "./semver.js";
+
+const DEFAULT_GITHUB_API_URL = "https://api.github.com";
+// GitHub pages the files of a commit 300 at a time and stops listing them after 3,000
+const MAX_GITHUB_COMMIT_FILES = 3000;
 
 /**
  * Initialize GitHub client with optional token
+ * GITHUB_TOKEN is only used as a fallback for api.github.com, so the server's token is never
+ * sent to another host; callers pass enterprise tokens explicitly.
+ * Every request retries server errors and waits out rate limits (see lib/retry.js).
  * @param {string} token - GitHub personal access token
+ * @param {string} baseUrl - Optional API base URL (e.g. https://github.example.com/api/v3)
+ * @param {object} retryOptions - Optional onProgress callback and maxRateLimitWait budget in seconds
  * @returns {object} - Object containing octokit
  */
-export function initializeGitHubClients(token = null) {
-  const authToken = token || process.env.GITHUB_TOKEN;
+export function initializeGitHubClients(token = null, baseUrl = null, retryOptions = {}) {
+  const isDefaultApi = !baseUrl || baseUrl === DEFAULT_GITHUB_API_URL;
+  const authToken = token || (isDefaultApi ? process.env.GITHUB_TOKEN : null);
 
   const octokit = new Octokit({
     auth: authToken,
+    ...(isDefaultApi ? {} : { baseUrl }),
   });
+  installRetryHook(octokit, retryOptions);
 
   return { octokit };
 }
 
 /**
- * Parse GitHub repository URL to extract owner and repo name
+ * Parse GitHub repository URL to extract host, owner and repo name
+ * Any host is accepted so GitHub Enterprise Server URLs parse the same way as github.com ones.
  * @param {string} url - GitHub repository URL
- * @returns {object} - Object containing owner and repo
+ * @returns {object} - Object containing host, owner and repo
  */
 export function parseGitHubUrl(url) {
-  const patterns = [/github\.com\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/.*)?$/, /github\.com:([^\/]+)\/([^\/]+?)(?:\.git)?$/];
+  const patterns = [
+    /(github\.com)\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/.*)?$/,
+    /(github\.com):([^\/]+)\/([^\/]+?)(?:\.git)?$/,
+    /^https?:\/\/(?:[^@\/]+@)?([^\/]+)\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/.*)?$/,
+    /^(?:ssh:\/\/)?[^@\/\s]+@([^:\/\s]+)[:\/]([^\/]+)\/([^\/]+?)(?:\.git)?$/,
+  ];
 
   for (const pattern of patterns) {
     const match = url.match(pattern);
     if (match) {
       return {
-        owner: match[1],
-        repo: match[2],
+        host: match[1].replace(/^www\./, ""),
+        owner: match[2],
+        repo: match[3],
       };
     }
   }
@@ -37,7 +70,237 @@ export function parseGitHubUrl(url) {
 }
 
 /**
- * Get commit SHA for a given tag or return the hash if it's already a commit SHA
+ * Read the host-to-API map for GitHub Enterprise Server hosts
+ * Entries come from `options.githubApiUrls` and the GITHUB_API_URLS environment variable, given either as
+ * JSON (`{"github.example.com":"https://github.example.com/api/v3"}`) or as `host=url` pairs separated by commas.
+ * An entry may carry the server token for that host: `{"apiUrl": "...", "token": "..."}` in JSON, `host=url|token`
+ * as a pair.
+ * @param {object} options - Configuration options
+ * @returns {object} - Map of host to an object containing apiUrl and token (or null)
+ */
+function getGitHubApiUrlMap(options = {}) {
+  const entries = {};
+  const envValue = (process.env.GITHUB_API_URLS || "").trim();
+
+  if (envValue.startsWith("{")) {
+    try {
+      Object.assign(entries, JSON.parse(envValue));
+    } catch (error) {
+      console.warn(`[Core Warning] Ignoring invalid GITHUB_API_URLS JSON: ${error.message}`);
+    }
+  } else if (envValue) {
+    for (const entry of envValue.split(",")) {
+      const [host, value] = entry.split("=").map((part) => part.trim());
+      if (host && value) {
+        const [apiUrl, token] = value.split("|").map((part) => part.trim());
+        entries[host] = { apiUrl, token };
+      }
+    }
+  }
+
+  Object.assign(entries, options.githubApiUrls || {});
+
+  const map = {};
+  for (const [host, entry] of Object.entries(entries)) {
+    const { apiUrl, token } = typeof entry === "string" ? { apiUrl: entry } : entry || {};
+    if (apiUrl) {
+      map[host] = { apiUrl: apiUrl.replace(/\/+$/, ""), token: token || null };
+    }
+  }
+  return map;
+}
+
+/**
+ * Check whether an API base URL may be requested: api.github.com or a URL from the host-to-API map
+ * An `apiUrl` from a request is only followed when it passes, so callers cannot point the server at other hosts.
+ * @param {string} apiUrl - API base URL
+ * @param {object} options - Configuration options (githubApiUrls)
+ * @returns {boolean} - Whether the URL is configured
+ */
+export function isConfiguredGitHubApiUrl(apiUrl, options = {}) {
+  const normalized = (apiUrl || "").replace(/\/+$/, "");
+  return (
+    normalized === DEFAULT_GITHUB_API_URL ||
+    Object.values(getGitHubApiUrlMap(options)).some((entry) => entry.apiUrl === normalized)
+  );
+}
+
+/**
+ * Resolve the GitHub API base URL for a repository host
+ * An explicit `options.apiUrl` wins when it is configured (see isConfiguredGitHubApiUrl), then the host-to-API map;
+ * other hosts fall back to `https://<host>/api/v3`, the GitHub Enterprise Server default.
+ * The server's GITHUB_TOKEN is only used for api.github.com; an enterprise API gets the token of its map entry.
+ * @param {string} host - Repository host
+ * @param {object} options - Configuration options (apiUrl, githubApiUrls)
+ * @returns {object} - Object containing apiUrl and serverToken, the token to use when the request has none (or null)
+ */
+export function resolveGitHubApiUrl(host, options = {}) {
+  const map = getGitHubApiUrlMap(options);
+  if (options.apiUrl && !isConfiguredGitHubApiUrl(options.apiUrl, options)) {
+    throw new Error(`GitHub API URL ${options.apiUrl} is not configured. Add it to GITHUB_API_URLS to use it.`);
+  }
+
+  const apiUrl = options.apiUrl
+    ? options.apiUrl.replace(/\/+$/, "")
+    : map[host]?.apiUrl || (host === "github.com" ? DEFAULT_GITHUB_API_URL : `https://${host}/api/v3`);
+  const entry = Object.values(map).find((candidate) => candidate.apiUrl === apiUrl && candidate.token);
+
+  return {
+    apiUrl,
+    serverToken: apiUrl === DEFAULT_GITHUB_API_URL ? process.env.GITHUB_TOKEN || null : entry?.token || null,
+  };
+}
+
+/**
+ * Parse a repository URL for any supported provider
+ * @param {string} url - GitHub, GitLab or Bitbucket repository URL, local path or `file://` URL
+ * @param {object} options - Configuration options (gitlabUrl, bitbucketUrl, provider)
+ * @returns {object} - Object containing provider, owner and repo (and path for local repositories)
+ */
+export function parseRepositoryUrl(url, options = {}) {
+  if (isLocalRepoUrl(url)) {
+    const { path, repo } = parseLocalRepoUrl(url);
+    return { provider: "local", owner: null, repo, path };
+  }
+
+  if (isGitLabUrl(url, options)) {
+    const { owner, repo } = parseGitLabUrl(url);
+    return { provider: "gitlab", owner, repo };
+  }
+
+  if (isBitbucketUrl(url, options)) {
+    const { owner, repo } = parseBitbucketUrl(url, options);
+    return { provider: "bitbucket", owner, repo };
+  }
+
+  const { owner, repo } = parseGitHubUrl(url);
+  return { provider: "github", owner, repo };
+}
+
+/**
+ * Create a repository client backed by the GitHub API
+ * @param {object} options - Configuration options (repoUrl, token, api, onProgress, maxRateLimitWait)
+ * @returns {object} - Repository client
+ */
+function createGitHubClient(options) {
+  const { host, owner, repo } = parseGitHubUrl(options.repoUrl);
+  const { apiUrl, serverToken } = resolveGitHubApiUrl(host, options);
+  const token = options.token || serverToken;
+  const { octokit } = initializeGitHubClients(token, apiUrl, {
+    onProgress: options.onProgress,
+    maxRateLimitWait: options.maxRateLimitWait,
+  });
+  const api = resolveApiMode(options);
+  const hasToken = Boolean(token);
+
+  // Remember the quota reported by the latest response (including rate-limited errors) for throttling
+  let rateLimit = null;
+  octokit.hook.after("request", (response) => {
+    rateLimit = parseRateLimitHeaders(response.headers) || rateLimit;
+  });
+  octokit.hook.error("request", (error) => {
+    rateLimit = parseRateLimitHeaders(error.response?.headers) || rateLimit;
+    throw error;
+  });
+
+  return {
+    provider: "github",
+    repository: { owner, repo },
+    issueUrlTemplate: `https://${host}/${owner}/${repo}/issues/{number}`,
+    commitUrlTemplate: `https://${host}/${owner}/${repo}/commit/{sha}`,
+    pullRequestUrlTemplate: `https://${host}/${owner}/${repo}/pull/{number}`,
+    resolveRef: (ref) => resolveGitHubRef(octokit, owner, repo, ref),
+    listTags: () => listGitHubTags(octokit, owner, repo),
+    getLatestRelease: () => getGitHubLatestRelease(octokit, owner, repo),
+    getDefaultBranch: async () => (await octokit.rest.repos.get({ owner, repo })).data.default_branch,
+    fetchCommits: (baseSha, headSha, targetDir, onProgress, fetchOptions = {}) =>
+      fetchCommitsInRange(octokit, owner, repo, baseSha, headSha, targetDir, onProgress, { ...fetchOptions, api, hasToken }),
+    getChangedFiles: (sha, fileStats) => getFilesChangedInCommit(octokit, owner, repo, sha, fileStats),
+    commitTouchesPath: (sha, filePath) => isCommitInPathHistory(octokit, owner, repo, sha, filePath),
+    getPullRequests: (sha) => getGitHubPullRequests(octokit, owner, repo, sha, { api, hasToken }),
+    getFileContent: (filePath, sha) => getGitHubFileContent(octokit, owner, repo, filePath, sha),
+    getRateLimit: () => rateLimit,
+  };
+}
+
+/**
+ * Create the repository client for the URL in the options
+ * A client exposes the same operations for every backend:
+ * `resolveRef(ref)` (resolving to `{ sha, kind, peeledFrom }`), `fetchCommits(baseSha, headSha, targetDir, onProgress, options)`,
+ * `getChangedFiles(sha, fileStats)`, `listTags()`, `getLatestRelease()` and `getDefaultBranch()` for symbolic refs, and
+ * `getRateLimit()` returning the quota from the latest API response (`{ limit, remaining, reset }` or null).
+ * Clients also carry `issueUrlTemplate`, the URL of an issue `{number}` in the provider's own tracker, or null, and
+ * `commitUrlTemplate` and `pullRequestUrlTemplate` for the web pages of a commit `{sha}` and pull request `{number}`.
+ * `getChangedFiles` sets `fileStats.complete` to false when the provider could not list every file; such clients
+ * also offer `commitTouchesPath(sha, path)` so the directory filter can check those commits another way.
+ * Remote clients offer `getPullRequests(sha)`, listing the pull requests a commit belongs to with their labels,
+ * author, merger and reviewers (null when the lookup fails).
+ * `getFileContent(path, sha)` reads a file as it was in a commit, returning null when there is no such file.
+ * Local repositories are only allowed when `options.allowLocal` is set or `ALLOW_LOCAL_REPOS=true`,
+ * so a deployed API cannot be used to read arbitrary paths on the server.
+ * With `options.cache` (see lib/cache.js), remote clients read immutable data from the cache and count
+ * hits and misses in `client.cacheStats`; local repositories are fast to read and never cached.
+ * @param {object} options - Configuration options
+ * @returns {object} - Repository client
+ */
+export function createRepositoryClient(options) {
+  if (isLocalRepoUrl(options.repoUrl)) {
+    if (!options.allowLocal && process.env.ALLOW_LOCAL_REPOS !== "true") {
+      throw new Error("Local repositories are not enabled. Set ALLOW_LOCAL_REPOS=true to allow them.");
+    }
+    return createLocalGitClient(options.repoUrl);
+  }
+
+  let client;
+  if (isGitLabUrl(options.repoUrl, options)) {
+    client = createGitLabClient(options);
+  } else if (isBitbucketUrl(options.repoUrl, options)) {
+    client = createBitbucketClient(options);
+  } else {
+    client = createGitHubClient(options);
+  }
+
+  return options.cache ? createCachedClient(client, options.cache, { repoUrl: options.repoUrl, token: options.token }) : client;
+}
+
+/**
+ * Resolve a tag, branch or commit SHA to the commit it points to
+ * Annotated tags are peeled to their commit; `peeledFrom` keeps the tag object SHA.
+ * `refs/tags/...` and `refs/heads/...` qualifiers pick the kind when a tag and a branch share a name.
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Tag name, branch name, commit SHA or qualified ref
+ * @returns {Promise<object>} - Object containing sha, kind ("tag", "branch" or "commit") and peeledFrom
+ */
+export async function resolveGitHubRef(octokit, owner, repo, ref) {
+  return resolveRefWith(ref, {
+    tag: async (name) => {
+      const response = await octokit.rest.git.getRef({ owner, repo, ref: `tags/${name}` });
+      let object = response.data.object;
+      const peeledFrom = object.type === "tag" ? object.sha : null;
+
+      // Tags can point at other tags, so keep peeling until a commit is reached
+      while (object.type === "tag") {
+        const tag = await octokit.rest.git.getTag({ owner, repo, tag_sha: object.sha });
+        object = tag.data.object;
+      }
+
+      return object.type === "commit" ? { sha: object.sha, peeledFrom } : null;
+    },
+    branch: async (name) => {
+      const response = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${name}` });
+      return { sha: response.data.object.sha };
+    },
+    commit: async (name) => {
+      const response = await octokit.rest.repos.getCommit({ owner, repo, ref: name });
+      return { sha: response.data.sha };
+    },
+  });
+}
+
+/**
+ * Get commit SHA for a given tag, branch or commit
  * @param {object} octokit - Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
@@ -45,43 +308,69 @@ export function parseGitHubUrl(url) {
  * @returns {string} - Commit SHA
  */
 export async function getCommitSha(octokit, owner, repo, tagOrCommit) {
+  const { sha } = await resolveGitHubRef(octokit, owner, repo, tagOrCommit);
+  return sha;
+}
+
+/**
+ * List the repository's tags with the commits they point to
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Array>} - Array of objects containing name and sha
+ */
+export async function listGitHubTags(octokit, owner, repo) {
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+  return tags.map((tag) => ({ name: tag.name, sha: tag.commit.sha }));
+}
+
+/**
+ * Get the tag name of the latest published (non-draft, non-prerelease) release
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string|null>} - Tag name, or null when the repository has no releases
+ */
+export async function getGitHubLatestRelease(octokit, owner, repo) {
   try {
-    // First, try to get the commit directly (in case it's already a SHA)
-    try {
-      const response = await octokit.rest.repos.getCommit({
-        owner,
-        repo,
-        ref: tagOrCommit,
-      });
-      return response.data.sha;
-    } catch (error) {
-      // If that fails, try to get it as a tag
-      try {
-        const response = await octokit.rest.git.getRef({
-          owner,
-          repo,
-          ref: `tags/${tagOrCommit}`,
-        });
-        return response.data.object.sha;
-      } catch (tagError) {
-        // If that also fails, try as a branch
-        try {
-          const response = await octokit.rest.git.getRef({
-            owner,
-            repo,
-            ref: `heads/${tagOrCommit}`,
-          });
-          return response.data.object.sha;
-        } catch (branchError) {
-          throw new Error(`Could not find tag or commit: ${tagOrCommit}`);
-        }
-      }
-    }
+    const response = await octokit.rest.repos.getLatestRelease({ owner, repo });
+    return response.data.tag_name;
   } catch (error) {
-    throw new Error(`Could not find tag or commit: ${tagOrCommit}`);
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
   }
 }
 
+/**
+ * Convert a commit from GitHub's REST API into the commit shape shared by all backends
+ * The git author and committer carry the login and avatar of the GitHub account their email belongs to, if any.
+ * @param {object} commit - GitHub REST commit object
+ * @returns {object} - Normalized commit object
+ */
+function normalizeGitHubCommit(commit) {
+  const person = (gitPerson, user) => ({
+    name: gitPerson?.name,
+    email: gitPerson?.email || null,
+    date: gitPerson?.date,
+    login: user?.login || null,
+    avatarUrl: user?.avatar_url || null,
+  });
+
+  return {
+    sha: commit.sha,
+    parents: (commit.parents || []).map((parent) => parent.sha),
+    commit: {
+      message: commit.commit.message,
+      author: person(commit.commit.author, commit.author),
+      committer: person(commit.commit.committer, commit.committer),
+    },
+    files: [], // Will be populated later if needed
+    changedFilesCount: null,
+  };
+}
+
 /**
  * Get commits between two references using REST API
  * @param {object} octokit - Octokit instance
@@ -90,9 +379,18 @@ export async function getCommitSha(octokit, owner, repo, tagOrCommit) {
  * @param {string} baseSha - Base commit SHA (older)
  * @param {string} headSha - Head commit SHA (newer)
  * @param {string} targetDir - Optional target directory to filter commits by path
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} options - Additional fetch options
+ * @param {object} options.fetchStats - Optional object that receives request counts and range completeness
+ * @param {number} options.maxCommits - Optional maximum number of commits to fetch
  * @returns {Array} - Array of commit objects
  */
-export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headSha, targetDir = null, onProgress = null) {
+export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headSha, targetDir = null, onProgress = null, options = {}) {
+  const fetchStats = options.fetchStats || {};
+  fetchStats.requestCount = fetchStats.requestCount || 0;
+  fetchStats.totalChecked = fetchStats.totalChecked || 0;
+  const maxCommits = options.maxCommits > 0 ? options.maxCommits : null;
+
   // Safe progress callback wrapper
   const safeProgress = (message) => {
     try {
@@ -111,6 +409,7 @@ export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headS
     let page = 1;
     const perPage = 100;
     let foundBase = false;
+    let truncated = false;
     let listCommitShas = new Set(); // Store all SHAs from listCommits
 
     console.log(`listing commits between ${baseSha} and ${headSha} affecting path ${targetDir}`);
@@ -128,12 +427,14 @@ export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headS
         per_page: perPage,
         page: page,
       });
+      fetchStats.requestCount++;
 
       if (response.data.length === 0) {
         break; // No more commits
       }
 
       for (const commit of response.data) {
+        fetchStats.totalChecked++;
         listCommitShas.add(commit.sha); // Store SHA for later matching
         console.log(`\t${commit.sha} <> ${baseSha}`);
         // Check if we've reached the base commit
@@ -142,18 +443,19 @@ export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headS
           break;
         }
 
-        allCommits.push({
-          sha: commit.sha,
-          commit: {
-            message: commit.commit.message,
-            author: {
-              name: commit.commit.author.name,
-              date: commit.commit.author.date,
-            },
-          },
-          files: [], // Will be populated later if needed
-          changedFilesCount: 0,
-        });
+        // Another commit beyond the limit means the range is truncated
+        if (maxCommits && allCommits.length >= maxCommits) {
+          truncated = true;
+          break;
+        }
+
+        allCommits.push(normalizeGitHubCommit(commit));
+      }
+
+      if (truncated) {
+        console.log(`[REST] Reached maxCommits limit (${maxCommits}), stopping pagination`);
+        safeProgress(`Reached the limit of ${maxCommits} commits, stopping...`);
+        break;
       }
 
       if (response.data.length < perPage) {
@@ -164,7 +466,7 @@ export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headS
     }
 
     // If baseSha not found in listCommits, try to find intersection by going back from baseSha
-    if (!foundBase && listCommitShas.size > 0) {
+    if (!foundBase && !truncated && listCommitShas.size > 0) {
       console.log(`[REST] baseSha ${baseSha} not found in listCommits, searching for intersection...`);
       safeProgress(`Searching for intersection from base commit...`);
 
@@ -186,6 +488,7 @@ export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headS
           per_page: intersectionPerPage,
           page: intersectionPage,
         });
+        fetchStats.requestCount++;
 
         if (intersectionResponse.data.length === 0) {
           break; // No more commits
@@ -249,134 +552,805 @@ export async function getCommitsBetweenREST(octokit, owner, repo, baseSha, headS
       }
     }
 
+    // The path-filtered listing has no total to compare against, so the range is complete
+    // only when the walk actually reached the base commit (or an intersection with it)
+    fetchStats.totalInRange = null;
+    fetchStats.complete = foundBase;
+    fetchStats.truncated = truncated;
+    // How many path-filtered commits were left out cannot be known without walking the rest of the range
+    fetchStats.omittedCommits = null;
+
     console.log(`[REST] Found ${allCommits.length} commits affecting path ${targetDir}`);
     safeProgress(`Found ${allCommits.length} commits that modified the specified path`);
     return allCommits;
   } else {
-    // Use compareCommits for full repository comparison when no targetDir is specified
+    // Use compareCommits for full repository comparison when no targetDir is specified.
+    // A single compare response is capped at 250 commits, so walk every page until
+    // we have collected the `total_commits` reported by GitHub.
     console.log(`[REST] Using compareCommits for full repository comparison`);
     safeProgress("Comparing commit ranges...");
 
-    const response = await octokit.rest.repos.compareCommits({
+    const perPage = 100;
+    let page = 1;
+    let totalInRange = null;
+    let truncated = false;
+    let rangeCommits = [];
+
+    while (true) {
+      const response = await octokit.rest.repos.compareCommits({
+        owner,
+        repo,
+        base: baseSha,
+        head: headSha,
+        per_page: perPage,
+        page,
+      });
+      fetchStats.requestCount++;
+
+      totalInRange = response.data.total_commits;
+      truncated = Boolean(maxCommits && totalInRange > maxCommits);
+      const pageCommits = response.data.commits || [];
+      fetchStats.totalChecked += pageCommits.length;
+
+      // Compare lists the oldest commits first, so a range over the limit skips ahead to the pages with the newest ones
+      const firstPage = truncated ? Math.floor((totalInRange - maxCommits) / perPage) + 1 : 1;
+      if (page < firstPage) {
+        console.log(`[REST] Range has ${totalInRange} commits, skipping to compare page ${firstPage} for the newest ${maxCommits}`);
+        safeProgress(`Range has more than ${maxCommits} commits, fetching the newest...`);
+        page = firstPage;
+        continue;
+      }
+
+      rangeCommits = rangeCommits.concat(pageCommits);
+
+      console.log(`[REST] Compare page ${page}: ${pageCommits.length} commits (${rangeCommits.length}/${totalInRange})`);
+
+      if (pageCommits.length < perPage || page * perPage >= totalInRange) {
+        break;
+      }
+
+      safeProgress(`Fetched ${rangeCommits.length} of ${totalInRange} commits in range...`);
+      page++;
+    }
+
+    fetchStats.totalInRange = totalInRange;
+    fetchStats.truncated = truncated;
+    fetchStats.omittedCommits = truncated ? totalInRange - maxCommits : 0;
+
+    if (truncated) {
+      rangeCommits = rangeCommits.slice(-maxCommits);
+    }
+
+    fetchStats.complete = rangeCommits.length >= totalInRange;
+
+    if (!fetchStats.complete && !fetchStats.truncated) {
+      console.warn(`[REST Warning] compareCommits returned ${rangeCommits.length} of ${totalInRange} commits in range`);
+    }
+
+    safeProgress(`Found ${rangeCommits.length} commits in range`);
+
+    return rangeCommits.map(normalizeGitHubCommit);
+  }
+}
+
+const COMMIT_HISTORY_QUERY = `
+  fragment CommitPerson on GitActor {
+    name
+    email
+    date
+    user {
+      login
+      avatarUrl
+    }
+  }
+
+  query (
+    $owner: String!
+    $repo: String!
+    $head: GitObjectID!
+    $base: GitObjectID!
+    $path: String
+    $first: Int!
+    $after: String
+    $baseFirst: Int!
+    $withBase: Boolean!
+  ) {
+    repository(owner: $owner, name: $repo) {
+      base: object(oid: $base) @include(if: $withBase) {
+        ... on Commit {
+          history(path: $path, first: $baseFirst) {
+            nodes {
+              oid
+            }
+          }
+        }
+      }
+      object(oid: $head) {
+        ... on Commit {
+          history(path: $path, first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              oid
+              message
+              changedFilesIfAvailable
+              parents(first: 2) {
+                nodes {
+                  oid
+                }
+              }
+              author {
+                ...CommitPerson
+              }
+              committer {
+                ...CommitPerson
+              }
+              associatedPullRequests(first: 5) {
+                nodes {
+                  number
+                  title
+                  url
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Convert a GraphQL commit author or committer into the person shape of normalized commits
+ * @param {object} actor - GitActor with name, email, date and the GitHub user its email belongs to
+ * @returns {object} - Object containing name, email, date, login and avatarUrl
+ */
+function normalizeGraphQLPerson(actor) {
+  return {
+    name: actor?.name,
+    email: actor?.email || null,
+    date: actor?.date,
+    login: actor?.user?.login || null,
+    avatarUrl: actor?.user?.avatarUrl || null,
+  };
+}
+
+/**
+ * Get commits between two references using the GraphQL commit history API.
+ * Walks `history(path:, first:, after:)` from the head commit, collecting messages, authors, changed-file counts and
+ * associated pull requests in one round trip per page. The history lists the ancestors of the base commit too and,
+ * with a path filter, usually not the base commit itself, so the first request also reads the newest commits of the
+ * base commit's own history (as many as maxCommits, at most one page). Those are skipped, and the walk stops once it
+ * has passed all of them; commits of branches merged after the base are kept even when they are older than it.
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseSha - Base commit SHA (older)
+ * @param {string} headSha - Head commit SHA (newer)
+ * @param {string} targetDir - Optional target directory to filter commits by path
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} options - Additional fetch options
+ * @param {object} options.fetchStats - Optional object that receives request counts and range completeness
+ * @param {number} options.maxCommits - Optional maximum number of commits to fetch
+ * @returns {Array} - Array of commit objects
+ */
+export async function getCommitsBetweenGraphQL(octokit, owner, repo, baseSha, headSha, targetDir = null, onProgress = null, options = {}) {
+  const fetchStats = options.fetchStats || {};
+  fetchStats.requestCount = fetchStats.requestCount || 0;
+  fetchStats.totalChecked = fetchStats.totalChecked || 0;
+  const maxCommits = options.maxCommits > 0 ? options.maxCommits : null;
+
+  // Safe progress callback wrapper
+  const safeProgress = (message) => {
+    try {
+      if (onProgress) onProgress(message);
+    } catch (callbackError) {
+      console.warn(`[GraphQL Progress Warning] Progress callback error: ${callbackError.message}`);
+    }
+  };
+
+  const perPage = 100;
+  const allCommits = [];
+  let cursor = null;
+  let baseHistory = null;
+  let unseenBaseCommits = 0;
+  let reachedBase = false;
+  let truncated = false;
+
+  console.log(`[GraphQL] Walking history from ${headSha} to ${baseSha}${targetDir ? ` affecting path ${targetDir}` : ""}`);
+  safeProgress(targetDir ? `Fetching commit history for path: ${targetDir}...` : "Fetching commit history...");
+
+  while (!reachedBase) {
+    const response = await octokit.graphql(COMMIT_HISTORY_QUERY, {
       owner,
       repo,
-      base: baseSha,
       head: headSha,
+      base: baseSha,
+      path: targetDir || null,
+      first: perPage,
+      after: cursor,
+      baseFirst: Math.min(perPage, maxCommits || perPage),
+      withBase: baseHistory === null,
     });
+    fetchStats.requestCount++;
+
+    const history = response.repository?.object?.history;
+    if (!history) {
+      throw new Error(`Could not read commit history for ${headSha}`);
+    }
+    if (baseHistory === null) {
+      const baseNodes = response.repository?.base?.history?.nodes;
+      if (!baseNodes) {
+        throw new Error(`Could not read commit history for ${baseSha}`);
+      }
+      baseHistory = new Set(baseNodes.map((node) => node.oid));
+      unseenBaseCommits = baseHistory.size;
+    }
+
+    for (const node of history.nodes) {
+      fetchStats.totalChecked++;
+
+      // The base commit and its ancestors are not in the range
+      if (baseHistory.has(node.oid)) {
+        unseenBaseCommits--;
+        if (unseenBaseCommits === 0) {
+          reachedBase = true;
+          break;
+        }
+        continue;
+      }
 
-    safeProgress(`Found ${response.data.commits.length} commits in range`);
+      // Another commit beyond the limit means the range is truncated
+      if (maxCommits && allCommits.length >= maxCommits) {
+        truncated = true;
+        break;
+      }
 
-    return response.data.commits.map((commit) => ({
-      sha: commit.sha,
-      commit: {
-        message: commit.commit.message,
-        author: {
-          name: commit.commit.author.name,
-          date: commit.commit.author.date,
+      allCommits.push({
+        sha: node.oid,
+        // Two parents are enough to tell merges apart and to follow the first parent
+        parents: (node.parents?.nodes || []).map((parent) => parent.oid),
+        commit: {
+          message: node.message,
+          author: normalizeGraphQLPerson(node.author),
+          committer: normalizeGraphQLPerson(node.committer),
         },
-      },
-      files: [],
-      changedFilesCount: 0,
-    }));
+        files: [],
+        changedFilesCount: node.changedFilesIfAvailable ?? null,
+        pullRequests: (node.associatedPullRequests?.nodes || []).map((pr) => ({
+          number: pr.number,
+          title: pr.title,
+          url: pr.url,
+        })),
+      });
+    }
+
+    console.log(`[GraphQL] Request ${fetchStats.requestCount}: checked ${fetchStats.totalChecked} commits`);
+
+    if (truncated) {
+      console.log(`[GraphQL] Reached maxCommits limit (${maxCommits}), stopping pagination`);
+      safeProgress(`Reached the limit of ${maxCommits} commits, stopping...`);
+      break;
+    }
+
+    // The whole history was listed, so every commit outside the base history is in the range
+    if (!history.pageInfo.hasNextPage) {
+      reachedBase = true;
+      break;
+    }
+
+    if (!reachedBase) {
+      safeProgress(`Fetched ${allCommits.length} commits so far...`);
+      cursor = history.pageInfo.endCursor;
+    }
+  }
+
+  // Like the path-filtered REST listing, the history walk has no total to compare against
+  fetchStats.totalInRange = null;
+  fetchStats.complete = reachedBase;
+  fetchStats.truncated = truncated;
+  fetchStats.omittedCommits = null;
+
+  // Without a path filter, one compare request tells us how many commits were left out
+  if (truncated && !targetDir) {
+    const compare = await octokit.rest.repos.compareCommits({ owner, repo, base: baseSha, head: headSha, per_page: 1 });
+    fetchStats.requestCount++;
+    fetchStats.totalInRange = compare.data.total_commits;
+    fetchStats.omittedCommits = Math.max(compare.data.total_commits - allCommits.length, 0);
+  }
+
+  safeProgress(`Found ${allCommits.length} commits in range`);
+  return allCommits;
+}
+
+/**
+ * Fetch the commits in a range with the requested API backend
+ * In `auto` mode GraphQL is tried first (when a token is available, since GitHub's GraphQL API
+ * requires authentication) and REST is used if it fails.
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseSha - Base commit SHA (older)
+ * @param {string} headSha - Head commit SHA (newer)
+ * @param {string} targetDir - Optional target directory to filter commits by path
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} options - Additional fetch options
+ * @param {string} options.api - API backend: "graphql", "rest" or "auto"
+ * @param {boolean} options.hasToken - Whether the client is authenticated
+ * @param {object} options.fetchStats - Optional object that receives request counts and range completeness
+ * @param {number} options.maxCommits - Optional maximum number of commits to fetch
+ * @returns {Promise<object>} - Object containing commits and the apiUsed label
+ */
+export async function fetchCommitsInRange(octokit, owner, repo, baseSha, headSha, targetDir = null, onProgress = null, options = {}) {
+  const api = options.api || "auto";
+  const fetchOptions = { fetchStats: options.fetchStats, maxCommits: options.maxCommits };
+
+  if (api === "rest" || (api === "auto" && !options.hasToken)) {
+    const commits = await getCommitsBetweenREST(octokit, owner, repo, baseSha, headSha, targetDir, onProgress, fetchOptions);
+    return { commits, apiUsed: "rest" };
+  }
+
+  try {
+    const commits = await getCommitsBetweenGraphQL(octokit, owner, repo, baseSha, headSha, targetDir, onProgress, fetchOptions);
+    return { commits, apiUsed: "graphql" };
+  } catch (error) {
+    if (api === "graphql") {
+      throw error;
+    }
+
+    console.warn(`[Core Warning] GraphQL fetch failed, falling back to REST: ${error.message}`);
+    if (onProgress) {
+      try {
+        onProgress("GraphQL fetch failed, falling back to REST API...");
+      } catch (callbackError) {
+        console.warn(`[Core Warning] Progress callback error: ${callbackError.message}`);
+      }
+    }
+
+    const commits = await getCommitsBetweenREST(octokit, owner, repo, baseSha, headSha, targetDir, onProgress, fetchOptions);
+    return { commits, apiUsed: "rest-fallback" };
+  }
+}
+
+/**
+ * Resolve and validate the API backend requested in the options
+ * @param {object} options - Configuration options
+ * @returns {string} - "graphql", "rest" or "auto"
+ */
+function resolveApiMode(options) {
+  const api = options.api || (options.restOnly ? "rest" : "auto");
+
+  if (!["graphql", "rest", "auto"].includes(api)) {
+    throw new Error(`Invalid api option "${api}". Use "graphql", "rest" or "auto".`);
+  }
+
+  return api;
+}
+
+const MERGE_MODES = ["all", "first-parent", "merges-only", "no-merges"];
+
+/**
+ * Resolve and validate the merge mode requested in the options
+ * @param {object} options - Configuration options
+ * @returns {string} - "all", "first-parent", "merges-only" or "no-merges"
+ */
+function resolveMergeMode(options) {
+  const mergeMode = options.mergeMode || "all";
+
+  if (!MERGE_MODES.includes(mergeMode)) {
+    throw new Error(`Invalid mergeMode option "${mergeMode}". Use ${MERGE_MODES.map((mode) => `"${mode}"`).join(", ")}.`);
+  }
+
+  return mergeMode;
+}
+
+/**
+ * Resolve and validate the number of file requests the stream keeps in flight
+ * @param {object} options - Configuration options
+ * @returns {number} - Concurrency between 1 and MAX_CONCURRENCY
+ */
+function resolveConcurrency(options) {
+  const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new Error(`Invalid concurrency option "${options.concurrency}". Use a whole number from 1 to ${MAX_CONCURRENCY}.`);
+  }
+
+  return concurrency;
+}
+
+/**
+ * Select the commits to report for a merge mode, telling merge commits apart by their parent count
+ * - `all`: every commit in the range
+ * - `first-parent`: the mainline only, found by following first parents from the head commit
+ * - `merges-only`: merge commits on the mainline, i.e. one commit per merged pull request
+ * - `no-merges`: every commit except merge commits
+ * `first-parent` and `merges-only` need the whole range, so they cannot be applied to a path-filtered commit list.
+ * @param {Array} commits - Commits in the range, newest first, with `parents` SHAs
+ * @param {string} mergeMode - Merge mode
+ * @param {string} headSha - Head commit SHA the mainline starts from
+ * @returns {Array} - Selected commits, newest first
+ */
+export function selectCommitsByMergeMode(commits, mergeMode, headSha) {
+  const isMerge = (commit) => (commit.parents || []).length > 1;
+
+  if (mergeMode === "no-merges") {
+    return commits.filter((commit) => !isMerge(commit));
+  }
+  if (mergeMode !== "first-parent" && mergeMode !== "merges-only") {
+    return commits;
+  }
+
+  // The walk ends at the base commit (or the oldest fetched commit), which is not in the list
+  const commitsBySha = new Map(commits.map((commit) => [commit.sha, commit]));
+  const mainline = [];
+  for (let commit = commitsBySha.get(headSha); commit; commit = commitsBySha.get((commit.parents || [])[0])) {
+    mainline.push(commit);
+  }
+
+  return mergeMode === "merges-only" ? mainline.filter(isMerge) : mainline;
+}
+
+/**
+ * Pick the path filters for the commit listing
+ * Providers can only filter by plain directories, one per listing; glob targets, like the mainline modes
+ * (which need the unfiltered range), fetch everything and filter by changed files afterwards.
+ * @param {string|Array} targetDir - Include patterns
+ * @param {string} mergeMode - Merge mode
+ * @returns {Array} - Directories to list commits for; empty for one unfiltered listing
+ */
+function getFetchDirs(targetDir, mergeMode) {
+  return mergeMode === "first-parent" || mergeMode === "merges-only" ? [] : getPlainDirectories(targetDir) || [];
+}
+
+/**
+ * Fetch the commits in a range that touch any of several directories, with one path-filtered listing per directory
+ * Listings are merged newest first and deduplicated by SHA. The merged range is complete only when every
+ * listing is, and is cut to maxCommits when the listings together exceed it.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {string} baseSha - Base commit SHA (older)
+ * @param {string} headSha - Head commit SHA (newer)
+ * @param {Array} directories - Directories from getFetchDirs
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} fetchOptions - Options for client.fetchCommits (fetchStats, maxCommits)
+ * @returns {Promise<object>} - Object containing commits and apiUsed
+ */
+async function fetchCommitsForDirectories(client, baseSha, headSha, directories, onProgress, fetchOptions) {
+  if (directories.length <= 1) {
+    return client.fetchCommits(baseSha, headSha, directories[0] || null, onProgress, fetchOptions);
+  }
+
+  const fetchStats = fetchOptions.fetchStats;
+  const maxCommits = fetchOptions.maxCommits > 0 ? fetchOptions.maxCommits : null;
+  const commitsBySha = new Map();
+  let apiUsed = null;
+  let complete = true;
+  let truncated = false;
+
+  for (const directory of directories) {
+    const pathStats = {};
+    const fetched = await client.fetchCommits(baseSha, headSha, directory, onProgress, { ...fetchOptions, fetchStats: pathStats });
+    apiUsed = apiUsed || fetched.apiUsed;
+    fetched.commits.forEach((commit) => commitsBySha.has(commit.sha) || commitsBySha.set(commit.sha, commit));
+
+    fetchStats.requestCount = (fetchStats.requestCount || 0) + (pathStats.requestCount || 0);
+    fetchStats.totalChecked = (fetchStats.totalChecked || 0) + (pathStats.totalChecked || 0);
+    complete = complete && Boolean(pathStats.complete);
+    truncated = truncated || Boolean(pathStats.truncated);
+  }
+
+  // Each listing is newest first by commit date, which a rebase or cherry-pick moves but leaves the author date as it
+  // was; the stable sort keeps listing order for commits with the same date
+  const committedAt = (commit) => new Date(commit.commit.committer?.date || commit.commit.author.date);
+  let commits = [...commitsBySha.values()].sort((a, b) => committedAt(b) - committedAt(a));
+  let omittedCommits = null;
+  if (maxCommits && commits.length > maxCommits) {
+    omittedCommits = truncated ? null : commits.length - maxCommits;
+    commits = commits.slice(0, maxCommits);
+    truncated = true;
+  }
+
+  fetchStats.complete = complete;
+  fetchStats.truncated = truncated;
+  fetchStats.totalInRange = null;
+  fetchStats.omittedCommits = omittedCommits;
+
+  if (onProgress) {
+    onProgress(`Merged ${commits.length} commits from ${directories.length} paths`);
   }
+  return { commits, apiUsed };
 }
 
 /**
  * Get files changed in a commit
+ * Follows the file pages of the commit up to GitHub's 3,000-file limit. `fileStats.complete` is set to false when
+ * the list may be missing files, because the limit was reached or a page could not be fetched.
  * @param {object} octokit - Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} sha - Commit SHA
- * @returns {Array} - Array of file paths
+ * @param {object} fileStats - Optional object that receives complete
+ * @returns {Array} - Array of file changes ({ filename, status, additions, deletions, changes, previous_filename })
  */
-export async function getFilesChangedInCommit(octokit, owner, repo, sha) {
+export async function getFilesChangedInCommit(octokit, owner, repo, sha, fileStats = {}) {
+  const files = [];
+
   try {
-    const response = await octokit.rest.repos.getCommit({
-      owner,
-      repo,
-      ref: sha,
-    });
+    for (let page = 1; ; page++) {
+      const response = await octokit.rest.repos.getCommit({
+        owner,
+        repo,
+        ref: sha,
+        page,
+      });
 
-    return response.data.files ? response.data.files.map((file) => file.filename) : [];
+      for (const file of response.data.files || []) {
+        files.push({
+          filename: file.filename,
+          status: file.status,
+          additions: file.additions ?? null,
+          deletions: file.deletions ?? null,
+          changes: file.changes ?? null,
+          previous_filename: file.previous_filename || null,
+        });
+      }
+
+      const hasNextPage = /rel="next"/.test(response.headers?.link || "");
+      if (!hasNextPage || files.length >= MAX_GITHUB_COMMIT_FILES) {
+        // GitHub stops paging at the limit, so a full list may have been cut off
+        fileStats.complete = files.length < MAX_GITHUB_COMMIT_FILES;
+        return files;
+      }
+    }
   } catch (error) {
+    if (error.code === "RATE_LIMITED") {
+      throw error;
+    }
     console.error(`Warning: Could not get files for commit ${sha}: ${error.message}`);
+    fileStats.complete = false;
     return [];
   }
 }
 
 /**
- * Check if commit should be included based on target directory and exclude sub-paths
- * Note: When using REST API with path filtering, targetDir filtering may already be applied,
- * but we still need to apply excludeSubPaths filtering.
- * @param {Array} files - Array of file paths changed in the commit
- * @param {string} targetDir - Target directory to include (may already be filtered by REST API)
- * @param {string} excludeSubPaths - Comma-separated sub-paths to exclude
- * @returns {boolean} - Whether to include the commit
+ * Check whether a commit changed anything under a path, by listing the path's history from that commit
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @param {string} filePath - Directory or file path
+ * @returns {Promise<boolean>} - Whether the commit is the newest commit touching the path
  */
-export function shouldIncludeCommit(files, targetDir, excludeSubPaths) {
-  // If no filtering criteria, include all commits
-  if (!targetDir && !excludeSubPaths) {
-    return true;
-  }
-
-  // Check if commit has changes in target directory (if targetDir is specified)
-  const hasTargetChanges = targetDir ? files.some((file) => file.startsWith(targetDir)) : true;
+export async function isCommitInPathHistory(octokit, owner, repo, sha, filePath) {
+  const response = await octokit.rest.repos.listCommits({
+    owner,
+    repo,
+    sha,
+    path: filePath,
+    per_page: 1,
+  });
+  return response.data[0]?.sha === sha;
+}
 
-  if (!hasTargetChanges) {
-    return false;
+const COMMIT_PULL_REQUESTS_QUERY = `
+  query ($owner: String!, $repo: String!, $sha: GitObjectID!) {
+    repository(owner: $owner, name: $repo) {
+      object(oid: $sha) {
+        ... on Commit {
+          associatedPullRequests(first: 5) {
+            nodes {
+              number
+              title
+              url
+              author {
+                login
+              }
+              mergedBy {
+                login
+              }
+              labels(first: 20) {
+                nodes {
+                  name
+                }
+              }
+              reviews(first: 50) {
+                nodes {
+                  author {
+                    login
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
   }
+`;
 
-  // Apply exclude sub-paths filtering if specified
-  if (excludeSubPaths) {
-    const excludePatterns = excludeSubPaths
-      .split(",")
-      .map((path) => path.trim())
-      .filter((path) => path);
+/**
+ * Get the pull requests a commit belongs to, including rebase and squash merged ones
+ * GraphQL answers in one request and is used when authenticated (unless the REST API is forced); the REST API needs
+ * a request for the list and two more per pull request for the merger and the reviews.
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @param {object} options - Options containing api and hasToken
+ * @returns {Promise<Array|null>} - Array of pull requests ({ number, title, url, labels, author, mergedBy, reviewers }),
+ * or null when they could not be fetched
+ */
+export async function getGitHubPullRequests(octokit, owner, repo, sha, options = {}) {
+  const uniqueLogins = (users) => [...new Set(users.map((user) => user?.login).filter(Boolean))];
 
-    if (excludePatterns.length === 0) {
-      return hasTargetChanges;
+  try {
+    if (options.hasToken && options.api !== "rest") {
+      const response = await octokit.graphql(COMMIT_PULL_REQUESTS_QUERY, { owner, repo, sha });
+      return (response.repository?.object?.associatedPullRequests?.nodes || []).map((pr) => ({
+        number: pr.number,
+        title: pr.title,
+        url: pr.url,
+        labels: pr.labels.nodes.map((label) => label.name),
+        author: pr.author?.login || null,
+        mergedBy: pr.mergedBy?.login || null,
+        reviewers: uniqueLogins(pr.reviews.nodes.map((review) => review.author)).filter((login) => login !== pr.author?.login),
+      }));
     }
 
-    // If we have a targetDir, only check files within that directory
-    const filesToCheck = targetDir ? files.filter((file) => file.startsWith(targetDir)) : files;
+    const { data: pulls } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: sha });
+    return await Promise.all(
+      pulls.map(async (pr) => {
+        const [details, reviews] = await Promise.all([
+          pr.merged_at ? octokit.rest.pulls.get({ owner, repo, pull_number: pr.number }) : null,
+          octokit.rest.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 }),
+        ]);
+        return {
+          number: pr.number,
+          title: pr.title,
+          url: pr.html_url,
+          labels: (pr.labels || []).map((label) => label.name),
+          author: pr.user?.login || null,
+          mergedBy: details?.data.merged_by?.login || null,
+          reviewers: uniqueLogins(reviews.data.map((review) => review.user)).filter((login) => login !== pr.user?.login),
+        };
+      })
+    );
+  } catch (error) {
+    if (error.code === "RATE_LIMITED") {
+      throw error;
+    }
+    console.error(`Warning: Could not get pull requests for commit ${sha}: ${error.message}`);
+    return null;
+  }
+}
 
-    if (filesToCheck.length === 0) {
-      return false;
+/**
+ * Read a file as it was in a commit
+ * @param {object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<string|null>} - File content, or null when the commit has no such file or it could not be fetched
+ */
+export async function getGitHubFileContent(octokit, owner, repo, filePath, sha) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path: filePath, ref: sha });
+    return typeof data.content === "string" ? Buffer.from(data.content, "base64").toString("utf8") : null;
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Warning: Could not get ${filePath} at ${sha}: ${error.message}`);
     }
+    return null;
+  }
+}
 
-    // Check if ALL relevant files are excluded
-    const allExcluded = filesToCheck.every((file) => {
-      // Get the relative path from targetDir (if specified) or from root
-      const relativePath = targetDir ? file.substring(targetDir.length) : file;
-      const cleanRelativePath = relativePath.startsWith("/") ? relativePath.substring(1) : relativePath;
+/**
+ * Add up the line counts of a commit's changed files
+ * @param {Array} files - File changes from getChangedFiles
+ * @returns {object|null} - Object containing additions, deletions and changes, or null when the files or their
+ * line counts are unknown
+ */
+export function summarizeFileChanges(files) {
+  if (!files || files.length === 0 || files.some((file) => typeof file === "string" || file.additions === null)) {
+    return null;
+  }
 
-      return excludePatterns.some((pattern) => {
-        // Skip invalid patterns
-        if (pattern.startsWith("/") || pattern.includes("../")) {
-          return false;
-        }
-        return cleanRelativePath.startsWith(pattern);
-      });
-    });
+  return files.reduce(
+    (stats, file) => ({
+      additions: stats.additions + file.additions,
+      deletions: stats.deletions + file.deletions,
+      changes: stats.changes + (file.changes ?? file.additions + file.deletions),
+    }),
+    { additions: 0, deletions: 0, changes: 0 }
+  );
+}
+
+/**
+ * Check if commit should be included based on target directory and exclude sub-paths
+ * Both options are gitignore-style pattern lists (see lib/path-filter.js); a commit is included when at least
+ * one changed file matches the target patterns and is not excluded. Renamed files match on either path.
+ * @param {Array} files - File paths or file changes from getChangedFiles
+ * @param {string} targetDir - Comma-separated include patterns, e.g. "src/" or "services/*\/migrations"
+ * @param {string} excludeSubPaths - Comma-separated exclude patterns, e.g. "**\/*.md, !CHANGELOG.md"
+ * @returns {boolean} - Whether to include the commit
+ */
+export function shouldIncludeCommit(files, targetDir, excludeSubPaths) {
+  const pathFilter = createPathFilter(targetDir, excludeSubPaths);
+  return !pathFilter.active || pathFilter.includesCommit(files);
+}
+
+/**
+ * Find which include patterns a commit with an incomplete file list may have matched
+ * The commit is looked up in the history of each pattern's plain directory prefix, which the provider answers
+ * without listing files. Touching a prefix does not prove a glob below it matched, so this can keep a commit the
+ * full file list would have dropped, but never drops one it would have kept.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {string} targetDir - Include patterns
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array|null>} - Patterns whose prefix the commit touched, or null when they cannot be checked
+ * (no include patterns, a pattern starting with a glob, or a provider without `commitTouchesPath`)
+ */
+async function findTouchedPatterns(client, targetDir, sha) {
+  const prefixes = getPathPrefixes(targetDir);
+  if (!prefixes || prefixes.some(({ prefix }) => !prefix) || !client.commitTouchesPath) {
+    return null;
+  }
+
+  const touchedPrefixes = new Set();
+  for (const prefix of new Set(prefixes.map((entry) => entry.prefix))) {
+    if (await client.commitTouchesPath(sha, prefix)) {
+      touchedPrefixes.add(prefix);
+    }
+  }
+  return [...new Set(prefixes.filter(({ prefix }) => touchedPrefixes.has(prefix)).map(({ pattern }) => pattern))];
+}
 
-    return !allExcluded;
+/**
+ * Decide whether a commit belongs in the filtered list, checking its changed files against the patterns
+ * When the provider could not list every file and none of the listed ones matched, the commit's path history
+ * decides instead (see findTouchedPatterns); commits that cannot be checked that way are kept.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {object} pathFilter - Filter from createPathFilter
+ * @param {string} targetDir - Include patterns
+ * @param {string} sha - Commit SHA
+ * @param {Array} files - File changes from getChangedFiles
+ * @param {boolean} filesComplete - Whether the file list is complete
+ * @returns {Promise<object>} - Object containing included and matchedPaths
+ */
+async function matchCommitFiles(client, pathFilter, targetDir, sha, files, filesComplete) {
+  const included = pathFilter.includesCommit(files);
+  if (included || filesComplete) {
+    return { included, matchedPaths: pathFilter.matchedPaths(files) };
   }
 
-  return hasTargetChanges;
+  try {
+    const touched = await findTouchedPatterns(client, targetDir, sha);
+    return { included: touched === null || touched.length > 0, matchedPaths: touched || [] };
+  } catch (error) {
+    if (error.code === "RATE_LIMITED") {
+      throw error;
+    }
+    console.error(`[Core Error] Could not check the path history of commit ${sha}: ${error.message}`);
+    return { included: false, matchedPaths: [] };
+  }
 }
 
 /**
  * Filter commits based on directory criteria
- * @param {object} octokit - Octokit instance
+ * @param {object} client - Repository client from createRepositoryClient
  * @param {Array} commits - Array of commit objects
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} targetDir - Target directory to include
- * @param {string} excludeSubPaths - Comma-separated sub-paths to exclude
+ * @param {string} targetDir - Comma-separated include patterns
+ * @param {string} excludeSubPaths - Comma-separated exclude patterns
+ * @param {object} options - Filter options
+ * @param {Array} options.explanations - Optional array that receives, for every checked commit, which pattern decided each file
  * @returns {Array} - Filtered array of commits
  */
-export async function filterCommitsByDirectory(octokit, commits, owner, repo, targetDir, excludeSubPaths) {
-  if (!targetDir && !excludeSubPaths) {
+export async function filterCommitsByDirectory(client, commits, targetDir, excludeSubPaths, options = {}) {
+  const pathFilter = createPathFilter(targetDir, excludeSubPaths);
+  if (!pathFilter.active) {
     return commits;
   }
 
@@ -388,9 +1362,14 @@ export async function filterCommitsByDirectory(octokit, commits, owner, repo, ta
     // If we don't have files info, fetch it
     if (files.length === 0) {
       try {
-        files = await getFilesChangedInCommit(octokit, owner, repo, commit.sha);
+        const fileStats = {};
+        files = await client.getChangedFiles(commit.sha, fileStats);
         commit.files = files;
+        commit.filesComplete = fileStats.complete !== false;
       } catch (error) {
+        if (error.code === "RATE_LIMITED") {
+          throw error;
+        }
         console.error(`[Core Error] Could not get files for commit ${commit.sha}: ${error.message}`);
         // If targetDir is specified and we can't get files, skip the commit
         if (targetDir) {
@@ -400,86 +1379,216 @@ export async function filterCommitsByDirectory(octokit, commits, owner, repo, ta
       }
     }
 
-    // If we have excludeSubPaths, we need to check even if targetDir filtering was already done by REST API
-    if (shouldIncludeCommit(files, targetDir, excludeSubPaths)) {
+    // Patterns are checked even when the provider already filtered by a plain target directory
+    const filesComplete = commit.filesComplete !== false;
+    const { included, matchedPaths } = await matchCommitFiles(client, pathFilter, targetDir, commit.sha, files, filesComplete);
+    if (included) {
+      if (targetDir) {
+        commit.matchedPaths = matchedPaths;
+      }
       filteredCommits.push(commit);
     }
+
+    if (options.explanations) {
+      options.explanations.push({
+        hash: commit.sha.substring(0, 7),
+        message: (commit.commit?.message || "").split("\n")[0],
+        included,
+        filesComplete,
+        files: pathFilter.explainFiles(files),
+      });
+    }
   }
 
   return filteredCommits;
 }
 
 /**
- * Parse commit message for semver type and Jira ticket ID
+ * Fetch the changed files of commits listed without them, so their lines can be counted
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {Array} commits - Commits to update in place
+ * @param {number} concurrency - Lookups in flight at a time
+ * @returns {Promise<void>}
+ */
+async function addChangedFiles(client, commits, concurrency) {
+  const throttle = createRateLimitThrottle(client.getRateLimit);
+  const missing = commits.filter((commit) => !commit.files || commit.files.length === 0);
+  const fetchFiles = async (commit) => {
+    await throttle();
+    const fileStats = {};
+    const files = await client.getChangedFiles(commit.sha, fileStats);
+    return { files, complete: fileStats.complete !== false };
+  };
+  await forEachInOrder(missing, concurrency, fetchFiles, ({ files, complete }, index) => {
+    missing[index].files = files;
+    missing[index].filesComplete = complete;
+  });
+}
+
+/**
+ * Look up the pull requests of a commit through the client
+ * Commits keep the pull requests their listing reported (GraphQL history carries number, title and URL) when the
+ * client has no lookup, as for local repositories, or the lookup fails.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {object} commit - Commit with sha and optional pullRequests
+ * @returns {Promise<Array>} - Array of pull requests
+ */
+async function lookUpPullRequests(client, commit) {
+  const listed = commit.pullRequests || [];
+  if (!client.getPullRequests) {
+    return listed;
+  }
+  return (await client.getPullRequests(commit.oid || commit.sha)) ?? listed;
+}
+
+/**
+ * Replace the pull requests of commits with the ones the provider associates with them, for `includePullRequests`
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {Array} commits - Commits to update in place
+ * @param {number} concurrency - Lookups in flight at a time
+ * @returns {Promise<void>}
+ */
+async function addPullRequests(client, commits, concurrency) {
+  const throttle = createRateLimitThrottle(client.getRateLimit);
+  const lookUp = async (commit) => {
+    await throttle();
+    return lookUpPullRequests(client, commit);
+  };
+  await forEachInOrder(commits, concurrency, lookUp, (pullRequests, index) => {
+    commits[index].pullRequests = pullRequests;
+  });
+}
+
+// Conventional Commits types that are also reported as the legacy semverType
+const SEMVER_TYPES = [
+  "major",
+  "minor",
+  "patch",
+  "fix",
+  "maint",
+  "chore",
+  "feat",
+  "feature",
+  "docs",
+  "style",
+  "refactor",
+  "test",
+  "build",
+  "ci",
+  "perf",
+  "revert",
+];
+
+/**
+ * Parse commit message for its Conventional Commits fields, semver type and Jira ticket ID
+ * `semverType`, `jiraTicketId` and `cleanMessage` are kept for existing consumers such as the Google Sheets
+ * integration: `semverType` is only set for the types above, and a Jira key in brackets at the start of the
+ * subject is left out of `cleanMessage`.
  * @param {string} message - Commit message
- * @returns {object} - Object containing semverType and jiraTicketId
+ * @returns {object} - Object containing type, scope, breaking, subject, body, footers (see
+ * lib/conventional-commits.js), semverType, jiraTicketId and cleanMessage
  */
 export function parseCommitMessage(message) {
-  const semverTypes = [
-    "major",
-    "minor",
-    "patch",
-    "fix",
-    "maint",
-    "chore",
-    "feat",
-    "feature",
-    "docs",
-    "style",
-    "refactor",
-    "test",
-    "build",
-    "ci",
-    "perf",
-    "revert",
-  ];
-  const semverPattern = new RegExp(`^(${semverTypes.join("|")}):\\s*(?:\\[([A-Z]+-\\d+)\\]\\s*)?(.*)`, "i");
-
-  const match = message.match(semverPattern);
+  const conventional = parseConventionalCommit(message);
+  const jiraMatch = message.match(/\[([A-Z]+-\d+)\]/);
 
-  if (match) {
+  if (conventional.type && SEMVER_TYPES.includes(conventional.type)) {
+    const leadingJira = conventional.subject.match(/^\[([A-Z]+-\d+)\]\s*(.*)/i);
     return {
-      semverType: match[1].toLowerCase(),
-      jiraTicketId: match[2] || null,
-      cleanMessage: match[3].trim(),
+      ...conventional,
+      semverType: conventional.type,
+      jiraTicketId: leadingJira ? leadingJira[1] : jiraMatch ? jiraMatch[1] : null,
+      cleanMessage: leadingJira ? leadingJira[2].trim() : conventional.subject,
     };
   }
 
-  const jiraMatch = message.match(/\[([A-Z]+-\d+)\]/);
-
   return {
+    ...conventional,
     semverType: null,
     jiraTicketId: jiraMatch ? jiraMatch[1] : null,
     cleanMessage: message,
   };
 }
 
+/**
+ * Create the issue extractor for a run
+ * Trackers come from `options.issueTrackers`, else the ISSUE_TRACKERS environment variable (specs separated by ";",
+ * or JSON), else the defaults for the repository's provider (see lib/issues.js). Invalid trackers throw.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {object} options - Options containing issueTrackers
+ * @returns {Function} - Function taking a message and returning an array of { tracker, key, url }
+ */
+function createCommitIssueExtractor(client, options) {
+  const configured = [options.issueTrackers || []].flat().filter(Boolean);
+  const fromEnv = (process.env.ISSUE_TRACKERS || "").trim();
+
+  let specs = getDefaultIssueTrackers(client);
+  if (configured.length > 0) {
+    specs = configured;
+  } else if (fromEnv) {
+    specs = /^[[{]/.test(fromEnv) ? fromEnv : fromEnv.split(";").filter((spec) => spec.trim());
+  }
+
+  return createIssueExtractor(specs, { urlTemplates: { [client.provider]: client.issueUrlTemplate } });
+}
+
 /**
  * Process commits and extract relevant information
+ * `author` and `committer` are identities ({ name, email, login, avatarUrl }; see lib/identity.js) and `coAuthors`
+ * lists the people credited in `Co-authored-by` trailers. `committer` is null when the provider does not report it.
  * @param {Array} commits - Array of commit objects
+ * @param {object} options - Processing options
+ * @param {Function} options.extractIssues - Optional issue extractor from createIssueExtractor
  * @returns {Array} - Array of processed commit objects
  */
-export function processCommits(commits) {
+export function processCommits(commits, options = {}) {
   return commits
     .map((commit) => {
       const shortHash = commit.sha.substring(0, 7);
       const message = commit.commit.message || `Commit ${shortHash}`;
-      const { semverType, jiraTicketId, cleanMessage } = parseCommitMessage(message);
+      const { type, scope, breaking, subject, body, footers, semverType, jiraTicketId, cleanMessage } = parseCommitMessage(message);
 
       return {
         hash: commit.sha,
         shortHash,
-        author: commit.commit.author.name,
+        author: createIdentity(commit.commit.author),
+        committer: commit.commit.committer ? createIdentity(commit.commit.committer) : null,
+        coAuthors: getCoAuthors(footers),
         date: commit.commit.author.date,
         message: message.split("\n")[0],
         cleanMessage,
+        type,
+        scope,
+        breaking,
+        subject,
+        body,
+        footers,
         semverType,
         jiraTicketId,
+        issues: options.extractIssues ? options.extractIssues(message) : [],
+        filesChanged: commit.files && commit.files.length > 0 ? commit.files.length : commit.changedFilesCount ?? null,
+        stats: summarizeFileChanges(commit.files),
+        filesComplete: commit.filesComplete ?? null,
+        pullRequests: commit.pullRequests || [],
+        matchedPaths: commit.matchedPaths,
       };
     })
     .filter(Boolean);
 }
 
+/**
+ * Add up who contributed to a range, merging identities with the repository's `.mailmap` as of the end of the range
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {Array} commits - Processed commits
+ * @param {string} toSha - Commit SHA at the end of the range
+ * @param {Array|object|string} aliases - Contributor aliases for parseContributorAliases
+ * @returns {Promise<Array>} - Contributors from summarizeContributors
+ */
+async function getRangeContributors(client, commits, toSha, aliases) {
+  const mailmap = await client.getFileContent(MAILMAP_PATH, toSha);
+  return summarizeContributors(commits, { mailmap, aliases });
+}
+
 /**
  * Format elapsed time in a human-readable way
  * @param {number} milliseconds - Elapsed time in milliseconds
@@ -499,6 +1608,149 @@ export function formatElapsedTime(milliseconds) {
   }
 }
 
+/**
+ * Build the warning shown when a commit range could not be fetched in full
+ * @param {number} fetchedCount - Number of commits actually fetched
+ * @param {number|null} totalInRange - Total commits GitHub reports for the range, if known
+ * @returns {string} - Warning message
+ */
+function getIncompleteRangeWarning(fetchedCount, totalInRange) {
+  if (totalInRange) {
+    return `⚠️ Commit list is incomplete: fetched ${fetchedCount} of ${totalInRange} commits in range`;
+  }
+  return `⚠️ Commit list may be incomplete: the starting version was not reached while listing ${fetchedCount} commits`;
+}
+
+/**
+ * Build the warning describing a commit range that was cut short or could not be fetched in full
+ * @param {number} fetchedCount - Number of commits actually fetched
+ * @param {object} fetchStats - Fetch statistics filled by the commit fetchers
+ * @param {number} maxCommits - The maxCommits limit in effect
+ * @returns {string} - Warning message, or an empty string when the range is complete
+ */
+function getRangeWarning(fetchedCount, fetchStats, maxCommits) {
+  if (fetchStats.truncated) {
+    const omitted = fetchStats.omittedCommits ? ` (${fetchStats.omittedCommits} more commits left out)` : "";
+    return `⚠️ Commit list truncated at the maxCommits limit of ${maxCommits}${omitted}`;
+  }
+  if (!fetchStats.complete) {
+    return getIncompleteRangeWarning(fetchedCount, fetchStats.totalInRange);
+  }
+  return "";
+}
+
+/**
+ * Combine warning messages into a single string
+ * @param {...string} messages - Warning messages (empty values are skipped)
+ * @returns {string} - Combined warning message
+ */
+function joinWarnings(...messages) {
+  return messages.filter(Boolean).join("\n");
+}
+
+/**
+ * Resolve one end of the range: expand a symbolic ref or bare version to the tag or branch it stands for, then
+ * resolve that to a commit. When a version tag is missing, the error lists the nearest tags of the same family.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {string} ref - Concrete or symbolic ref, or a bare version when a tag pattern is set
+ * @param {object} [patternOptions] - Object containing tagPattern and dir
+ * @returns {Promise<object>} - Object containing ref, symbol (when expanded), sha, kind, peeledFrom and an optional warning
+ */
+async function resolveRangeEnd(client, ref, patternOptions = {}) {
+  const { ref: concreteRef, warning } = await resolveSymbolicRef(client, ref, patternOptions);
+
+  let resolvedRef;
+  try {
+    resolvedRef = await client.resolveRef(concreteRef);
+  } catch (error) {
+    if (error.code !== "REF_NOT_FOUND" || !parseVersion(parseQualifiedRef(concreteRef).name)) {
+      throw error;
+    }
+    const nearestTags = findNearestTags(await client.listTags().catch(() => []), parseQualifiedRef(concreteRef).name);
+    const expansion = concreteRef !== ref ? ` (from ${ref} with tag pattern ${patternOptions.tagPattern})` : "";
+    const hint = nearestTags.length > 0 ? `Nearest tags: ${nearestTags.join(", ")}` : "No tags of the same family found";
+    error.message = `Could not find tag ${concreteRef}${expansion}. ${hint}`;
+    throw error;
+  }
+
+  const resolved = { ref: concreteRef, ...resolvedRef };
+  if (concreteRef !== ref) {
+    resolved.symbol = ref;
+  }
+  return { resolved, warning };
+}
+
+/**
+ * Resolve the requested range to concrete refs and commits
+ * A blank `from` means "since the latest release": the version tag before `to` when `to` is itself a version tag,
+ * otherwise `@latest-release`. A blank `to` means HEAD. Repositories without releases or version tags fall back
+ * to the latest commit only.
+ * @param {object} client - Repository client from createRepositoryClient
+ * @param {object} options - Options containing from, to, tagPattern and targetDir
+ * @returns {Promise<object>} - Object containing finalFrom, finalTo, resolvedFrom, resolvedTo, warnings and latestOnly
+ */
+async function resolveRange(client, options) {
+  const warnings = [];
+  const patternOptions = { tagPattern: options.tagPattern, dir: getPlainDirectory(options.targetDir) || "" };
+  let to = await resolveRangeEnd(client, options.to || "HEAD", patternOptions);
+  let fromSpec = options.from;
+
+  if (!options.from) {
+    const toTagName = to.resolved.kind === "tag" ? parseQualifiedRef(to.resolved.ref).name : null;
+    fromSpec = toTagName && parseVersion(toTagName) ? `@tag-before:${toTagName}` : "@latest-release";
+  }
+
+  let from;
+  let latestOnly = false;
+
+  try {
+    from = await resolveRangeEnd(client, fromSpec, patternOptions);
+  } catch (error) {
+    if (options.from || error.code !== "REF_NOT_FOUND") {
+      throw error;
+    }
+    // Nothing to anchor "since the latest release" on - return the latest commit only
+    latestOnly = true;
+    from = await resolveRangeEnd(client, "HEAD~1");
+    to = await resolveRangeEnd(client, "HEAD");
+    warnings.push(
+      options.to
+        ? "⚠️ No starting version specified and no earlier release found, returning only the latest commit"
+        : "⚠️ No version specified and no release found, returning only the latest commit"
+    );
+  }
+
+  if (!latestOnly && !options.from) {
+    warnings.push(`⚠️ No starting version specified, comparing from ${from.resolved.ref}`);
+  }
+  if (!options.to && options.from) {
+    warnings.push("⚠️ No target version specified, including all commits from the starting version");
+  }
+  warnings.push(...[from.warning, to.warning].filter(Boolean));
+
+  return {
+    finalFrom: from.resolved.ref,
+    finalTo: to.resolved.ref,
+    resolvedFrom: from.resolved,
+    resolvedTo: to.resolved,
+    warnings,
+    latestOnly,
+  };
+}
+
+/**
+ * Get the web page URL templates of a repository, for links in results and release notes
+ * @param {object} client - Repository client from createRepositoryClient
+ * @returns {object} - Object containing commit (`{sha}`), pullRequest and issue (`{number}`) templates, or nulls
+ */
+function getUrlTemplates(client) {
+  return {
+    commit: client.commitUrlTemplate || null,
+    pullRequest: client.pullRequestUrlTemplate || null,
+    issue: client.issueUrlTemplate || null,
+  };
+}
+
 /**
  * Main function to get commits between two references
  * @param {object} options - Configuration options
@@ -506,45 +1758,42 @@ export function formatElapsedTime(milliseconds) {
  * @param {string} options.from - Starting tag or commit hash
  * @param {string} options.to - Ending tag or commit hash
  * @param {string} options.token - GitHub personal access token
- * @param {string} options.targetDir - Target directory to include
- * @param {string} options.excludeSubPaths - Comma-separated sub-paths to exclude
+ * @param {string|Array} options.targetDir - Gitignore-style include patterns, comma-separated or as an array; commits touching any count
+ * @param {string} options.excludeSubPaths - Comma-separated gitignore-style exclude patterns, e.g. "**\/*.md, !CHANGELOG.md"
+ * @param {boolean} options.explainFilter - Add filterExplanation, listing the pattern that decided each changed file
+ * @param {string} options.api - API backend: "graphql", "rest" or "auto" (default)
+ * @param {number} options.maxCommits - Maximum number of commits to fetch; the result is marked truncated beyond it
+ * @param {string} options.tagPattern - Turns bare versions into tag names, e.g. "payments-service@{version}" or "{dir}/v{version}"
+ * @param {string} options.mergeMode - "all" (default), "first-parent", "merges-only" or "no-merges"
+ * @param {number} options.maxRateLimitWait - Seconds to spend waiting for GitHub rate limits before failing (default 60)
+ * @param {object} options.cache - Optional cache for immutable API data, from createMemoryCache or createFileCache
+ * @param {Array|string} options.issueTrackers - Issue tracker specs, e.g. "linear:ENG=https://linear.app/acme/issue/{key}"
+ * @param {object|string} options.bumpRules - Overrides of the next version bump rules, e.g. "docs=none,refactor=minor"
+ * @param {boolean} options.includePullRequests - Look up each commit's pull requests with labels, author, merger and reviewers
+ * @param {number} options.concurrency - Pull request and file lookups in flight at a time
+ * @param {boolean} options.includeContributors - Add contributors, a per-person summary of the commits
+ * @param {Array|object|string} options.contributorAliases - Identities to merge into one contributor, e.g.
+ * "Jane Doe <jane@example.com>=jdoe@old.example.com,janed"
  * @returns {object} - Result object with commits and metadata
  */
 export async function getCommitsBetween(options) {
   const startTime = Date.now();
 
   try {
-    const { octokit } = initializeGitHubClients(options.token);
-
-    // Parse GitHub URL
-    const { owner, repo } = parseGitHubUrl(options.repoUrl);
-
-    // Handle partial version inputs and generate warnings
-    let finalFrom = options.from;
-    let finalTo = options.to;
-    let warningMessage = "";
-
-    if (!options.from && !options.to) {
-      // No versions specified - return latest commit only
-      finalFrom = "HEAD~1";
-      finalTo = "HEAD";
-      warningMessage = "⚠️ No version specified, returning only the latest commit";
-    } else if (!options.from && options.to) {
-      // Only 'to' specified - return latest commit only
-      finalFrom = "HEAD~1";
-      finalTo = "HEAD";
-      warningMessage = "⚠️ No starting version specified, returning only the latest commit";
-    } else if (options.from && !options.to) {
-      // Only 'from' specified - return from 'from' to HEAD
-      finalFrom = options.from;
-      finalTo = "HEAD";
-      warningMessage = "⚠️ No target version specified, including all commits from the starting version";
-    }
-    // If both versions are specified, use them as-is
-
-    // Get commit SHAs for the references
-    const fromSha = await getCommitSha(octokit, owner, repo, finalFrom);
-    const toSha = await getCommitSha(octokit, owner, repo, finalTo);
+    const mergeMode = resolveMergeMode(options);
+    // Check the path patterns and aliases before anything is fetched
+    createPathFilter(options.targetDir, options.excludeSubPaths);
+    parseContributorAliases(options.contributorAliases);
+    const client = createRepositoryClient(options);
+    const { repository } = client;
+    const extractIssues = createCommitIssueExtractor(client, options);
+    const bumpRules = parseBumpRules(options.bumpRules);
+
+    // Resolve blank and symbolic references to concrete refs and commits
+    const { finalFrom, finalTo, resolvedFrom, resolvedTo, warnings, latestOnly } = await resolveRange(client, options);
+    let warningMessage = joinWarnings(...warnings);
+    const fromSha = resolvedFrom.sha;
+    const toSha = resolvedTo.sha;
 
     // Check if from and to versions are the same
     if (fromSha === toSha) {
@@ -554,32 +1803,62 @@ export async function getCommitsBetween(options) {
         success: true,
         commits: [],
         totalCommits: 0,
+        complete: true,
+        totalInRange: 0,
+        truncated: false,
+        omittedCommits: 0,
         elapsedTime: formatElapsedTime(elapsedTime),
-        apiUsed: "rest",
-        repository: { owner, repo },
+        apiUsed: { local: "git", gitlab: "gitlab", bitbucket: "bitbucket" }[client.provider] || "rest",
+        repository,
         fromRef: finalFrom,
         toRef: finalTo,
         fromSha: fromSha.substring(0, 7),
         toSha: toSha.substring(0, 7),
+        resolvedFrom,
+        resolvedTo,
+        urlTemplates: getUrlTemplates(client),
+        nextVersion: recommendNextVersion([], finalFrom, { bumpRules }),
+        ...(options.includeContributors && { contributors: [] }),
         warning: "⚠️ Starting and ending versions are the same, no changes can be detected",
       };
     }
 
-    // Get commits using REST API
-    let commits = await getCommitsBetweenREST(octokit, owner, repo, fromSha, toSha, options.targetDir);
+    // Get commits using the requested API backend
+    const fetchStats = {};
+    const fetchDirs = getFetchDirs(options.targetDir, mergeMode);
+    let { commits, apiUsed } = await fetchCommitsForDirectories(client, fromSha, toSha, fetchDirs, null, {
+      fetchStats,
+      maxCommits: options.maxCommits,
+      api: resolveApiMode(options),
+    });
+
+    warningMessage = joinWarnings(warningMessage, getRangeWarning(commits.length, fetchStats, options.maxCommits));
+    commits = selectCommitsByMergeMode(commits, mergeMode, toSha);
 
     // For latest commit only cases, limit to 1 commit
-    if ((!options.from && !options.to) || (!options.from && options.to)) {
+    if (latestOnly) {
       commits = commits.slice(0, 1);
     }
 
     // Filter commits by directory if specified
+    const filterExplanation = options.explainFilter ? [] : null;
     if (options.targetDir || options.excludeSubPaths) {
-      commits = await filterCommitsByDirectory(octokit, commits, owner, repo, options.targetDir, options.excludeSubPaths);
+      commits = await filterCommitsByDirectory(client, commits, options.targetDir, options.excludeSubPaths, {
+        explanations: filterExplanation,
+      });
+    }
+
+    if (options.includePullRequests) {
+      await addPullRequests(client, commits, resolveConcurrency(options));
+    }
+
+    // Contributor line counts need every commit's files, which only path filtering fetches otherwise
+    if (options.includeContributors) {
+      await addChangedFiles(client, commits, resolveConcurrency(options));
     }
 
     // Process commits to extract semver and Jira information
-    const processedCommits = processCommits(commits);
+    const processedCommits = processCommits(commits, { extractIssues });
 
     const endTime = Date.now();
     const elapsedTime = endTime - startTime;
@@ -589,21 +1868,57 @@ export async function getCommitsBetween(options) {
       commits: processedCommits.map((commit) => ({
         hash: commit.hash,
         author: commit.author,
+        committer: commit.committer,
+        coAuthors: commit.coAuthors,
         date: commit.date,
         message: commit.cleanMessage || commit.message,
+        type: commit.type,
+        scope: commit.scope,
+        breaking: commit.breaking,
+        subject: commit.subject,
+        body: commit.body,
+        footers: commit.footers,
         semverType: commit.semverType,
         jiraTicketId: commit.jiraTicketId,
+        issues: commit.issues,
+        filesChanged: commit.filesChanged,
+        stats: commit.stats,
+        filesComplete: commit.filesComplete,
+        pullRequests: commit.pullRequests,
+        matchedPaths: commit.matchedPaths,
       })),
       totalCommits: processedCommits.length,
+      complete: fetchStats.complete,
+      totalInRange: fetchStats.totalInRange,
+      truncated: fetchStats.truncated,
+      omittedCommits: fetchStats.omittedCommits,
+      fetchStats: {
+        requestCount: fetchStats.requestCount,
+        cacheHits: client.cacheStats?.hits || 0,
+        cacheMisses: client.cacheStats?.misses || 0,
+      },
       elapsedTime: formatElapsedTime(elapsedTime),
-      apiUsed: "rest",
-      repository: { owner, repo },
+      apiUsed,
+      mergeMode,
+      repository,
       fromRef: finalFrom,
       toRef: finalTo,
       fromSha: fromSha.substring(0, 7),
       toSha: toSha.substring(0, 7),
+      resolvedFrom,
+      resolvedTo,
+      urlTemplates: getUrlTemplates(client),
+      nextVersion: recommendNextVersion(processedCommits, finalFrom, { bumpRules }),
     };
 
+    if (options.includeContributors) {
+      result.contributors = await getRangeContributors(client, processedCommits, toSha, options.contributorAliases);
+    }
+
+    if (filterExplanation) {
+      result.filterExplanation = filterExplanation;
+    }
+
     // Add warning if present
     if (warningMessage) {
       result.warning = warningMessage;
@@ -622,8 +1937,8 @@ export async function getCommitsBetween(options) {
     // Try to extract owner/repo for error response, but handle parsing errors gracefully
     let repository = null;
     try {
-      const { owner, repo } = parseGitHubUrl(options.repoUrl);
-      repository = { owner, repo };
+      const { owner, repo, path } = parseRepositoryUrl(options.repoUrl, options);
+      repository = path ? { owner, repo, path } : { owner, repo };
     } catch (parseError) {
       console.warn(`[Core Warning] Failed to parse repo URL for error response: ${parseError.message}`);
     }
@@ -631,6 +1946,7 @@ export async function getCommitsBetween(options) {
     return {
       success: false,
       error: error.message,
+      ...(error.code === "RATE_LIMITED" && { errorCode: error.code, resetAt: error.resetAt }),
       elapsedTime: formatElapsedTime(elapsedTime),
       repository,
     };
@@ -659,39 +1975,29 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
   };
 
   try {
-    safeProgress("Initializing GitHub clients...");
-    const { octokit } = initializeGitHubClients(options.token);
-    const { owner, repo } = parseGitHubUrl(options.repoUrl);
-
-    // Handle partial version inputs and generate warnings
-    let finalFrom = options.from;
-    let finalTo = options.to;
-    let warningMessage = "";
-
-    if (!options.from && !options.to) {
-      // No versions specified - return latest commit only
-      finalFrom = "HEAD~1";
-      finalTo = "HEAD";
-      warningMessage = "⚠️ No version specified, returning only the latest commit";
-      safeProgress(warningMessage);
-    } else if (!options.from && options.to) {
-      // Only 'to' specified - return latest commit only
-      finalFrom = "HEAD~1";
-      finalTo = "HEAD";
-      warningMessage = "⚠️ No starting version specified, returning only the latest commit";
-      safeProgress(warningMessage);
-    } else if (options.from && !options.to) {
-      // Only 'from' specified - return from 'from' to HEAD
-      finalFrom = options.from;
-      finalTo = "HEAD";
-      warningMessage = "⚠️ No target version specified, including all commits from the starting version";
-      safeProgress(warningMessage);
-    }
-    // If both versions are specified, use them as-is
-
+    const mergeMode = resolveMergeMode(options);
+    const concurrency = resolveConcurrency(options);
+    const pathFilter = createPathFilter(options.targetDir, options.excludeSubPaths);
+    parseContributorAliases(options.contributorAliases);
+    const providerMessages = {
+      local: "Opening local repository...",
+      gitlab: "Initializing GitLab client...",
+      bitbucket: "Initializing Bitbucket client...",
+    };
+    safeProgress(providerMessages[parseRepositoryUrl(options.repoUrl, options).provider] || "Initializing GitHub clients...");
+    // Retries and rate limit waits are reported as progress, so clients see why the stream is pausing
+    const client = createRepositoryClient({ ...options, onProgress: safeProgress });
+    const { repository } = client;
+    const extractIssues = createCommitIssueExtractor(client, options);
+    const bumpRules = parseBumpRules(options.bumpRules);
+
+    // Resolve blank and symbolic references to concrete refs and commits
     safeProgress("Fetching commit SHAs...");
-    const fromSha = await getCommitSha(octokit, owner, repo, finalFrom);
-    const toSha = await getCommitSha(octokit, owner, repo, finalTo);
+    const { finalFrom, finalTo, resolvedFrom, resolvedTo, warnings, latestOnly } = await resolveRange(client, options);
+    warnings.forEach((warning) => safeProgress(warning));
+    let warningMessage = joinWarnings(...warnings);
+    const fromSha = resolvedFrom.sha;
+    const toSha = resolvedTo.sha;
 
     // Check if from and to versions are the same
     if (fromSha === toSha) {
@@ -702,30 +2008,58 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
       return {
         success: true,
         totalCommits: 0,
+        complete: true,
+        totalInRange: 0,
+        truncated: false,
+        omittedCommits: 0,
         summary: { total: 0, processed: 0 },
         elapsedTime: formatElapsedTime(elapsedTime),
-        repository: { owner, repo },
+        repository,
         fromRef: finalFrom,
         toRef: finalTo,
         fromSha: fromSha.substring(0, 7),
         toSha: toSha.substring(0, 7),
+        resolvedFrom,
+        resolvedTo,
+        urlTemplates: getUrlTemplates(client),
+        nextVersion: recommendNextVersion([], finalFrom, { bumpRules }),
+        ...(options.includeContributors && { contributors: [] }),
         warning: warningMsg,
       };
     }
 
-    safeProgress(`Resolving commits: ${finalFrom} → ${fromSha.substring(0, 7)}, ${finalTo} → ${toSha.substring(0, 7)}`);
+    safeProgress(`Resolving commits: ${finalFrom} (${describeResolvedRef(resolvedFrom)}), ${finalTo} (${describeResolvedRef(resolvedTo)})`);
     safeProgress("Determining commit list...");
     let fetchStats = { totalChecked: 0, requestCount: 0, elapsedTime: 0 };
 
-    safeProgress("Fetching commits using REST API...");
+    safeProgress(options.api === "rest" ? "Fetching commits using REST API..." : "Fetching commits...");
     const fetchStartTime = Date.now();
-    let commits = await getCommitsBetweenREST(octokit, owner, repo, fromSha, toSha, options.targetDir, safeProgress);
+    const fetchDirs = getFetchDirs(options.targetDir, mergeMode);
+    const fetched = await fetchCommitsForDirectories(client, fromSha, toSha, fetchDirs, safeProgress, {
+      fetchStats,
+      maxCommits: options.maxCommits,
+      api: resolveApiMode(options),
+    });
+    let commits = fetched.commits;
     fetchStats.elapsedTime = Date.now() - fetchStartTime;
-    apiUsed = "REST";
-    safeProgress(`REST fetch completed in ${formatElapsedTime(fetchStats.elapsedTime)}`);
+    apiUsed = fetched.apiUsed;
+    const apiLabels = { graphql: "GraphQL", git: "Local git", gitlab: "GitLab", bitbucket: "Bitbucket" };
+    safeProgress(`${apiLabels[apiUsed] || "REST"} fetch completed in ${formatElapsedTime(fetchStats.elapsedTime)}`);
+
+    const rangeWarning = getRangeWarning(commits.length, fetchStats, options.maxCommits);
+    if (rangeWarning) {
+      warningMessage = joinWarnings(warningMessage, rangeWarning);
+      safeProgress(rangeWarning);
+    }
+
+    if (mergeMode !== "all") {
+      const fetchedCount = commits.length;
+      commits = selectCommitsByMergeMode(commits, mergeMode, toSha);
+      safeProgress(`Merge mode ${mergeMode}: kept ${commits.length} of ${fetchedCount} commits`);
+    }
 
     // For latest commit only cases, limit to 1 commit
-    if ((!options.from && !options.to) || (!options.from && options.to)) {
+    if (latestOnly) {
       commits = commits.slice(0, 1);
       safeProgress(`Limited to latest commit only (${commits.length} commit)`);
     }
@@ -735,7 +2069,14 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
       const result = {
         success: true,
         totalCommits: 0,
+        complete: fetchStats.complete,
+        totalInRange: fetchStats.totalInRange,
+        truncated: fetchStats.truncated,
+        omittedCommits: fetchStats.omittedCommits,
         summary: { total: 0, processed: 0 },
+        urlTemplates: getUrlTemplates(client),
+        nextVersion: recommendNextVersion([], finalFrom, { bumpRules }),
+        ...(options.includeContributors && { contributors: [] }),
       };
       if (warningMessage) {
         result.warning = warningMessage;
@@ -743,93 +2084,122 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
       return result;
     }
 
-    safeProgress(`Found ${commits.length} commits. Starting processing...`);
-
-    const BATCH_SIZE = 10; // Process commits in batches
-    let processedCommits = [];
-    let processedCount = 0;
+    safeProgress(`Found ${commits.length} commits. Processing with up to ${concurrency} requests in flight...`);
 
-    // Process commits in batches
-    for (let i = 0; i < commits.length; i += BATCH_SIZE) {
-      const batch = commits.slice(i, i + BATCH_SIZE);
-      const batchResults = [];
+    const BATCH_SIZE = 10; // Commits sent to onCommitBatch at a time
+    const processedCommits = [];
+    let pendingBatch = [];
+    let settledCount = 0;
 
-      safeProgress(`Processing commits ${i + 1}-${Math.min(i + BATCH_SIZE, commits.length)} of ${commits.length}...`);
-
-      for (const commit of batch) {
-        try {
-          // For GraphQL commits, we need to get the SHA properly
-          const commitSha = commit.oid || commit.sha;
+    // Space file requests out when the API quota runs low instead of sleeping between batches
+    const throttle = createRateLimitThrottle(client.getRateLimit, (wait, rateLimit) => {
+      if (wait >= 1000) {
+        safeProgress(`API quota low (${rateLimit.remaining} requests left), waiting ${formatElapsedTime(wait)}...`);
+      }
+    });
 
-          // Get files changed in this commit if not already available
-          let files = [];
-          if (!commit.files || commit.files.length === 0) {
-            files = await getFilesChangedInCommit(octokit, owner, repo, commitSha);
-          } else {
-            files = commit.files;
-          }
+    const sendBatch = () => {
+      if (pendingBatch.length === 0) {
+        return;
+      }
+      try {
+        onCommitBatch(pendingBatch, {
+          processed: processedCommits.length,
+          total: commits.length,
+        });
+      } catch (callbackError) {
+        console.warn(`[Stream Warning] Callback error: ${callbackError.message}`);
+        // Don't throw, just continue processing
+      }
+      pendingBatch = [];
+    };
 
-          // Apply filtering logic
-          if (options.targetDir || options.excludeSubPaths) {
-            if (!shouldIncludeCommit(files, options.targetDir, options.excludeSubPaths)) {
-              continue; // Skip commits that don't match criteria
-            }
+    const processCommit = async (commit) => {
+      try {
+        // For GraphQL commits, we need to get the SHA properly
+        const commitSha = commit.oid || commit.sha;
+
+        // Get files changed in this commit if not already available
+        let files = [];
+        const fileStats = {};
+        if (!commit.files || commit.files.length === 0) {
+          await throttle();
+          files = await client.getChangedFiles(commitSha, fileStats);
+        } else {
+          files = commit.files;
+        }
+        const filesComplete = fileStats.complete !== false;
+
+        // Apply filtering logic
+        let matchedPaths = [];
+        if (pathFilter.active) {
+          const match = await matchCommitFiles(client, pathFilter, options.targetDir, commitSha, files, filesComplete);
+          if (!match.included) {
+            return null; // Skip commits that don't match criteria
           }
+          matchedPaths = match.matchedPaths;
+        }
 
-          // Parse commit message for semver and Jira info
-          const message = commit.message || commit.commit?.message || "";
-          const { semverType, jiraTicketId, cleanMessage } = parseCommitMessage(message);
-
-          // Process commit
-          const processedCommit = {
-            hash: commitSha.substring(0, 7),
-            fullHash: commitSha,
-            author: commit.author?.name || commit.commit?.author?.name || "Unknown",
-            date: commit.author?.date || commit.commit?.author?.date || new Date().toISOString(),
-            message: message,
-            cleanMessage: cleanMessage,
-            semverType: semverType,
-            jiraTicketId: jiraTicketId,
-            filesChanged: files.length,
-            files: files.map((file) => {
-              if (typeof file === "string") {
-                return { filename: file, status: "modified" };
-              }
-              return {
-                filename: file.filename || file,
-                status: file.status || "modified",
-                additions: file.additions || 0,
-                deletions: file.deletions || 0,
-              };
-            }),
-          };
-
-          batchResults.push(processedCommit);
-          processedCommits.push(processedCommit);
-          processedCount++;
-        } catch (error) {
-          console.warn(`[Stream Warning] Failed to process commit ${commit.oid || commit.sha}: ${error.message}`);
+        let pullRequests = commit.pullRequests || [];
+        if (options.includePullRequests) {
+          await throttle();
+          pullRequests = await lookUpPullRequests(client, commit);
         }
-      }
 
-      // Send batch to callback
-      if (batchResults.length > 0) {
-        try {
-          onCommitBatch(batchResults, {
-            processed: processedCount,
-            total: commits.length,
-          });
-        } catch (callbackError) {
-          console.warn(`[Stream Warning] Callback error: ${callbackError.message}`);
-          // Don't throw, just continue processing
+        // Parse the Conventional Commits fields, semver type and Jira ticket
+        const message = commit.message || commit.commit?.message || "";
+        const { type, scope, breaking, subject, body, footers, semverType, jiraTicketId, cleanMessage } = parseCommitMessage(message);
+
+        return {
+          hash: commitSha.substring(0, 7),
+          fullHash: commitSha,
+          author: createIdentity({ ...commit.commit?.author, name: commit.commit?.author?.name || "Unknown" }),
+          committer: commit.commit?.committer ? createIdentity(commit.commit.committer) : null,
+          coAuthors: getCoAuthors(footers),
+          date: commit.commit?.author?.date || new Date().toISOString(),
+          message: message,
+          cleanMessage: cleanMessage,
+          type,
+          scope,
+          breaking,
+          subject,
+          body,
+          footers,
+          semverType: semverType,
+          jiraTicketId: jiraTicketId,
+          issues: extractIssues(message),
+          filesChanged: files.length || commit.changedFilesCount || 0,
+          stats: summarizeFileChanges(files),
+          pullRequests,
+          filesComplete,
+          ...(options.targetDir && { matchedPaths }),
+          files,
+        };
+      } catch (error) {
+        // A rate limit that cannot be waited out fails the whole request instead of dropping commits
+        if (error.code === "RATE_LIMITED") {
+          throw error;
         }
+        console.warn(`[Stream Warning] Failed to process commit ${commit.oid || commit.sha}: ${error.message}`);
+        return null;
       }
+    };
 
-      // Add small delay to prevent rate limiting
-      if (i + BATCH_SIZE < commits.length) {
-        await new Promise((resolve) => setTimeout(resolve, 100));
+    // Files are fetched concurrently, but commits reach onCommitBatch in their original order
+    await forEachInOrder(commits, concurrency, processCommit, (processedCommit) => {
+      settledCount++;
+      if (processedCommit) {
+        processedCommits.push(processedCommit);
+        pendingBatch.push(processedCommit);
       }
-    }
+      if (pendingBatch.length >= BATCH_SIZE) {
+        sendBatch();
+      }
+      if (settledCount % BATCH_SIZE === 0 && settledCount < commits.length) {
+        safeProgress(`Processed ${settledCount} of ${commits.length} commits...`);
+      }
+    });
+    sendBatch();
 
     try {
       safeProgress("Processing complete. Generating summary...");
@@ -843,6 +2213,10 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
     const result = {
       success: true,
       totalCommits: processedCommits.length,
+      complete: fetchStats.complete,
+      totalInRange: fetchStats.totalInRange,
+      truncated: fetchStats.truncated,
+      omittedCommits: fetchStats.omittedCommits,
       summary: {
         total: commits.length,
         processed: processedCommits.length,
@@ -851,17 +2225,28 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
       fetchStats: {
         totalChecked: fetchStats.totalChecked,
         requestCount: fetchStats.requestCount,
+        cacheHits: client.cacheStats?.hits || 0,
+        cacheMisses: client.cacheStats?.misses || 0,
         fetchTime: formatElapsedTime(fetchStats.elapsedTime),
       },
       elapsedTime: formatElapsedTime(elapsedTime),
       apiUsed,
-      repository: { owner, repo },
+      mergeMode,
+      repository,
       fromRef: finalFrom,
       toRef: finalTo,
       fromSha: fromSha.substring(0, 7),
       toSha: toSha.substring(0, 7),
+      resolvedFrom,
+      resolvedTo,
+      urlTemplates: getUrlTemplates(client),
+      nextVersion: recommendNextVersion(processedCommits, finalFrom, { bumpRules }),
     };
 
+    if (options.includeContributors) {
+      result.contributors = await getRangeContributors(client, processedCommits, toSha, options.contributorAliases);
+    }
+
     // Add warning if present
     if (warningMessage) {
       result.warning = warningMessage;
@@ -880,8 +2265,8 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
     // Try to extract owner/repo for error response, but handle parsing errors gracefully
     let repository = null;
     try {
-      const { owner, repo } = parseGitHubUrl(options.repoUrl);
-      repository = { owner, repo };
+      const { owner, repo, path } = parseRepositoryUrl(options.repoUrl, options);
+      repository = path ? { owner, repo, path } : { owner, repo };
     } catch (parseError) {
       console.warn(`[Stream Warning] Failed to parse repo URL for error response: ${parseError.message}`);
     }
@@ -889,6 +2274,7 @@ export async function streamCommitsBetween(options, onCommitBatch, onProgress) {
     return {
       success: false,
       error: error.message,
+      ...(error.code === "RATE_LIMITED" && { errorCode: error.code, resetAt: error.resetAt }),
       elapsedTime: formatElapsedTime(elapsedTime),
       repository,
     };
@@ -0,0 +1,465 @@
+import { parseRateLimitHeaders } from "./concurrency.js";
+import { resolveRefWith } from "./refs.js";
+
+const GITLAB_PER_PAGE = 100;
+const GITLAB_COM_URL = "https://gitlab.com";
+
+/**
+ * Get the configured GitLab base URL for self-hosted instances
+ * A URL that cannot be parsed is ignored rather than failing every request.
+ * @param {object} options - Configuration options
+ * @returns {object|null} - Object containing url (without a trailing slash) and host, or null when not configured
+ */
+function getConfiguredGitLabUrl(options = {}) {
+  const baseUrl = options.gitlabUrl || process.env.GITLAB_URL;
+  if (!baseUrl) {
+    return null;
+  }
+
+  try {
+    return { url: baseUrl.replace(/\/+$/, ""), host: new URL(baseUrl).host };
+  } catch (error) {
+    console.warn(`[GitLab Warning] Ignoring invalid GitLab URL "${baseUrl}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Extract the host and path of a repository URL in https or scp-like (git@host:path) form
+ * @param {string} url - Repository URL
+ * @returns {object|null} - Object containing host and path, or null when the URL cannot be read
+ */
+function splitRepositoryUrl(url) {
+  const sshMatch = url.match(/^(?:ssh:\/\/)?[^@\/\s]+@([^:\/\s]+)[:\/](?:\d+\/)?(.+)$/);
+  if (sshMatch) {
+    return { host: sshMatch[1], path: sshMatch[2] };
+  }
+
+  try {
+    const parsed = new URL(url);
+    return { host: parsed.host, path: parsed.pathname.replace(/^\/+/, "") };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a repository URL points to GitLab
+ * Matches gitlab.com, any host with "gitlab" in its name and the host of the configured base URL.
+ * @param {string} url - Repository URL
+ * @param {object} options - Configuration options (gitlabUrl, provider)
+ * @returns {boolean} - Whether the URL is a GitLab repository URL
+ */
+export function isGitLabUrl(url, options = {}) {
+  if (options.provider === "gitlab") {
+    return true;
+  }
+
+  const parts = url ? splitRepositoryUrl(url) : null;
+  if (!parts) {
+    return false;
+  }
+
+  if (getConfiguredGitLabUrl(options)?.host === parts.host) {
+    return true;
+  }
+
+  return /(^|\.)gitlab\./i.test(parts.host) || /^gitlab\b/i.test(parts.host);
+}
+
+/**
+ * Parse GitLab repository URL, including nested group paths
+ * @param {string} url - GitLab repository URL
+ * @returns {object} - Object containing host, owner (the full group path), repo and projectPath
+ */
+export function parseGitLabUrl(url) {
+  const parts = splitRepositoryUrl(url);
+
+  if (parts) {
+    // Drop `.git` and anything after GitLab's `/-/` separator (e.g. /-/tree/main)
+    const projectPath = parts.path
+      .split("/-/")[0]
+      .replace(/\.git$/, "")
+      .replace(/\/+$/, "");
+    const segments = projectPath.split("/").filter(Boolean);
+
+    if (segments.length >= 2) {
+      return {
+        host: parts.host,
+        owner: segments.slice(0, -1).join("/"),
+        repo: segments[segments.length - 1],
+        projectPath: segments.join("/"),
+      };
+    }
+  }
+
+  throw new Error("Invalid GitLab repository URL. Please provide a URL like https://gitlab.com/group/subgroup/project.");
+}
+
+/**
+ * Send a request to the GitLab REST API
+ * @param {object} connection - Object containing apiUrl and token
+ * @param {string} path - API path below /api/v4
+ * @param {object} params - Query parameters
+ * @returns {Promise<object>} - Object containing the parsed data and response headers
+ */
+async function gitlabRequest(connection, path, params = {}) {
+  const url = new URL(`${connection.apiUrl}${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) {
+      url.searchParams.set(key, value);
+    }
+  }
+
+  const headers = { Accept: "application/json" };
+  if (connection.token) {
+    headers["PRIVATE-TOKEN"] = connection.token;
+  }
+
+  const response = await fetch(url, { headers });
+  connection.rateLimit = parseRateLimitHeaders(response.headers) || connection.rateLimit;
+
+  if (!response.ok) {
+    let detail = response.statusText;
+    try {
+      const body = await response.json();
+      detail = body.message || body.error || detail;
+    } catch (parseError) {
+      // Keep the status text when the body is not JSON
+    }
+    const error = new Error(`GitLab API error ${response.status}: ${typeof detail === "string" ? detail : JSON.stringify(detail)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return { data: await response.json(), headers: response.headers };
+}
+
+/**
+ * Fetch every page of a GitLab list endpoint, following the `x-next-page` header
+ * @param {object} connection - Object containing apiUrl and token
+ * @param {string} path - API path below /api/v4
+ * @param {object} params - Query parameters
+ * @returns {Promise<Array>} - All items
+ */
+async function gitlabRequestAll(connection, path, params = {}) {
+  let items = [];
+  let page = 1;
+
+  while (page) {
+    const { data, headers } = await gitlabRequest(connection, path, { ...params, per_page: GITLAB_PER_PAGE, page });
+    items = items.concat(data);
+    page = parseInt(headers.get("x-next-page"), 10) || null;
+  }
+
+  return items;
+}
+
+/**
+ * Convert a GitLab commit into the commit shape shared by all backends
+ * GitLab commits name people by their git identity only, so logins and avatars are unknown.
+ * @param {object} commit - GitLab commit object
+ * @returns {object} - Normalized commit object
+ */
+function normalizeGitLabCommit(commit) {
+  return {
+    sha: commit.id,
+    parents: commit.parent_ids || [],
+    commit: {
+      message: commit.message,
+      author: {
+        name: commit.author_name,
+        email: commit.author_email || null,
+        date: commit.authored_date,
+      },
+      committer: {
+        name: commit.committer_name,
+        email: commit.committer_email || null,
+        date: commit.committed_date,
+      },
+    },
+    files: [],
+    changedFilesCount: null,
+  };
+}
+
+/**
+ * Resolve a tag, branch or commit SHA to a commit through the GitLab repository API
+ * For annotated tags GitLab reports the tag object as `target`, which becomes `peeledFrom`.
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @param {string} ref - Tag name, branch name, commit SHA or qualified ref
+ * @returns {Promise<object>} - Object containing sha, kind ("tag", "branch" or "commit") and peeledFrom
+ */
+export async function resolveGitLabRef(connection, ref) {
+  const repositoryPath = `/projects/${connection.projectId}/repository`;
+
+  return resolveRefWith(ref, {
+    tag: async (name) => {
+      const { data } = await gitlabRequest(connection, `${repositoryPath}/tags/${encodeURIComponent(name)}`);
+      return { sha: data.commit.id, peeledFrom: data.target && data.target !== data.commit.id ? data.target : null };
+    },
+    branch: async (name) => {
+      const { data } = await gitlabRequest(connection, `${repositoryPath}/branches/${encodeURIComponent(name)}`);
+      return { sha: data.commit.id };
+    },
+    commit: async (name) => {
+      const { data } = await gitlabRequest(connection, `${repositoryPath}/commits/${encodeURIComponent(name)}`);
+      return { sha: data.id };
+    },
+  });
+}
+
+/**
+ * List the project's tags with the commits they point to
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @returns {Promise<Array>} - Array of objects containing name and sha
+ */
+export async function listGitLabTags(connection) {
+  const tags = await gitlabRequestAll(connection, `/projects/${connection.projectId}/repository/tags`);
+  return tags.map((tag) => ({ name: tag.name, sha: tag.commit.id }));
+}
+
+/**
+ * Get the tag name of the most recently released GitLab release
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @returns {Promise<string|null>} - Tag name, or null when the project has no releases
+ */
+export async function getGitLabLatestRelease(connection) {
+  // Releases are sorted by `released_at`, newest first
+  const { data } = await gitlabRequest(connection, `/projects/${connection.projectId}/releases`, { per_page: 1 });
+  return data.length > 0 ? data[0].tag_name : null;
+}
+
+/**
+ * Get commits between two references from GitLab
+ * Uses the compare endpoint for the whole repository and the commits endpoint with `path`
+ * filtering (over a `base..head` revision range) when a target directory is given.
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @param {string} baseSha - Base commit SHA (older)
+ * @param {string} headSha - Head commit SHA (newer)
+ * @param {string} targetDir - Optional target directory to filter commits by path
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} options - Additional fetch options
+ * @param {object} options.fetchStats - Optional object that receives request counts and range completeness
+ * @param {number} options.maxCommits - Optional maximum number of commits to fetch
+ * @returns {Promise<Array>} - Array of commit objects
+ */
+export async function getGitLabCommitsBetween(connection, baseSha, headSha, targetDir = null, onProgress = null, options = {}) {
+  const fetchStats = options.fetchStats || {};
+  fetchStats.requestCount = fetchStats.requestCount || 0;
+  fetchStats.totalChecked = fetchStats.totalChecked || 0;
+  const maxCommits = options.maxCommits > 0 ? options.maxCommits : null;
+
+  // Safe progress callback wrapper
+  const safeProgress = (message) => {
+    try {
+      if (onProgress) onProgress(message);
+    } catch (callbackError) {
+      console.warn(`[GitLab Progress Warning] Progress callback error: ${callbackError.message}`);
+    }
+  };
+
+  const projectPath = `/projects/${connection.projectId}/repository`;
+  let commits = [];
+
+  if (!targetDir) {
+    console.log(`[GitLab] Using compare for full repository comparison`);
+    safeProgress("Comparing commit ranges...");
+
+    const { data } = await gitlabRequest(connection, `${projectPath}/compare`, { from: baseSha, to: headSha, straight: false });
+    fetchStats.requestCount++;
+
+    // Compare lists commits oldest first, like GitHub's compare endpoint
+    commits = (data.commits || []).map(normalizeGitLabCommit);
+    fetchStats.totalChecked += commits.length;
+    fetchStats.totalInRange = commits.length;
+  } else {
+    console.log(`[GitLab] Using commits listing with path filter: ${targetDir}`);
+    safeProgress(`Fetching commits that modified path: ${targetDir}...`);
+
+    let page = 1;
+    let totalInRange = null;
+
+    while (page) {
+      const { data, headers } = await gitlabRequest(connection, `${projectPath}/commits`, {
+        ref_name: `${baseSha}..${headSha}`,
+        path: targetDir,
+        per_page: GITLAB_PER_PAGE,
+        page,
+      });
+      fetchStats.requestCount++;
+      fetchStats.totalChecked += data.length;
+
+      // `x-total` is omitted by GitLab for very large result sets
+      if (headers.get("x-total")) {
+        totalInRange = parseInt(headers.get("x-total"), 10);
+      }
+
+      commits = commits.concat(data.map(normalizeGitLabCommit));
+
+      if (maxCommits && commits.length >= maxCommits) {
+        break;
+      }
+
+      page = parseInt(headers.get("x-next-page"), 10) || null;
+      if (page) {
+        safeProgress(`Fetched ${commits.length} commits so far...`);
+      }
+    }
+
+    fetchStats.totalInRange = totalInRange;
+  }
+
+  const fetchedCount = commits.length;
+  // Keep the newest commits, which compare lists last and the commits listing first
+  if (maxCommits && commits.length > maxCommits) {
+    commits = targetDir ? commits.slice(0, maxCommits) : commits.slice(-maxCommits);
+  }
+
+  fetchStats.truncated = Boolean(maxCommits && (fetchedCount > maxCommits || (fetchStats.totalInRange ?? 0) > maxCommits));
+  fetchStats.omittedCommits = fetchStats.truncated
+    ? fetchStats.totalInRange !== null
+      ? fetchStats.totalInRange - commits.length
+      : null
+    : 0;
+  fetchStats.complete = !fetchStats.truncated;
+
+  console.log(`[GitLab] Found ${commits.length} commits in range`);
+  safeProgress(`Found ${commits.length} commits in range`);
+  return commits;
+}
+
+/**
+ * Count the added and removed lines in a unified diff hunk
+ * @param {object} diff - GitLab diff entry
+ * @returns {object} - Object containing additions and deletions, null when GitLab left the diff out
+ */
+function countDiffLines(diff) {
+  if (diff.too_large || diff.collapsed || typeof diff.diff !== "string") {
+    return { additions: null, deletions: null };
+  }
+
+  let additions = 0;
+  let deletions = 0;
+  for (const line of diff.diff.split("\n")) {
+    if (line.startsWith("+")) additions++;
+    else if (line.startsWith("-")) deletions++;
+  }
+  return { additions, deletions };
+}
+
+/**
+ * Get files changed in a commit from its GitLab diff
+ * GitLab has no per-file line counts, so they are counted from the diff text.
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array>} - Array of file changes ({ filename, status, additions, deletions, changes, previous_filename })
+ */
+export async function getGitLabFilesChangedInCommit(connection, sha) {
+  try {
+    const diffs = await gitlabRequestAll(connection, `/projects/${connection.projectId}/repository/commits/${sha}/diff`);
+    return diffs.map((diff) => {
+      const { additions, deletions } = countDiffLines(diff);
+      return {
+        filename: diff.new_path,
+        status: diff.new_file ? "added" : diff.deleted_file ? "removed" : diff.renamed_file ? "renamed" : "modified",
+        additions,
+        deletions,
+        changes: additions === null ? null : additions + deletions,
+        previous_filename: diff.renamed_file ? diff.old_path : null,
+      };
+    });
+  } catch (error) {
+    console.error(`Warning: Could not get files for commit ${sha}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the merge requests a commit belongs to
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array|null>} - Array of merge requests ({ number, title, url, labels, author, mergedBy, reviewers }),
+ * or null when they could not be fetched
+ */
+export async function getGitLabMergeRequests(connection, sha) {
+  try {
+    const mergeRequests = await gitlabRequestAll(connection, `/projects/${connection.projectId}/repository/commits/${sha}/merge_requests`);
+    return mergeRequests.map((mr) => ({
+      number: mr.iid,
+      title: mr.title,
+      url: mr.web_url,
+      labels: mr.labels || [],
+      author: mr.author?.username || null,
+      // `merged_by` is deprecated in favour of `merge_user`, which older instances do not send
+      mergedBy: (mr.merge_user || mr.merged_by)?.username || null,
+      reviewers: (mr.reviewers || []).map((reviewer) => reviewer.username),
+    }));
+  } catch (error) {
+    console.error(`Warning: Could not get merge requests for commit ${sha}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read a file as it was in a commit
+ * @param {object} connection - Object containing apiUrl, token and projectId
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<string|null>} - File content, or null when the commit has no such file or it could not be fetched
+ */
+export async function getGitLabFileContent(connection, filePath, sha) {
+  try {
+    const path = `/projects/${connection.projectId}/repository/files/${encodeURIComponent(filePath)}`;
+    const { data } = await gitlabRequest(connection, path, { ref: sha });
+    return Buffer.from(data.content, data.encoding === "base64" ? "base64" : "utf8").toString("utf8");
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Warning: Could not get ${filePath} at ${sha}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Create a repository client backed by the GitLab REST API
+ * The API base URL defaults to the repository host. For repositories on the host of `options.gitlabUrl` or the
+ * GITLAB_URL environment variable, that URL is used instead, e.g. for instances below a context path.
+ * GITLAB_TOKEN is only sent to gitlab.com and the configured instance, since any other host comes from the
+ * repository URL a caller submits; those hosts need `options.token`.
+ * @param {object} options - Configuration options (repoUrl, token, gitlabUrl)
+ * @returns {object} - Repository client
+ */
+export function createGitLabClient(options) {
+  const { host, owner, repo, projectPath } = parseGitLabUrl(options.repoUrl);
+  const configured = getConfiguredGitLabUrl(options);
+  const configuredUrl = configured?.host === host ? configured.url : null;
+  const baseUrl = configuredUrl || `https://${host}`;
+  const trusted = baseUrl === GITLAB_COM_URL || baseUrl === configuredUrl;
+
+  const connection = {
+    apiUrl: `${baseUrl}/api/v4`,
+    token: options.token || (trusted ? process.env.GITLAB_TOKEN : null),
+    projectId: encodeURIComponent(projectPath),
+  };
+
+  return {
+    provider: "gitlab",
+    repository: { owner, repo },
+    issueUrlTemplate: `${baseUrl}/${projectPath}/-/issues/{number}`,
+    commitUrlTemplate: `${baseUrl}/${projectPath}/-/commit/{sha}`,
+    pullRequestUrlTemplate: `${baseUrl}/${projectPath}/-/merge_requests/{number}`,
+    resolveRef: (ref) => resolveGitLabRef(connection, ref),
+    listTags: () => listGitLabTags(connection),
+    getLatestRelease: () => getGitLabLatestRelease(connection),
+    getDefaultBranch: async () => (await gitlabRequest(connection, `/projects/${connection.projectId}`)).data.default_branch,
+    fetchCommits: async (baseSha, headSha, targetDir, onProgress, fetchOptions = {}) => ({
+      commits: await getGitLabCommitsBetween(connection, baseSha, headSha, targetDir, onProgress, fetchOptions),
+      apiUsed: "gitlab",
+    }),
+    getChangedFiles: (sha) => getGitLabFilesChangedInCommit(connection, sha),
+    getPullRequests: (sha) => getGitLabMergeRequests(connection, sha),
+    getFileContent: (filePath, sha) => getGitLabFileContent(connection, filePath, sha),
+    getRateLimit: () => connection.rateLimit || null,
+  };
+}
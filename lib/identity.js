@@ -0,0 +1,67 @@
+// Trailer crediting another author of a commit, e.g. "Co-authored-by: Jane Doe <jane@example.com>"
+const CO_AUTHOR_TRAILER = "co-authored-by";
+
+// GitHub's private commit emails name the account: "12345+jane@users.noreply.github.com" (or, for older accounts,
+// "jane@users.noreply.github.com")
+const GITHUB_NOREPLY_PATTERN = /^(?:(\d+)\+)?([^@+]+)@users\.noreply\.github\.com$/i;
+
+/**
+ * Build the identity of a person credited on a commit
+ * GitHub private commit emails fill in a missing login and avatar, so co-authors using them are recognized too.
+ * @param {object} details - Object containing name, email, login and avatarUrl, each optional
+ * @returns {object} - Object containing name, email, login and avatarUrl (null when unknown)
+ */
+export function createIdentity({ name = null, email = null, login = null, avatarUrl = null } = {}) {
+  const noreply = (email || "").match(GITHUB_NOREPLY_PATTERN);
+  const noreplyLogin = noreply ? noreply[2] : null;
+  const noreplyAvatar = noreply ? `https://avatars.githubusercontent.com/${noreply[1] ? `u/${noreply[1]}` : noreplyLogin}` : null;
+
+  return {
+    name: name || null,
+    email: email || null,
+    login: login || noreplyLogin,
+    avatarUrl: avatarUrl || noreplyAvatar,
+  };
+}
+
+/**
+ * Parse a git identity such as `Jane Doe <jane@example.com>`
+ * @param {string} text - Name followed by an email in angle brackets; either part may be missing
+ * @returns {object|null} - Identity from createIdentity, or null for blank text
+ */
+export function parseIdentity(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const match = trimmed.match(/^(.*?)\s*<([^<>]*)>$/);
+  return match ? createIdentity({ name: match[1].trim(), email: match[2].trim() }) : createIdentity({ name: trimmed });
+}
+
+/**
+ * Get the co-authors credited in the trailers of a commit message
+ * Trailer tokens are matched case-insensitively and people listed twice (by email, or by name without one) are kept once.
+ * @param {object} footers - Footers from parseConventionalCommit
+ * @returns {Array} - Array of identities ({ name, email, login, avatarUrl })
+ */
+export function getCoAuthors(footers) {
+  const coAuthors = [];
+  const seen = new Set();
+
+  for (const [token, values] of Object.entries(footers || {})) {
+    if (token.toLowerCase() !== CO_AUTHOR_TRAILER) {
+      continue;
+    }
+    for (const value of values) {
+      const identity = parseIdentity(value);
+      const key = identity && (identity.email || identity.name).toLowerCase();
+      if (identity && !seen.has(key)) {
+        seen.add(key);
+        coAuthors.push(identity);
+      }
+    }
+  }
+
+  return coAuthors;
+}
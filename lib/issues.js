@@ -0,0 +1,150 @@
+// Project-key references such as ABC-123, used by Jira, Linear, YouTrack and most other trackers
+const PROJECT_KEY_PATTERN = "\\b[A-Z][A-Z0-9_]+-\\d+\\b";
+
+// Bracketed project keys such as [ABC-123]; names like SHA-256, UTF-8 or ISO-8601 look like bare keys but are never bracketed
+const BRACKETED_PROJECT_KEY_PATTERN = "\\[([A-Z][A-Z0-9_]+-\\d+)\\]";
+
+// Issue numbers such as #123, but not HTML entities (&#123;) or URL fragments (/page#123)
+const ISSUE_NUMBER_PATTERN = "(?<![\\w&/])#\\d+\\b";
+
+// Trackers whose references are issue numbers in the repository's own tracker
+const NUMBER_TRACKERS = ["github", "gitlab", "bitbucket"];
+
+/**
+ * Parse one issue tracker specification
+ * A string spec is `name[:PROJ1,PROJ2][=url-template]`, e.g. `linear:ENG,DES=https://linear.app/acme/issue/{key}`;
+ * objects are used as they are. JSON strings may hold an object or an array of them.
+ * @param {string|object} spec - Tracker specification
+ * @returns {Array} - Array of tracker objects ({ name, pattern, projects, url })
+ */
+function parseTrackerSpec(spec) {
+  if (typeof spec !== "string") {
+    return [spec];
+  }
+
+  const trimmed = spec.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      return [JSON.parse(trimmed)].flat();
+    } catch (error) {
+      throw new Error(`Invalid issue tracker JSON: ${error.message}`);
+    }
+  }
+
+  const separatorIndex = trimmed.indexOf("=");
+  const head = separatorIndex === -1 ? trimmed : trimmed.substring(0, separatorIndex);
+  const url = separatorIndex === -1 ? null : trimmed.substring(separatorIndex + 1).trim();
+  const [name, projectList] = head.split(":");
+  const projects = projectList ? projectList.split(",").map((project) => project.trim()).filter(Boolean) : null;
+
+  return [{ name: name.trim(), projects, url }];
+}
+
+/**
+ * Turn issue tracker specifications into validated tracker definitions
+ * Trackers without a `pattern` match project keys (ABC-123), except `github`, `gitlab` and `bitbucket`, which match
+ * issue numbers (#123). Patterns are regular expression sources; the first capture group, if any, is the key.
+ * @param {Array|string} specs - Tracker specifications (see parseTrackerSpec) or one of them
+ * @returns {Array} - Array of tracker objects ({ name, pattern, projects, url })
+ */
+export function parseIssueTrackers(specs) {
+  return [specs || []]
+    .flat()
+    .flatMap(parseTrackerSpec)
+    .map((tracker) => {
+      const name = String(tracker?.name || "").trim().toLowerCase();
+      if (!name) {
+        throw new Error("Invalid issue tracker: every tracker needs a name");
+      }
+
+      const pattern = tracker.pattern || (NUMBER_TRACKERS.includes(name) ? ISSUE_NUMBER_PATTERN : PROJECT_KEY_PATTERN);
+      try {
+        new RegExp(pattern, "g");
+      } catch (error) {
+        throw new Error(`Invalid pattern for issue tracker "${name}": ${error.message}`);
+      }
+
+      const projects = tracker.projects && tracker.projects.length > 0 ? tracker.projects.map((project) => project.toUpperCase()) : null;
+      return { name, pattern, projects, url: tracker.url || null };
+    });
+}
+
+/**
+ * Get the trackers used when none are configured
+ * Bracketed project keys ([ABC-123]) are reported as Jira issues, and issue numbers as issues of the repository's own
+ * tracker when the provider has one. Bare keys are only matched by configured trackers.
+ * @param {object} client - Repository client (provider and issueUrlTemplate)
+ * @returns {Array} - Array of tracker specifications
+ */
+export function getDefaultIssueTrackers(client) {
+  const trackers = [{ name: "jira", pattern: BRACKETED_PROJECT_KEY_PATTERN }];
+  if (client.issueUrlTemplate) {
+    trackers.push({ name: client.provider, url: client.issueUrlTemplate });
+  }
+  return trackers;
+}
+
+/**
+ * Fill in an issue URL template
+ * `{key}` is the whole key, `{project}` the part before the last "-" and `{number}` the trailing digits.
+ * @param {string} template - URL template
+ * @param {string} key - Issue key
+ * @returns {string} - Issue URL
+ */
+function formatIssueUrl(template, key) {
+  const separatorIndex = key.lastIndexOf("-");
+  const values = {
+    key,
+    project: separatorIndex === -1 ? "" : key.substring(0, separatorIndex),
+    number: (key.match(/\d+$/) || [""])[0],
+  };
+  return template.replace(/\{(key|project|number)\}/g, (_, name) => encodeURIComponent(values[name]));
+}
+
+/**
+ * Create a function that finds issue references in commit messages
+ * Trackers are tried in order and a piece of text belongs to the first one that matches it, so a tracker with a
+ * project allowlist (e.g. Linear for ENG-*) should come before a catch-all one (e.g. Jira).
+ * @param {Array|string} specs - Tracker specifications for parseIssueTrackers
+ * @param {object} options - Options containing urlTemplates, URLs for trackers configured without one (by name)
+ * @returns {Function} - Function taking a message and returning an array of { tracker, key, url }
+ */
+export function createIssueExtractor(specs, options = {}) {
+  const trackers = parseIssueTrackers(specs).map((tracker) => ({
+    ...tracker,
+    url: tracker.url || options.urlTemplates?.[tracker.name] || null,
+  }));
+
+  return (message) => {
+    const matches = [];
+    const claimed = [];
+
+    for (const tracker of trackers) {
+      for (const match of (message || "").matchAll(new RegExp(tracker.pattern, "g"))) {
+        const key = match[1] ?? match[0];
+        const start = match.index;
+        const end = start + match[0].length;
+        const project = key.includes("-") ? key.substring(0, key.lastIndexOf("-")).toUpperCase() : null;
+
+        if (tracker.projects && !tracker.projects.includes(project)) continue;
+        if (claimed.some((range) => start < range.end && end > range.start)) continue;
+
+        claimed.push({ start, end });
+        matches.push({ start, issue: { tracker: tracker.name, key, url: tracker.url ? formatIssueUrl(tracker.url, key) : null } });
+      }
+    }
+
+    const seen = new Set();
+    return matches
+      .sort((a, b) => a.start - b.start)
+      .map(({ issue }) => issue)
+      .filter((issue) => {
+        const id = `${issue.tracker}:${issue.key}`;
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+  };
+}
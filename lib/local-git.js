@@ -0,0 +1,354 @@
+import { execFile } from "node:child_process";
+import { existsSync } from "node:fs";
+import { homedir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { resolveRefWith } from "./refs.js";
+
+const execFileAsync = promisify(execFile);
+
+// Field and record separators used in `git log --format` output
+const FIELD_SEPARATOR = "\x1f";
+const RECORD_SEPARATOR = "\x1e";
+
+/**
+ * Check whether a repository URL points to a local checkout (a filesystem path or `file://` URL)
+ * @param {string} url - Repository URL or path
+ * @returns {boolean} - Whether the URL refers to a local repository
+ */
+export function isLocalRepoUrl(url) {
+  if (!url) {
+    return false;
+  }
+  return url.startsWith("file://") || /^(\.{1,2}($|[\\/])|[\\/]|~($|[\\/])|[A-Za-z]:[\\/])/.test(url);
+}
+
+/**
+ * Resolve a local repository URL to an absolute path
+ * @param {string} url - Local path or `file://` URL
+ * @returns {object} - Object containing the absolute path and repository name
+ */
+export function parseLocalRepoUrl(url) {
+  let repoPath;
+
+  if (url.startsWith("file://")) {
+    repoPath = fileURLToPath(url);
+  } else if (url === "~" || url.startsWith("~/") || url.startsWith("~\\")) {
+    repoPath = path.join(homedir(), url.substring(1));
+  } else {
+    repoPath = url;
+  }
+
+  repoPath = path.resolve(repoPath);
+
+  if (!existsSync(repoPath)) {
+    throw new Error(`Local repository path does not exist: ${repoPath}`);
+  }
+
+  return {
+    path: repoPath,
+    repo: path.basename(repoPath),
+  };
+}
+
+/**
+ * Run a git command in the given repository
+ * @param {string} repoPath - Path to the repository
+ * @param {Array<string>} args - Git arguments
+ * @returns {Promise<string>} - Standard output of the command
+ */
+async function runGit(repoPath, args) {
+  try {
+    const { stdout } = await execFileAsync("git", ["-C", repoPath, ...args], { maxBuffer: 256 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    const detail = error.stderr ? error.stderr.trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Look up a single ref with `git rev-parse`, returning null when it does not exist
+ * @param {string} repoPath - Path to the repository
+ * @param {string} revision - Revision to verify
+ * @returns {Promise<string|null>} - Object SHA, or null
+ */
+async function revParse(repoPath, revision) {
+  try {
+    return (await runGit(repoPath, ["rev-parse", "--verify", "--quiet", revision])).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a tag, branch or commit-ish to a commit
+ * Annotated tags are peeled with `^{commit}`; `peeledFrom` keeps the tag object SHA.
+ * @param {string} repoPath - Path to the repository
+ * @param {string} ref - Tag name, branch name, SHA, qualified ref or any other git revision
+ * @returns {Promise<object>} - Object containing sha, kind ("tag", "branch" or "commit") and peeledFrom
+ */
+export async function resolveLocalRef(repoPath, ref) {
+  // Refuse anything git could read as an option
+  if (!ref || ref.startsWith("-")) {
+    throw new Error(`Could not find tag or commit: ${ref}`);
+  }
+
+  return resolveRefWith(ref, {
+    tag: async (name) => {
+      const objectSha = await revParse(repoPath, `refs/tags/${name}`);
+      if (!objectSha) {
+        return null;
+      }
+      const sha = await revParse(repoPath, `refs/tags/${name}^{commit}`);
+      return { sha, peeledFrom: sha !== objectSha ? objectSha : null };
+    },
+    branch: async (name) => ({
+      sha:
+        (await revParse(repoPath, `refs/heads/${name}^{commit}`)) ||
+        (await revParse(repoPath, `refs/remotes/${name}^{commit}`)),
+    }),
+    commit: async (name) => ({ sha: await revParse(repoPath, `${name}^{commit}`) }),
+  });
+}
+
+/**
+ * List tags with the commits they point to, peeling annotated tags
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Array>} - Array of objects containing name and sha
+ */
+export async function listLocalTags(repoPath) {
+  const stdout = await runGit(repoPath, [
+    "for-each-ref",
+    `--format=%(refname:short)${FIELD_SEPARATOR}%(objectname)${FIELD_SEPARATOR}%(*objectname)`,
+    "refs/tags",
+  ]);
+
+  return stdout
+    .split("\n")
+    .filter((line) => line)
+    .map((line) => {
+      const [name, objectSha, peeledSha] = line.split(FIELD_SEPARATOR);
+      return { name, sha: peeledSha || objectSha };
+    });
+}
+
+/**
+ * Get the default branch: the branch `origin/HEAD` points to, or the current branch when there is no remote
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string>} - Branch name
+ */
+export async function getLocalDefaultBranch(repoPath) {
+  try {
+    const remoteHead = (await runGit(repoPath, ["symbolic-ref", "--short", "refs/remotes/origin/HEAD"])).trim();
+    return remoteHead.replace(/^origin\//, "");
+  } catch (error) {
+    return (await runGit(repoPath, ["symbolic-ref", "--short", "HEAD"])).trim();
+  }
+}
+
+/**
+ * Get commits between two references with `git log base..head`
+ * @param {string} repoPath - Path to the repository
+ * @param {string} baseSha - Base commit SHA (older)
+ * @param {string} headSha - Head commit SHA (newer)
+ * @param {string} targetDir - Optional target directory to filter commits by path
+ * @param {function} onProgress - Optional progress callback
+ * @param {object} options - Additional fetch options
+ * @param {object} options.fetchStats - Optional object that receives command counts and range completeness
+ * @param {number} options.maxCommits - Optional maximum number of commits to fetch
+ * @returns {Promise<Array>} - Array of commit objects in the same shape as the GitHub fetchers
+ */
+export async function getLocalCommitsBetween(repoPath, baseSha, headSha, targetDir = null, onProgress = null, options = {}) {
+  const fetchStats = options.fetchStats || {};
+  fetchStats.requestCount = fetchStats.requestCount || 0;
+  fetchStats.totalChecked = fetchStats.totalChecked || 0;
+  const maxCommits = options.maxCommits > 0 ? options.maxCommits : null;
+  const pathArgs = targetDir ? ["--", targetDir] : [];
+
+  // Safe progress callback wrapper
+  const safeProgress = (message) => {
+    try {
+      if (onProgress) onProgress(message);
+    } catch (callbackError) {
+      console.warn(`[Local Git Progress Warning] Progress callback error: ${callbackError.message}`);
+    }
+  };
+
+  safeProgress(targetDir ? `Reading git log for path: ${targetDir}...` : "Reading git log...");
+
+  const countOutput = await runGit(repoPath, ["rev-list", "--count", `${baseSha}..${headSha}`, ...pathArgs]);
+  fetchStats.requestCount++;
+  const totalInRange = parseInt(countOutput.trim(), 10);
+
+  const format = ["%H", "%P", "%an", "%ae", "%aI", "%cn", "%ce", "%cI", "%B"].join(FIELD_SEPARATOR);
+  const logArgs = ["log", `--format=${format}${RECORD_SEPARATOR}`];
+  if (maxCommits) {
+    logArgs.push(`--max-count=${maxCommits}`);
+  }
+  logArgs.push(`${baseSha}..${headSha}`, ...pathArgs);
+
+  const logOutput = await runGit(repoPath, logArgs);
+  fetchStats.requestCount++;
+
+  const commits = logOutput
+    .split(RECORD_SEPARATOR)
+    .map((record) => record.replace(/^\n/, ""))
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [sha, parents, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message] =
+        record.split(FIELD_SEPARATOR);
+      return {
+        sha,
+        parents: parents ? parents.split(" ") : [],
+        commit: {
+          message: message.trim(),
+          author: {
+            name: authorName,
+            email: authorEmail || null,
+            date: authorDate,
+          },
+          committer: {
+            name: committerName,
+            email: committerEmail || null,
+            date: committerDate,
+          },
+        },
+        files: [],
+        changedFilesCount: null,
+      };
+    });
+
+  fetchStats.totalChecked += commits.length;
+  fetchStats.totalInRange = totalInRange;
+  fetchStats.truncated = commits.length < totalInRange;
+  fetchStats.omittedCommits = totalInRange - commits.length;
+  fetchStats.complete = !fetchStats.truncated;
+
+  console.log(`[Local Git] Found ${commits.length} of ${totalInRange} commits in ${repoPath}`);
+  safeProgress(`Found ${commits.length} commits in range`);
+  return commits;
+}
+
+// `git diff-tree --raw` status letters and the GitHub file statuses they correspond to
+const FILE_STATUSES = { A: "added", D: "removed", M: "modified", R: "renamed", C: "copied", T: "changed" };
+
+/**
+ * Parse the combined `--raw --numstat -z` output of `git diff-tree`
+ * All raw records come first, then one numstat record per file in the same order. Renames and copies name
+ * both paths in either section. Binary files have "-" instead of line counts and, as on GitHub, count as zero lines.
+ * @param {string} stdout - Output of `git diff-tree -z --raw --numstat`
+ * @returns {Array} - Array of file changes ({ filename, status, additions, deletions, changes, previous_filename })
+ */
+function parseDiffTreeOutput(stdout) {
+  const fields = stdout.split("\0");
+  const files = [];
+  let numstatIndex = 0;
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (!field) {
+      continue;
+    }
+
+    if (field.startsWith(":")) {
+      const statusLetter = field.split(" ").pop()[0];
+      const hasTwoPaths = statusLetter === "R" || statusLetter === "C";
+      const previousFilename = hasTwoPaths ? fields[++i] : null;
+      files.push({
+        filename: fields[++i],
+        status: FILE_STATUSES[statusLetter] || "modified",
+        additions: null,
+        deletions: null,
+        changes: null,
+        previous_filename: previousFilename,
+      });
+    } else {
+      const [additions, deletions, filePath] = field.split("\t");
+      if (filePath === "") {
+        i += 2;
+      }
+      const file = files[numstatIndex++];
+      if (file) {
+        file.additions = additions === "-" ? 0 : Number(additions);
+        file.deletions = deletions === "-" ? 0 : Number(deletions);
+        file.changes = file.additions + file.deletions;
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Get files changed in a commit with `git diff-tree`
+ * Merge commits are compared against their first parent, like the GitHub commit API does, and renames are detected.
+ * @param {string} repoPath - Path to the repository
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array>} - Array of file changes ({ filename, status, additions, deletions, changes, previous_filename })
+ */
+export async function getLocalFilesChangedInCommit(repoPath, sha) {
+  try {
+    const stdout = await runGit(repoPath, [
+      "diff-tree",
+      "-z",
+      "--no-commit-id",
+      "-r",
+      "--root",
+      "-M",
+      "--raw",
+      "--numstat",
+      "--diff-merges=first-parent",
+      sha,
+    ]);
+    return parseDiffTreeOutput(stdout);
+  } catch (error) {
+    console.error(`Warning: Could not get files for commit ${sha}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Read a file as it was in a commit
+ * @param {string} repoPath - Path to the repository
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<string|null>} - File content, or null when the commit has no such file
+ */
+export async function getLocalFileContent(repoPath, filePath, sha) {
+  try {
+    return await runGit(repoPath, ["show", `${sha}:${filePath}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a repository client backed by a local git checkout
+ * @param {string} repoUrl - Local path or `file://` URL
+ * @returns {object} - Repository client
+ */
+export function createLocalGitClient(repoUrl) {
+  const { path: repoPath, repo } = parseLocalRepoUrl(repoUrl);
+
+  return {
+    provider: "local",
+    repository: { owner: null, repo, path: repoPath },
+    issueUrlTemplate: null,
+    commitUrlTemplate: null,
+    pullRequestUrlTemplate: null,
+    resolveRef: (ref) => resolveLocalRef(repoPath, ref),
+    listTags: () => listLocalTags(repoPath),
+    // Releases live on the hosting service, so @latest-release falls back to the latest version tag
+    getLatestRelease: async () => null,
+    getDefaultBranch: () => getLocalDefaultBranch(repoPath),
+    fetchCommits: async (baseSha, headSha, targetDir, onProgress, options = {}) => ({
+      commits: await getLocalCommitsBetween(repoPath, baseSha, headSha, targetDir, onProgress, options),
+      apiUsed: "git",
+    }),
+    getChangedFiles: (sha) => getLocalFilesChangedInCommit(repoPath, sha),
+    getFileContent: (filePath, sha) => getLocalFileContent(repoPath, filePath, sha),
+    getRateLimit: () => null,
+  };
+}
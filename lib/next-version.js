@@ -0,0 +1,183 @@
+import { parseVersion } from "./semver.js";
+
+// Version bumps from smallest to largest; "none" means the commit does not need a release
+const BUMPS = ["none", "patch", "minor", "major"];
+
+// Bump for each commit type; "breaking" applies to breaking changes of any type and "*" to every other commit
+export const DEFAULT_BUMP_RULES = {
+  breaking: "major",
+  major: "major",
+  minor: "minor",
+  feat: "minor",
+  feature: "minor",
+  patch: "patch",
+  fix: "patch",
+  perf: "patch",
+  revert: "patch",
+  "*": "patch",
+};
+
+/**
+ * Turn bump rules into a complete rule map
+ * Rules are an object or a string such as `docs=none,refactor=minor` (or JSON), and override the defaults above.
+ * @param {object|string} rules - Bump rules, from commit type to "major", "minor", "patch" or "none"
+ * @returns {object} - Map from commit type, "breaking" or "*" to a bump
+ */
+export function parseBumpRules(rules) {
+  let parsed = rules || {};
+
+  if (typeof parsed === "string") {
+    const trimmed = parsed.trim();
+    if (trimmed.startsWith("{")) {
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Invalid bump rules JSON: ${error.message}`);
+      }
+    } else {
+      parsed = Object.fromEntries(
+        trimmed
+          .split(",")
+          .filter((rule) => rule.trim())
+          .map((rule) => rule.split("=").map((part) => part.trim()))
+      );
+    }
+  }
+
+  const merged = { ...DEFAULT_BUMP_RULES };
+  for (const [type, bump] of Object.entries(parsed)) {
+    const normalizedBump = String(bump || "").toLowerCase();
+    if (!type || !BUMPS.includes(normalizedBump)) {
+      throw new Error(`Invalid bump rule "${type}=${bump ?? ""}". Use major, minor, patch or none.`);
+    }
+    merged[type.toLowerCase()] = normalizedBump;
+  }
+  return merged;
+}
+
+/**
+ * Find the rule that applies to a commit
+ * @param {object} commit - Commit with type and breaking (see parseCommitMessage)
+ * @param {object} rules - Rules from parseBumpRules
+ * @returns {object} - Object containing rule (the matched key) and bump
+ */
+function getCommitBump(commit, rules) {
+  if (commit.breaking && rules.breaking) {
+    return { rule: "breaking", bump: rules.breaking };
+  }
+  const type = (commit.type || "").toLowerCase();
+  if (type && rules[type]) {
+    return { rule: type, bump: rules[type] };
+  }
+  return { rule: "*", bump: rules["*"] || "none" };
+}
+
+/**
+ * Move prerelease identifiers on: the last numeric one is incremented, or a 0 is added after them (rc -> rc.0)
+ * @param {Array} prerelease - Prerelease identifiers
+ * @param {boolean} restart - Start the counter again at 0 instead of incrementing it
+ * @returns {Array} - New prerelease identifiers
+ */
+function nextPrerelease(prerelease, restart) {
+  const index = prerelease.findLastIndex((identifier) => /^\d+$/.test(identifier));
+  if (index === -1) {
+    return [...prerelease, "0"];
+  }
+  const next = [...prerelease];
+  next[index] = restart ? "0" : String(parseInt(next[index], 10) + 1);
+  return next;
+}
+
+/**
+ * Apply a bump to a version
+ * A prerelease already stands for the release it leads to (1.2.0-rc.1 for the minor release 1.2.0), so changes no
+ * bigger than that only move the prerelease on (1.2.0-rc.2); bigger ones start a new prerelease (2.0.0-rc.0).
+ * @param {object} version - Version from parseVersion
+ * @param {string} bump - "major", "minor" or "patch"
+ * @returns {object} - Bumped version
+ */
+function bumpVersion(version, bump) {
+  const { major, minor, patch, prerelease } = version;
+  const released =
+    bump === "major"
+      ? { major: major + 1, minor: 0, patch: 0 }
+      : bump === "minor"
+      ? { major, minor: minor + 1, patch: 0 }
+      : { major, minor, patch: patch + 1 };
+
+  if (prerelease.length === 0) {
+    return { ...released, prerelease: [] };
+  }
+
+  const pendingBump = patch > 0 ? "patch" : minor > 0 ? "minor" : "major";
+  if (BUMPS.indexOf(bump) <= BUMPS.indexOf(pendingBump)) {
+    return { major, minor, patch, prerelease: nextPrerelease(prerelease, false) };
+  }
+  return { ...released, prerelease: nextPrerelease(prerelease, true) };
+}
+
+/**
+ * Format a parsed version without its tag prefix
+ * @param {object} version - Version from parseVersion
+ * @returns {string} - Version such as 1.2.0 or 1.2.0-rc.1
+ */
+function formatVersion(version) {
+  const core = `${version.major}.${version.minor}.${version.patch}`;
+  return version.prerelease.length > 0 ? `${core}-${version.prerelease.join(".")}` : core;
+}
+
+/**
+ * Recommend the next version from the commits since a version tag
+ * Each commit is bumped by its rule (see DEFAULT_BUMP_RULES) and the biggest bump wins; `reasons` lists the commits
+ * that called for it. During initial development (0.x) breaking changes bump the minor version and minor changes
+ * the patch version. `current`, `next` and `nextTag` are null when `currentRef` is not a version tag, and `next` and
+ * `nextTag` are null when no commit needs a release.
+ * @param {Array} commits - Commits with hash, type, breaking and subject (see parseCommitMessage)
+ * @param {string} currentRef - Tag the commits were counted from, e.g. "v1.4.0" or "payments-service@1.4.0"
+ * @param {object} options - Options containing bumpRules (see parseBumpRules)
+ * @returns {object} - Object containing current, next, nextTag, bump, initialDevelopment and reasons
+ */
+export function recommendNextVersion(commits, currentRef, options = {}) {
+  const rules = parseBumpRules(options.bumpRules);
+  const version = parseVersion(currentRef);
+
+  let bump = "none";
+  let reasons = [];
+  for (const commit of commits) {
+    const commitBump = getCommitBump(commit, rules);
+    if (commitBump.bump === "none" || BUMPS.indexOf(commitBump.bump) < BUMPS.indexOf(bump)) {
+      continue;
+    }
+    if (BUMPS.indexOf(commitBump.bump) > BUMPS.indexOf(bump)) {
+      bump = commitBump.bump;
+      reasons = [];
+    }
+    reasons.push({
+      hash: commit.hash,
+      subject: commit.subject || (commit.message || "").split("\n")[0],
+      rule: commitBump.rule,
+      bump: commitBump.bump,
+    });
+  }
+
+  const initialDevelopment = Boolean(version && version.major === 0);
+  if (initialDevelopment && bump !== "none") {
+    bump = BUMPS[Math.max(BUMPS.indexOf(bump) - 1, 1)];
+  }
+
+  if (!version) {
+    return { current: null, next: null, nextTag: null, bump: bump === "none" ? null : bump, initialDevelopment, reasons };
+  }
+
+  // Keep the tag's prefix, including a leading "v", for the next tag
+  const tagPrefix = currentRef.startsWith(`${version.prefix}v`) ? `${version.prefix}v` : version.prefix;
+  const next = bump === "none" ? null : formatVersion(bumpVersion(version, bump));
+  return {
+    current: formatVersion(version),
+    next,
+    nextTag: next ? `${tagPrefix}${next}` : null,
+    bump: bump === "none" ? null : bump,
+    initialDevelopment,
+    reasons,
+  };
+}
@@ -0,0 +1,217 @@
+// Characters that make a pattern a glob rather than a plain path
+const GLOB_CHARACTERS = /[*?[\\]/;
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Translate the glob syntax of a gitignore pattern to a regular expression source
+ * `*` and `?` never cross a `/`; `**` spans directories when it is a whole segment, and `**\/` also
+ * matches no directory at all. Character classes support `[!...]` negation and `\` escapes the next character.
+ * @param {string} glob - Pattern without negation, anchoring or trailing slash
+ * @returns {string} - Regular expression source
+ */
+function globToRegExpSource(glob) {
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const atSegmentStart = i === 0 || glob[i - 1] === "/";
+
+    if (char === "\\" && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else if (char === "*" && glob[i + 1] === "*" && atSegmentStart && (i + 2 === glob.length || glob[i + 2] === "/")) {
+      source += i + 2 === glob.length ? ".*" : "(?:.*/)?";
+      i += 2;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      // A "]" right after the opening "[" (or "[!") is part of the class
+      const bodyStart = glob[i + 1] === "!" ? i + 2 : i + 1;
+      const end = glob.indexOf("]", bodyStart + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        const body = glob.slice(bodyStart, end).replace(/\\(?!.)|[\[\]]/g, "\\$&");
+        source += `[${bodyStart === i + 2 ? "^" : ""}${body}]`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a gitignore-style pattern
+ * A leading `!` negates the pattern and a trailing `/` only matches directories. Patterns containing a `/`
+ * (other than a trailing one) are anchored to the base directory; others match at any depth unless
+ * `anchored` is set. A pattern matching a directory also matches everything inside it.
+ * @param {string} pattern - Pattern as written by the user
+ * @param {boolean} anchored - Whether patterns without a slash are anchored too
+ * @returns {object} - Object containing pattern, negated and regex
+ */
+function compilePattern(pattern, anchored) {
+  const negated = pattern.startsWith("!");
+  let body = (negated ? pattern.substring(1) : pattern).replace(/^\.\//, "");
+
+  if (body.split("/").includes("..")) {
+    throw new Error(`Invalid path pattern "${pattern}": patterns cannot contain ".." segments`);
+  }
+
+  const directoryOnly = body.length > 1 && body.endsWith("/");
+  body = body.replace(/\/+$/, "");
+  const isAnchored = anchored || body.startsWith("/") || body.includes("/");
+  body = body.replace(/^\/+/, "");
+
+  if (!body) {
+    return { pattern, negated, regex: /^/ };
+  }
+
+  const prefix = isAnchored ? "^" : "^(?:.*/)?";
+  const suffix = directoryOnly ? "/.*$" : "(?:/.*)?$";
+  return { pattern, negated, regex: new RegExp(`${prefix}${globToRegExpSource(body)}${suffix}`) };
+}
+
+/**
+ * Split a comma-separated pattern list, or an array of such lists, into trimmed, non-empty patterns
+ * @param {string|Array} spec - Pattern list
+ * @returns {Array} - Array of pattern strings
+ */
+function splitPatterns(spec) {
+  return [spec || []]
+    .flat(Infinity)
+    .flatMap((list) => String(list).split(","))
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the pattern that decides whether a path matches a pattern list
+ * As in .gitignore files, the last matching pattern wins, so `!` patterns can re-include earlier matches.
+ * @param {string} file - Path relative to the patterns' base directory
+ * @param {Array} patterns - Compiled patterns
+ * @returns {object|null} - Deciding compiled pattern, or null when none matches
+ */
+function findDecidingPattern(file, patterns) {
+  for (let i = patterns.length - 1; i >= 0; i--) {
+    if (patterns[i].regex.test(file)) {
+      return patterns[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the directories a target directory option names, when every include pattern is a plain path
+ * Only such targets can be passed to the providers' own path filters; globs and negations are matched locally.
+ * @param {string|Array} targetDir - Include pattern list, or an array of lists
+ * @returns {Array|null} - Deduplicated directories without leading "./" or "/" and trailing "/", or null
+ */
+export function getPlainDirectories(targetDir) {
+  const patterns = splitPatterns(targetDir);
+  if (patterns.length === 0 || patterns.some((pattern) => pattern.startsWith("!") || GLOB_CHARACTERS.test(pattern))) {
+    return null;
+  }
+
+  const directories = patterns.map((pattern) => pattern.replace(/^\.?\/+|\/+$/g, ""));
+  return directories.includes("") ? null : [...new Set(directories)];
+}
+
+/**
+ * Get the directory a target directory option names, when it is a single plain path
+ * @param {string|Array} targetDir - Include pattern list
+ * @returns {string|null} - Directory without leading "./" or "/" and trailing "/", or null
+ */
+export function getPlainDirectory(targetDir) {
+  const directories = getPlainDirectories(targetDir);
+  return directories && directories.length === 1 ? directories[0] : null;
+}
+
+/**
+ * Get the plain directory each include pattern starts with, i.e. its path up to the first segment with a glob
+ * Every file a pattern matches lies under its prefix, so a commit that touches none of the prefixes cannot match.
+ * @param {string|Array} targetDir - Include pattern list
+ * @returns {Array|null} - Array of { pattern, prefix } for each non-negated pattern (prefix "" when the pattern
+ * starts with a glob), or null without include patterns
+ */
+export function getPathPrefixes(targetDir) {
+  const patterns = splitPatterns(targetDir).filter((pattern) => !pattern.startsWith("!"));
+  if (patterns.length === 0) {
+    return null;
+  }
+
+  return patterns.map((pattern) => {
+    const segments = pattern.replace(/^\.?\/+|\/+$/g, "").split("/");
+    const globIndex = segments.findIndex((segment) => GLOB_CHARACTERS.test(segment));
+    return { pattern, prefix: (globIndex === -1 ? segments : segments.slice(0, globIndex)).join("/") };
+  });
+}
+
+/**
+ * Create a filter from include (`targetDir`) and exclude (`excludeSubPaths`) pattern lists
+ * Include patterns are matched from the repository root. Exclude patterns work like a .gitignore file in each
+ * target directory when the targets are plain directories, and in the repository root otherwise.
+ * A commit is kept when at least one changed file is included and not excluded; renamed files are checked on both
+ * their new and their previous path, so moving a file into or out of a target counts as a change to it.
+ * Invalid patterns throw, so callers should create the filter before fetching anything.
+ * @param {string|Array} targetDir - Comma-separated include patterns (or an array of them), e.g. "src/**, !src/generated"
+ * @param {string|Array} excludeSubPaths - Comma-separated exclude patterns, e.g. "**\/*.md, !CHANGELOG.md"
+ * @returns {object} - Filter with active, explainFile(file), explainFiles(files), includesCommit(files) and matchedPaths(files)
+ */
+export function createPathFilter(targetDir, excludeSubPaths) {
+  const includes = splitPatterns(targetDir).map((pattern) => compilePattern(pattern, true));
+  const excludes = splitPatterns(excludeSubPaths).map((pattern) => compilePattern(pattern, false));
+  const baseDirs = getPlainDirectories(targetDir) || [];
+
+  const explainFile = (file) => {
+    const includedBy = includes.length > 0 ? findDecidingPattern(file, includes) : null;
+    const inTarget = includes.length === 0 || Boolean(includedBy && !includedBy.negated);
+
+    // Excludes only apply to files inside the target; relative paths are taken from the file's target directory
+    const baseDir = baseDirs.find((directory) => file.startsWith(`${directory}/`));
+    const relativePath = baseDir ? file.substring(baseDir.length + 1) : file;
+    const excludedBy = inTarget ? findDecidingPattern(relativePath, excludes) : null;
+
+    return {
+      file,
+      included: inTarget && !(excludedBy && !excludedBy.negated),
+      includedBy: includedBy ? includedBy.pattern : null,
+      excludedBy: excludedBy ? excludedBy.pattern : null,
+    };
+  };
+
+  // Files are paths or file changes from getChangedFiles; a rename is explained once for each of its paths
+  const explainFiles = (files) =>
+    files.flatMap((file) =>
+      typeof file === "string"
+        ? [explainFile(file)]
+        : [file.filename, file.previous_filename].filter(Boolean).map((filePath) => explainFile(filePath))
+    );
+
+  return {
+    active: includes.length > 0 || excludes.length > 0,
+    explainFile,
+    explainFiles,
+    includesCommit: (files) => explainFiles(files).some((explanation) => explanation.included),
+    // Include patterns the commit's surviving files matched, in the order they were given
+    matchedPaths: (files) => {
+      const matched = new Set(
+        explainFiles(files)
+          .filter((explanation) => explanation.included)
+          .map((explanation) => explanation.includedBy)
+      );
+      return [...new Set(includes.map((include) => include.pattern))].filter((pattern) => matched.has(pattern));
+    },
+  };
+}
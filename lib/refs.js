@@ -0,0 +1,241 @@
+import { compareVersions, parseVersion, sortTagsByVersion } from "./semver.js";
+
+const FULL_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+/**
+ * Create the error thrown when a ref or symbolic ref matches nothing
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code "REF_NOT_FOUND"
+ */
+function refNotFound(message) {
+  return Object.assign(new Error(message), { code: "REF_NOT_FOUND" });
+}
+
+/**
+ * Split a ref into its name and the kind requested by a `refs/tags/` or `refs/heads/` qualifier
+ * @param {string} ref - Tag name, branch name, commit SHA or qualified ref
+ * @returns {object} - Object containing the bare name and kind ("tag", "branch", "commit" for full SHAs, or null)
+ */
+export function parseQualifiedRef(ref) {
+  if (ref.startsWith("refs/tags/")) {
+    return { name: ref.substring("refs/tags/".length), kind: "tag" };
+  }
+  if (ref.startsWith("refs/heads/")) {
+    return { name: ref.substring("refs/heads/".length), kind: "branch" };
+  }
+  if (FULL_SHA_PATTERN.test(ref)) {
+    return { name: ref, kind: "commit" };
+  }
+  return { name: ref, kind: null };
+}
+
+/**
+ * Resolve a ref by trying tag, branch and commit lookups in git's precedence order
+ * Unqualified names are looked up as a tag first, then as a branch, then as a commit, so a tag and a
+ * branch that share a name resolve to the tag; qualifiers and full SHAs only run the matching lookup.
+ * Each lookup returns `{ sha, peeledFrom }` or null, and throws errors with `status` 404 when the ref is missing.
+ * @param {string} ref - Tag name, branch name, commit SHA or qualified ref
+ * @param {object} lookups - Object containing tag, branch and commit lookup functions
+ * @returns {Promise<object>} - Object containing sha, kind ("tag", "branch" or "commit") and peeledFrom
+ */
+export async function resolveRefWith(ref, lookups) {
+  const { name, kind } = parseQualifiedRef(ref);
+  const kinds = kind ? [kind] : ["tag", "branch", "commit"];
+
+  for (const candidate of kinds) {
+    try {
+      const resolved = await lookups[candidate](name);
+      if (resolved && resolved.sha) {
+        return { sha: resolved.sha, kind: candidate, peeledFrom: resolved.peeledFrom || null };
+      }
+    } catch (error) {
+      // 404 means "not this kind"; 422 is returned for malformed commit SHAs. Anything else, including errors
+      // without a status such as network failures, is a real failure
+      if (error.status !== 404 && error.status !== 422) {
+        throw error;
+      }
+    }
+  }
+
+  throw refNotFound(`Could not find tag or commit: ${ref}`);
+}
+
+/**
+ * Describe a resolved ref for display, e.g. "annotated tag → abc1234"
+ * @param {object} resolved - Object containing sha, kind and peeledFrom
+ * @returns {string} - Human-readable description
+ */
+export function describeResolvedRef(resolved) {
+  const kind = resolved.kind === "tag" && resolved.peeledFrom ? "annotated tag" : resolved.kind;
+  return `${kind} → ${resolved.sha.substring(0, 7)}`;
+}
+
+const SYMBOLIC_REF_PATTERN = /^@(latest-release|previous-tag|latest-tag|default-branch|tag-before)(?::(.+))?$/;
+
+/**
+ * Check whether a ref is one of the symbolic shortcuts (`@latest-release`, `@previous-tag`, `@latest-tag[:<glob>]`,
+ * `@default-branch`, `@tag-before:<ref>`); other names starting with "@", such as npm-style tags, are not symbolic
+ * @param {string} ref - Ref to check
+ * @returns {boolean} - Whether the ref is symbolic
+ */
+export function isSymbolicRef(ref) {
+  return SYMBOLIC_REF_PATTERN.test(ref || "");
+}
+
+/**
+ * Convert a tag glob into a regular expression; `*` and `?` stay within one path segment, `**` crosses them
+ * @param {string} glob - Glob such as `payments-v*`
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Fill in a tag pattern such as `payments-service@{version}` or `{dir}/v{version}`
+ * @param {string} tagPattern - Pattern containing `{version}` and optionally `{dir}`
+ * @param {string} version - Value for `{version}`
+ * @param {string} [dir] - Value for `{dir}`
+ * @returns {string} - Tag name
+ */
+function fillTagPattern(tagPattern, version, dir) {
+  if (!tagPattern.includes("{version}")) {
+    throw new Error(`Tag pattern must contain {version}: ${tagPattern}`);
+  }
+  if (tagPattern.includes("{dir}") && !dir) {
+    throw new Error(`Tag pattern ${tagPattern} uses {dir}, but no target directory is set`);
+  }
+  return tagPattern.replaceAll("{dir}", dir).replaceAll("{version}", version);
+}
+
+/**
+ * Turn a bare version such as `1.4.2` or `v1.4.2` into a tag name using the tag pattern
+ * Anything that is not a bare version (tag names, branches, SHAs, symbols) is returned unchanged.
+ * @param {string} ref - Ref as entered by the user
+ * @param {object} [patternOptions] - Object containing tagPattern and dir
+ * @returns {string} - Tag name or the unchanged ref
+ */
+export function applyTagPattern(ref, { tagPattern, dir } = {}) {
+  const version = tagPattern && ref ? parseVersion(ref) : null;
+  if (!version || !["", "v"].includes(version.prefix)) {
+    return ref;
+  }
+  return fillTagPattern(tagPattern, ref.replace(/^v/, ""), dir);
+}
+
+/**
+ * Pick the version tags closest to a missing tag, from the same family (same prefix), newest first
+ * @param {Array<object>} tags - Tags with a `name` property
+ * @param {string} tagName - Tag that could not be found
+ * @param {number} [limit=5] - Maximum number of tags to return
+ * @returns {Array<string>} - Nearest tag names
+ */
+export function findNearestTags(tags, tagName, limit = 5) {
+  const target = parseVersion(tagName);
+  if (!target) {
+    return [];
+  }
+
+  const family = sortTagsByVersion(tags).filter((tag) => tag.version.prefix === target.prefix);
+  const olderIndex = family.findIndex((tag) => compareVersions(tag.version, target) < 0);
+  const splitAt = olderIndex === -1 ? family.length : olderIndex;
+  // Keep up to two newer tags and fill the rest with older ones
+  const newer = family.slice(Math.max(0, splitAt - 2), splitAt);
+  const older = family.slice(splitAt, splitAt + limit - newer.length);
+  return [...newer, ...older].map((tag) => tag.name);
+}
+
+/**
+ * Resolve a symbolic ref to the concrete tag or branch name it stands for
+ * Tags are ordered by semantic version (see lib/semver.js). With a tag pattern, bare versions are expanded to tag
+ * names and the tag symbols only consider tags matching the pattern. Other non-symbolic refs are returned unchanged.
+ * @param {object} client - Repository client with listTags, getLatestRelease and getDefaultBranch
+ * @param {string} ref - Symbolic or concrete ref
+ * @param {object} [patternOptions] - Object containing tagPattern and dir (see applyTagPattern)
+ * @returns {Promise<object>} - Object containing the concrete ref and an optional warning
+ */
+export async function resolveSymbolicRef(client, ref, patternOptions = {}) {
+  const match = SYMBOLIC_REF_PATTERN.exec(ref || "");
+  if (!match) {
+    return { ref: applyTagPattern(ref, patternOptions) };
+  }
+
+  const [, symbol, argument] = match;
+  if (argument && symbol !== "latest-tag" && symbol !== "tag-before") {
+    throw new Error(`@${symbol} does not take an argument: ${ref}`);
+  }
+
+  // In a monorepo the tag pattern narrows the tag symbols down to one service's tags
+  const { tagPattern, dir } = patternOptions;
+  const familyPattern = tagPattern ? globToRegExp(fillTagPattern(tagPattern, "*", dir)) : null;
+  const familyDescription = tagPattern ? ` matching ${tagPattern}` : "";
+
+  let versionTags = null;
+  const getVersionTags = async () => {
+    versionTags = versionTags || sortTagsByVersion(await client.listTags()).filter((tag) => !familyPattern || familyPattern.test(tag.name));
+    return versionTags;
+  };
+
+  switch (symbol) {
+    case "default-branch":
+      return { ref: await client.getDefaultBranch() };
+
+    case "latest-release": {
+      const release = await client.getLatestRelease();
+      if (release && (!familyPattern || familyPattern.test(release))) {
+        return { ref: release };
+      }
+      const [latest] = await getVersionTags();
+      if (!latest) {
+        throw refNotFound(`No releases or version tags${familyDescription} found for @latest-release`);
+      }
+      const reason = release ? `The latest release ${release} does not match ${tagPattern}` : "No releases found";
+      return { ref: latest.name, warning: `⚠️ ${reason}, using the latest tag ${latest.name} for @latest-release` };
+    }
+
+    case "latest-tag": {
+      const pattern = argument ? globToRegExp(argument) : null;
+      const latest = (await getVersionTags()).find((tag) => !pattern || pattern.test(tag.name));
+      if (!latest) {
+        throw refNotFound(argument ? `No version tags match ${argument}` : `No version tags${familyDescription} found for @latest-tag`);
+      }
+      return { ref: latest.name };
+    }
+
+    case "previous-tag": {
+      const [, previous] = await getVersionTags();
+      if (!previous) {
+        throw refNotFound(`@previous-tag needs at least two version tags${familyDescription}`);
+      }
+      return { ref: previous.name };
+    }
+
+    case "tag-before": {
+      if (!argument) {
+        throw new Error("@tag-before needs a ref, e.g. @tag-before:v2.0.0");
+      }
+      const target = await resolveSymbolicRef(client, argument, patternOptions);
+      const targetVersion = parseVersion(parseQualifiedRef(target.ref).name);
+      if (!targetVersion) {
+        throw new Error(`@tag-before needs a version tag, got "${target.ref}"`);
+      }
+      // Only tags of the same family count, so `payments@1.2.0` is never preceded by `billing@1.1.0`
+      const before = (await getVersionTags()).find(
+        (tag) => tag.version.prefix === targetVersion.prefix && compareVersions(tag.version, targetVersion) < 0
+      );
+      if (!before) {
+        throw refNotFound(`No version tag found before ${target.ref}`);
+      }
+      return { ref: before.name, warning: target.warning };
+    }
+  }
+}
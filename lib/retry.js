@@ -0,0 +1,147 @@
+import { parseRateLimitHeaders } from "./concurrency.js";
+
+// Seconds a run may spend waiting for rate limits to reset before giving up
+export const DEFAULT_MAX_RATE_LIMIT_WAIT = 60;
+
+const MAX_RETRIES = 3;
+const SERVER_ERROR_BASE_DELAY = 1000;
+// GitHub asks clients to wait at least a minute after a secondary rate limit without `retry-after`
+const SECONDARY_RATE_LIMIT_DELAY = 60 * 1000;
+// Margin after the reported reset time, since the reset is only precise to the second
+const RESET_MARGIN = 1000;
+
+/**
+ * Exponential backoff with jitter, so concurrent requests do not retry in lockstep
+ * @param {number} baseDelay - Delay for the first retry in milliseconds
+ * @param {number} attempt - Number of retries already made
+ * @returns {number} - Delay in milliseconds
+ */
+function jitteredBackoff(baseDelay, attempt) {
+  const delay = baseDelay * 2 ** attempt;
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Decide whether a failed GitHub request should be retried, and after how long
+ * - 5xx responses are retried with jittered exponential backoff
+ * - Secondary rate limits (403/429 with `retry-after` or a "secondary rate limit" message) wait for `retry-after`
+ * - Primary rate limits (`x-ratelimit-remaining: 0`) wait until `x-ratelimit-reset`
+ * Other errors, such as 404s or 403s for missing permissions, are not retried.
+ * @param {Error} error - Error thrown by Octokit, with `status` and `response.headers`
+ * @param {number} attempt - Number of retries already made
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {object|null} - Object containing reason ("server-error", "secondary-rate-limit" or "rate-limit") and delay, or null
+ */
+export function getRetryDelay(error, attempt, now) {
+  const status = error.status;
+  const headers = error.response?.headers || {};
+
+  if (!status) {
+    return null;
+  }
+
+  if (status >= 500) {
+    return { reason: "server-error", delay: jitteredBackoff(SERVER_ERROR_BASE_DELAY, attempt) };
+  }
+
+  if (status !== 403 && status !== 429) {
+    return null;
+  }
+
+  const rateLimit = parseRateLimitHeaders(headers);
+  if (rateLimit && rateLimit.remaining === 0 && rateLimit.reset) {
+    return { reason: "rate-limit", delay: Math.max(rateLimit.reset - now, 0) + RESET_MARGIN };
+  }
+
+  const retryAfter = Number(headers["retry-after"]);
+  if (headers["retry-after"] !== undefined && !Number.isNaN(retryAfter)) {
+    return { reason: "secondary-rate-limit", delay: retryAfter * 1000 };
+  }
+  if (status === 429 || /secondary rate limit/i.test(error.message)) {
+    return { reason: "secondary-rate-limit", delay: jitteredBackoff(SECONDARY_RATE_LIMIT_DELAY, attempt) };
+  }
+
+  return null;
+}
+
+/**
+ * Create the error thrown when a rate limit cannot be waited out
+ * @param {Error} error - Original rate limit error
+ * @param {number} delay - Wait that would have been needed, in milliseconds
+ * @param {string} reason - Why the run gives up
+ * @returns {Error} - Error with code "RATE_LIMITED", status and resetAt
+ */
+function rateLimitExceeded(error, delay, reason) {
+  const resetAt = new Date(Date.now() + delay).toISOString();
+  return Object.assign(new Error(`GitHub API rate limit exceeded (retry after ${resetAt}): ${reason}`), {
+    code: "RATE_LIMITED",
+    status: error.status,
+    resetAt,
+  });
+}
+
+/**
+ * Retry failed GitHub requests made through an Octokit instance
+ * Rate limit waits draw from one budget shared by every request of the client, so a run never waits longer
+ * than `maxRateLimitWait` seconds in total. Requests limited while a wait is pending join it instead of charging
+ * the budget again; server errors are retried with short backoffs outside the budget.
+ * @param {object} octokit - Octokit instance
+ * @param {object} [retryOptions] - Retry options
+ * @param {function} [retryOptions.onProgress] - Receives a message for every retry and wait
+ * @param {number} [retryOptions.maxRateLimitWait] - Total seconds to spend waiting for rate limits
+ */
+export function installRetryHook(octokit, { onProgress = null, maxRateLimitWait = DEFAULT_MAX_RATE_LIMIT_WAIT } = {}) {
+  let remainingBudget = maxRateLimitWait * 1000;
+  // The rate limit wait in progress, shared by every request limited in the same reset window
+  let pendingWait = null;
+
+  const report = (message) => {
+    console.warn(`[GitHub Retry] ${message}`);
+    try {
+      if (onProgress) onProgress(message);
+    } catch (callbackError) {
+      console.warn(`[GitHub Retry Warning] Progress callback error: ${callbackError.message}`);
+    }
+  };
+
+  octokit.hook.wrap("request", async (request, options) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(options);
+      } catch (error) {
+        const retry = getRetryDelay(error, attempt, Date.now());
+        if (!retry) {
+          throw error;
+        }
+        if (attempt >= MAX_RETRIES) {
+          throw retry.reason === "server-error"
+            ? error
+            : rateLimitExceeded(error, retry.delay, `still limited after ${MAX_RETRIES} retries`);
+        }
+
+        const seconds = Math.ceil(retry.delay / 1000);
+        if (retry.reason === "server-error") {
+          report(`⚠️ GitHub API returned ${error.status}, retrying in ${seconds}s (attempt ${attempt + 1} of ${MAX_RETRIES})...`);
+          await new Promise((resolve) => setTimeout(resolve, retry.delay));
+          continue;
+        }
+
+        if (!pendingWait) {
+          if (retry.delay > remainingBudget) {
+            throw rateLimitExceeded(error, retry.delay, `waiting would exceed the ${maxRateLimitWait}s rate limit wait budget`);
+          }
+          remainingBudget -= retry.delay;
+          report(
+            retry.reason === "rate-limit"
+              ? `⏳ GitHub API rate limit reached, waiting ${seconds}s for rate limit reset...`
+              : `⏳ GitHub secondary rate limit hit, waiting ${seconds}s before retrying...`
+          );
+          pendingWait = new Promise((resolve) => setTimeout(resolve, retry.delay)).finally(() => {
+            pendingWait = null;
+          });
+        }
+        await pendingWait;
+      }
+    }
+  });
+}
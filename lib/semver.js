@@ -0,0 +1,80 @@
+// Matches "1.2.3", "v1.2", "payments-service@1.2.3-rc.1+build.5" and similar tag names
+const VERSION_PATTERN = /^(.*?)v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse the semantic version at the end of a tag name
+ * @param {string} name - Tag name
+ * @returns {object|null} - Object containing prefix, major, minor, patch and prerelease identifiers, or null
+ */
+export function parseVersion(name) {
+  const match = VERSION_PATTERN.exec(name || "");
+  if (!match) {
+    return null;
+  }
+
+  return {
+    prefix: match[1],
+    major: parseInt(match[2], 10),
+    minor: parseInt(match[3], 10),
+    patch: match[4] ? parseInt(match[4], 10) : 0,
+    prerelease: match[5] ? match[5].split(".") : [],
+  };
+}
+
+/**
+ * Compare two prerelease identifiers following semver precedence rules
+ * @param {string} a - First identifier
+ * @param {string} b - Second identifier
+ * @returns {number} - Negative, zero or positive
+ */
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+
+  if (aNumeric && bNumeric) {
+    return parseInt(a, 10) - parseInt(b, 10);
+  }
+  if (aNumeric !== bNumeric) {
+    return aNumeric ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two parsed versions; a release sorts after its prereleases (1.0.0-rc.1 < 1.0.0)
+ * @param {object} a - Version from parseVersion
+ * @param {object} b - Version from parseVersion
+ * @returns {number} - Negative when a < b, zero when equal, positive when a > b
+ */
+export function compareVersions(a, b) {
+  const core = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (core !== 0) {
+    return core;
+  }
+
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    if (a.prerelease[i] === undefined) return -1;
+    if (b.prerelease[i] === undefined) return 1;
+    const result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Sort tags by semantic version, newest first; tags without a version are left out
+ * @param {Array<object>} tags - Tags with a `name` property
+ * @returns {Array<object>} - Version tags with a parsed `version` property, newest first
+ */
+export function sortTagsByVersion(tags) {
+  return tags
+    .map((tag) => ({ ...tag, version: parseVersion(tag.name) }))
+    .filter((tag) => tag.version)
+    .sort((a, b) => compareVersions(b.version, a.version));
+}
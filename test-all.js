@@ -1,7 +1,38 @@
 #!/usr/bin/env node
 
+import { spawnSync } from "node:child_process";
 import chalk from "chalk";
 
+// Suites that simulate the provider APIs or build throwaway repositories, so they run without network access.
+// The other test-*.js scripts call live repositories or a running server and are run by hand.
+const OFFLINE_SUITES = [
+  "test-authors.js",
+  "test-bitbucket.js",
+  "test-cache.js",
+  "test-changelog.js",
+  "test-compare.js",
+  "test-concurrency.js",
+  "test-contributors.js",
+  "test-conventional-commits.js",
+  "test-file-changes.js",
+  "test-github-enterprise.js",
+  "test-gitlab.js",
+  "test-graphql.js",
+  "test-issues.js",
+  "test-large-commits.js",
+  "test-local-git.js",
+  "test-merge-mode.js",
+  "test-multiple-paths.js",
+  "test-next-version.js",
+  "test-path-filter.js",
+  "test-pull-requests.js",
+  "test-ref-resolution.js",
+  "test-retry.js",
+  "test-symbolic-refs.js",
+  "test-tag-pattern.js",
+];
+const SUITE_TIMEOUT = 120000;
+
 console.log(chalk.blue("🧪 Testing Git Version Differ (Vercel API Project)..."));
 
 console.log(chalk.green("✅ Project Info"));
@@ -46,3 +77,27 @@ console.log(chalk.gray("   ✅ Performance timing"));
 console.log(chalk.gray("   ✅ Rate limit handling"));
 console.log(chalk.gray("   ✅ CORS support for web apps"));
 console.log(chalk.gray("   ✅ Optional CLI tool"));
+
+console.log(chalk.blue("\n🧪 Running offline test suites..."));
+const failedSuites = [];
+for (const suite of OFFLINE_SUITES) {
+  const run = spawnSync(process.execPath, [suite], { encoding: "utf8", timeout: SUITE_TIMEOUT, maxBuffer: 64 * 1024 * 1024 });
+  const lines = `${run.stdout || ""}${run.stderr || ""}`.split("\n");
+  const failures = lines.filter((line) => line.includes("❌"));
+
+  if (run.status === 0 && failures.length === 0) {
+    console.log(chalk.green(`✅ ${suite} (${lines.filter((line) => line.includes("✅")).length} checks)`));
+    continue;
+  }
+
+  failedSuites.push(suite);
+  const reason = run.error ? run.error.message : run.status !== 0 ? `exited with ${run.status ?? run.signal}` : "";
+  console.log(chalk.red(`❌ ${suite}${reason ? ` ${reason}` : ""}`));
+  failures.forEach((line) => console.log(chalk.gray(`   ${line.trim()}`)));
+}
+
+if (failedSuites.length > 0) {
+  console.log(chalk.red(`\n${failedSuites.length} of ${OFFLINE_SUITES.length} test suites failed`));
+  process.exit(1);
+}
+console.log(chalk.green(`\n🎉 All ${OFFLINE_SUITES.length} test suites passed!`));
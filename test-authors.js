@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Test commit identities: author, committer and co-authors from local repositories and the GitHub REST API,
+ * Co-authored-by trailers and GitHub private commit emails
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+import { createIdentity, getCoAuthors, parseIdentity } from "./lib/identity.js";
+
+console.log("🧪 Testing commit authors, committers and co-authors...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+const person = (name, email, login = null, avatarUrl = null) => ({ name, email, login, avatarUrl });
+
+console.log("Test 1: identities and trailers");
+check("Name and email", parseIdentity("Jane Doe <jane@example.com>"), person("Jane Doe", "jane@example.com"));
+check("Name only", parseIdentity("Jane Doe"), person("Jane Doe", null));
+check(
+  "GitHub private email",
+  createIdentity({ name: "Ali", email: "12345+ali@users.noreply.github.com" }),
+  person("Ali", "12345+ali@users.noreply.github.com", "ali", "https://avatars.githubusercontent.com/u/12345")
+);
+check(
+  "Older GitHub private email",
+  createIdentity({ name: "Ali", email: "ali@users.noreply.github.com" }).avatarUrl,
+  "https://avatars.githubusercontent.com/ali"
+);
+check(
+  "Co-authors in any case, listed once",
+  getCoAuthors({
+    "Co-authored-by": ["Ali <ali@example.com>", "Sam <sam@example.com>"],
+    "Co-Authored-By": ["ALI <Ali@Example.com>"],
+    "Reviewed-by": ["Kim <kim@example.com>"],
+  }).map((coAuthor) => coAuthor.name),
+  ["Ali", "Sam"]
+);
+
+// Build a throwaway repository with a pair-programmed commit that someone else rebased
+const repoPath = mkdtempSync(path.join(tmpdir(), "authors-"));
+const identity = (name, email) => ({
+  GIT_AUTHOR_NAME: name,
+  GIT_AUTHOR_EMAIL: email,
+  GIT_COMMITTER_NAME: name,
+  GIT_COMMITTER_EMAIL: email,
+});
+const git = (env, ...args) => execFileSync("git", ["-C", repoPath, ...args], { env: { ...process.env, ...env }, encoding: "utf8" }).trim();
+
+try {
+  const jane = identity("Jane", "jane@example.com");
+  git(jane, "init", "-q", "-b", "main");
+  git(jane, "commit", "-q", "--allow-empty", "-m", "initial");
+  git(jane, "tag", "v1.0.0");
+  git(
+    { ...jane, GIT_COMMITTER_NAME: "Release Bot", GIT_COMMITTER_EMAIL: "bot@example.com" },
+    "commit",
+    "-q",
+    "--allow-empty",
+    "-m",
+    "feat: add refunds\n\nPaired on the refund flow.\n\nCo-authored-by: Ali <12345+ali@users.noreply.github.com>"
+  );
+  git(jane, "commit", "-q", "--allow-empty", "-m", "fix: round totals");
+
+  console.log("\nTest 2: local repository results and stream");
+  const options = { repoUrl: repoPath, from: "v1.0.0", to: "HEAD", allowLocal: true };
+  const result = await getCommitsBetween(options);
+  const [fix, feat] = result.commits;
+  check("Author", feat.author, person("Jane", "jane@example.com"));
+  check("Committer", feat.committer, person("Release Bot", "bot@example.com"));
+  check("Co-authors", feat.coAuthors, [
+    person("Ali", "12345+ali@users.noreply.github.com", "ali", "https://avatars.githubusercontent.com/u/12345"),
+  ]);
+  check("Commits without trailers", [fix.committer, fix.coAuthors], [person("Jane", "jane@example.com"), []]);
+
+  const streamed = [];
+  await streamCommitsBetween(options, (commits) => streamed.push(...commits), () => {});
+  check(
+    "Streamed identities",
+    streamed.map((commit) => [commit.author.name, commit.committer.name, commit.coAuthors.length]),
+    [
+      ["Jane", "Jane", 0],
+      ["Jane", "Release Bot", 1],
+    ]
+  );
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\nTest 3: GitHub accounts from the REST API");
+const baseSha = "a".repeat(40);
+const headSha = "b".repeat(40);
+globalThis.fetch = async (url) => {
+  const requestPath = decodeURIComponent(new URL(url).pathname);
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+
+  if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return reply({ object: { type: "commit", sha: baseSha } });
+  if (requestPath.endsWith("/git/ref/tags/v1.1.0")) return reply({ object: { type: "commit", sha: headSha } });
+  if (requestPath.includes("/compare/")) {
+    return reply({
+      total_commits: 1,
+      commits: [
+        {
+          sha: headSha,
+          parents: [{ sha: baseSha }],
+          commit: {
+            message: "Add refunds (#7)",
+            author: { name: "Jane", email: "jane@example.com", date: "2024-01-01T00:00:00Z" },
+            committer: { name: "GitHub", email: "noreply@github.com", date: "2024-01-02T00:00:00Z" },
+          },
+          author: { login: "jane", avatar_url: "https://avatars.githubusercontent.com/u/1?v=4" },
+          committer: { login: "web-flow", avatar_url: "https://avatars.githubusercontent.com/u/19864447?v=4" },
+        },
+      ],
+    });
+  }
+  return new Response(JSON.stringify({ message: "Not Found" }), { status: 404, headers: { "content-type": "application/json" } });
+};
+
+const github = await getCommitsBetween({ repoUrl: "https://github.com/acme/shop", from: "v1.0.0", to: "v1.1.0", api: "rest" });
+check(
+  "Squash merged through the web interface",
+  [github.commits[0].author, github.commits[0].committer],
+  [
+    person("Jane", "jane@example.com", "jane", "https://avatars.githubusercontent.com/u/1?v=4"),
+    person("GitHub", "noreply@github.com", "web-flow", "https://avatars.githubusercontent.com/u/19864447?v=4"),
+  ]
+);
+
+console.log("\n🎉 Author tests completed!");
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Test the Bitbucket Cloud and Bitbucket Server backends against simulated REST APIs
+ */
+
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+import { parseBitbucketUrl } from "./lib/bitbucket.js";
+
+console.log("🧪 Testing Bitbucket repository backend...");
+
+const baseSha = "a".repeat(40);
+const headSha = "c".repeat(40);
+const requests = [];
+
+const cloudCommits = [
+  { hash: headSha, message: "fix: [PAY-12] round totals", date: "2024-01-03T10:00:00+00:00", author: { raw: "Grace <grace@example.com>" } },
+  { hash: "b".repeat(40), message: "feat: invoices", date: "2024-01-02T10:00:00+00:00", author: { raw: "Alan <alan@example.com>", user: { display_name: "Alan T" } } },
+];
+const serverCommits = [
+  { id: headSha, message: "chore: bump deps", authorTimestamp: 1704276000000, author: { name: "jdoe", displayName: "Jane Doe" } },
+];
+
+// Simulate the Bitbucket Cloud 2.0 and Server 1.0 endpoints used by lib/bitbucket.js
+globalThis.fetch = async (url, init) => {
+  const { origin, pathname, searchParams } = new URL(url);
+  requests.push({ url: String(url), headers: init.headers });
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200 });
+  const notFound = () => new Response(JSON.stringify({ error: { message: "Not found" } }), { status: 404 });
+
+  if (origin === "https://api.bitbucket.org") {
+    const repoPath = "/2.0/repositories/acme/billing";
+    if (pathname === `${repoPath}/refs/tags/v2.3.0`) return reply({ target: { hash: baseSha } });
+    if (pathname === `${repoPath}/refs/branches/main`) return reply({ target: { hash: headSha } });
+    if (pathname === `${repoPath}/commits` && !searchParams.get("page")) {
+      return reply({ values: [cloudCommits[0]], next: `https://api.bitbucket.org${repoPath}/commits?include=${headSha}&exclude=${baseSha}&page=2` });
+    }
+    if (pathname === `${repoPath}/commits`) return reply({ values: [cloudCommits[1]] });
+    if (pathname.startsWith(`${repoPath}/diffstat/`)) return reply({ values: [{ new: { path: "src/totals.js" }, old: null }] });
+    return notFound();
+  }
+
+  const repoPath = "/bitbucket/rest/api/1.0/projects/OPS/repos/deploy";
+  if (pathname === `${repoPath}/tags/v1.0.0`) return reply({ latestCommit: baseSha });
+  if (pathname === `${repoPath}/tags/release`) return notFound();
+  if (pathname === `${repoPath}/branches`) return reply({ values: [{ id: "refs/heads/release", displayId: "release", latestCommit: headSha }] });
+  if (pathname === `${repoPath}/commits`) return reply({ values: serverCommits, isLastPage: true });
+  if (pathname.endsWith("/changes")) return reply({ values: [{ path: { toString: "deploy/values.yaml" } }], isLastPage: true });
+  return notFound();
+};
+
+console.log("Test 1: URL parsing");
+const cloud = parseBitbucketUrl("git@bitbucket.org:acme/billing.git");
+const server = parseBitbucketUrl("https://git.example.com/bitbucket/projects/ops/repos/deploy/browse");
+const scm = parseBitbucketUrl("https://git.example.com/bitbucket/scm/ops/deploy.git");
+if (
+  cloud.flavor === "cloud" &&
+  cloud.owner === "acme" &&
+  server.flavor === "server" &&
+  server.baseUrl === "https://git.example.com/bitbucket" &&
+  server.owner === "OPS" &&
+  scm.repo === "deploy"
+) {
+  console.log("✅ Cloud, Server and scm URLs parsed");
+} else {
+  console.log("❌ Unexpected parse result:", cloud, server, scm);
+}
+
+console.log("\nTest 2: Bitbucket Cloud range with an app password");
+const cloudResult = await getCommitsBetween({
+  repoUrl: "https://bitbucket.org/acme/billing",
+  from: "v2.3.0",
+  to: "main",
+  token: "me:app-password",
+});
+if (
+  cloudResult.success &&
+  cloudResult.apiUsed === "bitbucket" &&
+  cloudResult.totalCommits === 2 &&
+  cloudResult.commits[0].author.name === "Grace" &&
+  cloudResult.commits[0].author.email === "grace@example.com" &&
+  cloudResult.commits[0].jiraTicketId === "PAY-12" &&
+  requests.every((request) => request.headers.Authorization === `Basic ${Buffer.from("me:app-password").toString("base64")}`)
+) {
+  console.log(`✅ Found ${cloudResult.totalCommits} commits across 2 pages`);
+} else {
+  console.log("❌ Unexpected Cloud result:", cloudResult);
+}
+
+console.log("\nTest 3: Bitbucket Server stream with an access token");
+requests.length = 0;
+let streamed = [];
+const serverResult = await streamCommitsBetween(
+  { repoUrl: "https://git.example.com/bitbucket/projects/OPS/repos/deploy", from: "v1.0.0", to: "release", token: "http-token" },
+  (commits) => {
+    streamed = streamed.concat(commits);
+  },
+  () => {}
+);
+if (
+  serverResult.success &&
+  streamed.length === 1 &&
+  streamed[0].author.name === "Jane Doe" &&
+  streamed[0].files[0].filename === "deploy/values.yaml" &&
+  requests.every((request) => request.headers.Authorization === "Bearer http-token")
+) {
+  console.log(`✅ Streamed ${streamed.length} commit from Bitbucket Server`);
+} else {
+  console.log("❌ Unexpected Server result:", serverResult, streamed);
+}
+
+console.log("\nTest 4: BITBUCKET_TOKEN is only sent to trusted hosts");
+const savedToken = process.env.BITBUCKET_TOKEN;
+process.env.BITBUCKET_TOKEN = "env-token";
+try {
+  const serverOptions = { repoUrl: "https://git.example.com/bitbucket/projects/OPS/repos/deploy", from: "v1.0.0", to: "release" };
+  requests.length = 0;
+  await getCommitsBetween(serverOptions);
+  const untrusted = requests.map((request) => request.headers.Authorization);
+  requests.length = 0;
+  await getCommitsBetween({ ...serverOptions, bitbucketUrl: "https://git.example.com/bitbucket/" });
+  const configured = requests.map((request) => request.headers.Authorization);
+  requests.length = 0;
+  await getCommitsBetween({ repoUrl: "https://bitbucket.org/acme/billing", from: "v2.3.0", to: "main" });
+  const cloudHeaders = requests.map((request) => request.headers.Authorization);
+  if (
+    untrusted.length > 0 &&
+    untrusted.every((authorization) => !authorization) &&
+    [...configured, ...cloudHeaders].every((authorization) => authorization === "Bearer env-token")
+  ) {
+    console.log("✅ Token sent to Bitbucket Cloud and BITBUCKET_URL but not to other servers");
+  } else {
+    console.log("❌ Unexpected headers:", untrusted, configured, cloudHeaders);
+  }
+} finally {
+  if (savedToken === undefined) {
+    delete process.env.BITBUCKET_TOKEN;
+  } else {
+    process.env.BITBUCKET_TOKEN = savedToken;
+  }
+}
+
+console.log("\nTest 5: BITBUCKET_URL only applies to its own host");
+const savedUrl = process.env.BITBUCKET_URL;
+process.env.BITBUCKET_TOKEN = "env-token";
+try {
+  process.env.BITBUCKET_URL = "https://git.example.com/bitbucket/";
+  const otherRepo = "https://other.example.com/bitbucket/projects/OPS/repos/deploy";
+  requests.length = 0;
+  const otherResult = await getCommitsBetween({ repoUrl: otherRepo, from: "v1.0.0", to: "release" });
+  const other = parseBitbucketUrl(otherRepo);
+  const sshOther = () => parseBitbucketUrl("ssh://git@other.example.com:7999/ops/deploy.git");
+  const sshConfigured = parseBitbucketUrl("ssh://git@git.example.com:7999/ops/deploy.git");
+
+  process.env.BITBUCKET_URL = "not a url";
+  const invalid = parseBitbucketUrl(otherRepo);
+  if (
+    otherResult.success &&
+    other.baseUrl === "https://other.example.com/bitbucket" &&
+    requests.every((request) => request.url.startsWith("https://other.example.com/") && !request.headers.Authorization) &&
+    sshConfigured.baseUrl === "https://git.example.com/bitbucket" &&
+    invalid.baseUrl === "https://other.example.com/bitbucket"
+  ) {
+    console.log("✅ Servers on other hosts keep their own base URL, and an invalid BITBUCKET_URL is ignored");
+  } else {
+    console.log("❌ Unexpected base URLs or requests:", other, sshConfigured, invalid, requests);
+  }
+  try {
+    sshOther();
+    console.log("❌ An ssh URL on another host used BITBUCKET_URL");
+  } catch (error) {
+    console.log("✅ An ssh URL on another host is not sent to BITBUCKET_URL");
+  }
+} finally {
+  if (savedUrl === undefined) {
+    delete process.env.BITBUCKET_URL;
+  } else {
+    process.env.BITBUCKET_URL = savedUrl;
+  }
+  if (savedToken === undefined) {
+    delete process.env.BITBUCKET_TOKEN;
+  } else {
+    process.env.BITBUCKET_TOKEN = savedToken;
+  }
+}
+
+console.log("\n🎉 Bitbucket tests completed!");
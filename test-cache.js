@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test the response cache: LRU eviction and TTLs, the file store, and repeated runs served from the cache
+ */
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createFileCache, createMemoryCache } from "./lib/cache.js";
+import { getCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing response cache...");
+
+console.log("Test 1: the memory cache evicts the least recently used entry");
+const memory = createMemoryCache({ maxEntries: 2 });
+await memory.set("a", 1);
+await memory.set("b", 2);
+await memory.get("a");
+await memory.set("c", 3);
+const kept = [await memory.get("a"), await memory.get("b"), await memory.get("c")];
+console.log(kept.join(",") === "1,,3" ? "✅ b was evicted, a and c were kept" : `❌ Unexpected entries: ${kept}`);
+
+console.log("\nTest 2: entries expire after their TTL");
+await memory.set("ref", "abc", 0.05);
+const fresh = await memory.get("ref");
+await new Promise((resolve) => setTimeout(resolve, 80));
+const expired = await memory.get("ref");
+console.log(fresh === "abc" && expired === undefined ? "✅ Expired after 50ms" : `❌ ${fresh} / ${expired}`);
+
+console.log("\nTest 3: cached values are copies");
+await memory.set("files", ["a.js"]);
+(await memory.get("files")).push("b.js");
+const files = await memory.get("files");
+console.log(files.length === 1 ? "✅ Callers cannot modify cached values" : `❌ Cached value changed: ${files}`);
+
+console.log("\nTest 4: the file cache keeps entries across instances");
+const cacheDir = mkdtempSync(path.join(tmpdir(), "response-cache-"));
+try {
+  await createFileCache({ directory: cacheDir }).set("files:abc", ["web/index.js"]);
+  const reread = await createFileCache({ directory: cacheDir }).get("files:abc");
+  const missing = await createFileCache({ directory: cacheDir }).get("files:def");
+  if (reread?.[0] === "web/index.js" && missing === undefined) {
+    console.log("✅ A new instance reads the stored entry");
+  } else {
+    console.log("❌ Unexpected entries:", reread, missing);
+  }
+} finally {
+  rmSync(cacheDir, { recursive: true, force: true });
+}
+
+console.log("\nTest 5: a repeated run is served from the cache");
+const baseSha = "a".repeat(40);
+const headSha = "c".repeat(40);
+const middleSha = "b".repeat(40);
+const rangeCommit = (sha, parent, message) => ({
+  sha,
+  parents: [{ sha: parent }],
+  commit: { message, author: { name: "Test", date: "2024-01-01T00:00:00Z" } },
+});
+const requests = [];
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url) => {
+  const requestPath = decodeURIComponent(new URL(url).pathname);
+  requests.push(requestPath);
+  const body = requestPath.endsWith("/git/ref/tags/v1.0.0")
+    ? { object: { type: "commit", sha: baseSha } }
+    : requestPath.endsWith("/git/ref/tags/v1.1.0")
+    ? { object: { type: "commit", sha: headSha } }
+    : requestPath.includes("/compare/")
+    ? { total_commits: 2, commits: [rangeCommit(headSha, middleSha, "fix: second"), rangeCommit(middleSha, baseSha, "feat: first")] }
+    : requestPath.includes("/commits/")
+    ? { files: [{ filename: "web/index.js" }] }
+    : null;
+  return new Response(JSON.stringify(body || { message: "Not Found" }), {
+    status: body ? 200 : 404,
+    headers: { "content-type": "application/json" },
+  });
+};
+
+try {
+  const cache = createMemoryCache();
+  const run = (token, api = "rest") =>
+    getCommitsBetween({
+      repoUrl: "https://github.com/owner/repo",
+      from: "v1.0.0",
+      to: "v1.1.0",
+      token,
+      api,
+      excludeSubPaths: "docs",
+      cache,
+    });
+
+  const first = await run("token-a");
+  const firstRequests = requests.length;
+  const second = await run("token-a");
+  const secondRequests = requests.length - firstRequests;
+  if (
+    first.success &&
+    second.success &&
+    second.totalCommits === first.totalCommits &&
+    secondRequests === 0 &&
+    first.fetchStats.cacheHits === 0 &&
+    second.fetchStats.cacheHits === first.fetchStats.cacheMisses
+  ) {
+    console.log(`✅ First run: ${firstRequests} requests; second run: ${second.fetchStats.cacheHits} cache hits, no requests`);
+  } else {
+    console.log("❌ Unexpected runs:", first.fetchStats, second.fetchStats, secondRequests, second.error);
+  }
+
+  const beforeAuto = requests.length;
+  const otherApi = await run("token-a", "auto");
+  const compared = requests.slice(beforeAuto).some((request) => request.includes("/compare/"));
+  console.log(
+    compared && otherApi.apiUsed !== "rest" ? "✅ Another API backend fetches the range again" : "❌ Another API backend reused the range"
+  );
+
+  const otherToken = await run("token-b");
+  console.log(
+    otherToken.fetchStats.cacheHits === 0 ? "✅ Another token does not share cached entries" : "❌ Another token hit the cache"
+  );
+} finally {
+  globalThis.fetch = originalFetch;
+}
+
+console.log("\n🎉 Response cache tests completed!");
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Test release notes: sections, links to commits, pull requests and issues, the three formats, template overrides
+ * and notes for a real result
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { parseChangelogSections, renderChangelog } from "./lib/changelog.js";
+import { getCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing release notes...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+
+const sha = (char) => char.repeat(40);
+const result = {
+  fromRef: "v1.4.0",
+  toRef: "main",
+  resolvedTo: { ref: "main", kind: "branch" },
+  nextVersion: { nextTag: "v2.0.0" },
+  urlTemplates: {
+    commit: "https://github.com/acme/shop/commit/{sha}",
+    pullRequest: "https://github.com/acme/shop/pull/{number}",
+    issue: "https://github.com/acme/shop/issues/{number}",
+  },
+  commits: [
+    { hash: sha("a"), type: "feat", scope: "api", breaking: true, subject: "drop v1", issues: [] },
+    {
+      hash: sha("b"),
+      type: "fix",
+      scope: "cart",
+      breaking: false,
+      subject: "[PAY-12] round totals (#45)",
+      issues: [
+        { tracker: "jira", key: "PAY-12", url: "https://acme.atlassian.net/browse/PAY-12" },
+        { tracker: "github", key: "#45", url: "https://github.com/acme/shop/issues/45" },
+      ],
+    },
+    {
+      hash: sha("c"),
+      type: "feat",
+      scope: null,
+      breaking: false,
+      subject: "add refunds",
+      pullRequests: [{ number: 7, title: "Refunds", url: "https://github.com/acme/shop/pull/7" }],
+      issues: [],
+    },
+    {
+      hash: sha("d"),
+      type: null,
+      scope: null,
+      breaking: false,
+      subject: "Use <b>bold</b> & co",
+      author: { name: "Jane", email: "jane@example.com", login: null, avatarUrl: null },
+      coAuthors: [{ name: "Ali", email: "ali@example.com", login: null, avatarUrl: null }],
+      issues: [],
+    },
+  ],
+};
+
+console.log("Test 1: Markdown with the default sections");
+check(
+  "Markdown release notes",
+  renderChangelog(result, { date: "2024-05-02" }),
+  [
+    "## v2.0.0 (2024-05-02)",
+    "",
+    "### Breaking Changes",
+    "",
+    "- **api:** drop v1 ([aaaaaaa](https://github.com/acme/shop/commit/" + sha("a") + "))",
+    "",
+    "### Features",
+    "",
+    "- add refunds ([ccccccc](https://github.com/acme/shop/commit/" + sha("c") + "), [#7](https://github.com/acme/shop/pull/7))",
+    "",
+    "### Fixes",
+    "",
+    "- **cart:** round totals ([bbbbbbb](https://github.com/acme/shop/commit/" +
+      sha("b") +
+      "), [#45](https://github.com/acme/shop/pull/45), [PAY-12](https://acme.atlassian.net/browse/PAY-12))",
+    "",
+    "### Other",
+    "",
+    "- Use <b>bold</b> & co ([ddddddd](https://github.com/acme/shop/commit/" + sha("d") + "))",
+    "",
+  ].join("\n")
+);
+check(
+  "A tag range is titled by its tag",
+  renderChangelog({ ...result, toRef: "v1.5.0", resolvedTo: { kind: "tag" } }, { date: "2024-05-02" }).split("\n")[0],
+  "## v1.5.0 (2024-05-02)"
+);
+
+console.log("\nTest 2: HTML and plain text");
+const html = renderChangelog(result, { format: "html", date: "2024-05-02" });
+check("HTML escapes subjects", html.includes("<li>Use &lt;b&gt;bold&lt;/b&gt; &amp; co (<a href="), true);
+check("HTML sections are lists", html.includes("<h3>Fixes</h3>\n<ul>\n  <li><strong>cart:</strong> round totals"), true);
+const text = renderChangelog(result, { format: "text", date: "2024-05-02" });
+check("Plain text entries", text.split("\n").slice(2, 4), ["Breaking Changes:", "  * api: drop v1 (aaaaaaa)"]);
+try {
+  renderChangelog(result, { format: "pdf" });
+  console.log("❌ Unknown format accepted");
+} catch (error) {
+  console.log(`✅ Unknown format rejected: ${error.message}`);
+}
+
+console.log("\nTest 3: custom sections and templates");
+const custom = renderChangelog(result, {
+  sections: "Fixes=fix;Features=feat",
+  templates: { header: "", section: "{title}\n{entries}", entry: "* {subject} [{type}]\n" },
+});
+check(
+  "Sections in order, unlisted commits left out",
+  custom,
+  "Fixes\n* round totals [fix]\nFeatures\n* drop v1 [feat]\n* add refunds [feat]\n"
+);
+check(
+  "JSON sections",
+  parseChangelogSections('[{"title": "Breaking", "types": ["breaking"]}]'),
+  [{ title: "Breaking", types: ["breaking"] }]
+);
+try {
+  parseChangelogSections("Features=");
+  console.log("❌ Section without types accepted");
+} catch (error) {
+  console.log(`✅ Section without types rejected: ${error.message}`);
+}
+check(
+  "Author placeholders",
+  renderChangelog({ ...result, commits: [result.commits[3]] }, { templates: { header: "", entry: "{subject} by {author} ({authors})\n" } }),
+  "\n### Other\n\nUse <b>bold</b> & co by Jane (Jane, Ali)\n"
+);
+check("No commits", renderChangelog({ ...result, commits: [] }, { date: "2024-05-02" }), "## v2.0.0 (2024-05-02)\n\nNo changes.\n");
+
+// Build a throwaway repository to render notes for a real result
+const repoPath = mkdtempSync(path.join(tmpdir(), "changelog-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "initial");
+  git("tag", "v1.4.0");
+  git("commit", "-q", "--allow-empty", "-m", "fix: [PAY-12] round totals");
+  git("commit", "-q", "--allow-empty", "-m", "feat(api): add refunds");
+  git("tag", "v1.5.0");
+
+  console.log("\nTest 4: release notes for a local repository");
+  const local = await getCommitsBetween({ repoUrl: repoPath, from: "v1.4.0", to: "v1.5.0", allowLocal: true });
+  const notes = renderChangelog(local, { format: "text", date: "2024-05-02" }).replace(/\b[0-9a-f]{7}\b/g, "<sha>");
+  check("Local repositories have no links", local.urlTemplates, { commit: null, pullRequest: null, issue: null });
+  check("Notes", notes, "v1.5.0 (2024-05-02)\n\nFeatures:\n  * api: add refunds (<sha>)\n\nFixes:\n  * round totals (<sha>, PAY-12)\n");
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Release notes tests completed!");
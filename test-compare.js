@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test the GitHub compare listing against a simulated REST API: following pages past the 250 commits of one
+ * response, truncating ranges over maxCommits to their newest commits and reporting what was left out
+ */
+
+import { getCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing the GitHub compare listing...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+
+const baseSha = "a".repeat(40);
+const headSha = "f".repeat(40);
+// Commit n of the range, oldest first; the last one is the head commit
+let rangeSize = 0;
+// How many commits the simulated compare endpoint lists before it stops, like GitHub for very large ranges
+let listedLimit = Infinity;
+const rangeSha = (index) => (index === rangeSize - 1 ? headSha : index.toString(16).padStart(40, "0"));
+
+const comparePages = [];
+globalThis.fetch = async (url) => {
+  const { pathname, searchParams } = new URL(url);
+  const requestPath = decodeURIComponent(pathname);
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+
+  if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return reply({ object: { type: "commit", sha: baseSha } });
+  if (requestPath.endsWith("/git/ref/tags/v2.0.0")) return reply({ object: { type: "commit", sha: headSha } });
+  if (requestPath.includes("/compare/")) {
+    const perPage = parseInt(searchParams.get("per_page"), 10);
+    const page = parseInt(searchParams.get("page"), 10);
+    comparePages.push(page);
+    const first = (page - 1) * perPage;
+    const listed = Math.min(rangeSize, listedLimit);
+    const indexes = Array.from({ length: Math.max(Math.min(perPage, listed - first), 0) }, (_, offset) => first + offset);
+    return reply({
+      total_commits: rangeSize,
+      commits: indexes.map((index) => ({
+        sha: rangeSha(index),
+        parents: [{ sha: index === 0 ? baseSha : rangeSha(index - 1) }],
+        commit: { message: `change ${index}`, author: { name: "Test", date: "2024-01-01T00:00:00Z" } },
+      })),
+    });
+  }
+  return new Response(JSON.stringify({ message: "Not Found" }), { status: 404, headers: { "content-type": "application/json" } });
+};
+
+const options = { repoUrl: "https://github.com/acme/shop", from: "v1.0.0", to: "v2.0.0", api: "rest" };
+const messages = (result) => result.commits.map((commit) => commit.message);
+
+console.log("Test 1: every page of a long range is merged");
+rangeSize = 320;
+const paged = await getCommitsBetween(options);
+check("Compare pages requested", comparePages, [1, 2, 3, 4]);
+check(
+  "All commits, once each",
+  [paged.commits.length, new Set(paged.commits.map((commit) => commit.hash)).size, messages(paged).includes("change 0")],
+  [320, 320, true]
+);
+check("Reporting", [paged.complete, paged.totalInRange, paged.truncated, paged.warning], [true, 320, false, undefined]);
+
+console.log("\nTest 2: ranges the compare endpoint cannot list in full are incomplete");
+listedLimit = 250;
+comparePages.length = 0;
+const incomplete = await getCommitsBetween(options);
+check("Compare pages requested", comparePages, [1, 2, 3]);
+check(
+  "Reporting",
+  [incomplete.commits.length, incomplete.complete, incomplete.totalInRange, incomplete.truncated],
+  [250, false, 320, false]
+);
+check("Warning", /fetched 250 of 320 commits/.test(incomplete.warning), true);
+listedLimit = Infinity;
+
+console.log("\nTest 3: ranges over maxCommits keep their newest commits");
+rangeSize = 250;
+comparePages.length = 0;
+const truncated = await getCommitsBetween({ ...options, maxCommits: 120 });
+check("Kept commits", [truncated.commits.length, messages(truncated).includes("change 249"), messages(truncated).includes("change 129")], [
+  120,
+  true,
+  false,
+]);
+check("Oldest kept commit", messages(truncated).includes("change 130"), true);
+check("Only the pages with the newest commits are kept", comparePages, [1, 2, 3]);
+check(
+  "Reporting",
+  [truncated.complete, truncated.truncated, truncated.totalInRange, truncated.omittedCommits],
+  [false, true, 250, 130]
+);
+check("Warning", /130 more commits left out/.test(truncated.warning), true);
+
+console.log("\nTest 4: the first pages are skipped");
+comparePages.length = 0;
+const newest = await getCommitsBetween({ ...options, maxCommits: 30 });
+check("Compare pages requested", comparePages, [1, 3]);
+check("Newest commits", [newest.commits.length, messages(newest).includes("change 249"), messages(newest).includes("change 219")], [
+  30,
+  true,
+  false,
+]);
+
+console.log("\nTest 5: ranges within maxCommits are not truncated");
+rangeSize = 40;
+const within = await getCommitsBetween({ ...options, maxCommits: 40 });
+check(
+  "Reporting",
+  [within.commits.length, within.complete, within.truncated, within.totalInRange, within.omittedCommits],
+  [40, true, false, 40, 0]
+);
+
+console.log("\n🎉 Compare tests completed!");
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test the concurrent file-fetching pool: ordered delivery, the in-flight limit, rate limit parsing
+ * and quota-based throttling
+ */
+
+import {
+  createRateLimitThrottle,
+  forEachInOrder,
+  getThrottleDelay,
+  parseRateLimitHeaders,
+} from "./lib/concurrency.js";
+import { createRepositoryClient } from "./lib/core.js";
+
+console.log("🧪 Testing concurrency pool...");
+
+console.log("Test 1: results are delivered in order with a bounded number in flight");
+const items = Array.from({ length: 20 }, (_, index) => index);
+const delivered = [];
+let inFlight = 0;
+let maxInFlight = 0;
+await forEachInOrder(
+  items,
+  4,
+  async (item) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    // Later items finish first, so ordering has to be restored
+    await new Promise((resolve) => setTimeout(resolve, (20 - item) * 2));
+    inFlight--;
+    return item * 10;
+  },
+  (result) => delivered.push(result)
+);
+if (delivered.join(",") === items.map((item) => item * 10).join(",") && maxInFlight === 4) {
+  console.log(`✅ ${delivered.length} results in order, at most ${maxInFlight} in flight`);
+} else {
+  console.log("❌ Unexpected delivery:", delivered, maxInFlight);
+}
+
+console.log("\nTest 2: rate limit headers from GitHub and GitLab");
+const github = parseRateLimitHeaders({ "x-ratelimit-limit": "5000", "x-ratelimit-remaining": "42", "x-ratelimit-reset": "1700000000" });
+const gitlab = parseRateLimitHeaders(new Headers({ "RateLimit-Limit": "2000", "RateLimit-Remaining": "7", "RateLimit-Reset": "1700000060" }));
+if (github.remaining === 42 && github.reset === 1700000000000 && gitlab.limit === 2000 && gitlab.remaining === 7) {
+  console.log("✅ Parsed x-ratelimit-* and ratelimit-* headers");
+} else {
+  console.log("❌ Unexpected rate limits:", github, gitlab);
+}
+console.log(parseRateLimitHeaders(new Headers()) === null ? "✅ No headers, no rate limit" : "❌ Expected null");
+
+console.log("\nTest 3: throttle delays follow the remaining quota");
+const now = 1_000_000;
+const delays = [
+  ["plenty left", { limit: 5000, remaining: 4000, reset: now + 3_600_000 }, 0],
+  ["low quota", { limit: 5000, remaining: 100, reset: now + 10_000 }, 100],
+  ["exhausted", { limit: 5000, remaining: 0, reset: now + 30_000 }, 30_000],
+  ["capped", { limit: 5000, remaining: 0, reset: now + 3_600_000 }, 60_000],
+  ["unknown", null, 0],
+];
+for (const [label, rateLimit, expected] of delays) {
+  const delay = getThrottleDelay(rateLimit, now);
+  console.log(delay === expected ? `✅ ${label}: ${delay}ms` : `❌ ${label}: ${delay}ms (expected ${expected})`);
+}
+
+console.log("\nTest 4: concurrent callers take turns when the quota is low");
+const lowQuota = { limit: 5000, remaining: 10, reset: Date.now() + 500 };
+const throttle = createRateLimitThrottle(() => lowQuota);
+const throttleStart = Date.now();
+await Promise.all([throttle(), throttle(), throttle()]);
+const throttled = Date.now() - throttleStart;
+// Three callers 50ms apart: the first starts right away, the last after about 100ms
+console.log(throttled >= 90 && throttled < 400 ? `✅ Three requests spaced out over ${throttled}ms` : `❌ Took ${throttled}ms`);
+
+console.log("\nTest 5: GitHub clients remember the latest quota");
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async () =>
+  new Response(JSON.stringify({ default_branch: "main" }), {
+    status: 200,
+    headers: {
+      "content-type": "application/json",
+      "x-ratelimit-limit": "5000",
+      "x-ratelimit-remaining": "4321",
+      "x-ratelimit-reset": "1700000000",
+    },
+  });
+try {
+  const client = createRepositoryClient({ repoUrl: "https://github.com/owner/repo", token: "test-token" });
+  const before = client.getRateLimit();
+  await client.getDefaultBranch();
+  const after = client.getRateLimit();
+  if (before === null && after.remaining === 4321) {
+    console.log(`✅ ${after.remaining} of ${after.limit} requests left`);
+  } else {
+    console.log("❌ Unexpected rate limit:", before, after);
+  }
+} finally {
+  globalThis.fetch = originalFetch;
+}
+
+console.log("\n🎉 Concurrency tests completed!");
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Test the contributor summary: .mailmap parsing, aliases, identity merging, line and type counts, reading .mailmap
+ * from local and GitHub repositories, and caching file contents
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createCachedClient, createMemoryCache } from "./lib/cache.js";
+import { parseContributorAliases, parseMailmap, summarizeContributors } from "./lib/contributors.js";
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing contributor summaries...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+const commit = (author, type, additions, deletions, coAuthors = []) => ({
+  author,
+  type,
+  coAuthors,
+  stats: additions === null ? null : { additions, deletions, changes: additions + deletions },
+});
+
+console.log("Test 1: .mailmap and aliases");
+check(
+  "Every .mailmap form",
+  parseMailmap(
+    [
+      "# Canonical identities",
+      "Jane Doe <jane@example.com>",
+      "<sam@example.com> <sam@old.example.com>",
+      "Ali Khan <ali@example.com> <ali@laptop.local>",
+      "Build Bot <bot@example.com> root <root@localhost>  # shared CI account",
+      "",
+    ].join("\n")
+  ),
+  [
+    { properName: "Jane Doe", properEmail: null, commitName: null, commitEmail: "jane@example.com" },
+    { properName: null, properEmail: "sam@example.com", commitName: null, commitEmail: "sam@old.example.com" },
+    { properName: "Ali Khan", properEmail: "ali@example.com", commitName: null, commitEmail: "ali@laptop.local" },
+    { properName: "Build Bot", properEmail: "bot@example.com", commitName: "root", commitEmail: "root@localhost" },
+  ]
+);
+check("Aliases from a string", parseContributorAliases("Jane Doe <jane@example.com>=JDoe@Old.example.com, janed;Sam=sam-gh"), [
+  { name: "Jane Doe", email: "jane@example.com", aliases: ["jdoe@old.example.com", "janed"] },
+  { name: "Sam", email: null, aliases: ["sam-gh"] },
+]);
+check("Aliases from JSON", parseContributorAliases(['{"Ali <ali@example.com>": ["ali-k"]}']), [
+  { name: "Ali", email: "ali@example.com", aliases: ["ali-k"] },
+]);
+for (const [label, spec] of [
+  ["Alias without anyone to merge", "Jane Doe"],
+  ["Alias JSON with a syntax error", "{nope"],
+]) {
+  try {
+    parseContributorAliases(spec);
+    console.log(`❌ ${label}: no error`);
+  } catch (error) {
+    console.log(`✅ ${label}: ${error.message}`);
+  }
+}
+
+console.log("\nTest 2: merging identities");
+const jane = { name: "Jane Doe", email: "jane@example.com", login: "jane" };
+const commits = [
+  commit(jane, "feat", 10, 2),
+  // Same GitHub account, work email
+  commit({ name: "J. Doe", email: "jane@work.example.com", login: "jane" }, "fix", 3, 1, [{ name: "Sam", email: "sam@example.com" }]),
+  // Old laptop, merged by .mailmap
+  commit({ name: "jdoe", email: "jdoe@laptop.local" }, null, 5, 0),
+  commit({ name: "Sam", email: "sam@example.com" }, "fix", null, null, [jane]),
+  // Same name, different people
+  commit({ name: "Sam", email: "sam@elsewhere.example.org" }, "docs", 1, 1),
+];
+const summary = summarizeContributors(commits, { mailmap: "Jane Doe <jane@example.com> <jdoe@laptop.local>\n" });
+check(
+  "Counts per person",
+  summary.map(({ name, commits, coAuthoredCommits, additions, deletions }) => [name, commits, coAuthoredCommits, additions, deletions]),
+  [
+    ["Jane Doe", 3, 1, 18, 3],
+    ["Sam", 1, 1, 0, 0],
+    ["Sam", 1, 0, 1, 1],
+  ]
+);
+check("Merged identities", [summary[0].names, summary[0].emails], [
+  ["Jane Doe", "J. Doe", "jdoe"],
+  ["jane@example.com", "jane@work.example.com", "jdoe@laptop.local"],
+]);
+check("Types of change", summary[0].types, { feat: 1, fix: 1, other: 1 });
+check("Commits without line counts", [summary[1].statsComplete, summary[0].statsComplete], [false, true]);
+
+const aliased = summarizeContributors(commits, { aliases: "Samantha <sam@example.com>=sam@elsewhere.example.org" });
+check(
+  "Aliases merge and rename",
+  aliased.filter((contributor) => contributor.name === "Samantha").map((contributor) => [contributor.commits, contributor.emails]),
+  [[2, ["sam@example.com", "sam@elsewhere.example.org"]]]
+);
+
+const shared = summarizeContributors(
+  [commit({ name: "root", email: "root@localhost" }, "ci", 1, 0), commit({ name: "alice", email: "root@localhost" }, "fix", 1, 0)],
+  { mailmap: "Build Bot <bot@example.com> root <root@localhost>" }
+);
+check(
+  "A shared email is split by name",
+  shared.map((contributor) => contributor.name),
+  ["alice", "Build Bot"]
+);
+
+// The co-author's login links the author to a work email seen before, merging both tallies
+const linked = summarizeContributors([
+  commit({ name: "J. Doe", email: "jane@work.example.com" }, "docs", 1, 0),
+  commit(jane, "feat", 2, 0, [{ name: "Jane", email: "jane@work.example.com", login: "jane" }]),
+]);
+check(
+  "An author linked to a co-author by login is not also a co-author",
+  linked.map((contributor) => [contributor.name, contributor.commits, contributor.coAuthoredCommits]),
+  [["J. Doe", 2, 0]]
+);
+
+// Build a throwaway repository whose .mailmap merges an old email
+const repoPath = mkdtempSync(path.join(tmpdir(), "contributors-"));
+const git = (name, email, ...args) =>
+  execFileSync("git", ["-C", repoPath, ...args], {
+    env: { ...process.env, GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: email, GIT_COMMITTER_NAME: name, GIT_COMMITTER_EMAIL: email },
+    encoding: "utf8",
+  }).trim();
+
+try {
+  git("Jane", "jane@example.com", "init", "-q", "-b", "main");
+  git("Jane", "jane@example.com", "commit", "-q", "--allow-empty", "-m", "initial");
+  git("Jane", "jane@example.com", "tag", "v1.0.0");
+  writeFileSync(path.join(repoPath, "cart.js"), "one\ntwo\nthree\n");
+  git("jdoe", "jdoe@laptop.local", "add", "cart.js");
+  git("jdoe", "jdoe@laptop.local", "commit", "-q", "-m", "feat: add cart");
+  writeFileSync(path.join(repoPath, "cart.js"), "one\n2\nthree\n");
+  writeFileSync(path.join(repoPath, ".mailmap"), "Jane Doe <jane@example.com> <jdoe@laptop.local>\n");
+  git("Jane", "jane@example.com", "add", "cart.js", ".mailmap");
+  git("Jane", "jane@example.com", "commit", "-q", "-m", "fix: rename line\n\nCo-authored-by: Sam <sam@example.com>");
+
+  console.log("\nTest 3: local repository");
+  const options = { repoUrl: repoPath, from: "v1.0.0", to: "HEAD", allowLocal: true, includeContributors: true };
+  const result = await getCommitsBetween(options);
+  check(
+    "Contributors with .mailmap and line counts",
+    result.contributors.map((contributor) => [contributor.name, contributor.commits, contributor.additions, contributor.deletions]),
+    [
+      ["Jane Doe", 2, 5, 1],
+      ["Sam", 0, 0, 0],
+    ]
+  );
+  check("Types", result.contributors[0].types, { fix: 1, feat: 1 });
+
+  const streamed = await streamCommitsBetween(options, () => {}, () => {});
+  check("Streamed contributors", streamed.contributors, result.contributors);
+
+  const withoutMailmap = await getCommitsBetween({ ...options, to: "HEAD~1" });
+  check(
+    "The .mailmap is read at the end of the range",
+    withoutMailmap.contributors.map((contributor) => contributor.name),
+    ["jdoe"]
+  );
+
+  const invalid = await getCommitsBetween({ ...options, contributorAliases: "Jane" });
+  check("Invalid aliases fail the request", [invalid.success, /Invalid contributor alias/.test(invalid.error)], [false, true]);
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\nTest 4: cached file contents");
+let reads = 0;
+const fakeClient = {
+  provider: "github",
+  getFileContent: async (filePath) => {
+    reads++;
+    return filePath === ".mailmap" ? "Jane <jane@example.com>\n" : null;
+  },
+};
+const cached = createCachedClient(fakeClient, createMemoryCache(), { repoUrl: "https://github.com/acme/shop" });
+const sha = "c".repeat(40);
+await cached.getFileContent(".mailmap", sha);
+await cached.getFileContent(".mailmap", sha);
+await cached.getFileContent("missing", sha);
+await cached.getFileContent("missing", sha);
+check("Found files are cached, missing ones are not", [reads, cached.cacheStats.hits], [3, 1]);
+
+console.log("\nTest 5: .mailmap from the GitHub API");
+const baseSha = "a".repeat(40);
+const headSha = "b".repeat(40);
+const requested = [];
+globalThis.fetch = async (url) => {
+  const requestUrl = new URL(url);
+  const requestPath = decodeURIComponent(requestUrl.pathname);
+  requested.push(`${requestPath}${requestUrl.search}`);
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+
+  if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return reply({ object: { type: "commit", sha: baseSha } });
+  if (requestPath.endsWith("/git/ref/tags/v1.1.0")) return reply({ object: { type: "commit", sha: headSha } });
+  if (requestPath.endsWith("/contents/.mailmap")) {
+    const mailmap = "Jane Doe <jane@example.com> <jd@old.example.com>\n";
+    return reply({ type: "file", encoding: "base64", content: Buffer.from(mailmap).toString("base64") });
+  }
+  if (requestPath.includes("/compare/")) {
+    const person = (name, email) => ({ name, email, date: "2024-01-01T00:00:00Z" });
+    return reply({
+      total_commits: 2,
+      commits: [
+        { sha: "d".repeat(40), parents: [{ sha: baseSha }], commit: { message: "feat: one", author: person("jd", "jd@old.example.com") } },
+        { sha: headSha, parents: [{ sha: "d".repeat(40) }], commit: { message: "fix: two", author: person("Jane", "jane@example.com") } },
+      ],
+    });
+  }
+  if (requestPath.includes("/commits/")) {
+    return reply({ files: [{ filename: "a.js", status: "modified", additions: 2, deletions: 1, changes: 3 }] });
+  }
+  return new Response(JSON.stringify({ message: "Not Found" }), { status: 404, headers: { "content-type": "application/json" } });
+};
+
+const github = await getCommitsBetween({
+  repoUrl: "https://github.com/acme/shop",
+  from: "v1.0.0",
+  to: "v1.1.0",
+  api: "rest",
+  includeContributors: true,
+});
+check(
+  "Merged with the repository's .mailmap",
+  github.contributors.map((contributor) => [contributor.name, contributor.commits, contributor.additions]),
+  [["Jane Doe", 2, 4]]
+);
+check(
+  "Read at the end of the range",
+  requested.some((request) => request.endsWith(`/contents/.mailmap?ref=${headSha}`)),
+  true
+);
+
+console.log("\n🎉 Contributor tests completed!");
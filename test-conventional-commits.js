@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test Conventional Commits parsing: scopes, breaking changes, bodies and footers, and the legacy
+ * semverType / jiraTicketId fields
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { parseConventionalCommit } from "./lib/conventional-commits.js";
+import { getCommitsBetween, parseCommitMessage, streamCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing Conventional Commits parsing...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+const pick = (parsed, keys) => Object.fromEntries(keys.map((key) => [key, parsed[key]]));
+
+console.log("Test 1: headers with scopes and breaking markers");
+check("feat(api): ...", pick(parseConventionalCommit("feat(api): add refunds"), ["type", "scope", "breaking", "subject"]), {
+  type: "feat",
+  scope: "api",
+  breaking: false,
+  subject: "add refunds",
+});
+check("fix!: ...", pick(parseConventionalCommit("fix!: reject empty carts"), ["type", "scope", "breaking"]), {
+  type: "fix",
+  scope: null,
+  breaking: true,
+});
+check("refactor(core)!: ...", pick(parseConventionalCommit("refactor(core)!: split modules"), ["scope", "breaking"]), {
+  scope: "core",
+  breaking: true,
+});
+check("Non-conventional header", pick(parseConventionalCommit("Update README.md: typo"), ["type", "subject"]), {
+  type: null,
+  subject: "Update README.md: typo",
+});
+
+console.log("\nTest 2: bodies, footers and BREAKING CHANGE footers");
+const full = parseConventionalCommit(
+  [
+    "feat(billing): send invoices by email",
+    "",
+    "Invoices used to be download-only.",
+    "",
+    "Customers can opt out in settings.",
+    "",
+    "BREAKING CHANGE: the invoice endpoint now",
+    "  requires an email address",
+    "Refs: #123",
+    "Closes #45",
+    "Reviewed-by: Jane",
+    "Reviewed-by: Joe",
+  ].join("\n")
+);
+check("Body keeps its paragraphs", full.body, "Invoices used to be download-only.\n\nCustomers can opt out in settings.");
+check("Footers map tokens to values", full.footers, {
+  "BREAKING CHANGE": ["the invoice endpoint now\nrequires an email address"],
+  Refs: ["#123"],
+  Closes: ["#45"],
+  "Reviewed-by": ["Jane", "Joe"],
+});
+check("BREAKING CHANGE footer is breaking", full.breaking, true);
+check("A body paragraph is not a footer", parseConventionalCommit("fix: a\n\nJust a note about it.").footers, {});
+const note = parseConventionalCommit("fix: x\n\nNote: this changes the default timeout\nso callers must update.");
+check(
+  "A paragraph starting like a footer stays in the body",
+  [note.body, note.footers],
+  ["Note: this changes the default timeout\nso callers must update.", {}]
+);
+
+console.log("\nTest 3: legacy semverType and jiraTicketId");
+check("feat: [PROJ-123] ...", pick(parseCommitMessage("feat: [PROJ-123] Add login"), ["semverType", "jiraTicketId", "cleanMessage"]), {
+  semverType: "feat",
+  jiraTicketId: "PROJ-123",
+  cleanMessage: "Add login",
+});
+check("Scoped headers have a semverType", parseCommitMessage("fix(cart): [PAY-9] round totals").semverType, "fix");
+check("Unknown types have no semverType", pick(parseCommitMessage("wip: try things"), ["type", "semverType"]), {
+  type: "wip",
+  semverType: null,
+});
+
+// Build a throwaway repository to check the fields reach both result shapes
+const repoPath = mkdtempSync(path.join(tmpdir(), "conventional-commits-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "initial");
+  git("tag", "v1.0.0");
+  git("commit", "-q", "--allow-empty", "-m", "feat(api)!: drop v1\n\nMoved to v2.\n\nRefs: #7");
+  git("tag", "v1.1.0");
+
+  console.log("\nTest 4: parsed fields reach the results and the stream");
+  const result = await getCommitsBetween({ repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", allowLocal: true });
+  const streamed = [];
+  await streamCommitsBetween(
+    { repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", allowLocal: true },
+    (batch) => streamed.push(...batch),
+    () => {}
+  );
+  const keys = ["type", "scope", "breaking", "subject", "body", "footers", "semverType"];
+  const expected = {
+    type: "feat",
+    scope: "api",
+    breaking: true,
+    subject: "drop v1",
+    body: "Moved to v2.",
+    footers: { Refs: ["#7"] },
+    semverType: "feat",
+  };
+  check("getCommitsBetween", result.commits?.[0] && pick(result.commits[0], keys), expected);
+  check("streamCommitsBetween", streamed[0] && pick(streamed[0], keys), expected);
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Conventional Commits tests completed!");
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test per-file change data: statuses, line counts and renames kept through filtering, results and the stream
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, getFilesChangedInCommit, streamCommitsBetween, summarizeFileChanges } from "./lib/core.js";
+import { getLocalFilesChangedInCommit } from "./lib/local-git.js";
+
+console.log("🧪 Testing per-file change data...");
+
+console.log("Test 1: GitHub file changes keep their status, line counts and previous path");
+const octokit = {
+  rest: {
+    repos: {
+      getCommit: async () => ({
+        data: {
+          files: [
+            { filename: "web/app.js", status: "renamed", additions: 2, deletions: 1, changes: 3, previous_filename: "app.js" },
+            { filename: "web/logo.png", status: "added", additions: 0, deletions: 0, changes: 0 },
+          ],
+        },
+      }),
+    },
+  },
+};
+const githubFiles = await getFilesChangedInCommit(octokit, "owner", "repo", "a".repeat(40));
+if (
+  githubFiles[0].status === "renamed" &&
+  githubFiles[0].previous_filename === "app.js" &&
+  githubFiles[0].changes === 3 &&
+  githubFiles[1].previous_filename === null
+) {
+  console.log(`✅ ${githubFiles.map((file) => `${file.filename} (${file.status})`).join(", ")}`);
+} else {
+  console.log("❌ Unexpected files:", githubFiles);
+}
+
+console.log("\nTest 2: per-commit totals add up the files, and are null when line counts are unknown");
+const totals = summarizeFileChanges(githubFiles);
+const unknown = [summarizeFileChanges([]), summarizeFileChanges([{ filename: "a.js", additions: null, deletions: null }])];
+if (totals.additions === 2 && totals.deletions === 1 && totals.changes === 3 && unknown.every((stats) => stats === null)) {
+  console.log(`✅ +${totals.additions} -${totals.deletions}`);
+} else {
+  console.log("❌ Unexpected totals:", totals, unknown);
+}
+
+// Build a throwaway repository where files move in and out of web/
+const repoPath = mkdtempSync(path.join(tmpdir(), "file-changes-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+const writeFile = (file, content) => {
+  mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+  writeFileSync(path.join(repoPath, file), content);
+};
+const lines = (count) => Array.from({ length: count }, (_, index) => `line ${index + 1}`).join("\n") + "\n";
+
+// Commits made within the same second have no fixed order, so compare them sorted
+const messagesOf = (commits) => commits.map((commit) => commit.message).sort().join(" | ");
+
+try {
+  git("init", "-q", "-b", "main");
+  writeFile("web/legacy.js", lines(10));
+  writeFile("tools/build.js", lines(10));
+  git("add", ".");
+  git("commit", "-q", "-m", "initial");
+  git("tag", "v1.0.0");
+  mkdirSync(path.join(repoPath, "archive"));
+  git("mv", "web/legacy.js", "archive/legacy.js");
+  git("commit", "-q", "-m", "move legacy out of web");
+  git("mv", "tools/build.js", "web/build.js");
+  writeFile("web/build.js", lines(12));
+  git("add", ".");
+  git("commit", "-q", "-m", "move build into web");
+  writeFile("api/server.js", lines(3));
+  git("add", ".");
+  git("commit", "-q", "-m", "api change");
+  git("tag", "v1.1.0");
+
+  console.log("\nTest 3: local git reports renames with line counts");
+  const [moved] = await getLocalFilesChangedInCommit(repoPath, git("rev-parse", "HEAD~1"));
+  if (
+    moved?.status === "renamed" &&
+    moved.filename === "web/build.js" &&
+    moved.previous_filename === "tools/build.js" &&
+    moved.additions === 2 &&
+    moved.deletions === 0
+  ) {
+    console.log(`✅ ${moved.previous_filename} → ${moved.filename} (+${moved.additions} -${moved.deletions})`);
+  } else {
+    console.log("❌ Unexpected change:", moved);
+  }
+
+  console.log("\nTest 4: renames match the directory on their old and their new path");
+  const result = await getCommitsBetween({ repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", targetDir: "web", allowLocal: true });
+  const filtered = result.success ? messagesOf(result.commits) : result.error;
+  if (filtered === "move build into web | move legacy out of web") {
+    console.log(`✅ ${filtered}`);
+  } else {
+    console.log(`❌ Unexpected commits: ${filtered}`);
+  }
+
+  console.log("\nTest 5: filtered results carry per-commit totals");
+  const movedIn = result.commits?.find((commit) => commit.message === "move build into web");
+  if (movedIn?.stats?.additions === 2 && movedIn.stats.deletions === 0 && movedIn.filesChanged === 1) {
+    console.log(`✅ ${movedIn.message}: +${movedIn.stats.additions} -${movedIn.stats.deletions}`);
+  } else {
+    console.log("❌ Unexpected stats:", movedIn);
+  }
+
+  console.log("\nTest 6: streamed commits keep the real file changes");
+  const streamed = [];
+  const streamResult = await streamCommitsBetween(
+    { repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", allowLocal: true },
+    (batch) => streamed.push(...batch),
+    () => {}
+  );
+  const apiChange = streamed.find((commit) => commit.message === "api change");
+  const movedOut = streamed.find((commit) => commit.message === "move legacy out of web");
+  if (
+    streamResult.success &&
+    apiChange?.files[0].status === "added" &&
+    apiChange.stats.additions === 3 &&
+    movedOut?.files[0].previous_filename === "web/legacy.js" &&
+    movedOut.stats.changes === 0
+  ) {
+    console.log(`✅ Streamed ${streamed.length} commits with file statuses and totals`);
+  } else {
+    console.log("❌ Unexpected stream:", streamResult.error, JSON.stringify(streamed));
+  }
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Per-file change data tests completed!");
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test GitHub Enterprise Server API URL mapping, per-host tokens and apiUrl checks against a simulated API
+ */
+
+import { getCommitsBetween, parseGitHubUrl, resolveGitHubApiUrl } from "./lib/core.js";
+
+console.log("🧪 Testing GitHub Enterprise Server support...");
+
+process.env.GITHUB_TOKEN = "server-token";
+process.env.GITHUB_API_URLS =
+  "github.example.com=https://github.example.com/api/v3|enterprise-token,ghe.shared.com=https://ghe.shared.com/api/v3";
+
+const baseSha = "a".repeat(40);
+const headSha = "b".repeat(40);
+const requests = [];
+
+// Simulate the REST endpoints used for a full-repository comparison
+globalThis.fetch = async (url, init = {}) => {
+  const { pathname } = new URL(url);
+  const headers = new Headers(init.headers);
+  requests.push({ url: String(url), authorization: headers.get("authorization") });
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+
+  if (pathname.endsWith("/commits/v1.0.0")) return reply({ sha: baseSha });
+  if (pathname.endsWith("/commits/v1.1.0")) return reply({ sha: headSha });
+  if (pathname.includes("/compare/")) {
+    return reply({
+      total_commits: 1,
+      commits: [{ sha: headSha, commit: { message: "feat: enterprise support", author: { name: "Hedy", date: "2024-02-01T00:00:00Z" } } }],
+    });
+  }
+  return new Response(JSON.stringify({ message: "Not Found" }), { status: 404, headers: { "content-type": "application/json" } });
+};
+
+console.log("Test 1: host parsing and API URL mapping");
+const { host } = parseGitHubUrl("git@github.example.com:platform/checkout.git");
+const mapped = resolveGitHubApiUrl(host);
+const unmapped = resolveGitHubApiUrl("ghe.other.com");
+const fromOptions = resolveGitHubApiUrl("ghe.json.com", {
+  githubApiUrls: { "ghe.json.com": { apiUrl: "https://ghe.json.com/api/", token: "json-token" } },
+});
+if (
+  host === "github.example.com" &&
+  mapped.apiUrl === "https://github.example.com/api/v3" &&
+  mapped.serverToken === "enterprise-token" &&
+  unmapped.apiUrl === "https://ghe.other.com/api/v3" &&
+  unmapped.serverToken === null &&
+  resolveGitHubApiUrl("github.com").apiUrl === "https://api.github.com" &&
+  resolveGitHubApiUrl("github.com").serverToken === "server-token" &&
+  fromOptions.apiUrl === "https://ghe.json.com/api" &&
+  fromOptions.serverToken === "json-token"
+) {
+  console.log("✅ Hosts mapped to API base URLs");
+} else {
+  console.log("❌ Unexpected mapping:", host, mapped, unmapped, fromOptions);
+}
+
+console.log("\nTest 2: mapped host uses the token of its entry");
+const options = { repoUrl: "https://github.example.com/platform/checkout", from: "v1.0.0", to: "v1.1.0", api: "rest" };
+const mappedResult = await getCommitsBetween(options);
+if (
+  mappedResult.success &&
+  mappedResult.totalCommits === 1 &&
+  requests.every((request) => request.url.startsWith("https://github.example.com/api/v3/") && request.authorization === "token enterprise-token")
+) {
+  console.log(`✅ ${requests.length} requests sent to the enterprise API`);
+} else {
+  console.log("❌ Unexpected result:", mappedResult, requests);
+}
+
+console.log("\nTest 3: unmapped host never receives the server token");
+requests.length = 0;
+await getCommitsBetween({ ...options, repoUrl: "https://ghe.other.com/platform/checkout" });
+if (requests.length > 0 && requests.every((request) => request.url.startsWith("https://ghe.other.com/api/v3/") && !request.authorization)) {
+  console.log("✅ Server token withheld from unmapped host");
+} else {
+  console.log("❌ Unexpected requests:", requests);
+}
+
+console.log("\nTest 4: mapped host without a token of its own never receives GITHUB_TOKEN");
+requests.length = 0;
+await getCommitsBetween({ ...options, repoUrl: "https://ghe.shared.com/platform/checkout" });
+if (requests.length > 0 && requests.every((request) => request.url.startsWith("https://ghe.shared.com/api/v3/") && !request.authorization)) {
+  console.log("✅ Server token withheld from mapped host without a token");
+} else {
+  console.log("❌ Unexpected requests:", requests);
+}
+
+console.log("\nTest 5: only configured API URLs are followed");
+requests.length = 0;
+const unconfigured = await getCommitsBetween({ ...options, apiUrl: "http://169.254.169.254/latest" });
+const configured = await getCommitsBetween({
+  ...options,
+  repoUrl: "https://github.com/platform/checkout",
+  apiUrl: "https://github.example.com/api/v3/",
+});
+if (
+  !unconfigured.success &&
+  /not configured/.test(unconfigured.error) &&
+  configured.success &&
+  requests.every((request) => request.url.startsWith("https://github.example.com/api/v3/") && request.authorization === "token enterprise-token")
+) {
+  console.log("✅ Unconfigured API URL rejected, configured one used with its token");
+} else {
+  console.log("❌ Unexpected results:", unconfigured, configured, requests);
+}
+
+console.log("\n🎉 GitHub Enterprise tests completed!");
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test the GitLab backend against a simulated GitLab REST API
+ */
+
+import { getCommitsBetween, parseRepositoryUrl } from "./lib/core.js";
+import { parseGitLabUrl } from "./lib/gitlab.js";
+
+console.log("🧪 Testing GitLab repository backend...");
+
+const commits = [
+  { id: "b".repeat(40), message: "feat: add payments endpoint\n", author_name: "Ada", authored_date: "2024-01-02T10:00:00Z" },
+  { id: "c".repeat(40), message: "fix(api): handle empty cart", author_name: "Linus", authored_date: "2024-01-03T10:00:00Z" },
+];
+const refs = { "v1.0.0": "a".repeat(40), "v1.1.0": "c".repeat(40) };
+const requests = [];
+
+// Simulate the GitLab API endpoints used by lib/gitlab.js
+globalThis.fetch = async (url, init) => {
+  const { pathname, searchParams } = new URL(url);
+  requests.push({ url: String(url), headers: init.headers });
+
+  const reply = (body, headers = {}) => new Response(JSON.stringify(body), { status: 200, headers });
+  const repoPath = "/api/v4/projects/platform%2Fpayments%2Fapi/repository";
+
+  if (pathname.startsWith(`${repoPath}/commits/`) && pathname.endsWith("/diff")) {
+    return reply([{ new_path: "src/cart.js" }]);
+  }
+  if (pathname.startsWith(`${repoPath}/commits/`)) {
+    const ref = decodeURIComponent(pathname.split("/").pop());
+    return refs[ref] ? reply({ id: refs[ref] }) : new Response(JSON.stringify({ message: "404 Commit Not Found" }), { status: 404 });
+  }
+  if (pathname === `${repoPath}/compare`) {
+    return reply({ commits });
+  }
+  if (pathname === `${repoPath}/commits`) {
+    const page = parseInt(searchParams.get("page"), 10);
+    return reply([commits[page - 1]], { "x-total": "2", "x-next-page": page < 2 ? String(page + 1) : "" });
+  }
+  return new Response("{}", { status: 404 });
+};
+
+console.log("Test 1: URL parsing with nested groups");
+const parsed = parseGitLabUrl("https://gitlab.example.com/platform/payments/api/-/tree/main");
+const ssh = parseRepositoryUrl("git@gitlab.com:platform/payments/api.git");
+if (parsed.owner === "platform/payments" && parsed.repo === "api" && ssh.provider === "gitlab" && ssh.owner === "platform/payments") {
+  console.log("✅ Nested group URLs parsed");
+} else {
+  console.log("❌ Unexpected parse result:", parsed, ssh);
+}
+
+console.log("\nTest 2: compare range on a self-hosted instance");
+const options = {
+  repoUrl: "https://code.example.com/platform/payments/api",
+  from: "v1.0.0",
+  to: "v1.1.0",
+  token: "glpat-test",
+  gitlabUrl: "https://code.example.com/",
+};
+const result = await getCommitsBetween(options);
+if (
+  result.success &&
+  result.apiUsed === "gitlab" &&
+  result.totalCommits === 2 &&
+  result.commits[0].semverType === "feat" &&
+  requests.every((request) => request.url.startsWith("https://code.example.com/api/v4/") && request.headers["PRIVATE-TOKEN"] === "glpat-test")
+) {
+  console.log(`✅ Found ${result.totalCommits} commits through ${requests.length} GitLab requests`);
+} else {
+  console.log("❌ Unexpected result:", result);
+}
+
+console.log("\nTest 3: path-filtered range follows x-next-page");
+requests.length = 0;
+const filtered = await getCommitsBetween({ ...options, targetDir: "src" });
+const listed = requests.filter((request) => new URL(request.url).pathname.endsWith("/repository/commits"));
+if (filtered.success && filtered.totalCommits === 2 && filtered.complete && listed.length === 2 && listed[0].url.includes("path=src")) {
+  console.log(`✅ Paged through ${listed.length} commit listings for path src`);
+} else {
+  console.log("❌ Unexpected filtered result:", filtered);
+}
+
+console.log("\nTest 4: unknown refs are reported");
+const missing = await getCommitsBetween({ ...options, from: "v0.9.0" });
+if (!missing.success && missing.error.includes("v0.9.0")) {
+  console.log("✅ Missing ref reported:", missing.error);
+} else {
+  console.log("❌ Missing ref was not reported");
+}
+
+console.log("\nTest 5: truncated compare keeps the newest commits");
+const truncated = await getCommitsBetween({ ...options, maxCommits: 1 });
+if (truncated.commits.length === 1 && truncated.commits[0].hash === "c".repeat(40) && truncated.truncated && truncated.omittedCommits === 1) {
+  console.log("✅ Kept the newest commit and reported 1 omitted");
+} else {
+  console.log("❌ Unexpected truncated result:", truncated);
+}
+
+console.log("\nTest 6: GITLAB_TOKEN is only sent to trusted hosts");
+const savedToken = process.env.GITLAB_TOKEN;
+process.env.GITLAB_TOKEN = "glpat-env";
+try {
+  const withoutToken = { ...options, token: undefined, gitlabUrl: undefined };
+  requests.length = 0;
+  await getCommitsBetween({ ...withoutToken, repoUrl: "https://gitlab.attacker.example/platform/payments/api" });
+  const untrusted = requests.filter((request) => request.url.startsWith("https://gitlab.attacker.example/"));
+  requests.length = 0;
+  await getCommitsBetween({ ...withoutToken, repoUrl: "https://gitlab.com/platform/payments/api" });
+  const trusted = requests.filter((request) => request.url.startsWith("https://gitlab.com/"));
+  if (
+    untrusted.length > 0 &&
+    untrusted.every((request) => !request.headers["PRIVATE-TOKEN"] && !request.headers.Authorization) &&
+    trusted.length > 0 &&
+    trusted.every((request) => request.headers["PRIVATE-TOKEN"] === "glpat-env")
+  ) {
+    console.log("✅ Token sent to gitlab.com but not to gitlab.attacker.example");
+  } else {
+    console.log("❌ Unexpected headers:", untrusted, trusted);
+  }
+} finally {
+  if (savedToken === undefined) {
+    delete process.env.GITLAB_TOKEN;
+  } else {
+    process.env.GITLAB_TOKEN = savedToken;
+  }
+}
+
+console.log("\nTest 7: GITLAB_URL only applies to its own host");
+const savedUrl = process.env.GITLAB_URL;
+try {
+  process.env.GITLAB_URL = "https://code.example.com/";
+  requests.length = 0;
+  const elsewhere = await getCommitsBetween({ ...options, gitlabUrl: undefined, repoUrl: "https://gitlab.com/platform/payments/api" });
+  const hosts = [...new Set(requests.map((request) => new URL(request.url).host))];
+
+  process.env.GITLAB_URL = "not a url";
+  const invalid = await getCommitsBetween({ ...options, gitlabUrl: undefined, repoUrl: "https://gitlab.com/platform/payments/api" });
+  if (elsewhere.success && hosts.join(",") === "gitlab.com" && invalid.success) {
+    console.log("✅ gitlab.com repositories go to gitlab.com, and an invalid GITLAB_URL is ignored");
+  } else {
+    console.log("❌ Unexpected hosts or results:", hosts, elsewhere.error, invalid.error);
+  }
+} finally {
+  if (savedUrl === undefined) {
+    delete process.env.GITLAB_URL;
+  } else {
+    process.env.GITLAB_URL = savedUrl;
+  }
+}
+
+console.log("\n🎉 GitLab tests completed!");
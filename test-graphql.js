@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test the GraphQL history backend against a simulated GitHub API: stopping the walk at the base commit's history with
+ * and without a path filter, truncation, and the fallback to REST in auto mode
+ */
+
+import { getCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing the GraphQL commit history backend...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+
+// Commits 0 and c come before v1.0.0 (b); branch commit d started from 0 and was merged after v1.0.0
+const sha = (letter) => letter.repeat(40);
+const history = [
+  { oid: sha("f"), date: "2024-01-05T00:00:00Z", parents: [sha("e"), sha("d")], paths: [] },
+  { oid: sha("e"), date: "2024-01-04T00:00:00Z", parents: [sha("b")], paths: ["src"] },
+  { oid: sha("b"), date: "2024-01-03T00:00:00Z", parents: [sha("c")], paths: ["docs"] },
+  { oid: sha("c"), date: "2024-01-02T12:00:00Z", parents: [sha("0")], paths: ["src"] },
+  { oid: sha("d"), date: "2024-01-02T00:00:00Z", parents: [sha("0")], paths: ["src"] },
+  { oid: sha("0"), date: "2024-01-01T00:00:00Z", parents: [], paths: ["src"] },
+];
+const range = [sha("d"), sha("e"), sha("f")];
+const person = (date) => ({ name: "Jane", email: "jane@example.com", date });
+
+// The simulated history is listed two commits per page, newest first
+const pageSize = 2;
+const ancestors = (oid) => {
+  const found = new Set();
+  const visit = (current) => {
+    if (!found.has(current)) {
+      found.add(current);
+      history.find((node) => node.oid === current).parents.forEach(visit);
+    }
+  };
+  visit(oid);
+  return history.filter((node) => found.has(node.oid));
+};
+
+let failGraphQL = false;
+const graphqlVariables = [];
+let compareRequests = 0;
+globalThis.fetch = async (url, init) => {
+  const requestPath = decodeURIComponent(new URL(url).pathname);
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+
+  if (requestPath === "/graphql") {
+    if (failGraphQL) {
+      return reply({ errors: [{ message: "Something went wrong" }] });
+    }
+    const { variables } = JSON.parse(init.body);
+    graphqlVariables.push(variables);
+    const listed = (oid) => ancestors(oid).filter((node) => !variables.path || node.paths.includes(variables.path));
+    const start = variables.after ? parseInt(variables.after, 10) : 0;
+    const headHistory = listed(variables.head);
+    const nodes = headHistory.slice(start, start + pageSize).map((node) => ({
+      oid: node.oid,
+      message: `change ${node.oid[0]}`,
+      changedFilesIfAvailable: node.paths.length,
+      parents: { nodes: node.parents.map((oid) => ({ oid })) },
+      author: person(node.date),
+      committer: person(node.date),
+      associatedPullRequests: { nodes: [] },
+    }));
+    const pageInfo = { hasNextPage: start + pageSize < headHistory.length, endCursor: String(start + pageSize) };
+    const base = variables.withBase ? { history: { nodes: listed(variables.base).slice(0, variables.baseFirst) } } : undefined;
+    return reply({ data: { repository: { base, object: { history: { pageInfo, nodes } } } } });
+  }
+  if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return reply({ object: { type: "commit", sha: sha("b") } });
+  if (requestPath.endsWith("/git/ref/tags/v1.1.0")) return reply({ object: { type: "commit", sha: sha("f") } });
+  if (requestPath.includes("/compare/")) {
+    compareRequests++;
+    return reply({
+      total_commits: range.length,
+      commits: range.map((oid) => {
+        const node = history.find((commit) => commit.oid === oid);
+        return {
+          sha: oid,
+          parents: node.parents.map((parent) => ({ sha: parent })),
+          commit: { message: `change ${oid[0]}`, author: person(node.date), committer: person(node.date) },
+        };
+      }),
+    });
+  }
+  if (requestPath.includes("/commits/")) {
+    const node = history.find((commit) => requestPath.endsWith(commit.oid));
+    return reply({ files: node.paths.map((filename) => ({ filename: `${filename}/index.js`, status: "modified" })) });
+  }
+  return new Response(JSON.stringify({ message: "Not Found" }), { status: 404, headers: { "content-type": "application/json" } });
+};
+
+const options = { repoUrl: "https://github.com/acme/shop", from: "v1.0.0", to: "v1.1.0", token: "ghp-test" };
+const shortShas = (result) => result.commits.map((commit) => commit.hash[0]);
+
+console.log("Test 1: the whole range");
+const full = await getCommitsBetween({ ...options, api: "graphql" });
+check("Merged branch commits older than the base are kept", [full.apiUsed, shortShas(full)], ["graphql", ["f", "e", "d"]]);
+check("Completeness", [full.complete, full.truncated], [true, false]);
+check("One history page per request, no compare", [graphqlVariables.length, compareRequests], [3, 0]);
+check("The base history is read with the first page only", graphqlVariables.map((variables) => variables.withBase), [true, false, false]);
+
+console.log("\nTest 2: a path filter");
+const filtered = await getCommitsBetween({ ...options, api: "graphql", targetDir: "src" });
+check("Commits before the base are left out", shortShas(filtered), ["e", "d"]);
+check("Completeness", [filtered.complete, filtered.totalInRange], [true, null]);
+
+console.log("\nTest 3: truncation");
+graphqlVariables.length = 0;
+const truncated = await getCommitsBetween({ ...options, api: "graphql", maxCommits: 1 });
+check("Newest commits are kept", shortShas(truncated), ["f"]);
+check("The walk stops at the limit", [graphqlVariables.length, graphqlVariables[0].baseFirst], [1, 1]);
+check(
+  "Truncation is reported",
+  [truncated.complete, truncated.truncated, truncated.totalInRange, truncated.omittedCommits],
+  [false, true, 3, 2]
+);
+
+console.log("\nTest 4: GraphQL errors");
+failGraphQL = true;
+const fallback = await getCommitsBetween(options);
+check("Auto mode falls back to REST", [fallback.success, fallback.apiUsed, fallback.totalCommits], [true, "rest-fallback", 3]);
+const failed = await getCommitsBetween({ ...options, api: "graphql" });
+check("The graphql mode reports the error", [failed.success, /Something went wrong/.test(failed.error)], [false, true]);
+
+console.log("\n🎉 GraphQL tests completed!");
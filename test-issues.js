@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test issue key extraction: several keys per message, bare keys, bracketed default keys, issue numbers, tracker
+ * allowlists and priorities, custom patterns and the issues field of both result shapes
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+import { createIssueExtractor, getDefaultIssueTrackers, parseIssueTrackers } from "./lib/issues.js";
+
+console.log("🧪 Testing issue key extraction...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+const keys = (issues) => issues.map((issue) => `${issue.tracker}:${issue.key}`);
+
+console.log("Test 1: project keys, bracketed or not");
+const jira = createIssueExtractor(["jira=https://acme.atlassian.net/browse/{key}"]);
+check("Every key in order", keys(jira("fix: [PAY-12] round totals, see PAY-9 and PAY-12")), ["jira:PAY-12", "jira:PAY-9"]);
+check("URL template", jira("PAY-12")[0].url, "https://acme.atlassian.net/browse/PAY-12");
+check("Lowercase words are not keys", jira("bump node-20 and v-1"), []);
+
+console.log("\nTest 2: issue numbers");
+const github = createIssueExtractor(["github=https://github.com/acme/shop/issues/{number}"]);
+check(
+  "#123 with a link",
+  github("Closes #88 and #90"),
+  [
+    { tracker: "github", key: "#88", url: "https://github.com/acme/shop/issues/88" },
+    { tracker: "github", key: "#90", url: "https://github.com/acme/shop/issues/90" },
+  ]
+);
+check("Entities and URL fragments are not issues", github("use &#123; see /docs#4"), []);
+
+console.log("\nTest 3: allowlists and tracker priority");
+const mixed = createIssueExtractor(["linear:ENG,DES=https://linear.app/acme/issue/{key}", "jira"]);
+check("Allowlisted keys go to the first tracker", keys(mixed("ENG-4 DES-5 PAY-6")), ["linear:ENG-4", "linear:DES-5", "jira:PAY-6"]);
+check("Project allowlists ignore case", keys(createIssueExtractor(["linear:eng"])("ENG-4 PAY-6")), ["linear:ENG-4"]);
+check("Trackers keep their own copy of a key", keys(createIssueExtractor(["jira", "linear"])("ENG-4")), ["jira:ENG-4"]);
+
+console.log("\nTest 4: default trackers");
+const defaults = createIssueExtractor(getDefaultIssueTrackers({ provider: "local" }));
+check(
+  "Names like SHA-256, UTF-8 and ISO-8601 are not Jira keys",
+  keys(defaults("fix: [PAY-12] sign with SHA-256, read UTF-8 and ISO-8601 dates, see PAY-9")),
+  ["jira:PAY-12"]
+);
+
+console.log("\nTest 5: JSON specs and invalid trackers");
+const custom = createIssueExtractor(['{"name": "YouTrack", "pattern": "\\\\b(YT-\\\\d+)\\\\b", "url": "https://yt.example.com/{key}"}']);
+check("Custom pattern", custom("fix YT-7 and PAY-1"), [{ tracker: "youtrack", key: "YT-7", url: "https://yt.example.com/YT-7" }]);
+check("JSON arrays", parseIssueTrackers('[{"name": "jira"}, {"name": "gitlab"}]').map((tracker) => tracker.name), ["jira", "gitlab"]);
+for (const [label, spec] of [
+  ["Invalid pattern", { name: "bad", pattern: "(" }],
+  ["Missing name", ":ENG"],
+]) {
+  try {
+    parseIssueTrackers([spec]);
+    console.log(`❌ ${label} was accepted`);
+  } catch (error) {
+    console.log(`✅ ${label} rejected: ${error.message}`);
+  }
+}
+
+// Build a throwaway repository to check the issues reach both result shapes
+const repoPath = mkdtempSync(path.join(tmpdir(), "issues-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "initial");
+  git("tag", "v1.0.0");
+  git("commit", "-q", "--allow-empty", "-m", "fix: [PAY-12] round totals\n\nAlso fixes ENG-3, refs #5");
+  git("tag", "v1.1.0");
+
+  console.log("\nTest 6: issues reach the results and the stream");
+  const options = { repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", allowLocal: true };
+  const defaults = await getCommitsBetween(options);
+  check("Default trackers only match bracketed keys", defaults.commits?.[0] && keys(defaults.commits[0].issues), ["jira:PAY-12"]);
+
+  const configured = { ...options, issueTrackers: ["linear:ENG", "jira=https://acme.atlassian.net/browse/{key}"] };
+  const result = await getCommitsBetween(configured);
+  const streamed = [];
+  await streamCommitsBetween(configured, (batch) => streamed.push(...batch), () => {});
+  const expected = [
+    { tracker: "jira", key: "PAY-12", url: "https://acme.atlassian.net/browse/PAY-12" },
+    { tracker: "linear", key: "ENG-3", url: null },
+  ];
+  check("getCommitsBetween", result.commits?.[0]?.issues, expected);
+  check("streamCommitsBetween", streamed[0]?.issues, expected);
+  check("jiraTicketId is unchanged", result.commits?.[0]?.jiraTicketId, "PAY-12");
+
+  const invalid = await getCommitsBetween({ ...options, issueTrackers: [{ name: "bad", pattern: "[" }] });
+  check("Invalid trackers fail the request", Boolean(invalid.error?.includes("Invalid pattern")), true);
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Issue extraction tests completed!");
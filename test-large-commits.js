@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test commits with more files than one page: paginated file lists, incomplete markers past GitHub's
+ * 3,000-file limit and the path history fallback for directory filtering
+ */
+
+import { getCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing commits with many files...");
+
+const baseSha = "a".repeat(40);
+const headSha = "d".repeat(40);
+const pagedSha = "b".repeat(40);
+const hugeSha = "c".repeat(40);
+const rangeCommit = (sha, parent, message) => ({
+  sha,
+  parents: [{ sha: parent }],
+  commit: { message, author: { name: "Test", date: "2024-01-01T00:00:00Z" } },
+});
+// A refactor whose migration is on the third page, and two generated-code commits past the file limit
+const commitFiles = {
+  [pagedSha]: Array.from({ length: 650 }, (_, index) =>
+    index === 620 ? "services/payments/migrations/001.sql" : `services/payments/src/file${index}.js`
+  ),
+  [hugeSha]: Array.from({ length: 3500 }, (_, index) => `generated/file${index}.js`),
+  [headSha]: Array.from({ length: 3500 }, (_, index) => `generated/other${index}.js`),
+};
+// The path history of services/ names the newest commit that touched it
+const pathHistory = { services: hugeSha };
+
+const requests = [];
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url) => {
+  const { pathname, searchParams } = new URL(url);
+  const requestPath = decodeURIComponent(pathname);
+  requests.push(`${requestPath}${searchParams.get("path") ? `?path=${searchParams.get("path")}` : ""}`);
+  const reply = (body, headers = {}) =>
+    new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json", ...headers } });
+
+  if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return reply({ object: { type: "commit", sha: baseSha } });
+  if (requestPath.endsWith("/git/ref/tags/v1.1.0")) return reply({ object: { type: "commit", sha: headSha } });
+  if (requestPath.includes("/compare/")) {
+    return reply({
+      total_commits: 3,
+      commits: [
+        rangeCommit(pagedSha, baseSha, "refactor"),
+        rangeCommit(hugeSha, pagedSha, "regenerate"),
+        rangeCommit(headSha, hugeSha, "regenerate again"),
+      ],
+    });
+  }
+  if (requestPath.endsWith("/commits") && searchParams.get("path")) {
+    const sha = pathHistory[searchParams.get("path")];
+    return reply(sha ? [rangeCommit(sha, baseSha, "history")] : []);
+  }
+  const sha = requestPath.split("/").pop();
+  if (commitFiles[sha]) {
+    // GitHub pages the files 300 at a time and stops after 3,000
+    const page = parseInt(searchParams.get("page") || "1", 10);
+    const files = commitFiles[sha].slice(0, 3000).slice((page - 1) * 300, page * 300);
+    const hasNext = page * 300 < Math.min(commitFiles[sha].length, 3000);
+    return reply(
+      { sha, files: files.map((filename) => ({ filename, status: "modified", additions: 1, deletions: 0, changes: 1 })) },
+      hasNext ? { link: `<https://api.github.com/repos/owner/repo/commits/${sha}?page=${page + 1}>; rel="next"` } : {}
+    );
+  }
+  return new Response(JSON.stringify({ message: "Not Found" }), { status: 404 });
+};
+
+try {
+  const result = await getCommitsBetween({
+    repoUrl: "https://github.com/owner/repo",
+    from: "v1.0.0",
+    to: "v1.1.0",
+    api: "rest",
+    targetDir: "services/*/migrations",
+  });
+  const byMessage = Object.fromEntries((result.commits || []).map((commit) => [commit.message, commit]));
+
+  console.log("Test 1: file lists are followed across pages");
+  const refactor = byMessage.refactor;
+  if (refactor?.filesChanged === 650 && refactor.filesComplete === true && refactor.stats.additions === 650) {
+    console.log(`✅ ${refactor.filesChanged} files over ${requests.filter((request) => request.endsWith(pagedSha)).length} pages`);
+  } else {
+    console.log("❌ Unexpected commit:", result.error || refactor);
+  }
+
+  console.log("\nTest 2: file lists stop at 3,000 files and are marked incomplete");
+  const regenerate = byMessage.regenerate;
+  if (regenerate?.filesChanged === 3000 && regenerate.filesComplete === false) {
+    console.log(`✅ ${regenerate.filesChanged} files listed, marked incomplete`);
+  } else {
+    console.log("❌ Unexpected commit:", regenerate);
+  }
+
+  console.log("\nTest 3: incomplete commits are kept or dropped by the path history");
+  const historyChecks = requests.filter((request) => request.endsWith("?path=services"));
+  if (
+    regenerate &&
+    !byMessage["regenerate again"] &&
+    historyChecks.length === 2 &&
+    regenerate.matchedPaths.join() === "services/*/migrations"
+  ) {
+    console.log(`✅ ${result.totalCommits} commits kept after ${historyChecks.length} path history checks`);
+  } else {
+    console.log("❌ Unexpected commits:", Object.keys(byMessage), historyChecks);
+  }
+} finally {
+  globalThis.fetch = originalFetch;
+}
+
+console.log("\n🎉 Large commit tests completed!");
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Test the local git backend against this repository's own history
+ */
+
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing local git repository backend...");
+
+const options = {
+  repoUrl: ".",
+  from: "HEAD~3",
+  to: "HEAD",
+  allowLocal: true,
+};
+
+console.log("Test 1: getCommitsBetween with a local path");
+try {
+  const result = await getCommitsBetween(options);
+
+  if (result.success && result.apiUsed === "git") {
+    console.log("✅ Local repository read");
+    console.log(`Found ${result.totalCommits} of ${result.totalInRange} commits (${result.elapsedTime})`);
+    result.commits.forEach((commit) => console.log(`   ${commit.hash.substring(0, 7)} ${commit.message}`));
+  } else {
+    console.log("❌ Local repository read failed:");
+    console.log(result.error);
+  }
+} catch (error) {
+  console.log("❌ Test failed:", error.message);
+}
+
+console.log("\nTest 2: streamCommitsBetween with a file:// URL and maxCommits");
+try {
+  let streamed = 0;
+  const result = await streamCommitsBetween(
+    { ...options, repoUrl: new URL(".", import.meta.url).href, maxCommits: 2 },
+    (commits) => {
+      streamed += commits.length;
+    },
+    () => {}
+  );
+
+  if (result.success && streamed === result.totalCommits && result.truncated) {
+    console.log(`✅ Streamed ${streamed} commits, ${result.omittedCommits} left out by maxCommits`);
+  } else {
+    console.log("❌ Unexpected stream result:", result);
+  }
+} catch (error) {
+  console.log("❌ Test failed:", error.message);
+}
+
+console.log("\nTest 3: local paths are refused unless enabled");
+const refused = await getCommitsBetween({ ...options, allowLocal: false });
+if (!refused.success && refused.error.includes("ALLOW_LOCAL_REPOS")) {
+  console.log("✅ Local path refused without allowLocal");
+} else {
+  console.log("❌ Local path was not refused");
+}
+
+console.log("\n🎉 Local git tests completed!");
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test merge modes (all, first-parent, merges-only, no-merges) on a repository with merged feature branches
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+
+console.log("🧪 Testing merge modes...");
+
+// Build a throwaway repository: two feature branches merged with merge commits, plus one direct mainline commit
+const repoPath = mkdtempSync(path.join(tmpdir(), "merge-mode-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+const commitFile = (file, message) => {
+  mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+  writeFileSync(path.join(repoPath, file), message);
+  git("add", file);
+  git("commit", "-q", "-m", message);
+};
+
+// Commits made within the same second have no fixed order, so compare them sorted
+const messagesOf = (result) => result.commits.map((commit) => commit.message).sort().join(" | ");
+
+try {
+  git("init", "-q", "-b", "main");
+  commitFile("README.md", "initial");
+  git("tag", "v1.0.0");
+
+  git("checkout", "-q", "-b", "feature-a");
+  commitFile("web/a1.txt", "add a1");
+  commitFile("web/a2.txt", "add a2");
+  git("checkout", "-q", "main");
+  git("merge", "-q", "--no-ff", "feature-a", "-m", "Merge pull request #1 from feature-a");
+
+  commitFile("api/direct.txt", "direct fix");
+
+  git("checkout", "-q", "-b", "feature-b");
+  commitFile("api/b1.txt", "add b1");
+  git("checkout", "-q", "main");
+  git("merge", "-q", "--no-ff", "feature-b", "-m", "Merge pull request #2 from feature-b");
+  git("tag", "v1.1.0");
+
+  const run = (mergeMode, extra = {}) =>
+    getCommitsBetween({ repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", mergeMode, allowLocal: true, ...extra });
+
+  const expectations = [
+    ["all", "Merge pull request #1 from feature-a | Merge pull request #2 from feature-b | add a1 | add a2 | add b1 | direct fix"],
+    ["first-parent", "Merge pull request #1 from feature-a | Merge pull request #2 from feature-b | direct fix"],
+    ["merges-only", "Merge pull request #1 from feature-a | Merge pull request #2 from feature-b"],
+    ["no-merges", "add a1 | add a2 | add b1 | direct fix"],
+  ];
+
+  console.log("Test 1: each merge mode selects the expected commits");
+  for (const [mergeMode, expected] of expectations) {
+    const result = await run(mergeMode);
+    const actual = result.success ? messagesOf(result) : result.error;
+    console.log(actual === expected ? `✅ ${mergeMode}: ${result.totalCommits} commits` : `❌ ${mergeMode}: ${actual}`);
+  }
+
+  console.log("\nTest 2: mainline modes still honor targetDir");
+  const mainlineWeb = await run("first-parent", { targetDir: "web/" });
+  if (mainlineWeb.success && messagesOf(mainlineWeb) === "Merge pull request #1 from feature-a") {
+    console.log("✅ first-parent with targetDir keeps only the merge that touched web/");
+  } else {
+    console.log("❌ Unexpected result:", mainlineWeb.error || messagesOf(mainlineWeb));
+  }
+
+  console.log("\nTest 3: streaming honors the merge mode");
+  const streamed = [];
+  const streamResult = await streamCommitsBetween(
+    { repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", mergeMode: "merges-only", allowLocal: true },
+    (batch) => streamed.push(...batch),
+    () => {}
+  );
+  if (streamResult.success && streamed.length === 2 && streamResult.mergeMode === "merges-only") {
+    console.log(`✅ Streamed ${streamed.length} merge commits`);
+  } else {
+    console.log("❌ Unexpected stream result:", streamResult, streamed.length);
+  }
+
+  console.log("\nTest 4: invalid merge modes are rejected");
+  const invalid = await run("squash");
+  console.log(!invalid.success && invalid.error.includes("Invalid mergeMode") ? `✅ ${invalid.error}` : "❌ squash was accepted");
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Merge mode tests completed!");
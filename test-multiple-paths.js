@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Test multiple include paths: one path-filtered listing per directory, merged and deduplicated by SHA,
+ * with the matched paths reported for each commit
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+import { getPlainDirectories } from "./lib/path-filter.js";
+
+console.log("🧪 Testing multiple include paths...");
+
+console.log("Test 1: repeated and comma-separated paths are combined");
+const directories = getPlainDirectories(["services/api/", "libs/shared-auth,proto/api", "services/api"]);
+if (directories?.join(",") === "services/api,libs/shared-auth,proto/api") {
+  console.log(`✅ ${directories.join(", ")}`);
+} else {
+  console.log("❌ Unexpected directories:", directories);
+}
+console.log(getPlainDirectories(["services/api", "libs/*"]) === null ? "✅ Globs are matched locally" : "❌ Globs reached the provider");
+
+// Build a throwaway repository for a service spread over three directories
+const repoPath = mkdtempSync(path.join(tmpdir(), "multiple-paths-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+let commitTime = Date.parse("2024-01-01T00:00:00Z") / 1000;
+const commitFiles = (files, message, authorTime = null) => {
+  for (const file of files) {
+    mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+    writeFileSync(path.join(repoPath, file), message);
+    git("add", file);
+  }
+  // Distinct dates give the merged listings a fixed order
+  commitTime += 60;
+  execFileSync("git", ["-C", repoPath, "commit", "-q", "-m", message], {
+    env: { ...env, GIT_AUTHOR_DATE: `${authorTime || commitTime} +0000`, GIT_COMMITTER_DATE: `${commitTime} +0000` },
+  });
+};
+
+try {
+  git("init", "-q", "-b", "main");
+  commitFiles(["README.md"], "initial");
+  git("tag", "v1.0.0");
+  commitFiles(["services/api/server.js"], "api change");
+  commitFiles(["libs/shared-auth/token.js"], "auth change");
+  commitFiles(["services/web/app.js"], "web change");
+  commitFiles(["proto/api/service.proto", "services/api/client.js"], "proto and api change");
+  commitFiles(["services/api-gateway/index.js"], "gateway change");
+  // Cherry-picked from an older branch, so its author date comes before every other commit
+  commitFiles(["libs/shared-auth/session.js"], "cherry-picked auth fix", Date.parse("2023-06-01T00:00:00Z") / 1000);
+  git("tag", "v1.1.0");
+
+  const targetDir = ["services/api", "libs/shared-auth", "proto/api"];
+  const run = (extra = {}) => getCommitsBetween({ repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", targetDir, allowLocal: true, ...extra });
+
+  console.log("\nTest 2: commits touching any path are merged by commit date without duplicates");
+  const result = await run();
+  const messages = result.success ? result.commits.map((commit) => commit.message).join(" | ") : result.error;
+  if (messages === "cherry-picked auth fix | proto and api change | auth change | api change") {
+    console.log(`✅ ${messages}`);
+  } else {
+    console.log(`❌ Unexpected commits: ${messages}`);
+  }
+
+  console.log("\nTest 3: each commit lists the paths it touched");
+  const both = result.commits?.find((commit) => commit.message === "proto and api change");
+  if (both?.matchedPaths.join(",") === "services/api,proto/api") {
+    console.log(`✅ ${both.message}: ${both.matchedPaths.join(", ")}`);
+  } else {
+    console.log("❌ Unexpected matched paths:", both);
+  }
+
+  console.log("\nTest 4: the merged listing honors maxCommits");
+  const limited = await run({ maxCommits: 2 });
+  if (limited.success && limited.totalCommits === 2 && limited.truncated) {
+    console.log(`✅ ${limited.totalCommits} commits, truncated`);
+  } else {
+    console.log("❌ Unexpected result:", limited.error || limited.commits);
+  }
+
+  console.log("\nTest 5: streaming merges the same paths");
+  const streamed = [];
+  const streamResult = await streamCommitsBetween(
+    { repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", targetDir: targetDir.join(","), allowLocal: true },
+    (batch) => streamed.push(...batch),
+    () => {}
+  );
+  const streamedPaths = streamed.find((commit) => commit.message === "proto and api change")?.matchedPaths;
+  if (streamResult.success && streamed.length === 4 && streamedPaths?.length === 2) {
+    console.log(`✅ Streamed ${streamed.length} commits`);
+  } else {
+    console.log("❌ Unexpected stream:", streamResult.error, streamed.length, streamedPaths);
+  }
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Multiple include path tests completed!");
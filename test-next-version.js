@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test next version recommendations: bump rules and overrides, 0.x and prerelease versions, tag prefixes and the
+ * nextVersion field of both result shapes
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+import { parseBumpRules, recommendNextVersion } from "./lib/next-version.js";
+
+console.log("🧪 Testing next version recommendations...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+const commit = (hash, type, subject, breaking = false) => ({ hash, type, subject, breaking });
+const fix = commit("aaa1111", "fix", "round totals");
+const feat = commit("bbb2222", "feat", "add refunds");
+const docs = commit("ccc3333", "docs", "explain refunds");
+const breaking = commit("ddd4444", "refactor", "drop v1", true);
+const recommend = (commits, ref, bumpRules) => {
+  const { current, next, nextTag, bump } = recommendNextVersion(commits, ref, { bumpRules });
+  return { current, next, nextTag, bump };
+};
+
+console.log("Test 1: default rules");
+check("fix -> patch", recommend([fix, docs], "v1.4.0"), { current: "1.4.0", next: "1.4.1", nextTag: "v1.4.1", bump: "patch" });
+check("feat -> minor", recommend([fix, feat], "v1.4.2").next, "1.5.0");
+check("breaking -> major", recommend([feat, breaking], "v1.4.2").next, "2.0.0");
+check("Other types -> patch", recommend([docs], "1.4.0").nextTag, "1.4.1");
+check("No commits, no release", recommend([], "v1.4.0"), { current: "1.4.0", next: null, nextTag: null, bump: null });
+check(
+  "Reasons are the commits behind the bump",
+  recommendNextVersion([fix, feat, docs, { ...feat, hash: "eee5555" }], "v1.0.0").reasons.map((reason) => reason.hash),
+  ["bbb2222", "eee5555"]
+);
+
+console.log("\nTest 2: rule overrides");
+check("docs=none", recommend([docs], "v1.4.0", "docs=none").bump, null);
+check("*=none keeps listed types", recommend([docs, fix], "v1.4.0", "*=none").bump, "patch");
+check("JSON rules", recommend([docs], "v1.4.0", '{"docs": "minor"}').next, "1.5.0");
+check("breaking=minor", recommend([breaking], "v1.4.0", { breaking: "minor" }).next, "1.5.0");
+try {
+  parseBumpRules("docs=huge");
+  console.log("❌ Invalid bump accepted");
+} catch (error) {
+  console.log(`✅ Invalid bump rejected: ${error.message}`);
+}
+
+console.log("\nTest 3: 0.x and prerelease versions");
+check("0.x breaking -> minor", recommend([breaking], "v0.3.4").next, "0.4.0");
+check("0.x feat -> patch", recommend([feat], "v0.3.4").next, "0.3.5");
+check("0.x flag", recommendNextVersion([feat], "v0.3.4").initialDevelopment, true);
+check("rc fix -> next rc", recommend([fix], "v1.2.0-rc.1").next, "1.2.0-rc.2");
+check("rc feat -> next rc", recommend([feat], "v1.2.0-rc.1").next, "1.2.0-rc.2");
+check("rc breaking -> new major rc", recommend([breaking], "v1.2.0-rc.1").next, "2.0.0-rc.0");
+check("Patch rc feat -> new minor rc", recommend([feat], "v1.2.3-beta").next, "1.3.0-beta.0");
+check("Unnumbered prerelease", recommend([fix], "v1.2.3-beta").next, "1.2.3-beta.0");
+
+console.log("\nTest 4: tag prefixes and non-version references");
+check("Monorepo prefix", recommend([feat], "payments-service@1.4.0").nextTag, "payments-service@1.5.0");
+check("Directory prefix with v", recommend([fix], "web/v2.0.0").nextTag, "web/v2.0.1");
+check("Commit hash", recommend([feat], "abc1234"), { current: null, next: null, nextTag: null, bump: "minor" });
+
+// Build a throwaway repository to check the recommendation reaches both result shapes
+const repoPath = mkdtempSync(path.join(tmpdir(), "next-version-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "initial");
+  git("tag", "v1.4.0");
+  git("commit", "-q", "--allow-empty", "-m", "fix: round totals");
+  git("commit", "-q", "--allow-empty", "-m", "feat(api): add refunds");
+
+  console.log("\nTest 5: nextVersion reaches the results and the stream");
+  const options = { repoUrl: repoPath, from: "v1.4.0", to: "HEAD", allowLocal: true };
+  const result = await getCommitsBetween(options);
+  const streamResult = await streamCommitsBetween(options, () => {}, () => {});
+  const summary = (nextVersion) =>
+    nextVersion && [nextVersion.nextTag, nextVersion.bump, nextVersion.reasons.map((reason) => reason.subject)];
+  check("getCommitsBetween", summary(result.nextVersion), ["v1.5.0", "minor", ["add refunds"]]);
+  check("streamCommitsBetween", summary(streamResult.nextVersion), ["v1.5.0", "minor", ["add refunds"]]);
+
+  const overridden = await getCommitsBetween({ ...options, bumpRules: "feat=none,fix=none" });
+  check("Bump rules option", overridden.nextVersion && [overridden.nextVersion.next, overridden.nextVersion.bump], [null, null]);
+
+  const invalid = await getCommitsBetween({ ...options, bumpRules: "feat=huge" });
+  check("Invalid rules fail the request", Boolean(invalid.error?.includes("Invalid bump rule")), true);
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Next version tests completed!");
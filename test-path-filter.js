@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test gitignore-style path patterns for targetDir and excludeSubPaths: globs, directory boundaries,
+ * negation and the filter explanation
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween, shouldIncludeCommit } from "./lib/core.js";
+import { createPathFilter, getPlainDirectory } from "./lib/path-filter.js";
+
+console.log("🧪 Testing path patterns...");
+
+console.log("Test 1: files are matched like gitignore patterns");
+const cases = [
+  ["src", "", "src/app.js", true],
+  ["src", "", "src-legacy/app.js", false],
+  ["src/", "", "src", false],
+  ["**/*.md", "", "docs/guide/intro.md", true],
+  ["**/*.md", "", "README.md", true],
+  ["services/*/migrations", "", "services/payments/migrations/001.sql", true],
+  ["services/*/migrations", "", "services/payments/db/migrations/001.sql", false],
+  ["src/**,!src/generated", "", "src/generated/api.ts", false],
+  ["src/**,!src/generated", "", "src/app/api.ts", true],
+  ["lib/file?.[jt]s", "", "lib/file1.ts", true],
+  ["lib/file?.[!jt]s", "", "lib/file1.ts", false],
+  ["", "**/*.md,!CHANGELOG.md", "docs/intro.md", false],
+  ["", "**/*.md,!CHANGELOG.md", "CHANGELOG.md", true],
+  ["src/a", "b,c/d", "src/a/b/file.js", false],
+  ["src/a", "b,c/d", "src/a/c/d/test.js", false],
+  ["src/a", "b,c/d", "src/a/x/c/d/test.js", true],
+  ["src/a", "b,c/d", "src/a/readme.md", true],
+  ["", "docs", "web/docs/intro.md", false],
+];
+for (const [targetDir, excludeSubPaths, file, expected] of cases) {
+  const { included } = createPathFilter(targetDir, excludeSubPaths).explainFile(file);
+  const label = `${file} with target "${targetDir}" and exclude "${excludeSubPaths}"`;
+  console.log(included === expected ? `✅ ${label}: ${included}` : `❌ ${label}: ${included} (expected ${expected})`);
+}
+
+console.log("\nTest 2: commits are kept when any relevant file survives");
+const keeps = shouldIncludeCommit(["src/a/b/file.js", "src/a/index.js"], "src/a", "b");
+const drops = shouldIncludeCommit(["src/a/b/file.js", "other/file.js"], "src/a", "b");
+console.log(keeps && !drops ? "✅ Mixed commit kept, fully excluded commit dropped" : `❌ ${keeps} / ${drops}`);
+
+console.log("\nTest 3: only single plain directories go to the provider's path filter");
+const plain = [getPlainDirectory("./web/"), getPlainDirectory("web,api"), getPlainDirectory("src/**")];
+console.log(plain.join(",") === "web,," ? "✅ ./web/ → web, lists and globs → null" : `❌ ${plain}`);
+
+console.log("\nTest 4: patterns leaving the target directory are rejected");
+try {
+  createPathFilter("web", "../secrets");
+  console.log("❌ ../secrets was accepted");
+} catch (error) {
+  console.log(`✅ ${error.message}`);
+}
+
+// Build a throwaway repository with a few services
+const repoPath = mkdtempSync(path.join(tmpdir(), "path-filter-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+const commitFiles = (files, message) => {
+  for (const file of files) {
+    mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+    writeFileSync(path.join(repoPath, file), message);
+    git("add", file);
+  }
+  git("commit", "-q", "-m", message);
+};
+
+// Commits made within the same second have no fixed order, so compare them sorted
+const messagesOf = (result) => result.commits.map((commit) => commit.message).sort().join(" | ");
+
+try {
+  git("init", "-q", "-b", "main");
+  commitFiles(["README.md"], "initial");
+  git("tag", "v1.0.0");
+  commitFiles(["services/payments/migrations/001.sql"], "payments migration");
+  commitFiles(["services/legacy/migrations/001.sql"], "legacy migration");
+  commitFiles(["src-legacy/app.js"], "legacy app");
+  commitFiles(["src/app.js", "src/README.md"], "app change");
+  commitFiles(["src/docs.md"], "docs only");
+  git("tag", "v1.1.0");
+
+  const run = (targetDir, excludeSubPaths, extra = {}) =>
+    getCommitsBetween({ repoUrl: repoPath, from: "v1.0.0", to: "v1.1.0", targetDir, excludeSubPaths, allowLocal: true, ...extra });
+
+  console.log("\nTest 5: glob targets with negation on a real repository");
+  const migrations = await run("services/*/migrations,!services/legacy", null);
+  const migrationMessages = migrations.success ? messagesOf(migrations) : migrations.error;
+  console.log(migrationMessages === "payments migration" ? `✅ ${migrationMessages}` : `❌ ${migrationMessages}`);
+
+  console.log("\nTest 6: a plain directory does not match its siblings");
+  const src = await run("src", "*.md");
+  console.log(src.success && messagesOf(src) === "app change" ? `✅ ${messagesOf(src)}` : `❌ ${src.error || messagesOf(src)}`);
+
+  console.log("\nTest 7: the filter explanation names the deciding pattern");
+  const explained = await run("src/", "*.md", { explainFilter: true });
+  const docsOnly = explained.filterExplanation?.find((commit) => commit.message === "docs only");
+  if (docsOnly && !docsOnly.included && docsOnly.files[0].excludedBy === "*.md" && docsOnly.files[0].includedBy === "src/") {
+    console.log(`✅ ${docsOnly.files[0].file}: included by ${docsOnly.files[0].includedBy}, excluded by ${docsOnly.files[0].excludedBy}`);
+  } else {
+    console.log("❌ Unexpected explanation:", JSON.stringify(explained.filterExplanation || explained.error));
+  }
+
+  console.log("\nTest 8: invalid patterns fail before anything is fetched");
+  const invalid = await run("web", "../secrets");
+  console.log(!invalid.success && invalid.error.includes("..") ? `✅ ${invalid.error}` : "❌ ../secrets was accepted");
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Path pattern tests completed!");
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * Test pull request lookups: the GitHub GraphQL and REST paths, GitLab merge requests, Bitbucket Cloud and Server,
+ * the includePullRequests option in results and the stream, and the per-commit cache
+ */
+
+import { createMemoryCache } from "./lib/cache.js";
+import {
+  createRepositoryClient,
+  getCommitsBetween,
+  getGitHubPullRequests,
+  initializeGitHubClients,
+  streamCommitsBetween,
+} from "./lib/core.js";
+
+console.log("🧪 Testing pull request lookups...");
+
+const check = (label, actual, expected) => {
+  const matches = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(matches ? `✅ ${label}` : `❌ ${label}: ${JSON.stringify(actual)} (expected ${JSON.stringify(expected)})`);
+};
+
+const baseSha = "a".repeat(40);
+const mergedSha = "b".repeat(40);
+const headSha = "c".repeat(40);
+const rangeCommit = (sha, parent, message) => ({
+  sha,
+  parents: [{ sha: parent }],
+  commit: { message, author: { name: "Test", date: "2024-01-01T00:00:00Z" } },
+});
+const refund = {
+  number: 7,
+  title: "Add refunds",
+  url: "https://github.com/acme/shop/pull/7",
+  labels: ["feature"],
+  author: "jane",
+  mergedBy: "john",
+  reviewers: ["john", "alex"],
+};
+
+const requests = [];
+let failPullLookups = false;
+globalThis.fetch = async (url, init = {}) => {
+  const { origin, pathname } = new URL(url);
+  const requestPath = decodeURIComponent(pathname);
+  requests.push(`${origin}${requestPath}`);
+  const reply = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+  const notFound = () =>
+    new Response(JSON.stringify({ message: "Not Found" }), { status: 404, headers: { "content-type": "application/json" } });
+
+  if (origin === "https://api.github.com") {
+    if (requestPath === "/graphql") {
+      const { variables } = JSON.parse(init.body);
+      const nodes =
+        variables.sha === mergedSha
+          ? [
+              {
+                number: 7,
+                title: "Add refunds",
+                url: refund.url,
+                author: { login: "jane" },
+                mergedBy: { login: "john" },
+                labels: { nodes: [{ name: "feature" }] },
+                // The author's own comments and repeated reviews are left out
+                reviews: { nodes: ["john", "jane", "alex", "john"].map((login) => ({ author: { login } })) },
+              },
+            ]
+          : [];
+      return reply({ data: { repository: { object: { associatedPullRequests: { nodes } } } } });
+    }
+    if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return reply({ object: { type: "commit", sha: baseSha } });
+    if (requestPath.endsWith("/git/ref/tags/v1.1.0")) return reply({ object: { type: "commit", sha: headSha } });
+    if (requestPath.includes("/compare/")) {
+      // The head commit mentions an unrelated "#3" and belongs to no pull request
+      return reply({
+        total_commits: 2,
+        commits: [rangeCommit(mergedSha, baseSha, "Add refunds"), rangeCommit(headSha, mergedSha, "Tidy up, see #3")],
+      });
+    }
+    if (requestPath.endsWith("/pulls")) {
+      if (failPullLookups) return notFound();
+      const sha = requestPath.split("/").slice(-2)[0];
+      const pull = {
+        number: 7,
+        title: "Add refunds",
+        html_url: refund.url,
+        user: { login: "jane" },
+        labels: [{ name: "feature" }],
+        merged_at: "2024-01-01T00:00:00Z",
+      };
+      return reply(sha === mergedSha ? [pull] : []);
+    }
+    if (requestPath.endsWith("/pulls/7")) return reply({ number: 7, merged_by: { login: "john" } });
+    if (requestPath.endsWith("/pulls/7/reviews")) {
+      return reply([{ user: { login: "john" } }, { user: { login: "jane" } }, { user: { login: "alex" } }]);
+    }
+    if (requestPath.includes("/commits/")) return reply({ files: [{ filename: "src/refunds.js", status: "added" }] });
+    return notFound();
+  }
+
+  if (origin === "https://gitlab.com") {
+    if (requestPath.endsWith(`/repository/commits/${mergedSha}/merge_requests`)) {
+      return reply([
+        {
+          iid: 12,
+          title: "Add refunds",
+          web_url: "https://gitlab.com/acme/shop/-/merge_requests/12",
+          labels: ["feature", "backend"],
+          author: { username: "jane" },
+          merge_user: { username: "john" },
+          reviewers: [{ username: "alex" }],
+        },
+      ]);
+    }
+    return notFound();
+  }
+
+  if (origin === "https://api.bitbucket.org") {
+    const repoPath = "/2.0/repositories/acme/shop";
+    if (requestPath === `${repoPath}/commit/${mergedSha}/pullrequests`) return reply({ values: [{ id: 4 }] });
+    if (requestPath === `${repoPath}/pullrequests/4`) {
+      return reply({
+        id: 4,
+        title: "Add refunds",
+        state: "MERGED",
+        links: { html: { href: "https://bitbucket.org/acme/shop/pull-requests/4" } },
+        author: { nickname: "jane" },
+        closed_by: { nickname: "john" },
+        reviewers: [{ nickname: "alex" }, { display_name: "Sam Ray" }],
+      });
+    }
+    return notFound();
+  }
+
+  if (requestPath === `/rest/api/1.0/projects/SHOP/repos/api/commits/${mergedSha}/pull-requests`) {
+    return reply({
+      values: [
+        {
+          id: 9,
+          title: "Add refunds",
+          links: { self: [{ href: "https://git.example.com/projects/SHOP/repos/api/pull-requests/9" }] },
+          author: { user: { name: "jane" } },
+          reviewers: [{ user: { name: "alex" } }],
+        },
+      ],
+      isLastPage: true,
+    });
+  }
+  return notFound();
+};
+
+const pullRequestRequests = () => requests.filter((request) => /\/pulls|\/graphql/.test(request)).length;
+const options = { repoUrl: "https://github.com/acme/shop", from: "v1.0.0", to: "v1.1.0", api: "rest" };
+
+console.log("Test 1: GitHub lookups");
+const { octokit } = initializeGitHubClients("test-token");
+check("GraphQL with a token", await getGitHubPullRequests(octokit, "acme", "shop", mergedSha, { hasToken: true }), [refund]);
+check("REST without a token", await getGitHubPullRequests(octokit, "acme", "shop", mergedSha, { hasToken: false }), [refund]);
+check("REST when forced", await getGitHubPullRequests(octokit, "acme", "shop", headSha, { hasToken: true, api: "rest" }), []);
+
+console.log("\nTest 2: includePullRequests in results and the stream");
+requests.length = 0;
+const plain = await getCommitsBetween(options);
+check("No lookups by default", [plain.success, pullRequestRequests()], [true, 0]);
+
+const result = await getCommitsBetween({ ...options, includePullRequests: true });
+check(
+  "Results carry the pull requests",
+  result.commits.map((commit) => commit.pullRequests),
+  [[refund], []]
+);
+
+const streamed = [];
+const onCommitBatch = (commits) => streamed.push(...commits);
+const streamResult = await streamCommitsBetween({ ...options, includePullRequests: true }, onCommitBatch, () => {});
+check(
+  "Streamed commits carry the pull requests",
+  [streamResult.success, streamed.map((commit) => commit.pullRequests)],
+  [true, [[refund], []]]
+);
+
+console.log("\nTest 3: lookups are cached per commit");
+const cache = createMemoryCache();
+requests.length = 0;
+await getCommitsBetween({ ...options, includePullRequests: true, cache });
+const firstRunRequests = pullRequestRequests();
+const cached = await getCommitsBetween({ ...options, includePullRequests: true, cache });
+check("Second run makes no pull request requests", [firstRunRequests > 0, pullRequestRequests() - firstRunRequests], [true, 0]);
+check("Cached pull requests", cached.commits[0].pullRequests, [refund]);
+
+failPullLookups = true;
+const failedCache = createMemoryCache();
+const failed = await getCommitsBetween({ ...options, includePullRequests: true, cache: failedCache });
+check("Failed lookups keep the listed pull requests", failed.commits[0].pullRequests, []);
+failPullLookups = false;
+const retried = await getCommitsBetween({ ...options, includePullRequests: true, cache: failedCache });
+check("Failed lookups are not cached", retried.commits[0].pullRequests, [refund]);
+
+console.log("\nTest 4: GitLab and Bitbucket");
+check(
+  "GitLab merge requests",
+  await createRepositoryClient({ repoUrl: "https://gitlab.com/acme/shop" }).getPullRequests(mergedSha),
+  [
+    {
+      number: 12,
+      title: "Add refunds",
+      url: "https://gitlab.com/acme/shop/-/merge_requests/12",
+      labels: ["feature", "backend"],
+      author: "jane",
+      mergedBy: "john",
+      reviewers: ["alex"],
+    },
+  ]
+);
+check(
+  "Bitbucket Cloud pull requests",
+  await createRepositoryClient({ repoUrl: "https://bitbucket.org/acme/shop" }).getPullRequests(mergedSha),
+  [
+    {
+      number: 4,
+      title: "Add refunds",
+      url: "https://bitbucket.org/acme/shop/pull-requests/4",
+      labels: [],
+      author: "jane",
+      mergedBy: "john",
+      reviewers: ["alex", "Sam Ray"],
+    },
+  ]
+);
+check(
+  "Bitbucket Server pull requests",
+  await createRepositoryClient({ repoUrl: "https://git.example.com/projects/shop/repos/api" }).getPullRequests(mergedSha),
+  [
+    {
+      number: 9,
+      title: "Add refunds",
+      url: "https://git.example.com/projects/SHOP/repos/api/pull-requests/9",
+      labels: [],
+      author: "jane",
+      mergedBy: null,
+      reviewers: ["alex"],
+    },
+  ]
+);
+const gitlab = createRepositoryClient({ repoUrl: "https://gitlab.com/acme/shop" });
+check("Lookup failures return null", await gitlab.getPullRequests(headSha), null);
+
+console.log("\n🎉 Pull request tests completed!");
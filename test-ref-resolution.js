@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test ref resolution: annotated tag peeling, ref kinds, refs/tags/ and refs/heads/ qualifiers and lookup failures
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { resolveGitHubRef } from "./lib/core.js";
+import { resolveLocalRef } from "./lib/local-git.js";
+
+console.log("🧪 Testing ref resolution...");
+
+// Build a throwaway repository where a tag and a branch are both called "release"
+const repoPath = mkdtempSync(path.join(tmpdir(), "ref-resolution-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "first");
+  const firstSha = git("rev-parse", "HEAD");
+  git("tag", "-a", "release", "-m", "Release tag");
+  const tagObjectSha = git("rev-parse", "refs/tags/release");
+  git("commit", "-q", "--allow-empty", "-m", "second");
+  const secondSha = git("rev-parse", "HEAD");
+  git("branch", "release");
+
+  console.log("Test 1: annotated tag is peeled and wins over a branch of the same name");
+  const tag = await resolveLocalRef(repoPath, "release");
+  if (tag.kind === "tag" && tag.sha === firstSha && tag.peeledFrom === tagObjectSha) {
+    console.log(`✅ release → tag ${tag.sha.substring(0, 7)} (peeled from ${tag.peeledFrom.substring(0, 7)})`);
+  } else {
+    console.log("❌ Unexpected tag resolution:", tag);
+  }
+
+  console.log("\nTest 2: refs/heads/ qualifier picks the branch");
+  const branch = await resolveLocalRef(repoPath, "refs/heads/release");
+  if (branch.kind === "branch" && branch.sha === secondSha && branch.peeledFrom === null) {
+    console.log(`✅ refs/heads/release → branch ${branch.sha.substring(0, 7)}`);
+  } else {
+    console.log("❌ Unexpected branch resolution:", branch);
+  }
+
+  console.log("\nTest 3: SHAs and revisions resolve as commits");
+  const commit = await resolveLocalRef(repoPath, secondSha);
+  const revision = await resolveLocalRef(repoPath, "HEAD~1");
+  if (commit.kind === "commit" && commit.sha === secondSha && revision.kind === "commit" && revision.sha === firstSha) {
+    console.log("✅ Full SHA and HEAD~1 resolved as commits");
+  } else {
+    console.log("❌ Unexpected commit resolution:", commit, revision);
+  }
+
+  console.log("\nTest 4: refs/tags/ qualifier does not fall back to branches");
+  try {
+    await resolveLocalRef(repoPath, "refs/tags/main");
+    console.log("❌ refs/tags/main should not resolve");
+  } catch (error) {
+    console.log(`✅ ${error.message}`);
+  }
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\nTest 5: GitHub annotated tags are peeled through git.getTag");
+const notFound = () => Promise.reject(Object.assign(new Error("Not Found"), { status: 404 }));
+const octokit = {
+  rest: {
+    git: {
+      getRef: ({ ref }) =>
+        ref === "tags/v1.0.0" ? Promise.resolve({ data: { object: { type: "tag", sha: "tag-object-sha" } } }) : notFound(),
+      getTag: ({ tag_sha }) =>
+        tag_sha === "tag-object-sha" ? Promise.resolve({ data: { object: { type: "commit", sha: "commit-sha" } } }) : notFound(),
+    },
+    repos: { getCommit: notFound },
+  },
+};
+const githubTag = await resolveGitHubRef(octokit, "owner", "repo", "v1.0.0");
+if (githubTag.sha === "commit-sha" && githubTag.kind === "tag" && githubTag.peeledFrom === "tag-object-sha") {
+  console.log("✅ GitHub annotated tag peeled to its commit");
+} else {
+  console.log("❌ Unexpected GitHub resolution:", githubTag);
+}
+
+console.log("\nTest 6: only 404 and 422 responses mean the ref is missing");
+for (const [label, failure] of [
+  ["A 500 response", Object.assign(new Error("Server Error"), { status: 500 })],
+  ["An error without a status", new TypeError("fetch failed")],
+]) {
+  const failing = { rest: { git: { getRef: () => Promise.reject(failure) }, repos: { getCommit: notFound } } };
+  try {
+    await resolveGitHubRef(failing, "owner", "repo", "v1.0.0");
+    console.log(`❌ ${label} was treated as a missing ref`);
+  } catch (error) {
+    console.log(error === failure ? `✅ ${label} is rethrown` : `❌ ${label} became: ${error.message}`);
+  }
+}
+
+console.log("\n🎉 Ref resolution tests completed!");
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Test the GitHub retry layer: server errors and secondary rate limits are retried, primary rate limits are
+ * waited out within one budget shared by concurrent requests, and everything else fails straight away
+ */
+
+import { createRepositoryClient, getCommitsBetween, streamCommitsBetween } from "./lib/core.js";
+import { getRetryDelay } from "./lib/retry.js";
+
+console.log("🧪 Testing GitHub retries...");
+
+const jsonResponse = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+
+// Replace fetch with a queue of canned responses; the last one repeats
+const stubFetch = (responses) => {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    return next();
+  };
+  return calls;
+};
+
+const originalFetch = globalThis.fetch;
+const originalWarn = console.warn;
+console.warn = () => {};
+
+try {
+  console.log("Test 1: errors are classified");
+  const now = 1_000_000;
+  const httpError = (status, headers = {}, message = "") => Object.assign(new Error(message), { status, response: { headers } });
+  const classified = [
+    ["502", httpError(502), "server-error"],
+    ["403 retry-after", httpError(403, { "retry-after": "5" }), "secondary-rate-limit"],
+    ["403 secondary message", httpError(403, {}, "You have exceeded a secondary rate limit"), "secondary-rate-limit"],
+    ["403 quota exhausted", httpError(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1001" }), "rate-limit"],
+    ["403 forbidden", httpError(403, { "x-ratelimit-remaining": "4000" }, "Resource not accessible"), null],
+    ["404", httpError(404), null],
+  ];
+  for (const [label, error, expected] of classified) {
+    const reason = getRetryDelay(error, 0, now)?.reason ?? null;
+    console.log(reason === expected ? `✅ ${label}: ${reason}` : `❌ ${label}: ${reason} (expected ${expected})`);
+  }
+  const resetDelay = getRetryDelay(classified[3][1], 0, now).delay;
+  console.log(resetDelay === 2000 ? "✅ Waits until the reset plus a margin" : `❌ Unexpected reset delay ${resetDelay}`);
+
+  console.log("\nTest 2: a 502 is retried and reported");
+  const progress = [];
+  const calls = stubFetch([() => jsonResponse({ message: "Bad Gateway" }, 502), () => jsonResponse({ default_branch: "main" })]);
+  const client = createRepositoryClient({
+    repoUrl: "https://github.com/owner/repo",
+    token: "test-token",
+    onProgress: (message) => progress.push(message),
+  });
+  const branch = await client.getDefaultBranch();
+  if (branch === "main" && calls.length === 2 && progress.some((message) => message.includes("returned 502, retrying"))) {
+    console.log(`✅ Succeeded after a retry: ${progress[0]}`);
+  } else {
+    console.log("❌ Unexpected retry:", branch, calls.length, progress);
+  }
+
+  console.log("\nTest 3: a secondary rate limit waits for retry-after");
+  const secondaryProgress = [];
+  stubFetch([
+    () => jsonResponse({ message: "You have exceeded a secondary rate limit" }, 403, { "retry-after": "0" }),
+    () => jsonResponse({ default_branch: "develop" }),
+  ]);
+  const secondaryClient = createRepositoryClient({
+    repoUrl: "https://github.com/owner/repo",
+    token: "test-token",
+    onProgress: (message) => secondaryProgress.push(message),
+  });
+  const secondaryBranch = await secondaryClient.getDefaultBranch();
+  if (secondaryBranch === "develop" && secondaryProgress.some((message) => message.includes("secondary rate limit"))) {
+    console.log(`✅ Retried: ${secondaryProgress[0]}`);
+  } else {
+    console.log("❌ Unexpected result:", secondaryBranch, secondaryProgress);
+  }
+
+  console.log("\nTest 4: a rate limit reset beyond the budget fails with RATE_LIMITED");
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  stubFetch([
+    () =>
+      jsonResponse({ message: "API rate limit exceeded for 127.0.0.1." }, 403, {
+        "x-ratelimit-limit": "60",
+        "x-ratelimit-remaining": "0",
+        "x-ratelimit-reset": String(reset),
+      }),
+  ]);
+  const startTime = Date.now();
+  const limited = await getCommitsBetween({
+    repoUrl: "https://github.com/owner/repo",
+    from: "v1.0.0",
+    to: "v1.1.0",
+    token: "test-token",
+    maxRateLimitWait: 1,
+  });
+  const elapsed = Date.now() - startTime;
+  if (!limited.success && limited.errorCode === "RATE_LIMITED" && limited.resetAt && elapsed < 2000) {
+    console.log(`✅ Gave up after ${elapsed}ms, resets at ${limited.resetAt}`);
+  } else {
+    console.log("❌ Unexpected result:", limited);
+  }
+
+  console.log("\nTest 5: a 404 is not retried");
+  const notFoundCalls = stubFetch([() => jsonResponse({ message: "Not Found" }, 404)]);
+  const notFoundClient = createRepositoryClient({ repoUrl: "https://github.com/owner/repo", token: "test-token" });
+  try {
+    await notFoundClient.getDefaultBranch();
+    console.log("❌ Expected a 404");
+  } catch (error) {
+    console.log(error.status === 404 && notFoundCalls.length === 1 ? "✅ Failed after one request" : `❌ ${notFoundCalls.length} requests`);
+  }
+
+  console.log("\nTest 6: concurrent requests share one rate limit wait");
+  const resetAt = Math.floor(Date.now() / 1000) + 1;
+  const sharedProgress = [];
+  globalThis.fetch = async () =>
+    Date.now() < resetAt * 1000
+      ? jsonResponse({ message: "API rate limit exceeded" }, 403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(resetAt) })
+      : jsonResponse({ default_branch: "main" });
+  const sharedClient = createRepositoryClient({
+    repoUrl: "https://github.com/owner/repo",
+    token: "test-token",
+    maxRateLimitWait: 3,
+    onProgress: (message) => sharedProgress.push(message),
+  });
+  const sharedResults = await Promise.allSettled(Array.from({ length: 8 }, () => sharedClient.getDefaultBranch()));
+  const succeeded = sharedResults.filter((result) => result.value === "main").length;
+  if (succeeded === 8 && sharedProgress.length === 1) {
+    console.log(`✅ All 8 requests succeeded after one wait: ${sharedProgress[0]}`);
+  } else {
+    console.log("❌ Unexpected results:", sharedResults, sharedProgress);
+  }
+
+  console.log("\nTest 7: RATE_LIMITED fails the stream instead of dropping commits");
+  const headSha = "f".repeat(40);
+  globalThis.fetch = async (url) => {
+    const requestPath = decodeURIComponent(new URL(url).pathname);
+    if (requestPath.endsWith("/git/ref/tags/v1.0.0")) return jsonResponse({ object: { type: "commit", sha: "a".repeat(40) } });
+    if (requestPath.endsWith("/git/ref/tags/v1.1.0")) return jsonResponse({ object: { type: "commit", sha: headSha } });
+    if (requestPath.includes("/compare/")) {
+      return jsonResponse({
+        total_commits: 1,
+        commits: [{ sha: headSha, parents: [{ sha: "a".repeat(40) }], commit: { message: "fix: totals", author: { name: "Test" } } }],
+      });
+    }
+    return jsonResponse({ message: "API rate limit exceeded" }, 403, {
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-reset": String(Math.floor(Date.now() / 1000) + 3600),
+    });
+  };
+  const streamed = [];
+  const streamResult = await streamCommitsBetween(
+    { repoUrl: "https://github.com/owner/repo", from: "v1.0.0", to: "v1.1.0", token: "test-token", api: "rest", maxRateLimitWait: 1 },
+    (batch) => streamed.push(...batch),
+    () => {}
+  );
+  if (!streamResult.success && streamResult.errorCode === "RATE_LIMITED" && streamed.length === 0) {
+    console.log("✅ The stream failed with RATE_LIMITED");
+  } else {
+    console.log("❌ Unexpected stream result:", streamResult, streamed.length);
+  }
+} finally {
+  globalThis.fetch = originalFetch;
+  console.warn = originalWarn;
+}
+
+console.log("\n🎉 Retry tests completed!");
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test symbolic refs (@latest-release, @previous-tag, @latest-tag:<glob>, @default-branch, @tag-before:<ref>)
+ * and the "since the latest release" default for a blank `from`
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween } from "./lib/core.js";
+import { resolveSymbolicRef } from "./lib/refs.js";
+
+console.log("🧪 Testing symbolic refs...");
+
+const tagNames = ["v1.9.0", "v1.10.0", "v2.0.0-rc.1", "v2.0.0", "payments@1.2.0", "payments@1.10.0", "nightly"];
+const client = {
+  listTags: async () => tagNames.map((name) => ({ name, sha: name })),
+  getLatestRelease: async () => "v1.10.0",
+  getDefaultBranch: async () => "main",
+};
+
+const cases = [
+  ["@latest-release", "v1.10.0"],
+  ["@default-branch", "main"],
+  ["@latest-tag", "v2.0.0"],
+  ["@latest-tag:payments@*", "payments@1.10.0"],
+  ["@previous-tag", "v2.0.0-rc.1"],
+  ["@tag-before:v2.0.0", "v2.0.0-rc.1"],
+  ["@tag-before:v1.10.0", "v1.9.0"],
+  ["@tag-before:payments@1.10.0", "payments@1.2.0"],
+  ["@tag-before:@latest-release", "v1.9.0"],
+  ["@scope/pkg@1.0.0", "@scope/pkg@1.0.0"],
+];
+
+console.log("Test 1: symbols resolve with semver ordering");
+for (const [symbol, expected] of cases) {
+  const { ref } = await resolveSymbolicRef(client, symbol);
+  console.log(ref === expected ? `✅ ${symbol} → ${ref}` : `❌ ${symbol} → ${ref} (expected ${expected})`);
+}
+
+console.log("\nTest 2: @latest-release falls back to the latest tag without releases");
+const fallback = await resolveSymbolicRef({ ...client, getLatestRelease: async () => null }, "@latest-release");
+if (fallback.ref === "v2.0.0" && fallback.warning) {
+  console.log(`✅ ${fallback.warning}`);
+} else {
+  console.log("❌ Unexpected fallback:", fallback);
+}
+
+// Build a throwaway repository with two releases and one commit after the latest
+const repoPath = mkdtempSync(path.join(tmpdir(), "symbolic-refs-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "feat: first release");
+  git("tag", "v1.0.0");
+  git("commit", "-q", "--allow-empty", "-m", "fix: second release");
+  git("tag", "-a", "v1.1.0", "-m", "v1.1.0");
+  git("commit", "-q", "--allow-empty", "-m", "feat: unreleased work");
+
+  console.log("\nTest 3: blank from compares since the latest release");
+  const sinceRelease = await getCommitsBetween({ repoUrl: repoPath, allowLocal: true });
+  if (sinceRelease.success && sinceRelease.fromRef === "v1.1.0" && sinceRelease.totalCommits === 1) {
+    console.log(`✅ ${sinceRelease.fromRef}..${sinceRelease.toRef}: ${sinceRelease.commits[0].message}`);
+  } else {
+    console.log("❌ Unexpected result:", sinceRelease);
+  }
+
+  console.log("\nTest 4: blank from with a version tag as to uses the tag before it");
+  const previous = await getCommitsBetween({ repoUrl: repoPath, to: "v1.1.0", allowLocal: true });
+  if (previous.success && previous.fromRef === "v1.0.0" && previous.toRef === "v1.1.0" && previous.totalCommits === 1) {
+    console.log(`✅ ${previous.fromRef}..${previous.toRef}`);
+  } else {
+    console.log("❌ Unexpected result:", previous);
+  }
+
+  console.log("\nTest 5: symbols are echoed as the concrete tags they picked");
+  const symbolic = await getCommitsBetween({ repoUrl: repoPath, from: "@previous-tag", to: "@latest-tag:v*", allowLocal: true });
+  if (symbolic.success && symbolic.fromRef === "v1.0.0" && symbolic.toRef === "v1.1.0" && symbolic.resolvedFrom.symbol === "@previous-tag") {
+    console.log(`✅ @previous-tag..@latest-tag:v* → ${symbolic.fromRef}..${symbolic.toRef}`);
+  } else {
+    console.log("❌ Unexpected result:", symbolic);
+  }
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Symbolic ref tests completed!");
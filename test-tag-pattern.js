@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test monorepo tag patterns: bare versions expanded to tag names, tag symbols scoped to one service
+ * and nearest-tag suggestions for missing tags
+ */
+
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { getCommitsBetween } from "./lib/core.js";
+import { applyTagPattern, findNearestTags, resolveSymbolicRef } from "./lib/refs.js";
+
+console.log("🧪 Testing tag patterns...");
+
+console.log("Test 1: bare versions are expanded, everything else is left alone");
+const expansions = [
+  ["1.4.2", { tagPattern: "payments-service@{version}" }, "payments-service@1.4.2"],
+  ["v2.0.0", { tagPattern: "{dir}/v{version}", dir: "web" }, "web/v2.0.0"],
+  ["payments-service@1.4.2", { tagPattern: "payments-service@{version}" }, "payments-service@1.4.2"],
+  ["main", { tagPattern: "payments-service@{version}" }, "main"],
+  ["1.4.2", {}, "1.4.2"],
+];
+for (const [ref, patternOptions, expected] of expansions) {
+  const actual = applyTagPattern(ref, patternOptions);
+  console.log(actual === expected ? `✅ ${ref} → ${actual}` : `❌ ${ref} → ${actual} (expected ${expected})`);
+}
+
+try {
+  applyTagPattern("2.0.0", { tagPattern: "{dir}/v{version}" });
+  console.log("❌ {dir} without a target directory should fail");
+} catch (error) {
+  console.log(`✅ ${error.message}`);
+}
+
+console.log("\nTest 2: nearest tags come from the same family");
+const tags = ["payments-service@1.4.0", "payments-service@1.4.1", "payments-service@1.5.0", "billing@1.4.2", "v1.4.2"].map(
+  (name) => ({ name })
+);
+const nearest = findNearestTags(tags, "payments-service@1.4.2");
+if (nearest.join(",") === "payments-service@1.5.0,payments-service@1.4.1,payments-service@1.4.0") {
+  console.log(`✅ ${nearest.join(", ")}`);
+} else {
+  console.log("❌ Unexpected nearest tags:", nearest);
+}
+
+console.log("\nTest 3: tag symbols only consider tags matching the pattern");
+const client = {
+  listTags: async () => tags,
+  getLatestRelease: async () => "billing@1.4.2",
+  getDefaultBranch: async () => "main",
+};
+const patternOptions = { tagPattern: "payments-service@{version}" };
+const latestTag = await resolveSymbolicRef(client, "@latest-tag", patternOptions);
+const latestRelease = await resolveSymbolicRef(client, "@latest-release", patternOptions);
+const tagBefore = await resolveSymbolicRef(client, "@tag-before:1.5.0", patternOptions);
+if (latestTag.ref === "payments-service@1.5.0" && latestRelease.ref === "payments-service@1.5.0" && latestRelease.warning) {
+  console.log(`✅ @latest-tag and @latest-release → ${latestTag.ref}`);
+} else {
+  console.log("❌ Unexpected symbol resolution:", latestTag, latestRelease);
+}
+console.log(tagBefore.ref === "payments-service@1.4.1" ? `✅ @tag-before:1.5.0 → ${tagBefore.ref}` : `❌ ${tagBefore.ref}`);
+
+// Build a throwaway monorepo with per-service tags
+const repoPath = mkdtempSync(path.join(tmpdir(), "tag-pattern-"));
+const env = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+};
+const git = (...args) => execFileSync("git", ["-C", repoPath, ...args], { env, encoding: "utf8" }).trim();
+
+try {
+  git("init", "-q", "-b", "main");
+  git("commit", "-q", "--allow-empty", "-m", "feat(web): first release");
+  git("tag", "web/v1.0.0");
+  git("tag", "api/v3.0.0");
+  git("commit", "-q", "--allow-empty", "-m", "fix(web): second release");
+  git("tag", "web/v1.1.0");
+
+  console.log("\nTest 4: sheet-style bare versions resolve through {dir}");
+  const result = await getCommitsBetween({
+    repoUrl: repoPath,
+    from: "1.0.0",
+    to: "1.1.0",
+    targetDir: "web/",
+    tagPattern: "{dir}/v{version}",
+    allowLocal: true,
+  });
+  if (result.success && result.fromRef === "web/v1.0.0" && result.toRef === "web/v1.1.0") {
+    console.log(`✅ 1.0.0..1.1.0 → ${result.fromRef}..${result.toRef}`);
+  } else {
+    console.log("❌ Unexpected result:", result);
+  }
+
+  console.log("\nTest 5: a missing tag lists the nearest tags");
+  const missing = await getCommitsBetween({
+    repoUrl: repoPath,
+    from: "1.0.0",
+    to: "1.2.0",
+    targetDir: "web",
+    tagPattern: "{dir}/v{version}",
+    allowLocal: true,
+  });
+  if (!missing.success && missing.error.includes("web/v1.2.0") && missing.error.includes("Nearest tags: web/v1.1.0, web/v1.0.0")) {
+    console.log(`✅ ${missing.error}`);
+  } else {
+    console.log("❌ Unexpected result:", missing);
+  }
+} finally {
+  rmSync(repoPath, { recursive: true, force: true });
+}
+
+console.log("\n🎉 Tag pattern tests completed!");